@@ -0,0 +1,141 @@
+/**
+ * api/_lib/anthropic.js
+ *
+ * Server-side half of the AI summary (SPEC.md section 7): validates the
+ * buildForecastPayload() output sent by the browser, turns it into the
+ * prompt, and calls the Anthropic Messages API with the server's key.
+ */
+
+import { UNIT_OPTIONS, UNIT_SUFFIX } from '../../src/lib/utils.js'
+
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com'
+const MODEL = 'claude-sonnet-4-20250514'
+const MAX_TOKENS = 1000
+
+// Caps keep a tampered payload from turning the endpoint into a free chatbot
+const MAX_DAYS = 7
+const MAX_TEXT_LENGTH = 100
+
+// ── System prompt (verbatim from SPEC.md section 7 / Agent 5 brief) ───────────
+
+export const SYSTEM_PROMPT = `You are a mountain weather forecaster writing a brief daily snow report for skiers and snowboarders.
+Write exactly 3 sentences. Be direct and actionable. Use skier-friendly language — not meteorologist language.
+Sentence 1: Describe current or very recent conditions on the mountain right now.
+Sentence 2: Identify the single best upcoming window for skiing in the next 7 days and why.
+Sentence 3: Name one specific thing to watch out for (wind, rain mix, warming trend, icy conditions, etc).
+Do not use bullet points. Do not use headers. Do not use markdown formatting of any kind. Plain prose only.
+Never start with the resort name. Never say "I" or "we". Write in present/future tense only.`
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+const isText = (v) => typeof v === 'string' && v.length <= MAX_TEXT_LENGTH
+const isNumeric = (v) => v !== '' && v !== null && Number.isFinite(Number(v))
+
+const DAY_TEXT_FIELDS = ['date', 'condition']
+const DAY_NUMERIC_FIELDS = ['snowfall', 'rain', 'high', 'low', 'max_wind']
+
+/**
+ * Checks that `payload` has the buildForecastPayload() shape.
+ *
+ * @param {*} payload
+ * @returns {string|null} A description of the first problem, or null if valid
+ */
+export function validatePayload(payload) {
+  if (!payload || typeof payload !== 'object') return 'payload must be an object'
+  if (!isText(payload.resortName)) return 'resortName must be a short string'
+  if (!isText(payload.region)) return 'region must be a short string'
+
+  const units = payload.units
+  if (!units || typeof units !== 'object') return 'units must be an object'
+  const badUnit = Object.keys(UNIT_OPTIONS).find((d) => !UNIT_OPTIONS[d].includes(units[d]))
+  if (badUnit) return `units.${badUnit} must be one of ${UNIT_OPTIONS[badUnit].join(', ')}`
+
+  if (!isNumeric(payload.summitElevation)) return 'summitElevation must be numeric'
+  if (!isNumeric(payload.currentDepth)) return 'currentDepth must be numeric'
+
+  const days = payload.next7Days
+  if (!Array.isArray(days) || days.length === 0 || days.length > MAX_DAYS) {
+    return `next7Days must have 1–${MAX_DAYS} entries`
+  }
+  for (const day of days) {
+    if (!day || typeof day !== 'object') return 'next7Days entries must be objects'
+    const badText = DAY_TEXT_FIELDS.find((f) => !isText(day[f]))
+    if (badText) return `next7Days.${badText} must be a short string`
+    const badNumber = DAY_NUMERIC_FIELDS.find((f) => !isNumeric(day[f]))
+    if (badNumber) return `next7Days.${badNumber} must be numeric`
+  }
+  return null
+}
+
+// ── Prompt ────────────────────────────────────────────────────────────────────
+
+/**
+ * Amounts are already converted client-side; the prompt labels them in the
+ * same units so the summary quotes what the reader sees in the app.
+ *
+ * @param {object} payload  Validated buildForecastPayload() output
+ * @returns {string} The user message sent alongside SYSTEM_PROMPT
+ */
+export function buildUserMessage(payload) {
+  const { snow, temp, wind, elevation } = payload.units
+  const snowUnit = UNIT_SUFFIX[snow]
+  const tempUnit = UNIT_SUFFIX[temp]
+  return (
+    `Resort: ${payload.resortName}, ${payload.region}\n` +
+    `Summit elevation: ${payload.summitElevation}${UNIT_SUFFIX[elevation]}\n` +
+    `Current snow depth at summit: ${payload.currentDepth}${snowUnit} \n` +
+    `7-day forecast:\n` +
+    payload.next7Days
+      .map(
+        (d) =>
+          `${d.date}: ${d.snowfall}${snowUnit} snow, ${d.rain}${snowUnit} rain, High ${d.high}${tempUnit} / Low ${d.low}${tempUnit}, Wind max ${d.max_wind}${UNIT_SUFFIX[wind]}, Conditions: ${d.condition}`
+      )
+      .join('\n')
+  )
+}
+
+// ── API call ──────────────────────────────────────────────────────────────────
+
+/**
+ * Calls the Anthropic Messages API.
+ *
+ * @param {object} payload  Validated buildForecastPayload() output
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.baseUrl]  Override for local stubs
+ * @returns {Promise<string>} The summary text
+ * @throws {Error} On non-200 response or malformed response
+ */
+export async function requestSummary(payload, { apiKey, baseUrl = ANTHROPIC_BASE_URL }) {
+  const response = await fetch(`${baseUrl}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+    },
+    body: JSON.stringify({
+      model: MODEL,
+      max_tokens: MAX_TOKENS,
+      system: SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: buildUserMessage(payload) }],
+    }),
+  })
+
+  if (!response.ok) {
+    throw new Error(`Claude API error for ${payload.resortName}: HTTP ${response.status}`)
+  }
+
+  let data
+  try {
+    data = await response.json()
+  } catch {
+    throw new Error(`Unexpected Claude API response shape for ${payload.resortName}`)
+  }
+
+  if (!data?.content?.[0]?.text) {
+    throw new Error(`Unexpected Claude API response shape for ${payload.resortName}`)
+  }
+
+  return data.content[0].text
+}
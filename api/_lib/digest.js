@@ -0,0 +1,357 @@
+/**
+ * api/_lib/digest.js
+ *
+ * Opt-in email digest (daily or weekly) for signed-in users: saved resorts
+ * over their powder threshold in the next 48h — with each resort's best day
+ * (getBestWindow) and today's cached AI summary — plus a weekend outlook.
+ * Rendered server-side to HTML and plain text.
+ *
+ * Storage (supabase/migrations): profiles.digest_frequency /
+ * digest_last_sent_at, plus the tables the push job already reads.
+ */
+
+import { evaluatePowderAlerts } from '../../src/lib/alerts.js'
+import { getBestWindow } from '../../src/lib/snowQuality.js'
+import { formatSnow, getUnitsKey, resolveUnits } from '../../src/lib/utils.js'
+import { fetchForecasts } from './forecasts.js'
+import { inList } from './supabaseRest.js'
+
+// Weekly digests go out on Thursday (UTC) — ahead of the weekend
+export const DIGEST_WEEKDAY = 4
+
+// A daily digest is due once this long has passed, absorbing cron drift
+const DAILY_MIN_GAP_MS = 20 * 60 * 60 * 1000
+const WEEKLY_MIN_GAP_MS = 6 * 24 * 60 * 60 * 1000
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function buildDailyArray(daily, count = 7) {
+  return daily.time.slice(0, count).map((date, i) => ({
+    time:               date,
+    snowfall_sum:       daily.snowfall_sum[i]       ?? 0,
+    rain_sum:           daily.rain_sum[i]           ?? 0,
+    windspeed_10m_max:  daily.windspeed_10m_max[i]  ?? 0,
+    temperature_2m_max: daily.temperature_2m_max[i] ?? 0,
+  }))
+}
+
+/** "2026-01-17" → "Sat, Jan 17" (the date is the resort's local calendar day) */
+function formatDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  })
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Indices of the next Saturday and Sunday in a daily time array (today
+ * counts). A Sunday start yields just that day.
+ */
+function getWeekendIndices(times) {
+  const weekday = (d) => new Date(`${d}T00:00:00Z`).getUTCDay()
+  const start = times.findIndex((d) => weekday(d) === 6 || weekday(d) === 0)
+  if (start === -1) return []
+  if (weekday(times[start]) === 0 || start + 1 >= times.length) return [start]
+  return [start, start + 1]
+}
+
+// ── Build ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Assembles one user's digest.
+ *
+ * @param {object}   params
+ * @param {object[]} params.resorts           The user's saved resorts
+ * @param {Record<string,object>} params.forecasts  resortId → Open-Meteo forecast
+ * @param {Record<string,number>} [params.thresholds]  Per-resort overrides (cm)
+ * @param {number}   [params.defaultThreshold]
+ * @param {Record<string,string>} [params.summaries]  resortId → today's AI summary
+ *                                                    (in the same units)
+ * @param {string|object} [params.units='imperial']  Anything resolveUnits() accepts
+ * @param {number}   [params.now=Date.now()]
+ * @returns {{
+ *   powder: Array<{ resort, snowfall: string, bestDay: string, summary: string|null }>,
+ *   weekend: Array<{ resort, days: Array<{ label: string, snowfall: string }>, total: string }>
+ * }}
+ */
+export function buildDigest({
+  resorts,
+  forecasts,
+  thresholds = {},
+  defaultThreshold,
+  summaries = {},
+  units = 'imperial',
+  now = Date.now(),
+}) {
+  // Same rules as the alerts, minus the cooldown — a digest repeats by design
+  const due = evaluatePowderAlerts({
+    resorts,
+    forecasts,
+    thresholds,
+    defaultThreshold,
+    alertLog: {},
+    now,
+  })
+
+  const powder = due.map(({ resort, snowfall_cm }) => {
+    const daily = forecasts[resort.id].daily
+    const best = getBestWindow(buildDailyArray(daily))
+    return {
+      resort,
+      snowfall: formatSnow(snowfall_cm, units),
+      bestDay: `${formatDate(best.date)} (${formatSnow(daily.snowfall_sum[best.index] ?? 0, units)})`,
+      summary: summaries[resort.id] ?? null,
+    }
+  })
+
+  const weekend = resorts
+    .filter((resort) => forecasts[resort.id]?.daily?.time)
+    .map((resort) => {
+      const daily = forecasts[resort.id].daily
+      const indices = getWeekendIndices(daily.time.slice(0, 7))
+      const days = indices.map((i) => ({
+        label: formatDate(daily.time[i]),
+        snowfall: formatSnow(daily.snowfall_sum[i] ?? 0, units),
+      }))
+      const total_cm = indices.reduce((sum, i) => sum + (daily.snowfall_sum[i] ?? 0), 0)
+      return { resort, days, total_cm, total: formatSnow(total_cm, units) }
+    })
+    .filter((row) => row.days.length > 0)
+    .sort((a, b) => b.total_cm - a.total_cm)
+    .map(({ total_cm: _total, ...row }) => row)
+
+  return { powder, weekend }
+}
+
+// ── Render ────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {ReturnType<typeof buildDigest>} digest
+ * @param {object} options
+ * @param {'daily'|'weekly'} options.frequency
+ * @param {string} options.appUrl   Absolute app origin for links
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderDigest(digest, { frequency, appUrl }) {
+  const { powder, weekend } = digest
+  const resortUrl = (resort) => `${appUrl}/resort/${resort.slug}`
+  const settingsUrl = `${appUrl}/settings`
+
+  const subject = powder.length > 0
+    ? `❄️ Powder at ${powder.length} of your resorts`
+    : `SnowDesk ${frequency === 'weekly' ? 'weekly' : 'daily'} outlook`
+
+  // ── Plain text ────────────────────────────────────────────────────────────
+  const textLines = []
+  if (powder.length > 0) {
+    textLines.push('POWDER IN THE NEXT 48 HOURS', '')
+    powder.forEach(({ resort, snowfall, bestDay, summary }) => {
+      textLines.push(`${resort.name} (${resort.region}) — ${snowfall}`)
+      textLines.push(`  Best day: ${bestDay}`)
+      if (summary) textLines.push(`  ${summary}`)
+      textLines.push(`  ${resortUrl(resort)}`, '')
+    })
+  } else {
+    textLines.push('None of your saved resorts hit your powder threshold in the next 48 hours.', '')
+  }
+  if (weekend.length > 0) {
+    textLines.push('WEEKEND OUTLOOK', '')
+    weekend.forEach(({ resort, days, total }) => {
+      const perDay = days.map((d) => `${d.label}: ${d.snowfall}`).join(', ')
+      textLines.push(`${resort.name} — ${total} (${perDay})`)
+    })
+    textLines.push('')
+  }
+  textLines.push(`Change or turn off this digest: ${settingsUrl}`)
+
+  // ── HTML ──────────────────────────────────────────────────────────────────
+  const h2 = (title) =>
+    `<h2 style="font-size:13px;text-transform:uppercase;letter-spacing:0.08em;color:#64748B;margin:24px 0 12px">${escapeHtml(title)}</h2>`
+
+  const powderHtml = powder.length > 0
+    ? h2('Powder in the next 48 hours') + powder.map(({ resort, snowfall, bestDay, summary }) => `
+      <div style="border:1px solid #E2E8F0;border-radius:8px;padding:16px;margin-bottom:12px">
+        <div style="font-size:16px;font-weight:600">
+          <a href="${escapeHtml(resortUrl(resort))}" style="color:#0F172A;text-decoration:none">${escapeHtml(resort.name)}</a>
+          <span style="color:#64748B;font-weight:400"> · ${escapeHtml(resort.region)}</span>
+          <span style="float:right;color:#0284C7">${escapeHtml(snowfall)}</span>
+        </div>
+        <div style="font-size:13px;color:#475569;margin-top:6px">Best day: ${escapeHtml(bestDay)}</div>
+        ${summary ? `<p style="font-size:14px;line-height:1.6;margin:10px 0 0">${escapeHtml(summary)}</p>` : ''}
+      </div>`).join('')
+    : `<p style="font-size:14px;color:#475569">None of your saved resorts hit your powder threshold in the next 48 hours.</p>`
+
+  const weekendHtml = weekend.length > 0
+    ? h2('Weekend outlook') + `
+      <table style="width:100%;border-collapse:collapse;font-size:14px">
+        ${weekend.map(({ resort, days, total }) => `
+        <tr style="border-bottom:1px solid #E2E8F0">
+          <td style="padding:8px 0"><a href="${escapeHtml(resortUrl(resort))}" style="color:#0F172A">${escapeHtml(resort.name)}</a></td>
+          <td style="padding:8px 0;color:#64748B">${days.map((d) => `${escapeHtml(d.label)}: ${escapeHtml(d.snowfall)}`).join(' · ')}</td>
+          <td style="padding:8px 0;text-align:right;font-weight:600">${escapeHtml(total)}</td>
+        </tr>`).join('')}
+      </table>`
+    : ''
+
+  const html = `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#F8FAFC;font-family:-apple-system,Segoe UI,Roboto,sans-serif;color:#0F172A">
+    <div style="max-width:600px;margin:0 auto;background:#FFFFFF;border-radius:12px;padding:24px">
+      <h1 style="font-size:20px;margin:0">❄️ SnowDesk</h1>
+      ${powderHtml}
+      ${weekendHtml}
+      <p style="font-size:12px;color:#94A3B8;margin-top:32px">
+        You're getting this ${frequency} digest because you turned it on in
+        <a href="${escapeHtml(settingsUrl)}" style="color:#94A3B8">Settings</a>.
+      </p>
+    </div>
+  </body>
+</html>`
+
+  return { subject, html, text: textLines.join('\n') }
+}
+
+// ── Storage ───────────────────────────────────────────────────────────────────
+
+/**
+ * Digest storage over Supabase. runEmailDigests only depends on this shape,
+ * so tests pass an in-memory implementation.
+ *
+ * @param {ReturnType<import('./supabaseRest.js').createSupabaseRest>} rest
+ */
+export function createDigestStore(rest) {
+  return {
+    /** @returns {Promise<Array<{ id, digest_frequency, digest_last_sent_at, units, unit_overrides, alert_thresholds, default_threshold }>>} */
+    listDigestSubscribers: () =>
+      rest.select(
+        'profiles',
+        'select=id,digest_frequency,digest_last_sent_at,units,unit_overrides,alert_thresholds,default_threshold' +
+          '&digest_frequency=in.(daily,weekly)'
+      ),
+
+    /** @returns {Promise<Array<{ user_id, resort_slug }>>} */
+    listSavedResorts: (userIds) =>
+      rest.select('saved_resorts', `select=user_id,resort_slug&user_id=${inList(userIds)}`),
+
+    /** @returns {Promise<Array<{ resort_id, units, text }>>} */
+    listSummaries: (resortIds, date) =>
+      rest.select(
+        'summaries',
+        `select=resort_id,units,text&summary_date=eq.${date}&resort_id=${inList(resortIds)}`
+      ),
+
+    /** @returns {Promise<string|null>} */
+    getUserEmail: async (userId) => (await rest.getAuthUser(userId))?.email ?? null,
+
+    markDigestSent: (userId, sentAt) =>
+      rest.update('profiles', `id=eq.${userId}`, { digest_last_sent_at: sentAt }),
+  }
+}
+
+// ── Job ───────────────────────────────────────────────────────────────────────
+
+/**
+ * Whether a subscriber's digest is due at `now`.
+ *
+ * @param {{ digest_frequency: string, digest_last_sent_at: string|null }} profile
+ * @param {number} now
+ * @returns {boolean}
+ */
+export function isDigestDue(profile, now) {
+  const last = profile.digest_last_sent_at ? Date.parse(profile.digest_last_sent_at) : 0
+  if (profile.digest_frequency === 'daily') return now - last >= DAILY_MIN_GAP_MS
+  if (profile.digest_frequency === 'weekly') {
+    return new Date(now).getUTCDay() === DIGEST_WEEKDAY && now - last >= WEEKLY_MIN_GAP_MS
+  }
+  return false
+}
+
+/**
+ * One pass of the scheduled job. Daily digests are skipped when nothing is
+ * over threshold; weekly digests always go out (the weekend outlook).
+ *
+ * @param {object}   params
+ * @param {object}   params.store       See createDigestStore
+ * @param {object[]} params.resorts     Full resorts.json list
+ * @param {(resort) => Promise<object>} params.fetchForecast
+ * @param {{ send: Function }} params.transport  See mail.js
+ * @param {string}   params.appUrl
+ * @param {number}   [params.now=Date.now()]
+ * @returns {Promise<{ due: number, sent: number, skipped: number, failed: number }>}
+ */
+export async function runEmailDigests({ store, resorts, fetchForecast, transport, appUrl, now = Date.now() }) {
+  const subscribers = (await store.listDigestSubscribers()).filter((p) => isDigestDue(p, now))
+  const result = { due: subscribers.length, sent: 0, skipped: 0, failed: 0 }
+  if (subscribers.length === 0) return result
+
+  const saved = await store.listSavedResorts(subscribers.map((p) => p.id))
+  const resortsBySlug = new Map(resorts.map((r) => [r.slug, r]))
+  const savedByUser = {}
+  saved.forEach(({ user_id, resort_slug }) => {
+    const resort = resortsBySlug.get(resort_slug)
+    if (resort) (savedByUser[user_id] ??= []).push(resort)
+  })
+
+  // Each saved resort is fetched once, however many users saved it
+  const wanted = new Map()
+  Object.values(savedByUser).flat().forEach((r) => wanted.set(r.id, r))
+  const today = new Date(now).toISOString().split('T')[0]
+  const [forecasts, summaryRows] = await Promise.all([
+    fetchForecasts([...wanted.values()], fetchForecast),
+    wanted.size > 0 ? store.listSummaries([...wanted.keys()], today) : [],
+  ])
+  // unitsKey → resortId → text; a summary is only quoted in the units it was written in
+  const summariesByUnits = {}
+  summaryRows.forEach(({ resort_id, units, text }) => {
+    (summariesByUnits[units] ??= {})[resort_id] = text
+  })
+
+  for (const profile of subscribers) {
+    const userResorts = savedByUser[profile.id] ?? []
+    if (userResorts.length === 0) {
+      result.skipped++
+      continue
+    }
+
+    const units = resolveUnits(profile.units, profile.unit_overrides)
+    const digest = buildDigest({
+      resorts: userResorts,
+      forecasts,
+      thresholds: profile.alert_thresholds ?? {},
+      defaultThreshold: profile.default_threshold ?? undefined,
+      summaries: summariesByUnits[getUnitsKey(units)] ?? {},
+      units,
+      now,
+    })
+    if (profile.digest_frequency === 'daily' && digest.powder.length === 0) {
+      result.skipped++
+      continue
+    }
+
+    try {
+      const to = await store.getUserEmail(profile.id)
+      if (!to) {
+        result.skipped++
+        continue
+      }
+      await transport.send({ to, ...renderDigest(digest, { frequency: profile.digest_frequency, appUrl }) })
+      await store.markDigestSent(profile.id, new Date(now).toISOString())
+      result.sent++
+    } catch (err) {
+      console.error(`[SnowDesk] Digest failed for user ${profile.id}:`, err)
+      result.failed++
+    }
+  }
+
+  return result
+}
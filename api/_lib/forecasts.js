@@ -0,0 +1,31 @@
+/**
+ * api/_lib/forecasts.js
+ *
+ * Forecast fetching for server jobs: each resort once, a few at a time.
+ */
+
+// Forecast requests in flight at once — polite to Open-Meteo's free tier
+const FORECAST_CONCURRENCY = 5
+
+/**
+ * @param {object[]} resorts
+ * @param {(resort) => Promise<object>} fetchForecast
+ * @returns {Promise<Record<string,object>>} resortId → forecast; failures are
+ *   logged and left out
+ */
+export async function fetchForecasts(resorts, fetchForecast) {
+  const forecasts = {}
+  const queue = [...resorts]
+  async function worker() {
+    while (queue.length > 0) {
+      const resort = queue.shift()
+      try {
+        forecasts[resort.id] = await fetchForecast(resort)
+      } catch (err) {
+        console.warn(`[SnowDesk] Forecast failed for ${resort.id}:`, err.message)
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: FORECAST_CONCURRENCY }, worker))
+  return forecasts
+}
@@ -0,0 +1,21 @@
+/**
+ * api/_lib/http.js
+ *
+ * Response helpers shared by the serverless functions. Written against the
+ * plain Node req/res API so handlers also run under the vite dev middleware.
+ */
+
+export function sendJson(res, status, body, headers = {}) {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value))
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * @returns {string|null} The token from an `Authorization: Bearer …` header
+ */
+export function getBearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? '')
+  return match ? match[1] : null
+}
@@ -0,0 +1,189 @@
+/**
+ * api/_lib/pushAlerts.js
+ *
+ * Server-side powder alerts over Web Push. Runs the same evaluatePowderAlerts
+ * rules (threshold, 48h window, cooldown) as the in-app check, per signed-in
+ * user, against their saved resorts and synced thresholds, then sends a
+ * VAPID-signed push to every device they subscribed.
+ *
+ * Storage (supabase/migrations): push_subscriptions, saved_resorts,
+ * profiles.alert_thresholds / default_threshold, push_alert_log.
+ */
+
+import webpush from 'web-push'
+import { evaluatePowderAlerts, buildNotificationPayload } from '../../src/lib/alerts.js'
+import { resolveUnits } from '../../src/lib/utils.js'
+import { fetchForecasts } from './forecasts.js'
+import { inList } from './supabaseRest.js'
+
+// Push services drop undelivered messages after this long (seconds)
+const PUSH_TTL_S = 6 * 60 * 60
+
+// ── Storage ───────────────────────────────────────────────────────────────────
+
+/**
+ * Push-alert storage over Supabase. runPushAlerts only depends on this shape,
+ * so tests pass an in-memory implementation.
+ *
+ * @param {ReturnType<import('./supabaseRest.js').createSupabaseRest>} rest
+ */
+export function createPushStore(rest) {
+  return {
+    /** @returns {Promise<Array<{ user_id, endpoint, p256dh, auth }>>} */
+    listSubscriptions: () =>
+      rest.select('push_subscriptions', 'select=user_id,endpoint,p256dh,auth'),
+
+    /** @returns {Promise<Array<{ user_id, resort_slug }>>} */
+    listSavedResorts: (userIds) =>
+      rest.select('saved_resorts', `select=user_id,resort_slug&user_id=${inList(userIds)}`),
+
+    /** @returns {Promise<Array<{ id, alert_thresholds, default_threshold, units, unit_overrides }>>} */
+    listAlertSettings: (userIds) =>
+      rest.select(
+        'profiles',
+        `select=id,alert_thresholds,default_threshold,units,unit_overrides&id=${inList(userIds)}`
+      ),
+
+    /** @returns {Promise<Array<{ user_id, resort_id, alerted_at }>>} alerted_at: ISO string */
+    listAlertLog: (userIds) =>
+      rest.select('push_alert_log', `select=user_id,resort_id,alerted_at&user_id=${inList(userIds)}`),
+
+    /** @param {Array<{ user_id, resort_id, alerted_at }>} rows */
+    recordAlerts: (rows) => rest.upsert('push_alert_log', rows, 'user_id,resort_id'),
+
+    deleteSubscription: (endpoint) =>
+      rest.delete('push_subscriptions', `endpoint=eq.${encodeURIComponent(endpoint)}`),
+  }
+}
+
+// ── Sending ───────────────────────────────────────────────────────────────────
+
+/**
+ * Sends one encrypted, VAPID-signed push. web-push builds the request; fetch
+ * sends it (web-push's own sender is https-only, which rules out local stubs).
+ *
+ * @param {{ endpoint: string, p256dh: string, auth: string }} subscription
+ * @param {object} payload  JSON-serialisable, read by the push handler in src/sw.js
+ * @param {{ subject: string, publicKey: string, privateKey: string }} vapid
+ * @returns {Promise<number>} HTTP status from the push service
+ */
+export async function sendPush(subscription, payload, vapid) {
+  const { endpoint, method, headers, body } = webpush.generateRequestDetails(
+    {
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+    },
+    JSON.stringify(payload),
+    { vapidDetails: vapid, TTL: PUSH_TTL_S }
+  )
+  const response = await fetch(endpoint, { method, headers, body })
+  return response.status
+}
+
+// Push service says the subscription is gone for good
+const isExpired = (status) => status === 404 || status === 410
+
+// ── Job ───────────────────────────────────────────────────────────────────────
+
+/** Groups rows into { [row[key]]: row[] }. */
+function groupBy(rows, key) {
+  const groups = {}
+  rows.forEach((row) => { (groups[row[key]] ??= []).push(row) })
+  return groups
+}
+
+/**
+ * One pass of the scheduled job.
+ *
+ * @param {object}   params
+ * @param {object}   params.store          See createPushStore
+ * @param {object[]} params.resorts        Full resorts.json list
+ * @param {(resort) => Promise<object>} params.fetchForecast
+ * @param {(subscription, payload) => Promise<number>} params.send  Returns push service status
+ * @param {number}   [params.now=Date.now()]
+ * @returns {Promise<{ users: number, alerts: number, pushes: number, removed: number }>}
+ */
+export async function runPushAlerts({ store, resorts, fetchForecast, send, now = Date.now() }) {
+  const subscriptions = await store.listSubscriptions()
+  const subsByUser = groupBy(subscriptions, 'user_id')
+  const userIds = Object.keys(subsByUser)
+  const result = { users: userIds.length, alerts: 0, pushes: 0, removed: 0 }
+  if (userIds.length === 0) return result
+
+  const [saved, settings, log] = await Promise.all([
+    store.listSavedResorts(userIds),
+    store.listAlertSettings(userIds),
+    store.listAlertLog(userIds),
+  ])
+
+  const resortsBySlug = new Map(resorts.map((r) => [r.slug, r]))
+  const savedByUser = groupBy(saved, 'user_id')
+  const settingsByUser = Object.fromEntries(settings.map((s) => [s.id, s]))
+  const logByUser = groupBy(log, 'user_id')
+
+  // Each saved resort is fetched once, however many users saved it
+  const wanted = new Map()
+  saved.forEach(({ resort_slug }) => {
+    const resort = resortsBySlug.get(resort_slug)
+    if (resort) wanted.set(resort.id, resort)
+  })
+  const forecasts = await fetchForecasts([...wanted.values()], fetchForecast)
+
+  const fired = []
+  for (const userId of userIds) {
+    const userResorts = (savedByUser[userId] ?? [])
+      .map(({ resort_slug }) => resortsBySlug.get(resort_slug))
+      .filter(Boolean)
+    if (userResorts.length === 0) continue
+
+    const userSettings = settingsByUser[userId] ?? {}
+    const alertLog = Object.fromEntries(
+      (logByUser[userId] ?? []).map((row) => [row.resort_id, Date.parse(row.alerted_at)])
+    )
+
+    const due = evaluatePowderAlerts({
+      resorts: userResorts,
+      forecasts,
+      thresholds: userSettings.alert_thresholds ?? {},
+      defaultThreshold: userSettings.default_threshold ?? undefined,
+      alertLog,
+      now,
+    })
+
+    const units = resolveUnits(userSettings.units, userSettings.unit_overrides)
+    for (const { resort, snowfall_cm } of due) {
+      const payload = {
+        ...buildNotificationPayload(resort, snowfall_cm, units),
+        resortId: resort.id,
+        url: `/resort/${resort.slug}`,
+      }
+
+      let delivered = false
+      for (const subscription of subsByUser[userId]) {
+        try {
+          const status = await send(subscription, payload)
+          if (isExpired(status)) {
+            await store.deleteSubscription(subscription.endpoint)
+            result.removed++
+          } else if (status >= 200 && status < 300) {
+            delivered = true
+            result.pushes++
+          } else {
+            console.warn(`[SnowDesk] Push service returned HTTP ${status} for user ${userId}`)
+          }
+        } catch (err) {
+          console.error(`[SnowDesk] Push failed for user ${userId}:`, err)
+        }
+      }
+
+      // Start the cooldown only once at least one device got the alert
+      if (delivered) {
+        result.alerts++
+        fired.push({ user_id: userId, resort_id: resort.id, alerted_at: new Date(now).toISOString() })
+      }
+    }
+  }
+
+  if (fired.length > 0) await store.recordAlerts(fired)
+  return result
+}
@@ -0,0 +1,46 @@
+/**
+ * api/_lib/rateLimit.js
+ *
+ * Fixed-window request counter keyed by an arbitrary string (IP, user ID).
+ * State lives in the function instance's memory — each warm serverless
+ * instance limits independently, which is enough to stop a runaway client
+ * from draining the Anthropic budget without adding a datastore.
+ */
+
+// Expired windows are swept once the map grows past this many keys
+const SWEEP_THRESHOLD = 1000
+
+/**
+ * @param {object} options
+ * @param {number} options.limit     Requests allowed per window
+ * @param {number} options.windowMs  Window length in ms
+ * @returns {{ check(key: string, now?: number): { allowed: boolean, retryAfterMs: number } }}
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map() // key → { count, resetAt }
+
+  function sweep(now) {
+    for (const [key, entry] of windows) {
+      if (now >= entry.resetAt) windows.delete(key)
+    }
+  }
+
+  return {
+    /**
+     * Counts one request against `key`.
+     * retryAfterMs is 0 when allowed, otherwise the time until the window resets.
+     */
+    check(key, now = Date.now()) {
+      let entry = windows.get(key)
+      if (!entry || now >= entry.resetAt) {
+        if (windows.size >= SWEEP_THRESHOLD) sweep(now)
+        entry = { count: 0, resetAt: now + windowMs }
+        windows.set(key, entry)
+      }
+      entry.count++
+      return entry.count <= limit
+        ? { allowed: true, retryAfterMs: 0 }
+        : { allowed: false, retryAfterMs: entry.resetAt - now }
+    },
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * api/_lib/supabaseRest.js
+ *
+ * Minimal PostgREST client for server jobs. Uses the service-role key, so it
+ * bypasses row-level security — only call it from trusted server code.
+ */
+
+/**
+ * @param {object} options
+ * @param {string} options.url             Supabase project URL
+ * @param {string} options.serviceRoleKey
+ */
+export function createSupabaseRest({ url, serviceRoleKey }) {
+  async function request(path, { method = 'GET', body, prefer } = {}) {
+    const headers = {
+      apikey: serviceRoleKey,
+      Authorization: `Bearer ${serviceRoleKey}`,
+    }
+    if (body !== undefined) headers['Content-Type'] = 'application/json'
+    if (prefer) headers.Prefer = prefer
+
+    const response = await fetch(`${url}/rest/v1/${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    })
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '')
+      throw new Error(`Supabase ${method} ${path.split('?')[0]}: HTTP ${response.status} ${detail}`)
+    }
+    return method === 'GET' ? response.json() : null
+  }
+
+  return {
+    /** @param {string} query  PostgREST query string, e.g. "select=id&id=in.(1,2)" */
+    select: (table, query) => request(`${table}?${query}`),
+
+    upsert: (table, rows, onConflict) =>
+      request(`${table}?on_conflict=${onConflict}`, {
+        method: 'POST',
+        body: rows,
+        prefer: 'resolution=merge-duplicates',
+      }),
+
+    update: (table, query, values) =>
+      request(`${table}?${query}`, { method: 'PATCH', body: values }),
+
+    delete: (table, query) => request(`${table}?${query}`, { method: 'DELETE' }),
+
+    /** Auth admin API — e.g. a user's email, which profiles does not store. */
+    async getAuthUser(userId) {
+      const response = await fetch(`${url}/auth/v1/admin/users/${userId}`, {
+        headers: { apikey: serviceRoleKey, Authorization: `Bearer ${serviceRoleKey}` },
+      })
+      if (response.status === 404) return null
+      if (!response.ok) throw new Error(`Supabase auth user ${userId}: HTTP ${response.status}`)
+      return response.json()
+    },
+  }
+}
+
+/** PostgREST `in` filter value: in.("a","b") */
+export function inList(values) {
+  return `in.(${values.map((v) => `"${String(v).replace(/"/g, '\\"')}"`).join(',')})`
+}
@@ -0,0 +1,60 @@
+/**
+ * api/cron/email-digest.js
+ *
+ * Vercel Cron job (schedule in vercel.json): GET /api/cron/email-digest
+ *
+ * Sends the opt-in daily/weekly powder digest to signed-in users who chose
+ * one in Settings (see _lib/digest.js).
+ * Response: 200 { due, sent, skipped, failed } | 4xx/5xx { error }.
+ *
+ * Environment:
+ *   CRON_SECRET                  required — Vercel Cron sends it as a Bearer token
+ *   SUPABASE_URL                 (falls back to VITE_SUPABASE_URL)
+ *   SUPABASE_SERVICE_ROLE_KEY    reads profiles and users' emails
+ *   APP_URL                      absolute origin for links, e.g. https://snowdesk.app
+ *   MAIL_TRANSPORT, SMTP_URL, MAIL_FILE_DIR, MAIL_FROM — see _lib/mail.js
+ */
+
+import { readFile } from 'node:fs/promises'
+import { getBearerToken, sendJson } from '../_lib/http.js'
+import { createSupabaseRest } from '../_lib/supabaseRest.js'
+import { createDigestStore, runEmailDigests } from '../_lib/digest.js'
+import { createMailTransportFromEnv } from '../_lib/mail.js'
+import { fetchForecast } from '../../src/lib/openMeteo.js'
+
+// Bundled with the function via vercel.json "includeFiles"
+const RESORTS_URL = new URL('../../src/data/resorts.json', import.meta.url)
+
+export default async function handler(req, res) {
+  const env = process.env
+
+  if (!env.CRON_SECRET || getBearerToken(req) !== env.CRON_SECRET) {
+    sendJson(res, 401, { error: 'Unauthorized' })
+    return
+  }
+
+  const supabaseUrl = env.SUPABASE_URL || env.VITE_SUPABASE_URL
+  if (!supabaseUrl || !env.SUPABASE_SERVICE_ROLE_KEY || !env.APP_URL) {
+    console.error('[SnowDesk] Email digest job is missing Supabase or APP_URL configuration')
+    sendJson(res, 500, { error: 'Email digest is not configured' })
+    return
+  }
+
+  try {
+    const resorts = JSON.parse(await readFile(RESORTS_URL, 'utf8'))
+    const store = createDigestStore(
+      createSupabaseRest({ url: supabaseUrl, serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY })
+    )
+    const result = await runEmailDigests({
+      store,
+      resorts,
+      fetchForecast,
+      transport: createMailTransportFromEnv(env),
+      appUrl: env.APP_URL.replace(/\/$/, ''),
+    })
+    sendJson(res, 200, result)
+  } catch (err) {
+    console.error('[SnowDesk] Email digest job failed:', err)
+    sendJson(res, 500, { error: 'Email digest job failed' })
+  }
+}
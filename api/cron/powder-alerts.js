@@ -0,0 +1,64 @@
+/**
+ * api/cron/powder-alerts.js
+ *
+ * Vercel Cron job (schedule in vercel.json): GET /api/cron/powder-alerts
+ *
+ * Checks every push-subscribed user's saved resorts and sends Web Push powder
+ * alerts to all of their devices (see _lib/pushAlerts.js).
+ * Response: 200 { users, alerts, pushes, removed } | 4xx/5xx { error }.
+ *
+ * Environment:
+ *   CRON_SECRET                  required — Vercel Cron sends it as a Bearer token
+ *   SUPABASE_URL                 (falls back to VITE_SUPABASE_URL)
+ *   SUPABASE_SERVICE_ROLE_KEY    reads every user's subscriptions
+ *   VAPID_PUBLIC_KEY             (falls back to VITE_VAPID_PUBLIC_KEY)
+ *   VAPID_PRIVATE_KEY
+ *   VAPID_SUBJECT                mailto: or https: contact for push services
+ */
+
+import { readFile } from 'node:fs/promises'
+import { getBearerToken, sendJson } from '../_lib/http.js'
+import { createSupabaseRest } from '../_lib/supabaseRest.js'
+import { createPushStore, runPushAlerts, sendPush } from '../_lib/pushAlerts.js'
+import { fetchForecast } from '../../src/lib/openMeteo.js'
+
+// Bundled with the function via vercel.json "includeFiles"
+const RESORTS_URL = new URL('../../src/data/resorts.json', import.meta.url)
+
+export default async function handler(req, res) {
+  const env = process.env
+
+  if (!env.CRON_SECRET || getBearerToken(req) !== env.CRON_SECRET) {
+    sendJson(res, 401, { error: 'Unauthorized' })
+    return
+  }
+
+  const supabaseUrl = env.SUPABASE_URL || env.VITE_SUPABASE_URL
+  const vapid = {
+    subject: env.VAPID_SUBJECT,
+    publicKey: env.VAPID_PUBLIC_KEY || env.VITE_VAPID_PUBLIC_KEY,
+    privateKey: env.VAPID_PRIVATE_KEY,
+  }
+  if (!supabaseUrl || !env.SUPABASE_SERVICE_ROLE_KEY || !vapid.subject || !vapid.publicKey || !vapid.privateKey) {
+    console.error('[SnowDesk] Push alert job is missing Supabase or VAPID configuration')
+    sendJson(res, 500, { error: 'Push alerts are not configured' })
+    return
+  }
+
+  try {
+    const resorts = JSON.parse(await readFile(RESORTS_URL, 'utf8'))
+    const store = createPushStore(
+      createSupabaseRest({ url: supabaseUrl, serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY })
+    )
+    const result = await runPushAlerts({
+      store,
+      resorts,
+      fetchForecast,
+      send: (subscription, payload) => sendPush(subscription, payload, vapid),
+    })
+    sendJson(res, 200, result)
+  } catch (err) {
+    console.error('[SnowDesk] Push alert job failed:', err)
+    sendJson(res, 500, { error: 'Push alert job failed' })
+  }
+}
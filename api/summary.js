@@ -0,0 +1,171 @@
+/**
+ * api/summary.js
+ *
+ * Vercel serverless function: POST /api/summary
+ *
+ * Proxies the AI summary request so the Anthropic key never reaches the
+ * browser. Body: { payload } where payload is buildForecastPayload() output.
+ * Response: 200 { text } | 4xx/5xx { error }.
+ *
+ * Rate limited per client IP and — when the request carries a Supabase access
+ * token (Authorization: Bearer …) — per verified user ID.
+ *
+ * Environment:
+ *   ANTHROPIC_API_KEY                       required
+ *   ANTHROPIC_BASE_URL                      optional, for local stubs
+ *   SUPABASE_URL / SUPABASE_ANON_KEY        token verification (falls back to
+ *                                           the VITE_-prefixed client values)
+ */
+
+import { getBearerToken, sendJson } from './_lib/http.js'
+import { createRateLimiter } from './_lib/rateLimit.js'
+import { requestSummary, validatePayload } from './_lib/anthropic.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Summaries are cached per resort per day client-side (and shared via
+// Supabase), so a real user needs only a handful per hour
+export const DEFAULT_IP_LIMIT = { limit: 60, windowMs: HOUR_MS }
+export const DEFAULT_USER_LIMIT = { limit: 30, windowMs: HOUR_MS }
+
+const MAX_BODY_BYTES = 32 * 1024
+
+// ── Request helpers ───────────────────────────────────────────────────────────
+
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for']
+  if (forwarded) return String(forwarded).split(',')[0].trim()
+  return req.socket?.remoteAddress ?? 'unknown'
+}
+
+/**
+ * Vercel parses JSON bodies into req.body; a plain Node server (vite dev)
+ * leaves the stream unread.
+ *
+ * @returns {Promise<*>} Parsed body
+ * @throws {Error} On oversize or invalid JSON
+ */
+async function readJsonBody(req) {
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? JSON.parse(req.body) : req.body
+  }
+  let raw = ''
+  for await (const chunk of req) {
+    raw += chunk
+    if (raw.length > MAX_BODY_BYTES) throw new Error('Request body too large')
+  }
+  return JSON.parse(raw)
+}
+
+/**
+ * Resolves a Supabase access token to its user ID via the Auth API.
+ *
+ * @returns {Promise<string|null>} User ID, or null if the token is invalid
+ */
+async function verifyUser(token, { supabaseUrl, supabaseAnonKey }) {
+  const response = await fetch(`${supabaseUrl}/auth/v1/user`, {
+    headers: { apikey: supabaseAnonKey, Authorization: `Bearer ${token}` },
+  })
+  if (!response.ok) return null
+  const user = await response.json().catch(() => null)
+  return user?.id ?? null
+}
+
+function tooManyRequests(res, retryAfterMs) {
+  sendJson(
+    res,
+    429,
+    { error: 'Too many summary requests — try again later' },
+    { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) }
+  )
+}
+
+// ── Handler ───────────────────────────────────────────────────────────────────
+
+/**
+ * Builds the request handler. Exported for tests, which inject env and limits.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env=process.env]
+ * @param {{ limit: number, windowMs: number }} [options.ipLimit]
+ * @param {{ limit: number, windowMs: number }} [options.userLimit]
+ * @returns {(req, res) => Promise<void>}
+ */
+export function createSummaryHandler({
+  env = process.env,
+  ipLimit = DEFAULT_IP_LIMIT,
+  userLimit = DEFAULT_USER_LIMIT,
+} = {}) {
+  const ipLimiter = createRateLimiter(ipLimit)
+  const userLimiter = createRateLimiter(userLimit)
+
+  const apiKey = env.ANTHROPIC_API_KEY
+  const baseUrl = env.ANTHROPIC_BASE_URL || undefined
+  const supabaseUrl = env.SUPABASE_URL || env.VITE_SUPABASE_URL
+  const supabaseAnonKey = env.SUPABASE_ANON_KEY || env.VITE_SUPABASE_ANON_KEY
+
+  return async function handler(req, res) {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'POST' })
+      return
+    }
+
+    if (!apiKey) {
+      console.error('[SnowDesk] ANTHROPIC_API_KEY is not set')
+      sendJson(res, 500, { error: 'Summary service is not configured' })
+      return
+    }
+
+    const ipCheck = ipLimiter.check(`ip:${getClientIp(req)}`)
+    if (!ipCheck.allowed) {
+      tooManyRequests(res, ipCheck.retryAfterMs)
+      return
+    }
+
+    // Signed-in callers are also limited per account, across IPs
+    const token = getBearerToken(req)
+    if (token && supabaseUrl && supabaseAnonKey) {
+      let userId
+      try {
+        userId = await verifyUser(token, { supabaseUrl, supabaseAnonKey })
+      } catch (err) {
+        console.error('[SnowDesk] Token verification failed:', err)
+        sendJson(res, 502, { error: 'Could not verify session' })
+        return
+      }
+      if (!userId) {
+        sendJson(res, 401, { error: 'Invalid or expired session' })
+        return
+      }
+      const userCheck = userLimiter.check(`user:${userId}`)
+      if (!userCheck.allowed) {
+        tooManyRequests(res, userCheck.retryAfterMs)
+        return
+      }
+    }
+
+    let body
+    try {
+      body = await readJsonBody(req)
+    } catch (err) {
+      sendJson(res, 400, { error: err.message || 'Invalid JSON body' })
+      return
+    }
+
+    const problem = validatePayload(body?.payload)
+    if (problem) {
+      sendJson(res, 400, { error: `Invalid payload: ${problem}` })
+      return
+    }
+
+    try {
+      const text = await requestSummary(body.payload, { apiKey, baseUrl })
+      sendJson(res, 200, { text })
+    } catch (err) {
+      console.error('[SnowDesk] Summary request failed:', err)
+      sendJson(res, 502, { error: 'Summary unavailable' })
+    }
+  }
+}
+
+export default createSummaryHandler()
@@ -0,0 +1,67 @@
+/**
+ * scripts/avalancheFixtureServer.js
+ *
+ * Local stand-in for the avalanche.org API. Serves
+ * scripts/fixtures/avalanche-map-layer.json at the real map-layer path, so the
+ * avalanche badges and alerts can be worked on offline and tested without
+ * hitting the real feed. The fixture zones are rough boxes around a handful
+ * of US resorts (Wasatch, Summit County, Tahoe, Tetons off season, Cascades).
+ *
+ * Run with: npm run avalanche-fixtures
+ * then set VITE_AVALANCHE_URL=http://localhost:4010 for `npm run dev`.
+ *
+ * Environment:
+ *   AVALANCHE_FIXTURE_PORT   optional, default 4010
+ *   AVALANCHE_FIXTURE_LEVEL  optional, 1–5 — overrides every rated zone's
+ *                            danger level (e.g. to trigger alerts)
+ */
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { MAP_LAYER_PATH } from '../src/lib/avalanche.js';
+
+const FIXTURE_PATH = fileURLToPath(new URL('./fixtures/avalanche-map-layer.json', import.meta.url));
+const DEFAULT_PORT = 4010;
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.mapLayer]  FeatureCollection to serve; defaults to the fixture file
+ * @param {number} [options.level]     Danger level forced onto every rated zone
+ * @returns {http.Server} Not yet listening
+ */
+export function createAvalancheFixtureServer({ mapLayer, level } = {}) {
+  const data = mapLayer ?? JSON.parse(readFileSync(FIXTURE_PATH, 'utf8'));
+  if (level) {
+    data.features.forEach((f) => {
+      if (!f.properties.off_season) f.properties.danger_level = level;
+    });
+  }
+  const body = JSON.stringify(data);
+
+  return http.createServer((req, res) => {
+    // The app fetches from the browser on another port
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    const path = req.url.split('?')[0];
+
+    if (req.method === 'GET' && path === MAP_LAYER_PATH) {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(body);
+      return;
+    }
+    res.statusCode = 404;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ error: 'Not found' }));
+  });
+}
+
+// ── CLI ───────────────────────────────────────────────────────────────────────
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.AVALANCHE_FIXTURE_PORT) || DEFAULT_PORT;
+  const level = Number(process.env.AVALANCHE_FIXTURE_LEVEL) || undefined;
+  createAvalancheFixtureServer({ level }).listen(port, () => {
+    console.log(`Avalanche fixtures on http://localhost:${port}${MAP_LAYER_PATH}`);
+  });
+}
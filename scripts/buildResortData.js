@@ -1,11 +1,30 @@
 /**
  * scripts/buildResortData.js
  *
- * Fetches OpenSkiMap GeoJSON, filters to qualifying Americas downhill resorts,
- * maps to the SPEC.md section 2 schema, assigns tiers, and writes
- * src/data/resorts.json.
+ * Fetches OpenSkiMap GeoJSON, filters to qualifying downhill resorts in the
+ * active region profiles, maps to the SPEC.md section 2 schema, assigns tiers,
+ * and writes src/data/resorts.json. Countries, minimum vertical drop and
+ * Tier 1 quotas come from scripts/data/regionProfiles.json
+ * (scripts/regionProfiles.js). Lift / run counts, run length by difficulty and the
+ * night-skiing flag come from each ski area's statistics (src/lib/resortStats.js).
+ * Webcams are merged in by slug from the curated scripts/data/webcams.json
+ * (src/lib/webcams.js).
  *
- * Run with: node scripts/buildResortData.js
+ * Builds are diff-aware (scripts/resortDiff.js): slugs come from the
+ * persisted scripts/data/slugMap.json so saved resorts keep working, and the
+ * run reports added / removed / renamed / re-identified resorts and tier
+ * changes against the previous resorts.json. If a slug does change, the
+ * old → new pair is appended to src/data/slugMigrations.json and a Supabase
+ * migration for saved_resorts is written.
+ *
+ * Run with: node scripts/buildResortData.js [ski_areas.geojson] [--regions=a,b] [--dry-run] [--reslug-renamed]
+ *   ski_areas.geojson  optional local copy of the source, for offline builds
+ *   --regions=a,b      region profiles to build instead of the config's "active"
+ *   --dry-run          print the diff, write nothing
+ *   --reslug-renamed   renamed resorts get a slug from their new name
+ *                      (recorded as migrations); by default slugs never move
+ *   --webcams-only     skip the download and rebuild: re-merge webcams.json
+ *                      into the existing resorts.json (slugs untouched)
  *
  * Data source: https://tiles.openskimap.org/geojson/ski_areas.geojson
  *
@@ -17,9 +36,19 @@
  *    statistics.maxElevation - statistics.minElevation (SPEC-approved fallback).
  */
 
-import { writeFileSync, mkdirSync } from 'fs';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
+import { extractResortStats } from '../src/lib/resortStats.js';
+import { mergeWebcams } from '../src/lib/webcams.js';
+import {
+  appendMigrations,
+  applyStableSlugs,
+  buildSlugMigrationSql,
+  formatReport,
+  slugMapFromResorts,
+} from './resortDiff.js';
+import { getProfileForCountry, getTier1Ids, resolveProfiles } from './regionProfiles.js';
 
 // Configure native fetch to honour the HTTPS_PROXY env var that this sandbox sets.
 // undici's ProxyAgent is used when the env var is present.
@@ -32,8 +61,13 @@ if (proxyUrl) {
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 const OPENSKIMAP_URL = 'https://tiles.openskimap.org/geojson/ski_areas.geojson';
-
-const AMERICAS_COUNTRIES = new Set(['US', 'CA', 'MX', 'AR', 'CL', 'BR', 'BO', 'PE', 'CO']);
+const WEBCAMS_PATH = join(__dirname, 'data', 'webcams.json');
+const REGION_PROFILES_PATH = join(__dirname, 'data', 'regionProfiles.json');
+const SLUG_MAP_PATH = join(__dirname, 'data', 'slugMap.json');
+const DATA_DIR = join(__dirname, '..', 'src', 'data');
+const RESORTS_PATH = join(DATA_DIR, 'resorts.json');
+const MIGRATIONS_PATH = join(DATA_DIR, 'slugMigrations.json');
+const SUPABASE_MIGRATIONS_DIR = join(__dirname, '..', 'supabase', 'migrations');
 
 /** Round a number to n decimal places. */
 const round = (n, decimals) => Math.round(n * 10 ** decimals) / 10 ** decimals;
@@ -107,31 +141,18 @@ function buildId(props) {
   return props.id; // fall back to the openskimap UUID
 }
 
-// ── Slug generation ───────────────────────────────────────────────────────────
-
-function generateSlug(name) {
-  return name
-    .toLowerCase()
-    .replace(/[''\.]/g, '')        // remove apostrophes, periods
-    .replace(/[^a-z0-9]+/g, '-')  // any non-alphanumeric run → single hyphen
-    .replace(/^-+|-+$/g, '')      // trim leading/trailing hyphens
+/** Parsed JSON file, or `fallback` when it doesn't exist yet. */
+function readJson(path, fallback) {
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : fallback;
 }
 
-function deduplicateSlugs(resorts) {
-  const seen = new Map()
-  return resorts.map(r => {
-    let slug = generateSlug(r.name)
-    if (seen.has(slug)) {
-      // collision: append region slug to disambiguate
-      slug = `${slug}-${generateSlug(r.region)}`
-      console.log(`  ⚠ Slug collision resolved: "${r.name}" → "${slug}"`)
-    }
-    seen.set(slug, true)
-    return { ...r, slug }
-  })
-}
+/** Source GeoJSON from a local file, or downloaded from OpenSkiMap. */
+async function loadGeojson(path) {
+  if (path) {
+    console.log(`Reading ${path}…`);
+    return JSON.parse(readFileSync(path, 'utf8'));
+  }
 
-async function main() {
   console.log('Fetching OpenSkiMap GeoJSON…');
   let response;
   try {
@@ -142,8 +163,56 @@ async function main() {
   if (!response.ok) {
     throw new Error(`HTTP ${response.status} fetching OpenSkiMap GeoJSON`);
   }
+  return response.json();
+}
+
+/** Merges the curated webcams into resorts with slugs, logging what was skipped. */
+function mergeCuratedWebcams(resorts) {
+  console.log('\nMerging webcams…');
+  const result = mergeWebcams(resorts, JSON.parse(readFileSync(WEBCAMS_PATH, 'utf8')));
+  result.errors.forEach((e) => console.log(`  ⚠ Skipped webcam ${e}`));
+  result.unknownSlugs.forEach((slug) => console.log(`  ⚠ webcams.json: no resort with slug "${slug}"`));
+  return result.resorts;
+}
 
-  const geojson = await response.json();
+/**
+ * --webcams-only: webcams.json changes far more often than OpenSkiMap needs
+ * re-reading, so the curated cameras can be applied to the current build
+ * without a download. Existing webcams are dropped first, so removing an
+ * entry from webcams.json removes it here too.
+ */
+function mergeWebcamsOnly(dryRun) {
+  const current = readJson(RESORTS_PATH, []);
+  const resorts = mergeCuratedWebcams(current.map(({ webcams, ...r }) => r));
+  const before = current.filter((r) => r.webcams).length;
+  const after = resorts.filter((r) => r.webcams).length;
+  console.log(`Resorts with webcams: ${before} → ${after}`);
+
+  if (dryRun) {
+    console.log('\nDry run — nothing written.');
+    return;
+  }
+  writeFileSync(RESORTS_PATH, JSON.stringify(resorts, null, 2));
+  console.log(`\nOutput → ${RESORTS_PATH}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const inputPath = args.find((a) => !a.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+  const reslugRenamed = args.includes('--reslug-renamed');
+  const regionsArg = args.find((a) => a.startsWith('--regions='));
+
+  if (args.includes('--webcams-only')) {
+    mergeWebcamsOnly(dryRun);
+    return;
+  }
+
+  const profileConfig = JSON.parse(readFileSync(REGION_PROFILES_PATH, 'utf8'));
+  const profiles = resolveProfiles(profileConfig, regionsArg ? regionsArg.slice(10).split(',') : undefined);
+  console.log(`Region profiles: ${profiles.map((p) => p.label).join(', ')}`);
+
+  const geojson = await loadGeojson(inputPath);
   console.log(`Total features in source: ${geojson.features.length}`);
 
   // ── Filter ────────────────────────────────────────────────────────────────
@@ -156,12 +225,13 @@ async function main() {
     if (!Array.isArray(p.activities) || !p.activities.includes('downhill')) return false;
 
     const country = getCountry(p.places);
-    if (!AMERICAS_COUNTRIES.has(country)) return false;
+    const profile = getProfileForCountry(profiles, country);
+    if (!profile) return false;
 
     if (!p.name || p.name.trim() === '') return false;
 
     const vDrop = getVerticalDrop(p.statistics);
-    if (vDrop < 150) return false;
+    if (vDrop < profile.minVerticalDrop) return false;
 
     return true;
   });
@@ -186,55 +256,78 @@ async function main() {
       baseElevation: round(stats?.minElevation ?? 0, 1),
       verticalDrop: Math.round(vDrop),
       website: p.websites?.[0] ?? null,
+      ...extractResortStats(p),
       tier: 2, // will be updated below
     };
   });
 
   // ── Tier assignment ───────────────────────────────────────────────────────
-  const sortedByVDrop = (codes) =>
-    resorts
-      .filter((r) => (Array.isArray(codes) ? codes.includes(r.country) : r.country === codes))
-      .sort((a, b) => b.verticalDrop - a.verticalDrop);
-
-  const tier1Ids = new Set([
-    ...sortedByVDrop('US').slice(0, 50).map((r) => r.id),
-    ...sortedByVDrop('CA').slice(0, 25).map((r) => r.id),
-    ...sortedByVDrop('MX').slice(0, 10).map((r) => r.id),
-    ...sortedByVDrop(['AR', 'CL']).slice(0, 15).map((r) => r.id),
-  ]);
+  const tier1Ids = getTier1Ids(resorts, profiles);
 
   resorts.forEach((r) => {
     r.tier = tier1Ids.has(r.id) ? 1 : 2;
   });
 
-  // ── Slug generation ───────────────────────────────────────────────────────
-  console.log('\nGenerating slugs…');
-  const resortsWithSlugs = deduplicateSlugs(resorts);
+  // ── Stable slugs + diff against the previous build ────────────────────────
+  console.log('\nAssigning slugs…');
+  const previous = readJson(RESORTS_PATH, []);
+  const pastMigrations = readJson(MIGRATIONS_PATH, []);
+  const { resorts: resortsWithSlugs, slugMap, report } = applyStableSlugs({
+    resorts,
+    previous,
+    slugMap: readJson(SLUG_MAP_PATH, null) ?? slugMapFromResorts(previous),
+    retired: pastMigrations.map((m) => m.from),
+    reslugRenamed,
+  });
+  console.log('\n=== Changes since last build ===');
+  formatReport(report).forEach((line) => console.log(line));
+
+  // ── Webcams ───────────────────────────────────────────────────────────────
+  const finalResorts = mergeCuratedWebcams(resortsWithSlugs);
+
+  if (dryRun) {
+    console.log('\nDry run — nothing written.');
+    return;
+  }
 
   // ── Write output ──────────────────────────────────────────────────────────
-  const outDir = join(__dirname, '..', 'src', 'data');
-  mkdirSync(outDir, { recursive: true });
-  const outPath = join(outDir, 'resorts.json');
-  writeFileSync(outPath, JSON.stringify(resortsWithSlugs, null, 2));
+  mkdirSync(DATA_DIR, { recursive: true });
+  writeFileSync(RESORTS_PATH, JSON.stringify(finalResorts, null, 2));
+  writeFileSync(SLUG_MAP_PATH, `${JSON.stringify(slugMap, null, 2)}\n`);
+
+  if (report.migrations.length > 0) {
+    const now = new Date().toISOString();
+    writeFileSync(
+      MIGRATIONS_PATH,
+      `${JSON.stringify(appendMigrations(pastMigrations, report.migrations, now.slice(0, 10)), null, 2)}\n`
+    );
+    const sqlPath = join(SUPABASE_MIGRATIONS_DIR, `${now.replace(/\D/g, '').slice(0, 14)}_resort_slugs.sql`);
+    writeFileSync(sqlPath, buildSlugMigrationSql(report.migrations));
+    console.log(`\nSlug migrations → ${MIGRATIONS_PATH}\n                  ${sqlPath}`);
+  }
 
   // ── Summary ───────────────────────────────────────────────────────────────
   const countByCountry = {};
-  resortsWithSlugs.forEach((r) => {
+  finalResorts.forEach((r) => {
     countByCountry[r.country] = (countByCountry[r.country] || 0) + 1;
   });
 
-  const tier1Count = resortsWithSlugs.filter((r) => r.tier === 1).length;
-  const tier2Count = resortsWithSlugs.filter((r) => r.tier === 2).length;
+  const tier1Count = finalResorts.filter((r) => r.tier === 1).length;
+  const tier2Count = finalResorts.filter((r) => r.tier === 2).length;
+  const webcamCount = finalResorts.filter((r) => r.webcams).length;
+  const statsCount = finalResorts.filter((r) => r.lifts != null || r.runs != null).length;
 
   console.log('\n=== Summary ===');
-  console.log(`Total resorts written: ${resortsWithSlugs.length}`);
+  console.log(`Total resorts written: ${finalResorts.length}`);
   console.log('By country:');
   Object.entries(countByCountry)
     .sort((a, b) => b[1] - a[1])
     .forEach(([c, n]) => console.log(`  ${c}: ${n}`));
   console.log(`Tier 1: ${tier1Count}`);
   console.log(`Tier 2: ${tier2Count}`);
-  console.log(`\nOutput → ${outPath}`);
+  console.log(`With lift / run stats: ${statsCount}`);
+  console.log(`With webcams: ${webcamCount}`);
+  console.log(`\nOutput → ${RESORTS_PATH}`);
 }
 
 main().catch((err) => {
@@ -0,0 +1,83 @@
+/**
+ * scripts/regionProfiles.js
+ *
+ * Region profiles for scripts/buildResortData.js. Coverage is configured in
+ * scripts/data/regionProfiles.json rather than in code:
+ *
+ *   { "active": ["americas", …],
+ *     "profiles": { "<name>": { "label", "countries": [ISO codes],
+ *                               "minVerticalDrop": meters,
+ *                               "tierQuotas": [{ "countries", "count" }] } } }
+ *
+ * A resort is included when its country belongs to an active profile and its
+ * vertical drop reaches that profile's minimum; each quota makes the `count`
+ * resorts with the most vertical across its countries Tier 1. A country may
+ * belong to one profile only. Pure functions only.
+ */
+
+/**
+ * Validates the config and returns the profiles to build.
+ *
+ * @param {object}   config  Parsed regionProfiles.json
+ * @param {string[]} [names] Profiles to use; defaults to config.active
+ * @returns {Array<object>} [{ name, label, countries, minVerticalDrop, tierQuotas }]
+ * @throws {Error} Unknown profile, a country in two profiles, or a quota
+ *                 naming a country outside its profile
+ */
+export function resolveProfiles(config, names = config.active) {
+  const owner = new Map();
+
+  return names.map((name) => {
+    const p = config.profiles?.[name];
+    if (!p) throw new Error(`Unknown region profile "${name}"`);
+
+    for (const c of p.countries) {
+      if (owner.has(c)) throw new Error(`Country ${c} is in both "${owner.get(c)}" and "${name}"`);
+      owner.set(c, name);
+    }
+    for (const q of p.tierQuotas ?? []) {
+      const stray = q.countries.find((c) => !p.countries.includes(c));
+      if (stray) throw new Error(`Tier quota in "${name}" names ${stray}, which the profile doesn't cover`);
+    }
+
+    return {
+      name,
+      label: p.label ?? name,
+      countries: p.countries,
+      minVerticalDrop: p.minVerticalDrop ?? 0,
+      tierQuotas: p.tierQuotas ?? [],
+    };
+  });
+}
+
+/**
+ * The profile covering a country, or null.
+ *
+ * @param {object[]} profiles  From resolveProfiles
+ * @param {string}   country
+ * @returns {object|null}
+ */
+export function getProfileForCountry(profiles, country) {
+  return profiles.find((p) => p.countries.includes(country)) ?? null;
+}
+
+/**
+ * Ids of the resorts that make Tier 1 under the profiles' quotas.
+ *
+ * @param {object[]} resorts   Built resorts ({ id, country, verticalDrop })
+ * @param {object[]} profiles  From resolveProfiles
+ * @returns {Set<string>}
+ */
+export function getTier1Ids(resorts, profiles) {
+  const ids = new Set();
+  for (const { tierQuotas } of profiles) {
+    for (const { countries, count } of tierQuotas) {
+      resorts
+        .filter((r) => countries.includes(r.country))
+        .sort((a, b) => b.verticalDrop - a.verticalDrop)
+        .slice(0, count)
+        .forEach((r) => ids.add(r.id));
+    }
+  }
+  return ids;
+}
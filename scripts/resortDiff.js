@@ -0,0 +1,238 @@
+/**
+ * scripts/resortDiff.js
+ *
+ * Keeps resorts.json stable across rebuilds. Saved resorts (Supabase
+ * saved_resorts, localStorage) and /resort/:slug links are keyed by slug, so
+ * a slug must not change just because OpenSkiMap reordered its features or a
+ * resort was renamed.
+ *
+ *   Slug map      scripts/data/slugMap.json — resort id → slug, persisted
+ *                 between builds. Entries for removed resorts stay, so their
+ *                 slug is never handed to a different resort.
+ *   Re-identified A resort whose id changed (e.g. its OSM way became a
+ *                 relation) is matched to a removed resort in the same
+ *                 country within REIDENTIFY_MAX_KM and keeps its slug.
+ *   Migrations    Whenever a matched resort's slug does change (a slug map
+ *                 edit, or --reslug-renamed), { from, to } is recorded so the
+ *                 app and Supabase can follow it.
+ *
+ * Pure functions only — scripts/buildResortData.js does the I/O.
+ */
+
+import { distanceKm } from '../src/lib/utils.js';
+
+// Farther than this from every removed resort, a new id is a new resort
+export const REIDENTIFY_MAX_KM = 2;
+
+// ── Slugs ─────────────────────────────────────────────────────────────────────
+
+export function generateSlug(name) {
+  return (name ?? '')
+    .toLowerCase()
+    .replace(/[''\.]/g, '')        // remove apostrophes, periods
+    .replace(/[^a-z0-9]+/g, '-')  // any non-alphanumeric run → single hyphen
+    .replace(/^-+|-+$/g, '');     // trim leading/trailing hyphens
+}
+
+/**
+ * A slug for `resort` not in `taken`: the name, then name-region, then a
+ * numeric suffix.
+ */
+function uniqueSlug(resort, taken) {
+  const base = generateSlug(resort.name);
+  if (!taken.has(base)) return base;
+
+  const withRegion = resort.region ? `${base}-${generateSlug(resort.region)}` : base;
+  if (!taken.has(withRegion)) return withRegion;
+
+  let n = 2;
+  while (taken.has(`${withRegion}-${n}`)) n++;
+  return `${withRegion}-${n}`;
+}
+
+/**
+ * Slug map to start from when none has been persisted yet: whatever the
+ * previous resorts.json used.
+ *
+ * @param {object[]} previous  Previous resorts.json ([] on a first build)
+ * @returns {Record<string, string>} id → slug
+ */
+export function slugMapFromResorts(previous) {
+  return Object.fromEntries(previous.map((r) => [r.id, r.slug]));
+}
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+
+/**
+ * Pairs resorts that disappeared with resorts that appeared at (nearly) the
+ * same place — the same ski area under a new id. Closest pairs win.
+ *
+ * @param {object[]} removed  Previous resorts whose id is gone
+ * @param {object[]} added    Built resorts whose id is new
+ * @returns {Map<string, object>} new id → previous resort
+ */
+export function matchReidentified(removed, added) {
+  const candidates = [];
+  for (const a of added) {
+    for (const r of removed) {
+      if (a.country !== r.country || a.lat == null || r.lat == null) continue;
+      const km = distanceKm(a, r);
+      if (km <= REIDENTIFY_MAX_KM) candidates.push({ a, r, km });
+    }
+  }
+  candidates.sort((x, y) => x.km - y.km);
+
+  const matches = new Map();
+  const used = new Set();
+  for (const { a, r } of candidates) {
+    if (matches.has(a.id) || used.has(r.id)) continue;
+    matches.set(a.id, r);
+    used.add(r.id);
+  }
+  return matches;
+}
+
+// ── Build step ────────────────────────────────────────────────────────────────
+
+/**
+ * Assigns stable slugs to freshly built resorts and diffs them against the
+ * previous build.
+ *
+ * @param {object}   params
+ * @param {object[]} params.resorts         Built resorts, no slugs yet
+ * @param {object[]} params.previous        Previous resorts.json ([] if none)
+ * @param {Record<string, string>} params.slugMap  Persisted id → slug
+ * @param {string[]} [params.retired=[]]    Slugs migrated away from earlier;
+ *                                          never handed out again
+ * @param {boolean}  [params.reslugRenamed=false]  Give renamed resorts a slug
+ *                                                 from their new name
+ * @returns {{
+ *   resorts: object[],
+ *   slugMap: Record<string, string>,
+ *   report: {
+ *     added: object[], removed: object[],
+ *     renamed: Array<{ slug, from, to }>,
+ *     reidentified: Array<{ slug, fromId, toId }>,
+ *     tierChanged: Array<{ slug, from, to }>,
+ *     migrations: Array<{ from, to }>
+ *   }
+ * }}
+ */
+export function applyStableSlugs({ resorts, previous, slugMap, retired = [], reslugRenamed = false }) {
+  const prevById = new Map(previous.map((r) => [r.id, r]));
+  const builtIds = new Set(resorts.map((r) => r.id));
+
+  const removedPrev = previous.filter((r) => !builtIds.has(r.id));
+  const addedNew = resorts.filter((r) => !prevById.has(r.id));
+  const reidentified = matchReidentified(removedPrev, addedNew);
+
+  const map = { ...slugMap };
+  const report = { added: [], removed: [], renamed: [], reidentified: [], tierChanged: [], migrations: [] };
+
+  // Previous counterpart of each built resort, by id or by place
+  const counterpart = (r) => prevById.get(r.id) ?? reidentified.get(r.id) ?? null;
+
+  // Move slug map entries to the new id of re-identified resorts
+  for (const [newId, prev] of reidentified) {
+    if (map[prev.id] && !map[newId]) map[newId] = map[prev.id];
+    delete map[prev.id];
+  }
+
+  // Every slug in the map is spoken for, including removed resorts', and so
+  // is every slug that redirects somewhere
+  const taken = new Set([...Object.values(map), ...retired]);
+  const assigned = new Set();
+
+  const withSlugs = resorts.map((r) => {
+    const prev = counterpart(r);
+    const renamed = prev && prev.name !== r.name;
+
+    let slug = map[r.id] ?? prev?.slug;
+    if (slug && renamed && reslugRenamed && generateSlug(r.name) !== slug) {
+      // The old slug stays taken — it redirects here from now on
+      slug = uniqueSlug(r, taken);
+    }
+    if (!slug || assigned.has(slug)) slug = uniqueSlug(r, taken);
+
+    map[r.id] = slug;
+    taken.add(slug);
+    assigned.add(slug);
+
+    if (!prev) report.added.push({ ...r, slug });
+    else {
+      if (prev.id !== r.id) report.reidentified.push({ slug, fromId: prev.id, toId: r.id });
+      if (renamed) report.renamed.push({ slug, from: prev.name, to: r.name });
+      if (prev.tier !== r.tier) report.tierChanged.push({ slug, from: prev.tier, to: r.tier });
+      if (prev.slug && prev.slug !== slug) report.migrations.push({ from: prev.slug, to: slug });
+    }
+    return { ...r, slug };
+  });
+
+  const matchedPrevIds = new Set([...reidentified.values()].map((r) => r.id));
+  report.removed = removedPrev.filter((r) => !matchedPrevIds.has(r.id));
+
+  return { resorts: withSlugs, slugMap: map, report };
+}
+
+// ── Output helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Appends this build's migrations to the cumulative list in
+ * src/data/slugMigrations.json.
+ *
+ * @param {Array<{ from, to, date }>} existing
+ * @param {Array<{ from, to }>}       migrations
+ * @param {string}                    date  YYYY-MM-DD
+ * @returns {Array<{ from, to, date }>}
+ */
+export function appendMigrations(existing, migrations, date) {
+  return [...existing, ...migrations.map((m) => ({ ...m, date }))];
+}
+
+const sqlString = (s) => `'${s.replace(/'/g, "''")}'`;
+
+/**
+ * Supabase migration moving saved_resorts rows onto the new slugs. A user who
+ * already saved the new slug just loses the old row.
+ *
+ * @param {Array<{ from, to }>} migrations
+ * @returns {string} SQL
+ */
+export function buildSlugMigrationSql(migrations) {
+  const statements = migrations.map(({ from, to }) => [
+    `delete from public.saved_resorts old`,
+    `  using public.saved_resorts cur`,
+    `  where old.resort_slug = ${sqlString(from)} and cur.resort_slug = ${sqlString(to)}`,
+    `    and cur.user_id = old.user_id;`,
+    `update public.saved_resorts set resort_slug = ${sqlString(to)} where resort_slug = ${sqlString(from)};`,
+  ].join('\n'));
+
+  return [
+    '-- Generated by scripts/buildResortData.js: resort slugs changed in this',
+    '-- build (see src/data/slugMigrations.json). Moves saved resorts along.',
+    '',
+    statements.join('\n\n'),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Console lines summarizing a report.
+ *
+ * @param {object} report  From applyStableSlugs
+ * @returns {string[]}
+ */
+export function formatReport(report) {
+  const lines = [
+    `Added: ${report.added.length}  Removed: ${report.removed.length}  Renamed: ${report.renamed.length}  ` +
+      `Re-identified: ${report.reidentified.length}  Tier changes: ${report.tierChanged.length}  ` +
+      `Slug migrations: ${report.migrations.length}`,
+  ];
+  report.added.forEach((r) => lines.push(`  + ${r.name} (${r.slug})`));
+  report.removed.forEach((r) => lines.push(`  - ${r.name} (${r.slug})`));
+  report.renamed.forEach((r) => lines.push(`  ~ ${r.from} → ${r.to} (${r.slug})`));
+  report.reidentified.forEach((r) => lines.push(`  = ${r.slug}: ${r.fromId} → ${r.toId}`));
+  report.tierChanged.forEach((r) => lines.push(`  ↕ ${r.slug}: tier ${r.from} → ${r.to}`));
+  report.migrations.forEach((m) => lines.push(`  → ${m.from} → ${m.to}`));
+  return lines;
+}
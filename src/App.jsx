@@ -4,10 +4,19 @@
  * App shell: context provider, router, chrome layout, route definitions.
  */
 
-import { useEffect } from 'react'
+import { useEffect, useState } from 'react'
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom'
-import { AppProvider, useApp, useUpdateAlertLog } from './context/AppContext'
-import { checkPowderAlerts } from './lib/alerts'
+import { AppProvider, useApp, useUnits, useUpdateAlertLog } from './context/AppContext'
+import { checkAvalancheAlerts, checkPowderAlerts } from './lib/alerts'
+import {
+  buildAlertConfig,
+  mergeAlertLogs,
+  readAlertLog,
+  registerAlertWorker,
+  saveAlertConfig,
+  writeAlertLog,
+} from './lib/backgroundAlerts'
+import { saveAlertSettings } from './lib/supabase'
 import TopNav from './components/TopNav'
 import Dashboard from './views/Dashboard'
 import Comparison from './views/Comparison'
@@ -15,31 +24,79 @@ import ResortDetail from './views/ResortDetail'
 import Settings from './views/Settings'
 import Auth from './views/Auth'
 import Profile from './views/Profile'
+import TripPlanner from './views/TripPlanner'
+import ResortMap from './views/ResortMap'
 
 /**
  * AlertWatcher — must live inside AppProvider so it can access context.
+ *
+ * Runs the in-session check on focus and keeps the Service Worker's copy of
+ * saved resorts, thresholds and alertLog (IndexedDB) in sync, so background
+ * alerts follow the same rules and cooldown. Signed-in users' thresholds are
+ * also synced to their profile for the server-side push job. The optional
+ * avalanche danger trigger runs here too, in-session only.
  */
 function AlertWatcher() {
-  const { resorts, forecasts, settings, alertLog } = useApp()
+  const { resorts, forecasts, avalanche, settings, alertLog, savedSlugs, user, profile } = useApp()
+  const units = useUnits()
   const updateAlertLog = useUpdateAlertLog()
+  // False until alerts the worker fired while the tab was closed are merged in
+  const [logSynced, setLogSynced] = useState(false)
+
+  useEffect(() => {
+    registerAlertWorker()
+    readAlertLog().then((workerLog) => {
+      Object.entries(mergeAlertLogs(alertLog, workerLog)).forEach(([id, ts]) => {
+        if (ts !== alertLog[id]) updateAlertLog(id, ts)
+      })
+      setLogSynced(true)
+    })
+  }, []) // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    saveAlertConfig(buildAlertConfig({ resorts, savedSlugs, settings }))
+  }, [resorts, savedSlugs, settings])
 
+  // Wait for the profile so its synced thresholds load before we write back
   useEffect(() => {
-    const handleFocus = () => {
+    if (!user || !profile) return
+    saveAlertSettings(user.id, settings).catch((err) =>
+      console.error('Error syncing alert settings:', err)
+    )
+  }, [user?.id, profile?.id, settings.thresholds, settings.defaultThreshold]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // The page is authoritative while open (e.g. Settings clearing the log)
+  useEffect(() => {
+    if (logSynced) writeAlertLog(alertLog)
+  }, [alertLog, logSynced])
+
+  useEffect(() => {
+    const handleFocus = async () => {
       if (Object.keys(forecasts).length === 0) return
 
-      const updatedLog = checkPowderAlerts({
-        resorts: resorts.filter((r) => r.tier === 1),
+      // Include anything the worker fired since the last sync
+      const workerLog = await readAlertLog()
+      const tier1 = resorts.filter((r) => r.tier === 1)
+      const powderLog = checkPowderAlerts({
+        resorts: tier1,
         forecasts,
         thresholds: settings.thresholds,
         defaultThreshold: settings.defaultThreshold,
-        alertLog,
+        alertLog: mergeAlertLogs(alertLog, workerLog),
+        units,
+      })
+      const updatedLog = checkAvalancheAlerts({
+        resorts: tier1,
+        dangers: avalanche,
+        minLevel: settings.avalancheAlertLevel,
+        alertLog: powderLog,
       })
       Object.entries(updatedLog).forEach(([id, ts]) => updateAlertLog(id, ts))
     }
 
     window.addEventListener('focus', handleFocus)
     return () => window.removeEventListener('focus', handleFocus)
-  }, [forecasts, settings, alertLog])
+  }, [forecasts, avalanche, settings, alertLog, units])
 
   return null
 }
@@ -54,6 +111,8 @@ export default function App() {
           <Routes>
             <Route path="/" element={<Dashboard />} />
             <Route path="/compare" element={<Comparison />} />
+            <Route path="/plan" element={<TripPlanner />} />
+            <Route path="/map" element={<ResortMap />} />
             <Route path="/resort/:slug" element={<ResortDetail />} />
             <Route path="/settings" element={<Settings />} />
             <Route path="/login" element={<Auth />} />
@@ -7,19 +7,29 @@
  * Columns (exact order per spec):
  *   Resort | Region | Now | 24hr | 48hr | 7-Day | Quality | Best Day
  *
+ * The "Extended outlook" toggle adds a Days 8–16 total after 7-Day and lets
+ * Best Day pick from all 16 days. Extended values are dimmed: they're a
+ * low-confidence outlook, not a forecast.
+ *
  * Sorting: click once → asc, again → desc, again → return to default (24hr desc)
  * Mobile (< 768px): hide Region and Best Day columns.
  */
 
 import { useMemo, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useApp } from '../context/AppContext';
+import { useApp, useUnits } from '../context/AppContext';
 import { getSnowQuality, getSnowAgeHours, getBestWindow } from '../lib/snowQuality.js';
+import { getOutlookConfidence } from '../lib/ensemble.js';
+import { getHourlyDensity } from '../lib/snowDensity.js';
 import {
   getCurrentHourIndex,
   getDayLabel,
-  toF,
-  toInches,
+  formatSnow,
+  formatTemp,
+  getSnowTotal,
+  isExtendedDay,
+  OUTLOOK_DAYS,
+  EXTENDED_OUTLOOK_DAYS,
   POWDER_THRESHOLD_CM,
 } from '../lib/utils.js';
 import WeatherIcon from './WeatherIcon.jsx';
@@ -28,7 +38,7 @@ import QualityBadge from './QualityBadge.jsx';
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
 /** Transform flat Open-Meteo daily object → array for getBestWindow(). */
-function buildDailyArray(daily, count = 7) {
+function buildDailyArray(daily, count = OUTLOOK_DAYS) {
   return daily.time.slice(0, count).map((date, i) => ({
     time: date,
     snowfall_sum:       daily.snowfall_sum[i]       ?? 0,
@@ -43,9 +53,9 @@ function buildDailyArray(daily, count = 7) {
  * Purple (mixed) overrides all other tints.
  */
 function getSnowCellBg(snowfall_cm, rain_cm) {
-  if (rain_cm > 0 && snowfall_cm > 0) return 'rgba(139,92,246,0.15)';  // purple — mixed
-  if (snowfall_cm >= POWDER_THRESHOLD_CM) return 'rgba(249,115,22,0.15)'; // orange — ≥ 6"
-  if (snowfall_cm > 0)                    return 'rgba(59,130,246,0.15)'; // blue  — < 6"
+  if (rain_cm > 0 && snowfall_cm > 0) return 'var(--color-snow-mixed-tint)';  // purple — mixed
+  if (snowfall_cm >= POWDER_THRESHOLD_CM) return 'var(--color-snow-powder-tint)'; // orange — ≥ 6"
+  if (snowfall_cm > 0)                    return 'var(--color-snow-light-tint)'; // blue  — < 6"
   return 'transparent';
 }
 
@@ -61,16 +71,42 @@ const COLUMNS = [
   { key: 'bestDay', label: 'Best Day', mobileHide: true,  align: 'left'   },
 ];
 
+// Inserted after 7-Day when the extended outlook is on
+const EXTENDED_COLUMN = { key: 'snowExt', label: 'Days 8–16', mobileHide: true, align: 'center' };
+const EXTENDED_DAYS = EXTENDED_OUTLOOK_DAYS - OUTLOOK_DAYS;
+
+/** Best window over the table's horizon, with extended days discounted. */
+function getRowBestWindow(forecast, days) {
+  return getBestWindow(buildDailyArray(forecast.daily, days), getOutlookConfidence(forecast, days));
+}
+
 // ── Component ─────────────────────────────────────────────────────────────────
 
 export default function ComparisonTable() {
   const { resorts, forecasts, loadingStates, savedSlugs, settings } = useApp();
+  const units = useUnits();
   const navigate = useNavigate();
 
   // ── Sort state ─────────────────────────────────────────────────────────────-
   // sortCol === null means "default" (24hr descending)
   const [sortCol, setSortCol] = useState(null);
   const [sortDir, setSortDir] = useState('desc');
+  const [extended, setExtended] = useState(false);
+
+  const horizonDays = extended ? EXTENDED_OUTLOOK_DAYS : OUTLOOK_DAYS;
+  const columns = useMemo(
+    () => (extended ? COLUMNS.flatMap((col) => (col.key === 'snow7d' ? [col, EXTENDED_COLUMN] : [col])) : COLUMNS),
+    [extended]
+  );
+
+  function handleExtendedToggle() {
+    // Sorting by the extended column makes no sense once it's hidden
+    if (extended && sortCol === 'snowExt') {
+      setSortCol(null);
+      setSortDir('desc');
+    }
+    setExtended(!extended);
+  }
 
   /**
    * Cycle for each column: default → asc → desc → default
@@ -153,8 +189,13 @@ export default function ComparisonTable() {
           return effectiveDir === 'asc' ? va - vb : vb - va;
         }
         case 'snow7d': {
-          const va = fa.daily.snowfall_sum.slice(0, 7).reduce((s, x) => s + x, 0);
-          const vb = fb.daily.snowfall_sum.slice(0, 7).reduce((s, x) => s + x, 0);
+          const va = getSnowTotal(fa, OUTLOOK_DAYS);
+          const vb = getSnowTotal(fb, OUTLOOK_DAYS);
+          return effectiveDir === 'asc' ? va - vb : vb - va;
+        }
+        case 'snowExt': {
+          const va = getSnowTotal(fa, EXTENDED_DAYS, OUTLOOK_DAYS);
+          const vb = getSnowTotal(fb, EXTENDED_DAYS, OUTLOOK_DAYS);
           return effectiveDir === 'asc' ? va - vb : vb - va;
         }
         case 'quality': {
@@ -166,23 +207,23 @@ export default function ComparisonTable() {
             snowfall_cm:  fa.hourly.snowfall[ia]             ?? 0,
             snowAgeHours: getSnowAgeHours(fa.hourly.snowfall, ia),
             humidity_pct: fa.hourly.relativehumidity_2m[ia]  ?? 50,
-          });
+            slr:          getHourlyDensity(fa.hourly, ia)?.slr,
+          }, settings.qualityOverrides);
           const qb = getSnowQuality({
             temp_c:       fb.hourly.temperature_2m[ib]       ?? 0,
             wind_kmh:     fb.hourly.windspeed_10m[ib]        ?? 0,
             snowfall_cm:  fb.hourly.snowfall[ib]             ?? 0,
             snowAgeHours: getSnowAgeHours(fb.hourly.snowfall, ib),
             humidity_pct: fb.hourly.relativehumidity_2m[ib]  ?? 50,
-          });
+            slr:          getHourlyDensity(fb.hourly, ib)?.slr,
+          }, settings.qualityOverrides);
           return effectiveDir === 'asc'
             ? qa.priority - qb.priority
             : qb.priority - qa.priority;
         }
         case 'bestDay': {
-          const da = buildDailyArray(fa.daily);
-          const db = buildDailyArray(fb.daily);
-          const bwa = getBestWindow(da);
-          const bwb = getBestWindow(db);
+          const bwa = getRowBestWindow(fa, horizonDays);
+          const bwb = getRowBestWindow(fb, horizonDays);
           const va = bwa?.score ?? 0;
           const vb = bwb?.score ?? 0;
           return effectiveDir === 'asc' ? va - vb : vb - va;
@@ -194,155 +235,178 @@ export default function ComparisonTable() {
 
     // Loading resorts come after all loaded ones
     return [...sortedLoaded, ...loading];
-  }, [visibleResorts, forecasts, sortCol, sortDir]);
+  }, [visibleResorts, forecasts, sortCol, sortDir, settings.qualityOverrides, horizonDays]);
 
   // ── Render ─────────────────────────────────────────────────────────────────-
   return (
-    <div className="overflow-x-auto -mx-4 px-4 md:mx-0 md:px-0">
-      <table className="min-w-[640px] w-full border-collapse text-[13px] text-[var(--color-text-primary)]">
-        {/* ── Header ── */}
-        <thead className="sticky top-0 z-10 bg-[var(--color-bg-dark)]">
-          <tr>
-            {COLUMNS.map((col) => (
-              <th
-                key={col.key}
-                className={`${col.mobileHide ? 'hidden md:table-cell' : ''} px-3 py-2.5 text-left text-[11px] font-semibold uppercase tracking-wider cursor-pointer select-none border-b border-[var(--color-bg-card)] whitespace-nowrap ${isActiveSort(col.key) ? 'text-[var(--color-accent)]' : 'text-[var(--color-text-secondary)]'}`}
-                style={{ textAlign: col.align }}
-                onClick={() => handleHeaderClick(col.key)}
-              >
-                {col.label}
-                {getSortIndicator(col.key)}
-              </th>
-            ))}
-          </tr>
-        </thead>
-
-        {/* ── Body ── */}
-        <tbody>
-          {/* Empty state — shown briefly on first load */}
-          {sorted.length === 0 && (
+    <div>
+      <div className="flex justify-end mb-3">
+        <button
+          onClick={handleExtendedToggle}
+          title="Adds days 8–16. Beyond a week the forecast is an outlook — treat it as a trend, not a number."
+          className={`px-3 py-1.5 rounded-md border text-xs cursor-pointer ${extended ? 'border-[var(--color-accent)] text-[var(--color-accent)] bg-[var(--color-accent-wash)]' : 'border-[var(--color-bg-card-hover)] text-[var(--color-text-secondary)] bg-transparent'}`}
+        >
+          Extended outlook (16 days) {extended ? '●' : '○'}
+        </button>
+      </div>
+      <div className="overflow-x-auto -mx-4 px-4 md:mx-0 md:px-0">
+        <table className="min-w-[640px] w-full border-collapse text-[13px] text-[var(--color-text-primary)]">
+          {/* ── Header ── */}
+          <thead className="sticky top-0 z-10 bg-[var(--color-bg-dark)]">
             <tr>
-              <td
-                colSpan={COLUMNS.length}
-                className="text-center py-12 text-[var(--color-text-secondary)] text-sm"
-              >
-                No forecast data loaded yet
-              </td>
+              {columns.map((col) => (
+                <th
+                  key={col.key}
+                  className={`${col.mobileHide ? 'hidden md:table-cell' : ''} px-3 py-2.5 text-left text-[11px] font-semibold uppercase tracking-wider cursor-pointer select-none border-b border-[var(--color-bg-card)] whitespace-nowrap ${isActiveSort(col.key) ? 'text-[var(--color-accent)]' : 'text-[var(--color-text-secondary)]'}`}
+                  style={{ textAlign: col.align }}
+                  onClick={() => handleHeaderClick(col.key)}
+                >
+                  {col.label}
+                  {getSortIndicator(col.key)}
+                </th>
+              ))}
             </tr>
-          )}
+          </thead>
 
-          {sorted.map((resort) => {
-            const forecast = forecasts[resort.id];
-            const ls = loadingStates[resort.id];
-            const isLoading = !forecast;
+          {/* ── Body ── */}
+          <tbody>
+            {/* Empty state — shown briefly on first load */}
+            {sorted.length === 0 && (
+              <tr>
+                <td
+                  colSpan={columns.length}
+                  className="text-center py-12 text-[var(--color-text-secondary)] text-sm"
+                >
+                  No forecast data loaded yet
+                </td>
+              </tr>
+            )}
+
+            {sorted.map((resort) => {
+              const forecast = forecasts[resort.id];
+              const ls = loadingStates[resort.id];
+              const isLoading = !forecast;
+
+              // ── Skeleton row for loading resorts ─────────────────────────────
+              if (isLoading) {
+                return (
+                  <tr key={resort.id}>
+                    <td
+                      colSpan={columns.length}
+                      className="px-3 py-2 border-b border-[var(--color-bg-card)]"
+                    >
+                      <div className="animate-pulse h-6 rounded bg-[var(--color-bg-card)]" />
+                    </td>
+                  </tr>
+                );
+              }
+
+              // ── Derive row data ─────────────────────────────────────────────--
+              const idx = getCurrentHourIndex(forecast.hourly.time, forecast.timezone);
+              const currentTemp = forecast.hourly.temperature_2m[idx] ?? 0;
+              const tempDisplay = formatTemp(currentTemp, units);
+
+              const snow24cm = forecast.daily.snowfall_sum[0] ?? 0;
+              const rain24cm = forecast.daily.rain_sum[0]    ?? 0;
+              const snow48cm = (forecast.daily.snowfall_sum[0] ?? 0) + (forecast.daily.snowfall_sum[1] ?? 0);
+              const rain48cm = (forecast.daily.rain_sum[0] ?? 0) + (forecast.daily.rain_sum[1] ?? 0);
+
+              const snow7dCm  = getSnowTotal(forecast, OUTLOOK_DAYS);
+              const snowExtCm = getSnowTotal(forecast, EXTENDED_DAYS, OUTLOOK_DAYS);
+
+              const quality = getSnowQuality({
+                temp_c:       currentTemp,
+                wind_kmh:     forecast.hourly.windspeed_10m[idx]       ?? 0,
+                snowfall_cm:  forecast.hourly.snowfall[idx]            ?? 0,
+                snowAgeHours: getSnowAgeHours(forecast.hourly.snowfall, idx),
+                humidity_pct: forecast.hourly.relativehumidity_2m[idx] ?? 50,
+                slr:          getHourlyDensity(forecast.hourly, idx)?.slr,
+              }, settings.qualityOverrides);
+
+              const bestWindow = getRowBestWindow(forecast, horizonDays);
+              const bestDayLabel = bestWindow ? getDayLabel(bestWindow.date) : '—';
+              const isBestDayNear = bestDayLabel === 'Today' || bestDayLabel === 'Tomorrow';
+              const isBestDayExtended = bestWindow ? isExtendedDay(bestWindow.index) : false;
+
+              // Now column uses daily weathercode (dominant code for current day)
+              const nowWeatherCode = forecast.daily.weathercode[0] ?? 0;
 
-            // ── Skeleton row for loading resorts ─────────────────────────────
-            if (isLoading) {
               return (
-                <tr key={resort.id}>
+                <tr
+                  key={resort.id}
+                  onClick={() => navigate(`/resort/${resort.slug}`)}
+                  className="cursor-pointer transition-colors hover:bg-[var(--color-bg-card-hover)] border-b border-[var(--color-bg-card)]"
+                >
+                  {/* Resort name - fixed truncation */}
                   <td
-                    colSpan={COLUMNS.length}
-                    className="px-3 py-2 border-b border-[var(--color-bg-card)]"
+                    title={resort.name}
+                    className="max-w-[160px] px-3 py-2.5 text-left overflow-hidden text-ellipsis whitespace-nowrap"
                   >
-                    <div className="animate-pulse h-6 rounded bg-[var(--color-bg-card)]" />
+                    <span className="font-medium">{resort.name}</span>
                   </td>
-                </tr>
-              );
-            }
-
-            // ── Derive row data ─────────────────────────────────────────────--
-            const idx = getCurrentHourIndex(forecast.hourly.time, forecast.timezone);
-            const currentTemp = forecast.hourly.temperature_2m[idx] ?? 0;
-            const tempDisplay = settings.units === 'metric'
-              ? `${Math.round(currentTemp)}°C`
-              : `${Math.round(toF(currentTemp))}°F`;
-
-            const snow24cm = forecast.daily.snowfall_sum[0] ?? 0;
-            const rain24cm = forecast.daily.rain_sum[0]    ?? 0;
-            const snow48cm = (forecast.daily.snowfall_sum[0] ?? 0) + (forecast.daily.snowfall_sum[1] ?? 0);
-            const rain48cm = (forecast.daily.rain_sum[0] ?? 0) + (forecast.daily.rain_sum[1] ?? 0);
-
-            const snow7dCm  = forecast.daily.snowfall_sum.slice(0, 7).reduce((s, x) => s + x, 0);
-            const snow7dIn  = toInches(snow7dCm);
-
-            const quality = getSnowQuality({
-              temp_c:       currentTemp,
-              wind_kmh:     forecast.hourly.windspeed_10m[idx]       ?? 0,
-              snowfall_cm:  forecast.hourly.snowfall[idx]            ?? 0,
-              snowAgeHours: getSnowAgeHours(forecast.hourly.snowfall, idx),
-              humidity_pct: forecast.hourly.relativehumidity_2m[idx] ?? 50,
-            });
-
-            const dailyArr   = buildDailyArray(forecast.daily);
-            const bestWindow = getBestWindow(dailyArr);
-            const bestDayLabel = bestWindow ? getDayLabel(bestWindow.date) : '—';
-            const isBestDayNear = bestDayLabel === 'Today' || bestDayLabel === 'Tomorrow';
-
-            // Now column uses daily weathercode (dominant code for current day)
-            const nowWeatherCode = forecast.daily.weathercode[0] ?? 0;
-
-            return (
-              <tr
-                key={resort.id}
-                onClick={() => navigate(`/resort/${resort.slug}`)}
-                className="cursor-pointer transition-colors hover:bg-[var(--color-bg-card-hover)] border-b border-[var(--color-bg-card)]"
-              >
-                {/* Resort name - fixed truncation */}
-                <td
-                  title={resort.name}
-                  className="max-w-[160px] px-3 py-2.5 text-left overflow-hidden text-ellipsis whitespace-nowrap"
-                >
-                  <span className="font-medium">{resort.name}</span>
-                </td>
 
-                {/* Region - hidden on mobile */}
-                <td className="hidden md:table-cell px-3 py-2.5 text-left text-[var(--color-text-secondary)]">
-                  {resort.region ?? '—'}
-                </td>
+                  {/* Region - hidden on mobile */}
+                  <td className="hidden md:table-cell px-3 py-2.5 text-left text-[var(--color-text-secondary)]">
+                    {resort.region ?? '—'}
+                  </td>
 
-                {/* Now: weather icon + current temp - SINGLE ICON ONLY */}
-                <td className="px-3 py-2.5 text-center">
-                  <span className="inline-flex items-center gap-1 justify-center">
-                    <WeatherIcon code={nowWeatherCode} size={16} />
-                    <span>{tempDisplay}</span>
-                  </span>
-                </td>
+                  {/* Now: weather icon + current temp - SINGLE ICON ONLY */}
+                  <td className="px-3 py-2.5 text-center">
+                    <span className="inline-flex items-center gap-1 justify-center">
+                      <WeatherIcon code={nowWeatherCode} size={16} />
+                      <span>{tempDisplay}</span>
+                    </span>
+                  </td>
 
-                {/* 24hr snowfall — with cell tint */}
-                <td
-                  className="px-3 py-2.5 text-center"
-                  style={{ backgroundColor: getSnowCellBg(snow24cm, rain24cm) }}
-                >
-                  {toInches(snow24cm)}&quot;
-                </td>
+                  {/* 24hr snowfall — with cell tint */}
+                  <td
+                    className="px-3 py-2.5 text-center"
+                    style={{ backgroundColor: getSnowCellBg(snow24cm, rain24cm) }}
+                  >
+                    {formatSnow(snow24cm, units)}
+                  </td>
 
-                {/* 48hr snowfall — with cell tint */}
-                <td
-                  className="px-3 py-2.5 text-center"
-                  style={{ backgroundColor: getSnowCellBg(snow48cm, rain48cm) }}
-                >
-                  {toInches(snow48cm)}&quot;
-                </td>
+                  {/* 48hr snowfall — with cell tint */}
+                  <td
+                    className="px-3 py-2.5 text-center"
+                    style={{ backgroundColor: getSnowCellBg(snow48cm, rain48cm) }}
+                  >
+                    {formatSnow(snow48cm, units)}
+                  </td>
 
-                {/* 7-Day total — bold if ≥ 24" */}
-                <td className={`px-3 py-2.5 text-center ${snow7dIn >= 24 ? 'font-bold' : ''}`}>
-                  {snow7dIn}&quot;
-                </td>
+                  {/* 7-Day total — bold if ≥ 24" (61 cm) */}
+                  <td className={`px-3 py-2.5 text-center ${snow7dCm >= 60.96 ? 'font-bold' : ''}`}>
+                    {formatSnow(snow7dCm, units)}
+                  </td>
 
-                {/* Quality badge */}
-                <td className="px-3 py-2.5 text-center">
-                  <QualityBadge quality={quality} size="sm" />
-                </td>
+                  {/* Days 8–16 — extended outlook only, dimmed as low confidence */}
+                  {extended && (
+                    <td
+                      className="hidden md:table-cell px-3 py-2.5 text-center italic opacity-60"
+                      title="Extended outlook — low confidence"
+                    >
+                      {formatSnow(snowExtCm, units)}
+                    </td>
+                  )}
+
+                  {/* Quality badge */}
+                  <td className="px-3 py-2.5 text-center">
+                    <QualityBadge quality={quality} size="sm" />
+                  </td>
 
-                {/* Best Day — accent color if today or tomorrow - hidden on mobile */}
-                <td className={`hidden md:table-cell px-3 py-2.5 text-left ${isBestDayNear ? 'text-[var(--color-accent)]' : 'text-[var(--color-text-secondary)]'}`}>
-                  {bestDayLabel}
-                </td>
-              </tr>
-            );
-          })}
-        </tbody>
-      </table>
+                  {/* Best Day — accent color if today or tomorrow - hidden on mobile */}
+                  <td
+                    className={`hidden md:table-cell px-3 py-2.5 text-left ${isBestDayNear ? 'text-[var(--color-accent)]' : 'text-[var(--color-text-secondary)]'} ${isBestDayExtended ? 'italic opacity-60' : ''}`}
+                    title={isBestDayExtended ? 'Extended outlook — low confidence' : undefined}
+                  >
+                    {bestDayLabel}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
     </div>
   );
 }
@@ -0,0 +1,50 @@
+/**
+ * src/components/DangerBadge.jsx
+ *
+ * Pill badge for avalanche danger in the resort's forecast zone — used in
+ * resort cards and the Conditions tab. Colors follow the North American
+ * danger scale (DANGER_LEVELS in lib/avalanche.js). Zones without a rating
+ * today (off season) show a neutral "No rating" pill.
+ *
+ * Props:
+ *   danger  {object|null}  — entry from mapResortsToZones(); renders nothing when null
+ *   size    {'sm' | 'md'}  — default 'sm'
+ */
+
+import { getDangerInfo } from '../lib/avalanche.js';
+
+const SIZE_STYLES = {
+  sm: { fontSize: '11px', padding: '2px 6px' },
+  md: { fontSize: '13px', padding: '3px 9px' },
+};
+
+export default function DangerBadge({ danger, size = 'sm' }) {
+  if (!danger) return null;
+
+  const info = getDangerInfo(danger.level);
+  const title = info
+    ? `Avalanche danger: ${info.label} (${info.level}/5) — ${danger.zone}, ${danger.center}`
+    : `No avalanche rating today — ${danger.zone}, ${danger.center}`;
+
+  return (
+    <span
+      title={title}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: 4,
+        borderRadius: 9999,
+        whiteSpace: 'nowrap',
+        lineHeight: 1.4,
+        fontWeight: 500,
+        color: info ? info.textColor : 'var(--color-text-secondary)',
+        backgroundColor: info ? info.color : 'transparent',
+        border: info ? 'none' : '1px solid var(--color-bg-card-hover)',
+        ...(SIZE_STYLES[size] ?? SIZE_STYLES.sm),
+      }}
+    >
+      <span role="img" aria-label="Avalanche danger">⚠️</span>
+      {info ? `${info.level} · ${info.label}` : 'No rating'}
+    </span>
+  );
+}
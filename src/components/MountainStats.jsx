@@ -0,0 +1,106 @@
+/**
+ * src/components/MountainStats.jsx
+ *
+ * Mountain facts strip under the ResortDetail header: today's operating
+ * status (when a status provider is configured), lift and run counts, night
+ * skiing, and run length by difficulty as a stacked bar. Counts come from
+ * resorts.json (lib/resortStats.js); anything unknown is left out, and the
+ * strip renders nothing when there is nothing to show.
+ *
+ * Props:
+ *   resort  {object}       — resort object from resorts.json
+ *   status  {object|null}  — from operatingStatus in context
+ */
+
+import { useUnits } from '../context/AppContext';
+import { DIFFICULTY_LABELS, getRunLengthShares, getTotalRunLengthKm } from '../lib/resortStats.js';
+import { formatStatus, isOpenToday } from '../lib/operatingStatus.js';
+import { formatDistance, timeAgo } from '../lib/utils.js';
+
+export default function MountainStats({ resort, status = null }) {
+  const units = useUnits();
+  const shares = getRunLengthShares(resort);
+  const totalKm = getTotalRunLengthKm(resort);
+
+  const hasLifts = resort.lifts != null;
+  const hasRuns = resort.runs != null;
+  if (!status && !hasLifts && !hasRuns && !resort.nightSkiing) return null;
+
+  const open = isOpenToday(status);
+
+  return (
+    <div
+      style={{
+        padding: '8px 24px 10px',
+        fontSize: 13,
+        color: 'var(--color-text-secondary)',
+        borderBottom: '1px solid var(--color-bg-card)',
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+        {status && (
+          <span
+            title={status.updatedAt ? `Reported ${timeAgo(Date.parse(status.updatedAt))}` : undefined}
+            style={{
+              padding: '2px 8px',
+              borderRadius: 9999,
+              fontSize: 12,
+              fontWeight: 600,
+              color: open ? 'var(--color-bg-dark)' : 'var(--color-text-secondary)',
+              backgroundColor: open ? 'var(--color-success)' : 'transparent',
+              border: open ? 'none' : '1px solid var(--color-bg-card-hover)',
+            }}
+          >
+            {/* A stale "open" report doesn't count as open today */}
+            {status.open && !open ? 'No report today' : formatStatus(status)}
+          </span>
+        )}
+        {hasLifts && (
+          <span>
+            🚡 <span style={{ color: 'var(--color-text-primary)' }}>{resort.lifts}</span> lifts
+          </span>
+        )}
+        {hasRuns && (
+          <span>
+            ⛷️ <span style={{ color: 'var(--color-text-primary)' }}>{resort.runs}</span> runs
+            {totalKm > 0 && ` · ${formatDistance(totalKm, units)}`}
+          </span>
+        )}
+        {resort.nightSkiing && <span>🌙 Night skiing</span>}
+      </div>
+
+      {shares.length > 0 && (
+        <>
+          <div
+            style={{
+              display: 'flex',
+              height: 6,
+              borderRadius: 3,
+              overflow: 'hidden',
+              marginTop: 8,
+              maxWidth: 420,
+              backgroundColor: 'var(--color-snow-empty)',
+            }}
+          >
+            {shares.map(({ difficulty, share }) => (
+              <div
+                key={difficulty}
+                style={{ width: `${share * 100}%`, backgroundColor: DIFFICULTY_LABELS[difficulty].color }}
+              />
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', marginTop: 4, fontSize: 11 }}>
+            {shares.map(({ difficulty, km }) => {
+              const { label, symbol, color } = DIFFICULTY_LABELS[difficulty];
+              return (
+                <span key={difficulty} title={label}>
+                  <span style={{ color }}>{symbol}</span> {label} {formatDistance(km, units)}
+                </span>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
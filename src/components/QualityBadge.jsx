@@ -4,12 +4,17 @@
  * Pill badge for snow quality — used in resort cards and resort detail.
  * Uses dynamic color/bgColor from the quality object (not Tailwind classes).
  * Conforms to SPEC.md Deliverable 3.
+ * Hovering shows why the rule engine picked the label (explainQuality),
+ * in the user's units.
  *
  * Props:
- *   quality  {{ label, color, bgColor, emoji, priority }}  — from getSnowQuality()
- *   size     {'sm' | 'md' | 'lg'}                         — default 'md'
+ *   quality  {{ label, color, bgColor, emoji, priority, explanation }}  — from getSnowQuality()
+ *   size     {'sm' | 'md' | 'lg'}                                      — default 'md'
  */
 
+import { useUnits } from '../context/AppContext';
+import { explainQuality } from '../lib/snowQuality.js';
+
 const SIZE_STYLES = {
   sm: {
     fontSize: '11px',
@@ -29,12 +34,15 @@ const SIZE_STYLES = {
 };
 
 export default function QualityBadge({ quality, size = 'md' }) {
+  const units = useUnits();
   if (!quality) return null;
 
   const sizeStyle = SIZE_STYLES[size] ?? SIZE_STYLES.md;
+  const explanation = explainQuality(quality, units);
 
   return (
     <span
+      title={explanation.length ? explanation.join('\n') : undefined}
       style={{
         display: 'inline-flex',
         alignItems: 'center',
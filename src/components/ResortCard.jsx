@@ -7,8 +7,12 @@
  * Props:
  *   resort      {object}  — resort object from resorts.json
  *   forecast    {object|null} — Open-Meteo response, or null while loading
+ *   historical  {object|null} — Open-Meteo archive response, or null until loaded
+ *   fetchedAt   {number|null} — ms timestamp of the forecast; flagged when older than the cache TTL
  *   loading     {'idle'|'loading'|'done'|'error'}
  *   maxValue_cm {number}  — global scale ceiling shared across all cards
+ *   distanceKm  {number|null} — from the Dashboard home point, when one is set
+ *   avalanche   {object|null} — danger in the resort's avalanche forecast zone, if it has one
  */
 
 import { useState, useRef, useEffect } from 'react';
@@ -16,38 +20,47 @@ import { useNavigate } from 'react-router-dom';
 import {
   useApp,
   useSaveResort,
+  useUnits,
   useUpdateSettings,
 } from '../context/AppContext';
 import { getSnowQuality, getSnowAgeHours, getBestWindow } from '../lib/snowQuality.js';
+import { getConfidenceByDay } from '../lib/ensemble.js';
+import { getHourlyDensity } from '../lib/snowDensity.js';
+import { getArchiveLagDays, getLastReportedDate, getPastSnowfall } from '../lib/history.js';
+import { isForecastStale } from '../lib/cache.js';
+import { getSnowLine, hasBaseRainRisk } from '../lib/elevationBands.js';
 import {
   getCurrentHourIndex,
   getDayLabel,
-  toF,
-  toMph,
+  formatSnow,
+  formatTemp,
+  formatWind,
+  formatElevation,
+  formatDistance,
+  formatShortDate,
+  estimateDriveHours,
+  timeAgo,
   POWDER_THRESHOLD_CM,
 } from '../lib/utils.js';
 import LoadingSkeleton from './LoadingSkeleton.jsx';
 import SnowBar from './SnowBar.jsx';
 import QualityBadge from './QualityBadge.jsx';
+import DangerBadge from './DangerBadge.jsx';
 
 // ── Alert threshold options (SPEC.md section 6 / Agent 6 Deliverable 7) ───────
 // "Off" = no override (resort uses the global default threshold).
-// Numeric options set a per-resort threshold override (stored in cm).
+// Numeric options set a per-resort threshold override (stored in cm) and are
+// labelled in the user's snow unit.
 const THRESHOLD_OPTIONS = [
   { label: 'Off',  value: null  },
-  { label: '6"',   value: 15.24 },
-  { label: '8"',   value: 20.32 },
-  { label: '10"',  value: 25.40 },
-  { label: '12"',  value: 30.48 },
+  { value: 15.24 }, // 6"
+  { value: 20.32 }, // 8"
+  { value: 25.40 }, // 10"
+  { value: 30.48 }, // 12"
 ];
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-/** Convert meters → feet, rounded to nearest integer. */
-function toFeet(m) {
-  return Math.round(m * 3.28084);
-}
-
 /**
  * Transform Open-Meteo flat daily object into the array-of-objects format
  * that getBestWindow() expects.
@@ -68,13 +81,13 @@ function getCardBorderStyle(powderHit, activeSnow) {
   if (powderHit) {
     return {
       boxShadow:
-        '0 0 0 2px var(--color-snow-powder), 0 0 16px 0 rgba(249,115,22,0.3)',
+        '0 0 0 2px var(--color-snow-powder), 0 0 16px 0 var(--color-snow-powder-glow)',
     };
   }
   if (activeSnow) {
     return {
       boxShadow:
-        '0 0 0 2px var(--color-snow-light), 0 0 16px 0 rgba(59,130,246,0.3)',
+        '0 0 0 2px var(--color-snow-light), 0 0 16px 0 var(--color-snow-light-glow)',
     };
   }
   return {};
@@ -82,8 +95,18 @@ function getCardBorderStyle(powderHit, activeSnow) {
 
 // ── Component ─────────────────────────────────────────────────────────────────
 
-export default function ResortCard({ resort, forecast, loading, maxValue_cm = 1 }) {
+export default function ResortCard({
+  resort,
+  forecast,
+  historical = null,
+  fetchedAt = null,
+  loading,
+  maxValue_cm = 1,
+  distanceKm = null,
+  avalanche = null,
+}) {
   const { savedSlugs, settings } = useApp();  // Changed: savedSlugs instead of savedResortIds
+  const units = useUnits();
   const saveResort = useSaveResort();
   const updateSettings = useUpdateSettings();
   const navigate = useNavigate();
@@ -136,7 +159,7 @@ export default function ResortCard({ resort, forecast, loading, maxValue_cm = 1
         >
           {resort.region && `${resort.region} · `}{resort.country}
         </div>
-        <div style={{ fontSize: 13, color: '#EF4444' }}>
+        <div style={{ fontSize: 13, color: 'var(--color-danger)' }}>
           Forecast unavailable
         </div>
       </div>
@@ -155,10 +178,11 @@ export default function ResortCard({ resort, forecast, loading, maxValue_cm = 1
     snowfall_cm:  forecast.hourly.snowfall[currentHourIndex]       ?? 0,
     snowAgeHours: getSnowAgeHours(forecast.hourly.snowfall, currentHourIndex),
     humidity_pct: forecast.hourly.relativehumidity_2m[currentHourIndex] ?? 50,
-  });
+    slr:          getHourlyDensity(forecast.hourly, currentHourIndex)?.slr,
+  }, settings.qualityOverrides);
 
   const dailyArr   = buildDailyArray(forecast.daily);
-  const bestWindow = getBestWindow(dailyArr);
+  const bestWindow = getBestWindow(dailyArr, getConfidenceByDay(forecast));
 
   // Powder threshold hit in next 48 hrs (SPEC.md section 8.1)
   const powderHit = forecast.daily.snowfall_sum
@@ -168,12 +192,26 @@ export default function ResortCard({ resort, forecast, loading, maxValue_cm = 1
   // Active snowfall right now (SPEC.md section 8.1)
   const activeSnow = (forecast.hourly.snowfall[currentHourIndex] ?? 0) > 0.1;
 
+  // Rain/snow line over the next 48h, and whether the base sits below it
+  const snowLine     = getSnowLine(forecast, currentHourIndex);
+  const baseRainRisk = hasBaseRainRisk(forecast, resort, currentHourIndex);
+
   // Today's summary values
-  const highF    = Math.round(toF(forecast.daily.temperature_2m_max[0] ?? 0));
-  const lowF     = Math.round(toF(forecast.daily.temperature_2m_min[0] ?? 0));
-  const windMph  = toMph(forecast.daily.windspeed_10m_max[0] ?? 0);
+  const high     = formatTemp(forecast.daily.temperature_2m_max[0] ?? 0, units);
+  const low      = formatTemp(forecast.daily.temperature_2m_min[0] ?? 0, units);
+  const wind     = formatWind(forecast.daily.windspeed_10m_max[0] ?? 0, units);
   const bestDay  = bestWindow ? getDayLabel(bestWindow.date) : '—';
 
+  // Past 72h from the archive — null until history loads (or if it failed).
+  // While the archive lags, the three days end earlier and the label says so.
+  const past72Cm = getPastSnowfall(historical, 3);
+  const pastLabel = getArchiveLagDays(historical) > 1
+    ? `72h to ${formatShortDate(getLastReportedDate(historical))}`
+    : 'Past 72h';
+
+  // Painted from the persistent cache and not yet revalidated
+  const isStale = fetchedAt !== null && isForecastStale(fetchedAt);
+
   // Save / alert state - Changed to use slug
   const isSaved     = savedSlugs.includes(resort.slug);
   const hasThreshold = settings.thresholds?.[resort.id] !== undefined;
@@ -270,13 +308,13 @@ export default function ResortCard({ resort, forecast, loading, maxValue_cm = 1
                   top: '100%',
                   right: 0,
                   marginTop: 4,
-                  backgroundColor: '#0F172A',
+                  backgroundColor: 'var(--color-bg-popover)',
                   border: '1px solid var(--color-bg-card-hover)',
                   borderRadius: 8,
                   padding: '8px 0',
                   zIndex: 50,
                   minWidth: 140,
-                  boxShadow: '0 8px 24px rgba(0,0,0,0.5)',
+                  boxShadow: '0 8px 24px var(--color-shadow)',
                 }}
               >
                 <div
@@ -312,7 +350,7 @@ export default function ResortCard({ resort, forecast, loading, maxValue_cm = 1
                         padding: '6px 12px',
                         fontSize: 13,
                         backgroundColor: isActive
-                          ? 'rgba(249,115,22,0.15)'
+                          ? 'var(--color-snow-powder-tint)'
                           : 'transparent',
                         color: isActive
                           ? 'var(--color-snow-powder)'
@@ -320,7 +358,7 @@ export default function ResortCard({ resort, forecast, loading, maxValue_cm = 1
                         fontWeight: isActive ? 600 : 400,
                       }}
                     >
-                      {opt.label}
+                      {opt.label ?? formatSnow(opt.value, units, { decimals: 0 })}
                       {isActive && ' ✓'}
                     </button>
                   );
@@ -339,7 +377,7 @@ export default function ResortCard({ resort, forecast, loading, maxValue_cm = 1
               cursor: 'pointer',
               padding: '2px 4px',
               fontSize: 18,
-              color: isSaved ? '#F59E0B' : 'var(--color-text-secondary)',
+              color: isSaved ? 'var(--color-saved)' : 'var(--color-text-secondary)',
               lineHeight: 1,
             }}
           >
@@ -358,8 +396,30 @@ export default function ResortCard({ resort, forecast, loading, maxValue_cm = 1
         )}
         <span>·</span>
         <QualityBadge quality={quality} size="md" />
+        <DangerBadge danger={avalanche} />
         <span>·</span>
-        <span>Summit {toFeet(resort.summitElevation).toLocaleString()}ft</span>
+        <span>Summit {formatElevation(resort.summitElevation, units)}</span>
+        {distanceKm !== null && (
+          <span title="Straight-line distance from your home point; drive time is a rough estimate">
+            · 📍 {formatDistance(distanceKm, units)} · ~{estimateDriveHours(distanceKm)} h drive
+          </span>
+        )}
+        {baseRainRisk && (
+          <span
+            title="Rain expected at the base in the next 48h"
+            style={{ color: 'var(--color-snow-mixed)' }}
+          >
+            🌧️ Base rain risk
+          </span>
+        )}
+        {isStale && (
+          <span
+            title="Cached forecast — refreshing in the background"
+            style={{ color: 'var(--color-quality-spring)' }}
+          >
+            ⏱ Updated {timeAgo(fetchedAt).toLowerCase()}
+          </span>
+        )}
       </div>
 
       {/* ── Divider ──────────────────────────────────────────────────────────── */}
@@ -405,16 +465,30 @@ export default function ResortCard({ resort, forecast, loading, maxValue_cm = 1
       >
         <span>
           Hi{' '}
-          <span style={{ color: 'var(--color-text-primary)' }}>{highF}°F</span>
+          <span style={{ color: 'var(--color-text-primary)' }}>{high}</span>
         </span>
         <span>
           Lo{' '}
-          <span style={{ color: 'var(--color-text-primary)' }}>{lowF}°F</span>
+          <span style={{ color: 'var(--color-text-primary)' }}>{low}</span>
         </span>
         <span>
           💨{' '}
-          <span style={{ color: 'var(--color-text-primary)' }}>{windMph}mph</span>
+          <span style={{ color: 'var(--color-text-primary)' }}>{wind}</span>
         </span>
+        <span title="Snowfall over the last 3 days the archive has reported">
+          🕒 {pastLabel}{' '}
+          <span style={{ color: 'var(--color-text-primary)' }}>
+            {past72Cm !== null ? formatSnow(past72Cm, units) : '—'}
+          </span>
+        </span>
+        {snowLine !== null && (
+          <span title="Highest rain/snow line while precipitating, next 48h">
+            ❄️ Snow line{' '}
+            <span style={{ color: 'var(--color-text-primary)' }}>
+              {formatElevation(snowLine, units)}
+            </span>
+          </span>
+        )}
         <span>
           ✨ Best:{' '}
           <span style={{ color: 'var(--color-text-primary)' }}>{bestDay}</span>
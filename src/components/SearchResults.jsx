@@ -11,14 +11,11 @@
  */
 
 import { useNavigate } from 'react-router-dom';
-import { toInches } from '../lib/utils.js';
+import { formatSnow, formatElevation } from '../lib/utils.js';
+import { useUnits } from '../context/AppContext.jsx';
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-function toFeet(m) {
-  return Math.round(m * 3.28084);
-}
-
 /**
  * Wrap the matching substring of `text` in a <mark> element.
  * Returns a React fragment when there is a match, plain string otherwise.
@@ -32,7 +29,7 @@ function highlightMatch(text, query) {
       {text.slice(0, index)}
       <mark
         style={{
-          backgroundColor: 'rgba(56,189,248,0.25)',
+          backgroundColor: 'var(--color-accent-tint)',
           color: 'var(--color-accent)',
           borderRadius: 2,
           padding: '0 1px',
@@ -49,6 +46,7 @@ function highlightMatch(text, query) {
 
 export default function SearchResults({ results, forecasts, query }) {
   const navigate = useNavigate();
+  const units = useUnits();
 
   // ── Empty state ─────────────────────────────────────────────────────────────
   if (results.length === 0) {
@@ -75,7 +73,7 @@ export default function SearchResults({ results, forecasts, query }) {
         // 24hr snowfall: only show if forecast is already loaded
         let snow24Display = '—';
         if (forecast?.daily?.snowfall_sum?.[0] != null) {
-          snow24Display = `${toInches(forecast.daily.snowfall_sum[0])}"`;
+          snow24Display = formatSnow(forecast.daily.snowfall_sum[0], units);
         }
 
         return (
@@ -124,13 +122,13 @@ export default function SearchResults({ results, forecasts, query }) {
                 {resort.summitElevation > 0 && (
                   <>
                     <span style={{ opacity: 0.4 }}>·</span>
-                    <span>Summit {toFeet(resort.summitElevation).toLocaleString()}ft</span>
+                    <span>Summit {formatElevation(resort.summitElevation, units)}</span>
                   </>
                 )}
                 {resort.verticalDrop > 0 && (
                   <>
                     <span style={{ opacity: 0.4 }}>·</span>
-                    <span>Drop {toFeet(resort.verticalDrop).toLocaleString()}ft</span>
+                    <span>Drop {formatElevation(resort.verticalDrop, units)}</span>
                   </>
                 )}
               </div>
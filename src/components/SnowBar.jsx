@@ -8,13 +8,14 @@
  *   snowfall_cm  {number}  — determines height and color
  *   rain_cm      {number}  — if > 0 AND snowfall > 0: mixed precip → purple
  *   maxValue_cm  {number}  — scale ceiling for relative height
- *   showLabel    {boolean} — if true, render day label + inch value below bar
+ *   showLabel    {boolean} — if true, render day label + snowfall (user's units) below bar
  *   date         {string}  — "YYYY-MM-DD", used for day label when showLabel=true
  *   width        {number}  — px width of bar (default 28)
  *   maxHeight    {number}  — px max height of bar (default 80)
  */
 
-import { toInches, getDayLabel, POWDER_THRESHOLD_CM } from '../lib/utils.js';
+import { formatSnow, getDayLabel, POWDER_THRESHOLD_CM } from '../lib/utils.js';
+import { useUnits } from '../context/AppContext.jsx';
 
 // Minimum visible height for any non-zero snowfall bar (px)
 const MIN_BAR_PX = 4;
@@ -43,6 +44,7 @@ export default function SnowBar({
   width = 28,
   maxHeight = 80,
 }) {
+  const units = useUnits();
   const safeMax = maxValue_cm > 0 ? maxValue_cm : 1;
   const fillColor = getBarColor(snowfall_cm, rain_cm);
 
@@ -68,7 +70,7 @@ export default function SnowBar({
           position: 'relative',
           width: '100%',
           height: maxHeight,
-          backgroundColor: '#1E293B', // SPEC: empty bar dark fill
+          backgroundColor: 'var(--color-snow-empty)', // SPEC: empty bar dark fill
           borderRadius: 4,
           overflow: 'hidden',
         }}
@@ -113,14 +115,14 @@ export default function SnowBar({
               {getDayLabel(date)}
             </div>
           )}
-          {/* Inch value */}
+          {/* Snowfall value */}
           <div
             style={{
               fontSize: 10,
               color: 'var(--color-text-secondary)',
             }}
           >
-            {toInches(snowfall_cm)}&quot;
+            {formatSnow(snowfall_cm, units)}
           </div>
         </div>
       )}
@@ -70,6 +70,20 @@ export default function TopNav() {
           >
             Compare
           </Link>
+          <Link 
+            to="/plan"
+            className="text-sm hover:opacity-80 transition-opacity"
+            style={{ color: 'var(--color-text-secondary)' }}
+          >
+            Plan
+          </Link>
+          <Link 
+            to="/map"
+            className="text-sm hover:opacity-80 transition-opacity"
+            style={{ color: 'var(--color-text-secondary)' }}
+          >
+            Map
+          </Link>
         </div>
       </div>
 
@@ -5,9 +5,16 @@
  * Conforms to SPEC.md section 10 — state shape and localStorage keys.
  */
 
-import { createContext, useContext, useReducer, useEffect, useCallback } from 'react'
+import { createContext, useContext, useReducer, useEffect, useCallback, useMemo } from 'react'
 import resortsData from '../data/resorts.json'
+import slugMigrations from '../data/slugMigrations.json'
 import { supabase } from '../lib/supabase.js'
+import { resolveUnits } from '../lib/utils.js'
+import { applyTheme, resolveTheme, systemPrefersDark, watchSystemTheme } from '../lib/theme.js'
+import { buildSlugRedirects, migrateSlugs } from '../lib/slugMigrations.js'
+
+// Resorts whose slug changed in a resorts.json rebuild — see lib/slugMigrations.js
+const SLUG_REDIRECTS = buildSlugRedirects(slugMigrations)
 
 // ── localStorage keys (fallback for logged-out users) ───────────────────────
 const LS_SAVED_RESORTS = 'snowdesk_saved_slugs'
@@ -19,7 +26,14 @@ const DEFAULT_SETTINGS = {
   defaultThreshold: 15.24, // 6 inches in cm
   thresholds: {},
   units: 'imperial',
-  darkMode: true,
+  unitOverrides: {}, // per-dimension swaps on top of `units`, e.g. { snow: 'cm' }
+  darkMode: true, // true | false | 'system' — see lib/theme.js
+  multiModel: false, // also fetch the per-model snowfall spread — see lib/ensemble.js
+  qualityOverrides: {}, // snow-quality rule thresholds, e.g. { windAffectedMinKmh: 50 } — see lib/snowQuality.js
+  homeLocation: null, // Dashboard "near me" point — { label, lat, lng }
+  nearRadiusKm: null, // Dashboard radius filter around homeLocation; null = off
+  closestMinSnowCm: null, // Dashboard "Closest with ≥ X in 48h" amount; null = defaultThreshold
+  avalancheAlertLevel: null, // alert when a resort's avalanche danger reaches this level (1–5); null = off
 }
 
 function readLS(key, fallback) {
@@ -37,6 +51,10 @@ function buildInitialState() {
     resorts: resortsData,
     savedSlugs: [], // Will be loaded after auth check
     forecasts: {},
+    forecastFetchedAt: {}, // resortId → ms timestamp the forecast was fetched
+    historicals: {},
+    avalanche: {}, // resortId → danger in its forecast zone — see lib/avalanche.js
+    operatingStatus: {}, // resortId → open/closed and lifts open today — see lib/operatingStatus.js
     summaries: {},
     loadingStates: {},
     settings: readLS(LS_SETTINGS, DEFAULT_SETTINGS),
@@ -60,7 +78,8 @@ function appReducer(state, action) {
       return { ...state, authInitialized: true }
 
     case 'SET_SAVED_SLUGS':
-      return { ...state, savedSlugs: action.payload }
+      // Slugs saved before a rebuild renamed them follow the migration list
+      return { ...state, savedSlugs: migrateSlugs(action.payload, SLUG_REDIRECTS) }
 
     case 'TOGGLE_SAVED_RESORT': {
       const slug = action.payload
@@ -75,8 +94,24 @@ function appReducer(state, action) {
       return {
         ...state,
         forecasts: { ...state.forecasts, [action.payload.resortId]: action.payload.data },
+        forecastFetchedAt: {
+          ...state.forecastFetchedAt,
+          [action.payload.resortId]: action.payload.fetchedAt,
+        },
       }
 
+    case 'SET_HISTORICAL':
+      return {
+        ...state,
+        historicals: { ...state.historicals, [action.payload.resortId]: action.payload.data },
+      }
+
+    case 'SET_AVALANCHE':
+      return { ...state, avalanche: action.payload }
+
+    case 'SET_OPERATING_STATUS':
+      return { ...state, operatingStatus: action.payload }
+
     case 'SET_SUMMARY':
       return {
         ...state,
@@ -163,7 +198,21 @@ export function AppProvider({ children }) {
       
       // Update settings from profile if units specified
       if (data?.units) {
-        dispatch({ type: 'UPDATE_SETTINGS', payload: { units: data.units } })
+        dispatch({
+          type: 'UPDATE_SETTINGS',
+          payload: { units: data.units, unitOverrides: data.unit_overrides ?? {} },
+        })
+      }
+
+      // Alert thresholds follow the account once synced (null until then)
+      if (data?.alert_thresholds) {
+        dispatch({
+          type: 'UPDATE_SETTINGS',
+          payload: {
+            thresholds: data.alert_thresholds,
+            defaultThreshold: data.default_threshold ?? DEFAULT_SETTINGS.defaultThreshold,
+          },
+        })
       }
     } catch (err) {
       console.error('Error loading profile:', err)
@@ -209,6 +258,14 @@ export function AppProvider({ children }) {
     localStorage.setItem(LS_ALERT_LOG, JSON.stringify(state.alertLog))
   }, [state.alertLog])
 
+  // ── Theme — follows OS changes live while darkMode is 'system' ──────────
+  const { darkMode } = state.settings
+  useEffect(() => {
+    applyTheme(resolveTheme(darkMode, systemPrefersDark()))
+    if (darkMode !== 'system') return
+    return watchSystemTheme((prefersDark) => applyTheme(resolveTheme(darkMode, prefersDark)))
+  }, [darkMode])
+
   // ── Save/Unsave Resort with Supabase sync ────────────────────────────────
   const saveResort = useCallback(async (slug) => {
     // Optimistic update
@@ -275,11 +332,39 @@ function useDispatch() {
   return dispatch
 }
 
+/**
+ * Resolved display units ({ snow, temp, wind, elevation }) from
+ * settings.units + settings.unitOverrides — pass to the utils.js formatters.
+ */
+export function useUnits() {
+  const { settings } = useApp()
+  return useMemo(
+    () => resolveUnits(settings.units, settings.unitOverrides),
+    [settings.units, settings.unitOverrides]
+  )
+}
+
 // ── Action dispatcher hooks ─────────────────────────────────────────────────
 
 export function useSetForecast() {
   const dispatch = useDispatch()
-  return (resortId, data) => dispatch({ type: 'SET_FORECAST', payload: { resortId, data } })
+  return (resortId, data, fetchedAt = Date.now()) =>
+    dispatch({ type: 'SET_FORECAST', payload: { resortId, data, fetchedAt } })
+}
+
+export function useSetHistorical() {
+  const dispatch = useDispatch()
+  return (resortId, data) => dispatch({ type: 'SET_HISTORICAL', payload: { resortId, data } })
+}
+
+export function useSetAvalanche() {
+  const dispatch = useDispatch()
+  return (dangers) => dispatch({ type: 'SET_AVALANCHE', payload: dangers })
+}
+
+export function useSetOperatingStatus() {
+  const dispatch = useDispatch()
+  return (statuses) => dispatch({ type: 'SET_OPERATING_STATUS', payload: statuses })
 }
 
 export function useSetSummary() {
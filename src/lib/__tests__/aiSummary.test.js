@@ -8,7 +8,8 @@
  * Test 2: Snowfall cm → inches conversion
  * Test 3: Temperature C → F conversion
  * Test 4: condition label comes from getWeatherInfo
- * Test 5: currentDepth_in derived from correct hour index
+ * Test 5: currentDepth derived from correct hour index
+ * Test 6: metric and mixed units
  */
 
 import { buildForecastPayload } from '../aiSummary.js'
@@ -86,14 +87,16 @@ test('buildForecastPayload returns correct shape with 7 next7Days entries', () =
   // Top-level fields
   expect(payload).toHaveProperty('resortName')
   expect(payload).toHaveProperty('region')
-  expect(payload).toHaveProperty('summitElevation_m')
-  expect(payload).toHaveProperty('currentDepth_in')
+  expect(payload).toHaveProperty('units')
+  expect(payload).toHaveProperty('summitElevation')
+  expect(payload).toHaveProperty('currentDepth')
   expect(payload).toHaveProperty('next7Days')
 
   // Values
   expect(payload.resortName).toBe('Test Mountain')
   expect(payload.region).toBe('Colorado')
-  expect(payload.summitElevation_m).toBe(3500)
+  expect(payload.units).toEqual({ snow: 'in', temp: 'F', wind: 'mph', elevation: 'ft' })
+  expect(payload.summitElevation).toBe(11483)
 
   // next7Days array
   expect(Array.isArray(payload.next7Days)).toBe(true)
@@ -102,11 +105,11 @@ test('buildForecastPayload returns correct shape with 7 next7Days entries', () =
   // Each entry has all 7 required fields
   payload.next7Days.forEach(d => {
     expect(d).toHaveProperty('date')
-    expect(d).toHaveProperty('snowfall_in')
-    expect(d).toHaveProperty('rain_in')
-    expect(d).toHaveProperty('high_f')
-    expect(d).toHaveProperty('low_f')
-    expect(d).toHaveProperty('max_wind_mph')
+    expect(d).toHaveProperty('snowfall')
+    expect(d).toHaveProperty('rain')
+    expect(d).toHaveProperty('high')
+    expect(d).toHaveProperty('low')
+    expect(d).toHaveProperty('max_wind')
     expect(d).toHaveProperty('condition')
   })
 })
@@ -127,7 +130,7 @@ test('snowfall values are correctly converted from cm to inches', () => {
 
   // toInches(15.24) = Math.round(15.24 * 0.3937 * 10) / 10
   //                 = Math.round(59.9998...) / 10 = 60 / 10 = 6
-  expect(payload.next7Days[0].snowfall_in).toBe(6)
+  expect(payload.next7Days[0].snowfall).toBe(6)
 })
 
 // ── Test 3: Temperature C → F ─────────────────────────────────────────────────
@@ -144,8 +147,8 @@ test('temperature is correctly converted from Celsius to Fahrenheit', () => {
 
   const payload = buildForecastPayload(mockResort, forecast)
 
-  // toF(0).toFixed(0) = (0 * 9/5 + 32).toFixed(0) = "32"
-  expect(payload.next7Days[0].high_f).toBe('32')
+  // Math.round(toF(0)) = 0 * 9/5 + 32 = 32
+  expect(payload.next7Days[0].high).toBe(32)
 })
 
 // ── Test 4: Condition label from getWeatherInfo ───────────────────────────────
@@ -165,9 +168,9 @@ test('condition label is derived from getWeatherInfo for the daily weathercode',
   expect(payload.next7Days[0].condition).toBe('Moderate Snow')
 })
 
-// ── Test 5: currentDepth_in from correct hour index ───────────────────────────
+// ── Test 5: currentDepth from correct hour index ──────────────────────────────
 
-test('currentDepth_in is derived from the current hour index (index 5)', () => {
+test('currentDepth is derived from the current hour index (index 5)', () => {
   // By placing the current UTC hour at index 5 in the time array,
   // getCurrentHourIndex returns 5 — equivalent to mocking it to return 5.
   const forecast = {
@@ -180,5 +183,28 @@ test('currentDepth_in is derived from the current hour index (index 5)', () => {
 
   // toInches(360) = Math.round(360 * 0.3937 * 10) / 10
   //               = Math.round(1417.32) / 10 = 1417 / 10 = 141.7
-  expect(payload.currentDepth_in).toBe(141.7)
+  expect(payload.currentDepth).toBe(141.7)
+})
+
+// ── Test 6: metric and mixed units ────────────────────────────────────────────
+
+test('values follow the requested units, including mixed ones', () => {
+  const forecast = {
+    timezone: 'UTC',
+    hourly: makeHourlyBlock(0),
+    daily: makeDailyBlock({
+      snowfall_sum: [15.24, 0, 0, 0, 0, 0, 0],
+      temperature_2m_max: [0, 0, 0, 0, 0, 0, 0],
+    }),
+  }
+
+  const metric = buildForecastPayload(mockResort, forecast, 'metric')
+  expect(metric.summitElevation).toBe(3500)
+  expect(metric.next7Days[0].snowfall).toBe(15.2)
+  expect(metric.next7Days[0].high).toBe(0)
+
+  const mixed = buildForecastPayload(mockResort, forecast, { units: 'imperial', unitOverrides: { snow: 'cm' } })
+  expect(mixed.units).toEqual({ snow: 'cm', temp: 'F', wind: 'mph', elevation: 'ft' })
+  expect(mixed.next7Days[0].snowfall).toBe(15.2)
+  expect(mixed.next7Days[0].high).toBe(32)
 })
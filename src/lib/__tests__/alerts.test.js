@@ -11,10 +11,13 @@
  * Test 6:  buildNotificationPayload returns correct shape
  * Test 7:  per-resort threshold override respected
  * Test 8:  checkPowderAlerts returns merged alertLog
+ * Test 9:  evaluatePowderAlerts is pure and honours `now`
+ * Test 10: low model confidence keeps a day from alerting
  */
 
 import {
   checkPowderAlerts,
+  evaluatePowderAlerts,
   buildNotificationPayload,
 } from '../alerts.js';
 
@@ -178,14 +181,15 @@ test('Test 5: resorts with no loaded forecast are skipped without errors', () =>
 // ── Test 6: buildNotificationPayload returns correct shape ────────────────────
 
 test('Test 6: buildNotificationPayload returns title, body, and icon', () => {
-  const payload = buildNotificationPayload(mockResort, '7.9');
+  const payload = buildNotificationPayload(mockResort, 20);
 
   expect(payload.title).toContain('❄️ Powder Alert');
   expect(payload.title).toContain('Test Mountain');
-  expect(payload.body).toContain('7.9');
-  expect(payload.body).toContain('"'); // inch mark
+  expect(payload.body).toContain('7.9"'); // inches by default
   expect(payload.body).toContain('Colorado');
   expect(payload.icon).toBe('/snow-icon.png');
+
+  expect(buildNotificationPayload(mockResort, 20, 'metric').body).toContain('20 cm');
 });
 
 // ── Test 7: per-resort threshold override respected ───────────────────────────
@@ -249,3 +253,47 @@ test('Test 8: returns a merged alertLog containing existing entries plus new tim
   // Notification was fired exactly once
   expect(notificationInstances).toHaveLength(1);
 });
+
+// ── Test 9: evaluatePowderAlerts (shared with the Service Worker) ─────────────
+
+test('Test 9: evaluatePowderAlerts reports due resorts without notifying, relative to now', () => {
+  delete global.Notification; // pure — must not need the Notification API
+
+  const lastAlerted = 1_000_000;
+  const params = {
+    resorts: [mockResort],
+    forecasts: { [mockResort.id]: makeForecast([0, 18]) },
+    thresholds: {},
+    defaultThreshold: 15.24,
+    alertLog: { [mockResort.id]: lastAlerted },
+  };
+
+  expect(evaluatePowderAlerts({ ...params, now: lastAlerted + ALERT_COOLDOWN_MS })).toEqual([]);
+  expect(evaluatePowderAlerts({ ...params, now: lastAlerted + ALERT_COOLDOWN_MS + 1 })).toEqual([
+    { resort: mockResort, snowfall_cm: 18 },
+  ]);
+  expect(notificationInstances).toHaveLength(0);
+});
+
+// ── Test 10: model confidence (settings.multiModel) ───────────────────────────
+
+test('Test 10: a day only one model believes in does not alert', () => {
+  const forecast = {
+    ...makeForecast([30, 20]),
+    ensemble: {
+      models: ['gfs_seamless', 'ecmwf_ifs025', 'icon_seamless'],
+      days: [
+        { date: '2026-01-15', min: 1, median: 2, max: 30, count: 3, confidence: 0.07 },
+        { date: '2026-01-16', min: 14, median: 18, max: 20, count: 3, confidence: 0.9 },
+      ],
+    },
+  };
+  forecast.daily.time = ['2026-01-15', '2026-01-16'];
+
+  const params = { resorts: [mockResort], thresholds: {}, alertLog: {} };
+  // Day 0's 30 cm is ignored; day 1 still clears the threshold
+  expect(evaluatePowderAlerts({ ...params, forecasts: { [mockResort.id]: forecast }, defaultThreshold: 15.24 }))
+    .toEqual([{ resort: mockResort, snowfall_cm: 20 }]);
+  expect(evaluatePowderAlerts({ ...params, forecasts: { [mockResort.id]: forecast }, defaultThreshold: 25 }))
+    .toEqual([]);
+});
@@ -0,0 +1,146 @@
+/**
+ * src/lib/__tests__/avalanche.test.js
+ *
+ * Unit tests for avalanche danger per resort. The feed is served by the local
+ * fixture server (scripts/avalancheFixtureServer.js) on a random port.
+ *
+ * Test 1: isInZone — polygons, holes and multipolygons
+ * Test 2: parseMapLayer — ratings, off season and dropped features
+ * Test 3: mapResortsToZones — resorts matched to the zone they sit in
+ * Test 4: fetchAvalancheZones — fixture server round trip, HTTP errors
+ * Test 5: evaluateAvalancheAlerts — minimum level, off setting and cooldown
+ * Test 6: alert log keys and payload
+ */
+
+import {
+  AVALANCHE_ALERT_COOLDOWN_MS,
+  buildAvalanchePayload,
+  evaluateAvalancheAlerts,
+  getAvalancheLogKey,
+  parseAlertLogKey,
+} from '../alerts.js';
+import {
+  fetchAvalancheZones,
+  getDangerInfo,
+  isInZone,
+  mapResortsToZones,
+  parseMapLayer,
+} from '../avalanche.js';
+import { createAvalancheFixtureServer } from '../../../scripts/avalancheFixtureServer.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const snowbird = { id: 'snowbird', name: 'Snowbird', lat: 40.5718, lng: -111.6493 };
+const vail     = { id: 'vail',     name: 'Vail',     lat: 39.624,  lng: -106.3655 };
+const palisades = { id: 'palisades', name: 'Palisades Tahoe', lat: 39.1934, lng: -120.2454 };
+const jackson  = { id: 'jackson',  name: 'Jackson Hole', lat: 43.6032, lng: -110.85 };
+const crystal  = { id: 'crystal',  name: 'Crystal Mountain', lat: 46.9349, lng: -121.4903 };
+const whistler = { id: 'whistler', name: 'Whistler Blackcomb', lat: 50.0891, lng: -122.9425 };
+
+const ring = (s, n, w, e) => [[w, s], [e, s], [e, n], [w, n], [w, s]];
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = createAvalancheFixtureServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+// ── Geometry ──────────────────────────────────────────────────────────────────
+
+test('Test 1: points inside a zone, outside it, in a hole and in a second polygon', () => {
+  const withHole = { type: 'Polygon', coordinates: [ring(40, 42, -112, -110), ring(40.5, 41.5, -111.5, -110.5)] };
+  expect(isInZone(40.2, -111.8, withHole)).toBe(true);
+  expect(isInZone(41, -111, withHole)).toBe(false);
+  expect(isInZone(43, -111, withHole)).toBe(false);
+
+  const multi = { type: 'MultiPolygon', coordinates: [[ring(40, 41, -112, -111)], [ring(46, 47, -122, -121)]] };
+  expect(isInZone(46.5, -121.5, multi)).toBe(true);
+  expect(isInZone(43, -115, multi)).toBe(false);
+});
+
+// ── Feed ──────────────────────────────────────────────────────────────────────
+
+test('Test 2: map-layer features become zones with a 1–5 level or no rating', () => {
+  const feature = (id, properties, geometry = { type: 'Polygon', coordinates: [ring(0, 1, 0, 1)] }) =>
+    ({ type: 'Feature', id, properties, geometry });
+  const zones = parseMapLayer({
+    type: 'FeatureCollection',
+    features: [
+      feature(1, { name: 'A', center: 'AC', danger_level: 3, link: 'https://a.test', travel_advice: 'Careful' }),
+      feature(2, { name: 'B', center: 'BC', danger_level: 4, off_season: true }),
+      feature(3, { name: 'C', center: 'CC', danger_level: -1 }),
+      feature(4, { name: 'D' }, null),
+    ],
+  });
+
+  expect(zones.map((z) => z.level)).toEqual([3, null, null]);
+  expect(zones[0]).toMatchObject({ id: '1', name: 'A', center: 'AC', url: 'https://a.test', travelAdvice: 'Careful' });
+  expect(parseMapLayer(null)).toEqual([]);
+
+  expect(getDangerInfo(3)).toMatchObject({ level: 3, label: 'Considerable' });
+  expect(getDangerInfo(null)).toBeNull();
+});
+
+test('Test 3: each resort gets the zone it sits in; resorts outside every zone get none', async () => {
+  const zones = await fetchAvalancheZones(baseUrl);
+  const dangers = mapResortsToZones([snowbird, vail, palisades, jackson, crystal, whistler], zones);
+
+  expect(Object.keys(dangers).sort()).toEqual(['crystal', 'jackson', 'palisades', 'snowbird', 'vail']);
+  expect(dangers.snowbird).toMatchObject({ zone: 'Salt Lake', center: 'Utah Avalanche Center', level: 3 });
+  expect(dangers.palisades.level).toBe(4);
+  expect(dangers.jackson.level).toBeNull(); // off season
+  expect(dangers.crystal.zone).toBe('West Slopes Central'); // second polygon
+  expect(dangers.snowbird).not.toHaveProperty('geometry');
+});
+
+test('Test 4: the fixture server serves the map layer at the real path', async () => {
+  const zones = await fetchAvalancheZones(`${baseUrl}/`);
+  expect(zones).toHaveLength(5);
+
+  const forced = createAvalancheFixtureServer({ level: 5 });
+  await new Promise((resolve) => forced.listen(0, '127.0.0.1', resolve));
+  try {
+    const levels = (await fetchAvalancheZones(`http://127.0.0.1:${forced.address().port}`)).map((z) => z.level);
+    expect(levels).toEqual([5, 5, 5, null, 5]);
+  } finally {
+    await new Promise((resolve) => forced.close(resolve));
+  }
+
+  await expect(fetchAvalancheZones(`${baseUrl}/missing`)).rejects.toThrow('HTTP 404');
+});
+
+// ── Alerts ────────────────────────────────────────────────────────────────────
+
+test('Test 5: resorts at or above the chosen level alert once per cooldown', async () => {
+  const now = 1_700_000_000_000;
+  const resorts = [snowbird, vail, palisades, jackson];
+  const dangers = mapResortsToZones(resorts, await fetchAvalancheZones(baseUrl));
+  const due = (minLevel, alertLog = {}) =>
+    evaluateAvalancheAlerts({ resorts, dangers, minLevel, alertLog, now }).map((d) => d.resort.id);
+
+  expect(due(3)).toEqual(['snowbird', 'palisades']);
+  expect(due(4)).toEqual(['palisades']);
+  expect(due(null)).toEqual([]);
+
+  expect(due(3, { [getAvalancheLogKey('palisades')]: now - 60_000 })).toEqual(['snowbird']);
+  expect(due(3, { [getAvalancheLogKey('palisades')]: now - AVALANCHE_ALERT_COOLDOWN_MS - 1 }))
+    .toEqual(['snowbird', 'palisades']);
+  // A powder alert for the same resort doesn't hold back the avalanche one
+  expect(due(4, { palisades: now })).toEqual(['palisades']);
+});
+
+test('Test 6: avalanche alerts have their own log key and notification text', () => {
+  expect(getAvalancheLogKey('vail')).toBe('avalanche:vail');
+  expect(parseAlertLogKey('avalanche:vail')).toEqual({ kind: 'avalanche', resortId: 'vail' });
+  expect(parseAlertLogKey('vail')).toEqual({ kind: 'powder', resortId: 'vail' });
+
+  const payload = buildAvalanchePayload(vail, { zone: 'Vail & Summit County', center: 'CAIC', level: 4 });
+  expect(payload.title).toBe('🔴 Avalanche danger: Vail');
+  expect(payload.body).toBe('High (4/5) in Vail & Summit County — CAIC');
+  expect(payload.icon).toBe('/snow-icon.png');
+});
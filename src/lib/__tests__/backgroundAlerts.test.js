@@ -0,0 +1,60 @@
+/**
+ * src/lib/__tests__/backgroundAlerts.test.js
+ *
+ * Unit tests for the state shared between the page and the Service Worker.
+ * IndexedDB does not exist under Node, so runBackgroundAlertCheck is only
+ * exercised on its "nothing configured" path; the alert rules themselves are
+ * covered by evaluatePowderAlerts in alerts.test.js.
+ */
+
+import { jest } from '@jest/globals';
+import {
+  buildAlertConfig,
+  mergeAlertLogs,
+  runBackgroundAlertCheck,
+} from '../backgroundAlerts.js';
+
+const resorts = [
+  { id: 'r1', slug: 'alta', name: 'Alta', region: 'Utah', lat: 40.5, lng: -111.6, summitElevation: 3216, tier: 1, country: 'US' },
+  { id: 'r2', slug: 'vail', name: 'Vail', region: 'Colorado', lat: 39.6, lng: -106.3, summitElevation: 3527, baseElevation: 2475, tier: 1, country: 'US' },
+];
+
+describe('buildAlertConfig', () => {
+  test('keeps only saved resorts, trimmed to the fields the worker needs', () => {
+    const config = buildAlertConfig({
+      resorts,
+      savedSlugs: ['vail'],
+      settings: { thresholds: { r2: 20 }, defaultThreshold: 15.24, units: 'imperial', unitOverrides: { snow: 'cm' } },
+    });
+
+    expect(config).toEqual({
+      resorts: [{ id: 'r2', slug: 'vail', name: 'Vail', region: 'Colorado', lat: 39.6, lng: -106.3, summitElevation: 3527, baseElevation: 2475 }],
+      thresholds: { r2: 20 },
+      defaultThreshold: 15.24,
+      units: { snow: 'cm', temp: 'F', wind: 'mph', elevation: 'ft' },
+      multiModel: false,
+    });
+  });
+
+  test('handles no saved resorts', () => {
+    expect(buildAlertConfig({ resorts, savedSlugs: [], settings: {} }).resorts).toEqual([]);
+  });
+});
+
+describe('mergeAlertLogs', () => {
+  test('keeps the latest timestamp per resort', () => {
+    expect(mergeAlertLogs({ r1: 100, r2: 500 }, { r1: 300, r3: 50 }, null)).toEqual({
+      r1: 300,
+      r2: 500,
+      r3: 50,
+    });
+  });
+});
+
+describe('runBackgroundAlertCheck', () => {
+  test('does nothing when no config has been saved', async () => {
+    const notify = jest.fn();
+    await expect(runBackgroundAlertCheck({ notify })).resolves.toEqual({});
+    expect(notify).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * src/lib/__tests__/cache.test.js
+ *
+ * Unit tests for the forecast cache's stale-while-revalidate behaviour.
+ * IndexedDB does not exist under Node, so these exercise the in-memory layer
+ * (idbStore.js resolves every call to an empty result).
+ *
+ * Test 1: miss → fetches and caches
+ * Test 2: fresh hit → no fetch
+ * Test 3: stale hit → returns stale data, revalidates, calls onRevalidate
+ * Test 4: concurrent revalidations share one request
+ * Test 5: hydrateForecastCache resolves to {} without IndexedDB
+ * Test 6: summaries — shared store hit skips generation
+ * Test 7: summaries — generated summary is shared and reused
+ * Test 8: summaries — shared store failures fall back to generation
+ * Test 9: summaries — each units key has its own entry
+ * Test 10: grid chunks — cached for hours, stale chunk served when a refresh fails
+ */
+
+import { jest } from '@jest/globals';
+import {
+  getCachedForecast,
+  getCachedGridChunk,
+  getCachedSummary,
+  getForecastTimestamp,
+  hydrateForecastCache,
+  isForecastStale,
+  revalidateForecast,
+  CACHE_TTL_MS,
+} from '../cache.js';
+
+let now;
+
+beforeEach(() => {
+  now = 1_700_000_000_000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// ── Test 1 ────────────────────────────────────────────────────────────────────
+
+test('Test 1: a miss awaits fetchFn and records the fetch time', async () => {
+  const fetchFn = jest.fn().mockResolvedValue({ v: 1 });
+
+  const data = await getCachedForecast('resort-miss', fetchFn);
+
+  expect(data).toEqual({ v: 1 });
+  expect(fetchFn).toHaveBeenCalledTimes(1);
+  expect(getForecastTimestamp('resort-miss')).toBe(now);
+});
+
+// ── Test 2 ────────────────────────────────────────────────────────────────────
+
+test('Test 2: a fresh hit does not call fetchFn', async () => {
+  await getCachedForecast('resort-fresh', () => Promise.resolve({ v: 1 }));
+  now += CACHE_TTL_MS - 1;
+
+  const fetchFn = jest.fn().mockResolvedValue({ v: 2 });
+  const data = await getCachedForecast('resort-fresh', fetchFn);
+
+  expect(data).toEqual({ v: 1 });
+  expect(fetchFn).not.toHaveBeenCalled();
+});
+
+// ── Test 3 ────────────────────────────────────────────────────────────────────
+
+test('Test 3: a stale hit returns cached data and revalidates in the background', async () => {
+  await getCachedForecast('resort-stale', () => Promise.resolve({ v: 1 }));
+  now += CACHE_TTL_MS + 1;
+  expect(isForecastStale(getForecastTimestamp('resort-stale'))).toBe(true);
+
+  let resolveFetch;
+  const fetchFn = jest.fn(() => new Promise((r) => { resolveFetch = r; }));
+  const onRevalidate = jest.fn();
+
+  const data = await getCachedForecast('resort-stale', fetchFn, onRevalidate);
+
+  // Stale data comes back immediately; the refresh is still in flight
+  expect(data).toEqual({ v: 1 });
+  expect(fetchFn).toHaveBeenCalledTimes(1);
+  expect(onRevalidate).not.toHaveBeenCalled();
+
+  resolveFetch({ v: 2 });
+  await new Promise((r) => setTimeout(r, 0));
+
+  expect(onRevalidate).toHaveBeenCalledWith({ v: 2 }, now);
+  expect(isForecastStale(getForecastTimestamp('resort-stale'))).toBe(false);
+});
+
+// ── Test 4 ────────────────────────────────────────────────────────────────────
+
+test('Test 4: concurrent revalidations for one resort share a request', async () => {
+  const fetchFn = jest.fn().mockResolvedValue({ v: 3 });
+
+  const [a, b] = await Promise.all([
+    revalidateForecast('resort-dedupe', fetchFn),
+    revalidateForecast('resort-dedupe', fetchFn),
+  ]);
+
+  expect(fetchFn).toHaveBeenCalledTimes(1);
+  expect(a).toBe(b);
+});
+
+// ── Test 5 ────────────────────────────────────────────────────────────────────
+
+test('Test 5: hydrateForecastCache resolves to an empty map without IndexedDB', async () => {
+  await expect(hydrateForecastCache()).resolves.toEqual({});
+});
+
+// ── Test 6 ────────────────────────────────────────────────────────────────────
+
+/** In-memory stand-in for sharedSummaryStore (supabase.js). */
+function makeSharedStore(rows = {}) {
+  return {
+    rows,
+    get: jest.fn(async (resortId, date, units) => rows[`${resortId}_${units}_${date}`] ?? null),
+    put: jest.fn(async (resortId, date, text, units) => { rows[`${resortId}_${units}_${date}`] = text; }),
+  };
+}
+
+const today = () => new Date().toISOString().split('T')[0];
+
+test('Test 6: a shared summary from today is reused without generating', async () => {
+  const store = makeSharedStore({ [`resort-shared_imperial_${today()}`]: 'From a friend' });
+  const fetchFn = jest.fn().mockResolvedValue('Fresh');
+
+  await expect(getCachedSummary('resort-shared', fetchFn, store)).resolves.toBe('From a friend');
+  expect(fetchFn).not.toHaveBeenCalled();
+  expect(store.put).not.toHaveBeenCalled();
+});
+
+// ── Test 7 ────────────────────────────────────────────────────────────────────
+
+test('Test 7: a generated summary is shared once and then served from memory', async () => {
+  const store = makeSharedStore();
+  const fetchFn = jest.fn().mockResolvedValue('Fresh');
+
+  await expect(getCachedSummary('resort-gen', fetchFn, store)).resolves.toBe('Fresh');
+  expect(store.put).toHaveBeenCalledWith('resort-gen', today(), 'Fresh', 'imperial');
+
+  await expect(getCachedSummary('resort-gen', fetchFn, store)).resolves.toBe('Fresh');
+  expect(fetchFn).toHaveBeenCalledTimes(1);
+  expect(store.get).toHaveBeenCalledTimes(1);
+});
+
+// ── Test 8 ────────────────────────────────────────────────────────────────────
+
+test('Test 8: shared store errors fall back to generating locally', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const store = {
+    get: jest.fn().mockRejectedValue(new Error('offline')),
+    put: jest.fn().mockRejectedValue(new Error('offline')),
+  };
+
+  await expect(getCachedSummary('resort-offline', () => Promise.resolve('Fresh'), store))
+    .resolves.toBe('Fresh');
+  await new Promise((r) => setTimeout(r, 0));
+  expect(console.warn).toHaveBeenCalled();
+});
+
+// ── Test 9 ────────────────────────────────────────────────────────────────────
+
+test('Test 9: summaries in other units are neither reused nor overwritten', async () => {
+  const store = makeSharedStore({ [`resort-units_imperial_${today()}`]: 'Six inches' });
+  const fetchFn = jest.fn().mockResolvedValue('Fifteen centimetres');
+
+  await expect(getCachedSummary('resort-units', fetchFn, store, 'metric'))
+    .resolves.toBe('Fifteen centimetres');
+  await expect(getCachedSummary('resort-units', fetchFn, store, 'imperial'))
+    .resolves.toBe('Six inches');
+  expect(fetchFn).toHaveBeenCalledTimes(1);
+  expect(store.put).toHaveBeenCalledWith('resort-units', today(), 'Fifteen centimetres', 'metric');
+});
+
+// ── Test 10 ───────────────────────────────────────────────────────────────────
+
+test('Test 10: grid chunks outlive the forecast TTL and survive a failed refresh', async () => {
+  const fetchFn = jest.fn().mockResolvedValue([{ lat: 40, lng: -111 }]);
+  await getCachedGridChunk('chunk-a', fetchFn);
+
+  now += CACHE_TTL_MS * 2;
+  await getCachedGridChunk('chunk-a', fetchFn);
+  expect(fetchFn).toHaveBeenCalledTimes(1);
+
+  now += CACHE_TTL_MS * 2;
+  fetchFn.mockRejectedValueOnce(new Error('HTTP 429 fetching snowfall grid'));
+  await expect(getCachedGridChunk('chunk-a', fetchFn)).resolves.toEqual([{ lat: 40, lng: -111 }]);
+  expect(fetchFn).toHaveBeenCalledTimes(2);
+
+  // Nothing to fall back on
+  await expect(
+    getCachedGridChunk('chunk-b', () => Promise.reject(new Error('offline')))
+  ).rejects.toThrow('offline');
+});
@@ -0,0 +1,102 @@
+/**
+ * src/lib/__tests__/elevationBands.test.js
+ *
+ * Unit tests for base / mid / summit forecasts and the rain/snow line.
+ * Does NOT test the Open-Meteo call itself (fetchForecast).
+ *
+ * Test 1: getBandElevations — mid is the average of base and summit
+ * Test 2: combineBandForecasts — summit stays the root, bands trimmed
+ * Test 3: getBandForecast / hasBands — legacy forecasts without bands
+ * Test 4: getSnowLine — highest line over precipitating hours only
+ * Test 5: hasBaseRainRisk — base band rain, then snow-line fallback
+ */
+
+import {
+  getBandElevations,
+  combineBandForecasts,
+  getBandForecast,
+  hasBands,
+  getSnowLine,
+  hasBaseRainRisk,
+} from '../elevationBands.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const resort = { id: 'r1', name: 'Test', summitElevation: 3000, baseElevation: 2000.4 };
+
+/** Raw single-elevation Open-Meteo response with `hours` hourly values. */
+function makeResponse(elevation, { rain = 0, precipitation = 0, freezing = 2500, hours = 6 } = {}) {
+  const fill = (v) => new Array(hours).fill(v);
+  return {
+    elevation,
+    timezone: 'America/Denver',
+    hourly: {
+      time: Array.from({ length: hours }, (_, i) => `2026-01-15T0${i}:00`),
+      temperature_2m: fill(-2),
+      snowfall: fill(0.5),
+      rain: fill(rain),
+      snow_depth: fill(120),
+      weathercode: fill(73),
+      precipitation: fill(precipitation),
+      freezing_level_height: fill(freezing),
+      windspeed_10m: fill(20),
+    },
+    daily: { time: ['2026-01-15'], snowfall_sum: [3], rain_sum: [rain * hours] },
+  };
+}
+
+// ── getBandElevations ─────────────────────────────────────────────────────────
+
+test('Test 1: bands are base, the midpoint and summit, in whole meters', () => {
+  expect(getBandElevations(resort)).toEqual({ base: 2000, mid: 2500, summit: 3000 });
+  expect(getBandElevations({ summitElevation: 1200 })).toEqual({ base: 1200, mid: 1200, summit: 1200 });
+});
+
+// ── combineBandForecasts ──────────────────────────────────────────────────────
+
+test('Test 2: the summit response stays the forecast; base and mid are trimmed', () => {
+  const forecast = combineBandForecasts([
+    makeResponse(2000, { rain: 0.4 }),
+    makeResponse(2500),
+    makeResponse(3000),
+  ]);
+
+  expect(forecast.elevation).toBe(3000);
+  expect(forecast.hourly.windspeed_10m).toHaveLength(6);
+  expect(forecast.bands.base.elevation).toBe(2000);
+  expect(forecast.bands.base.hourly.rain[0]).toBe(0.4);
+  expect(forecast.bands.base.hourly.windspeed_10m).toBeUndefined();
+  expect(forecast.bands.mid.daily.snowfall_sum).toEqual([3]);
+});
+
+test('Test 3: forecasts cached before bands fall back to summit only', () => {
+  const legacy = makeResponse(3000);
+  expect(hasBands(legacy)).toBe(false);
+  expect(getBandForecast(legacy, 'summit')).toBe(legacy);
+  expect(getBandForecast(legacy, 'base')).toBeNull();
+  expect(getBandForecast(null, 'summit')).toBeNull();
+});
+
+// ── Rain/snow line ────────────────────────────────────────────────────────────
+
+test('Test 4: the snow line is the highest freezing level − 300 m while precipitating', () => {
+  const forecast = makeResponse(3000, { precipitation: 1 });
+  forecast.hourly.freezing_level_height = [2400, 2800, 2600, 3500, 2500, 2500];
+  forecast.hourly.precipitation = [1, 1, 1, 0, 1, 1]; // 3500 m falls in a dry hour
+
+  expect(getSnowLine(forecast, 0)).toBe(2500);
+  expect(getSnowLine(forecast, 2, 2)).toBe(2300);
+  expect(getSnowLine(makeResponse(3000), 0)).toBeNull(); // dry
+  expect(getSnowLine({ hourly: { time: [] } }, 0)).toBeNull(); // no freezing level
+});
+
+test('Test 5: base rain risk uses the base band, else the snow line vs base elevation', () => {
+  const wet = combineBandForecasts([makeResponse(2000, { rain: 0.3 }), makeResponse(2500), makeResponse(3000)]);
+  const dry = combineBandForecasts([makeResponse(2000, { rain: 0.1 }), makeResponse(2500), makeResponse(3000)]);
+  expect(hasBaseRainRisk(wet, resort, 0)).toBe(true); // 1.8 mm
+  expect(hasBaseRainRisk(dry, resort, 0)).toBe(false); // 0.6 mm
+
+  // Legacy: precipitating with the snow line (2700 m) above the 2000 m base
+  expect(hasBaseRainRisk(makeResponse(3000, { precipitation: 1, freezing: 3000 }), resort, 0)).toBe(true);
+  expect(hasBaseRainRisk(makeResponse(3000, { precipitation: 1, freezing: 2100 }), resort, 0)).toBe(false);
+});
@@ -0,0 +1,260 @@
+/**
+ * src/lib/__tests__/emailDigest.test.js
+ *
+ * Tests for the email digest (api/_lib/digest.js) and mail transports
+ * (api/_lib/mail.js). Supabase is replaced by an in-memory store; mail goes
+ * to a local SMTP sink or a temp directory — no network.
+ *
+ * Test 1: buildDigest — powder list, best day, cached summary, weekend outlook
+ * Test 2: buildDigest — metric units
+ * Test 3: renderDigest — subject, text, escaped HTML
+ * Test 4: isDigestDue — daily gap, weekly on Thursdays
+ * Test 5: runEmailDigests — sends over SMTP and stamps the profile
+ * Test 6: runEmailDigests — daily digest skipped when nothing hits threshold
+ * Test 7: file transport writes an .eml file
+ */
+
+import net from 'node:net'
+import os from 'node:os'
+import path from 'node:path'
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises'
+import { jest } from '@jest/globals'
+import {
+  buildDigest,
+  renderDigest,
+  isDigestDue,
+  runEmailDigests,
+} from '../../../api/_lib/digest.js'
+import { createMailTransport } from '../../../api/_lib/mail.js'
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+// Thursday 15 Jan 2026, 14:00 UTC — the weekly digest day
+const NOW = Date.parse('2026-01-15T14:00:00Z')
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const alta = { id: 'r-alta', slug: 'alta', name: 'Alta', region: 'Utah' }
+const vail = { id: 'r-vail', slug: 'vail', name: 'Vail', region: 'Colorado' }
+
+/** 7-day forecast starting Thu 15 Jan with the given daily snowfall (cm). */
+function makeForecast(snowfall_sum) {
+  return {
+    daily: {
+      time: ['2026-01-15', '2026-01-16', '2026-01-17', '2026-01-18', '2026-01-19', '2026-01-20', '2026-01-21'],
+      snowfall_sum,
+      rain_sum: new Array(7).fill(0),
+      windspeed_10m_max: new Array(7).fill(20),
+      temperature_2m_max: new Array(7).fill(-5),
+    },
+  }
+}
+
+// Alta: 20 cm today (powder), 10 + 5 cm at the weekend. Vail: 30 cm Saturday.
+const forecasts = {
+  'r-alta': makeForecast([20, 0, 10, 5, 0, 0, 0]),
+  'r-vail': makeForecast([5, 0, 30, 0, 0, 0, 0]),
+}
+
+// ── buildDigest / renderDigest ────────────────────────────────────────────────
+
+test('Test 1: lists resorts over threshold with best day, summary and the weekend outlook', () => {
+  const digest = buildDigest({
+    resorts: [alta, vail],
+    forecasts,
+    summaries: { 'r-alta': 'Deep turns all morning.' },
+    now: NOW,
+  })
+
+  expect(digest.powder).toEqual([
+    {
+      resort: alta,
+      snowfall: '7.9"',
+      bestDay: 'Thu, Jan 15 (7.9")',
+      summary: 'Deep turns all morning.',
+    },
+  ])
+  // Weekend: biggest total first
+  expect(digest.weekend).toEqual([
+    { resort: vail, days: [{ label: 'Sat, Jan 17', snowfall: '11.8"' }, { label: 'Sun, Jan 18', snowfall: '0"' }], total: '11.8"' },
+    { resort: alta, days: [{ label: 'Sat, Jan 17', snowfall: '3.9"' }, { label: 'Sun, Jan 18', snowfall: '2"' }], total: '5.9"' },
+  ])
+})
+
+test('Test 2: honours per-resort thresholds and metric units', () => {
+  const digest = buildDigest({
+    resorts: [alta],
+    forecasts,
+    thresholds: { 'r-alta': 25 },
+    units: 'metric',
+    now: NOW,
+  })
+
+  expect(digest.powder).toEqual([])
+  expect(digest.weekend[0].total).toBe('15 cm')
+})
+
+test('Test 3: renders a subject, plain text and escaped HTML', () => {
+  const digest = buildDigest({
+    resorts: [alta],
+    forecasts,
+    summaries: { 'r-alta': 'Cold <and> deep & dry.' },
+    now: NOW,
+  })
+
+  const { subject, html, text } = renderDigest(digest, { frequency: 'daily', appUrl: 'https://snow.test' })
+
+  expect(subject).toBe('❄️ Powder at 1 of your resorts')
+  expect(text).toContain('Alta (Utah) — 7.9"')
+  expect(text).toContain('Best day: Thu, Jan 15 (7.9")')
+  expect(text).toContain('https://snow.test/resort/alta')
+  expect(html).toContain('Cold &lt;and&gt; deep &amp; dry.')
+  expect(html).not.toContain('<and>')
+})
+
+test('Test 4: daily digests need a ~day gap; weekly ones go out on Thursdays', () => {
+  const daily = (lastMsAgo) => ({
+    digest_frequency: 'daily',
+    digest_last_sent_at: lastMsAgo === null ? null : new Date(NOW - lastMsAgo).toISOString(),
+  })
+  expect(isDigestDue(daily(null), NOW)).toBe(true)
+  expect(isDigestDue(daily(DAY_MS - 60_000), NOW)).toBe(true)
+  expect(isDigestDue(daily(2 * 60 * 60 * 1000), NOW)).toBe(false)
+
+  const weekly = { digest_frequency: 'weekly', digest_last_sent_at: new Date(NOW - 7 * DAY_MS).toISOString() }
+  expect(isDigestDue(weekly, NOW)).toBe(true)
+  expect(isDigestDue(weekly, NOW + DAY_MS)).toBe(false) // Friday
+  expect(isDigestDue({ digest_frequency: 'off', digest_last_sent_at: null }, NOW)).toBe(false)
+})
+
+// ── runEmailDigests over a local SMTP sink ────────────────────────────────────
+
+/** Minimal SMTP server that accepts everything and keeps each DATA block. */
+function startSmtpSink() {
+  const messages = []
+  const server = net.createServer((socket) => {
+    let buffer = ''
+    let inData = false
+    socket.write('220 sink ESMTP\r\n')
+    socket.on('data', (chunk) => {
+      buffer += chunk
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n')
+          if (end === -1) return
+          messages.push(buffer.slice(0, end))
+          buffer = buffer.slice(end + 5)
+          inData = false
+          socket.write('250 OK queued\r\n')
+          continue
+        }
+        const eol = buffer.indexOf('\r\n')
+        if (eol === -1) return
+        const command = buffer.slice(0, 4).toUpperCase()
+        buffer = buffer.slice(eol + 2)
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 sink\r\n')
+        else if (command === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n') }
+        else if (command === 'QUIT') { socket.end('221 Bye\r\n'); return }
+        else socket.write('250 OK\r\n')
+      }
+    })
+  })
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }))
+  })
+}
+
+/** In-memory stand-in for createDigestStore(). */
+function makeStore(subscribers, saved) {
+  const store = {
+    sent: [],
+    listDigestSubscribers: async () => subscribers,
+    listSavedResorts: async () => saved,
+    listSummaries: async () => [
+      { resort_id: 'r-alta', units: 'imperial', text: 'Deep turns all morning.' },
+      { resort_id: 'r-alta', units: 'metric', text: 'Fifty centimetres of fresh.' },
+    ],
+    getUserEmail: async (id) => `${id}@example.com`,
+    markDigestSent: async (id, at) => { store.sent.push({ id, at }) },
+  }
+  return store
+}
+
+const fetchForecast = jest.fn(async (resort) => forecasts[resort.id])
+
+describe('runEmailDigests', () => {
+  let sink
+
+  beforeAll(async () => { sink = await startSmtpSink() })
+  afterAll(() => new Promise((resolve) => sink.server.close(resolve)))
+  beforeEach(() => { sink.messages.length = 0 })
+
+  const transport = () => createMailTransport({ kind: 'smtp', smtpUrl: `smtp://127.0.0.1:${sink.port}` })
+
+  test('Test 5: sends each due subscriber a digest and stamps their profile', async () => {
+    const store = makeStore(
+      [{ id: 'u1', digest_frequency: 'daily', digest_last_sent_at: null, units: 'imperial' }],
+      [{ user_id: 'u1', resort_slug: 'alta' }]
+    )
+
+    const result = await runEmailDigests({
+      store,
+      resorts: [alta, vail],
+      fetchForecast,
+      transport: transport(),
+      appUrl: 'https://snow.test',
+      now: NOW,
+    })
+
+    expect(result).toEqual({ due: 1, sent: 1, skipped: 0, failed: 0 })
+    expect(sink.messages).toHaveLength(1)
+    expect(sink.messages[0]).toMatch(/^To: u1@example\.com/m)
+    expect(sink.messages[0]).toContain('Deep turns all morning.')
+    expect(sink.messages[0]).not.toContain('Fifty centimetres') // metric summary
+    expect(store.sent).toEqual([{ id: 'u1', at: new Date(NOW).toISOString() }])
+  })
+
+  test('Test 6: skips a daily digest with no powder but still sends weekly ones', async () => {
+    const store = makeStore(
+      [
+        { id: 'u-daily', digest_frequency: 'daily', digest_last_sent_at: null },
+        { id: 'u-weekly', digest_frequency: 'weekly', digest_last_sent_at: null },
+      ],
+      [
+        { user_id: 'u-daily', resort_slug: 'vail' },
+        { user_id: 'u-weekly', resort_slug: 'vail' },
+      ]
+    )
+
+    const result = await runEmailDigests({
+      store,
+      resorts: [alta, vail],
+      fetchForecast,
+      transport: transport(),
+      appUrl: 'https://snow.test',
+      now: NOW,
+    })
+
+    expect(result).toEqual({ due: 2, sent: 1, skipped: 1, failed: 0 })
+    expect(sink.messages).toHaveLength(1)
+    expect(sink.messages[0]).toMatch(/^To: u-weekly@example\.com/m)
+  })
+})
+
+// ── File transport ────────────────────────────────────────────────────────────
+
+test('Test 7: the file transport writes each message as an .eml file', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'snowdesk-mail-'))
+  try {
+    const transport = createMailTransport({ kind: 'file', fileDir: dir })
+    await transport.send({ to: 'u1@example.com', subject: 'Hello', text: 'Powder!', html: '<p>Powder!</p>' })
+
+    const files = await readdir(dir)
+    expect(files).toHaveLength(1)
+    expect(files[0]).toMatch(/u1@example\.com\.eml$/)
+    const eml = await readFile(path.join(dir, files[0]), 'utf8')
+    expect(eml).toMatch(/^Subject: Hello/m)
+    expect(eml).toContain('Powder!')
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,117 @@
+/**
+ * src/lib/__tests__/ensemble.test.js
+ *
+ * Unit tests for the multi-model snowfall spread.
+ * Does NOT test the Open-Meteo call itself (fetchModelSpread).
+ *
+ * Test 1: summarizeModelSpread — min / median / max / confidence per day
+ * Test 2: summarizeModelSpread — models out of range and too few models
+ * Test 3: getConfidence / getConfidenceLevel — sure storm vs one-model fantasy
+ * Test 4: getConfidenceByDay — aligned with forecast.daily.time
+ * Test 5: getOutlookConfidence — extended-outlook days capped
+ */
+
+import {
+  summarizeModelSpread,
+  getConfidence,
+  getConfidenceLevel,
+  getConfidenceByDay,
+  getOutlookConfidence,
+  EXTENDED_DAY_CONFIDENCE,
+} from '../ensemble.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const TIME = ['2026-01-15', '2026-01-16', '2026-01-17'];
+
+/** Multi-model response: one snowfall_sum_<model> series per entry. */
+function makeResponse(seriesByModel) {
+  const daily = { time: TIME };
+  for (const [model, values] of Object.entries(seriesByModel)) {
+    daily[`snowfall_sum_${model}`] = values;
+  }
+  return { daily };
+}
+
+// ── summarizeModelSpread ──────────────────────────────────────────────────────
+
+test('Test 1: per-day spread across models', () => {
+  const ensemble = summarizeModelSpread(makeResponse({
+    gfs_seamless:  [20, 30, 0],
+    ecmwf_ifs025:  [24, 1, 0],
+    gem_seamless:  [18, 2, 0],
+    icon_seamless: [22, 0, 0.2],
+  }));
+
+  expect(ensemble.models).toEqual(['gfs_seamless', 'ecmwf_ifs025', 'gem_seamless', 'icon_seamless']);
+  // Sure storm: everyone says ~20 cm
+  expect(ensemble.days[0]).toEqual({ date: '2026-01-15', min: 18, median: 21, max: 24, count: 4, confidence: 0.88 });
+  // Fantasy: GFS alone dumps 30 cm
+  expect(ensemble.days[1]).toMatchObject({ min: 0, median: 1.5, max: 30, confidence: 0.05 });
+  // Dry
+  expect(ensemble.days[2].confidence).toBe(1);
+});
+
+test('Test 2: drops models with no data and needs at least two', () => {
+  const ensemble = summarizeModelSpread(makeResponse({
+    gfs_seamless: [10, 10, 10],
+    ecmwf_ifs025: [12, 8, 9],
+    gfs_hrrr:     [11, null, null], // only ~2 days of range
+    gem_seamless: [null, null, null], // not returned
+  }));
+
+  expect(ensemble.models).toEqual(['gfs_seamless', 'ecmwf_ifs025', 'gfs_hrrr']);
+  expect(ensemble.days[0].count).toBe(3);
+  expect(ensemble.days[1]).toMatchObject({ count: 2, min: 8, max: 10, median: 9 });
+
+  expect(summarizeModelSpread(makeResponse({ gfs_seamless: [1, 2, 3] }))).toBeNull();
+  expect(summarizeModelSpread(null)).toBeNull();
+});
+
+// ── Confidence ────────────────────────────────────────────────────────────────
+
+test('Test 3: confidence is median ÷ max, dry days are certain', () => {
+  expect(getConfidence(20, 25)).toBe(0.8);
+  expect(getConfidence(1, 30)).toBe(0.03);
+  expect(getConfidence(0, 0.2)).toBe(1);
+
+  expect(getConfidenceLevel(0.8)).toBe('high');
+  expect(getConfidenceLevel(0.4)).toBe('medium');
+  expect(getConfidenceLevel(0.1)).toBe('low');
+  expect(getConfidenceLevel(null)).toBeNull();
+});
+
+test('Test 4: getConfidenceByDay lines up with the forecast days', () => {
+  const forecast = {
+    daily: { time: ['2026-01-14', ...TIME] },
+    ensemble: {
+      models: ['gfs_seamless', 'ecmwf_ifs025'],
+      days: [
+        { date: '2026-01-15', confidence: 0.9 },
+        { date: '2026-01-16', confidence: 0.1 },
+      ],
+    },
+  };
+
+  expect(getConfidenceByDay(forecast)).toEqual([null, 0.9, 0.1, null]);
+  expect(getConfidenceByDay({ daily: { time: TIME } })).toBeNull();
+});
+
+test('Test 5: days past the first week count at most EXTENDED_DAY_CONFIDENCE', () => {
+  const time = Array.from({ length: 16 }, (_, i) => `2026-01-${String(15 + i).padStart(2, '0')}`);
+  const forecast = {
+    daily: { time },
+    ensemble: { models: ['gfs_seamless', 'ecmwf_ifs025'], days: [{ date: time[0], confidence: 0.9 }] },
+  };
+
+  const confidence = getOutlookConfidence(forecast, 16);
+  expect(confidence).toHaveLength(16);
+  expect(confidence[0]).toBe(0.9);
+  expect(confidence[6]).toBeNull();
+  expect(confidence.slice(7)).toEqual(new Array(9).fill(EXTENDED_DAY_CONFIDENCE));
+
+  // A week: unchanged, including "no ensemble" as null
+  expect(getOutlookConfidence(forecast, 7)).toEqual(getConfidenceByDay(forecast));
+  expect(getOutlookConfidence({ daily: { time } }, 7)).toBeNull();
+  expect(getOutlookConfidence({ daily: { time } }, 16)[15]).toBe(EXTENDED_DAY_CONFIDENCE);
+});
@@ -0,0 +1,30 @@
+/**
+ * src/lib/__tests__/geography.test.js
+ *
+ * Unit tests for the Dashboard "near me" helpers in utils.js.
+ * Distance itself (distanceKm / formatDistance) is covered in tripPlanner.test.js.
+ *
+ * Test 1: parseLatLng — comma or space separated, range-checked
+ * Test 2: estimateDriveHours — road factor and speed, nearest half hour
+ */
+
+import { parseLatLng, estimateDriveHours } from '../utils.js';
+
+test('Test 1: typed coordinates parse to a point, anything else to null', () => {
+  expect(parseLatLng('39.74, -104.99')).toEqual({ lat: 39.74, lng: -104.99 });
+  expect(parseLatLng(' 46.5 8.2 ')).toEqual({ lat: 46.5, lng: 8.2 });
+  expect(parseLatLng('-33.35,-70.25')).toEqual({ lat: -33.35, lng: -70.25 });
+
+  expect(parseLatLng('39.74')).toBeNull();
+  expect(parseLatLng('Denver, CO')).toBeNull();
+  expect(parseLatLng('95, 10')).toBeNull(); // latitude out of range
+  expect(parseLatLng('45, 190')).toBeNull(); // longitude out of range
+  expect(parseLatLng('')).toBeNull();
+  expect(parseLatLng(undefined)).toBeNull();
+});
+
+test('Test 2: drive time stretches the straight line and rounds to half hours', () => {
+  expect(estimateDriveHours(0)).toBe(0);
+  expect(estimateDriveHours(80)).toBe(1.5); // 104 km of road → 1.3 h
+  expect(estimateDriveHours(573)).toBe(9.5); // Denver → Snowbird-ish
+});
@@ -0,0 +1,110 @@
+/**
+ * src/lib/__tests__/history.test.js
+ *
+ * Unit tests for the 10-day archive helpers (fetchHistorical() consumers).
+ * Does NOT test the API call itself.
+ */
+
+import {
+  buildHistoryArray,
+  getArchiveLagDays,
+  getLastReportedDate,
+  getPastSnowfall,
+  getDaysSinceSnowfall,
+} from '../history.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+/** Builds a minimal archive response with the given daily snowfall values. */
+function makeHistorical(snowfall_sum) {
+  return {
+    timezone: 'UTC',
+    daily: {
+      time: snowfall_sum.map((_, i) => `2026-02-${String(17 + i).padStart(2, '0')}`),
+      snowfall_sum,
+      temperature_2m_max: snowfall_sum.map(() => -2),
+      temperature_2m_min: snowfall_sum.map(() => -10),
+    },
+  };
+}
+
+// Ten fixture days run 2026-02-17 … 2026-02-26, so "today" is the 27th
+const NOW = Date.parse('2026-02-27T12:00:00Z');
+
+// ── buildHistoryArray ─────────────────────────────────────────────────────────
+
+describe('buildHistoryArray', () => {
+  test('returns one entry per archive day, oldest first', () => {
+    const days = buildHistoryArray(makeHistorical([1, 2, 3]));
+    expect(days).toHaveLength(3);
+    expect(days[0]).toEqual({
+      time: '2026-02-17',
+      snowfall_sum: 1,
+      temperature_2m_max: -2,
+      temperature_2m_min: -10,
+    });
+    expect(days[2].time).toBe('2026-02-19');
+  });
+
+  test('returns an empty array for missing or malformed input', () => {
+    expect(buildHistoryArray(null)).toEqual([]);
+    expect(buildHistoryArray({})).toEqual([]);
+  });
+});
+
+// ── getPastSnowfall ───────────────────────────────────────────────────────────
+
+describe('getPastSnowfall', () => {
+  test('sums the last 3 days by default (past 72h)', () => {
+    const historical = makeHistorical([50, 0, 0, 0, 0, 0, 0, 4, 6, 2.5]);
+    expect(getPastSnowfall(historical)).toBe(12.5);
+  });
+
+  test('ends the window at the last reported day while the archive lags', () => {
+    const historical = makeHistorical([0, 0, 0, 0, 0, 2, 3, 5, null, null]);
+    // Feb 22–24, not just the one reported day in the last three
+    expect(getPastSnowfall(historical)).toBe(10);
+    expect(getLastReportedDate(historical)).toBe('2026-02-24');
+    expect(getArchiveLagDays(historical, NOW)).toBe(3);
+  });
+
+  test('skips interior null days inside the window', () => {
+    const historical = makeHistorical([0, 0, 0, 0, 0, 0, 4, null, 6, 2.5]);
+    expect(getPastSnowfall(historical)).toBe(8.5);
+    expect(getArchiveLagDays(historical, NOW)).toBe(1);
+  });
+
+  test('returns null when no day has data', () => {
+    const historical = makeHistorical([null, null, null]);
+    expect(getPastSnowfall(historical)).toBeNull();
+    expect(getLastReportedDate(historical)).toBeNull();
+    expect(getArchiveLagDays(historical, NOW)).toBeNull();
+    expect(getPastSnowfall(null)).toBeNull();
+  });
+});
+
+// ── getDaysSinceSnowfall ──────────────────────────────────────────────────────
+
+describe('getDaysSinceSnowfall', () => {
+  // Three fixture days end on Feb 19
+  const FEB_20 = Date.parse('2026-02-20T12:00:00Z');
+
+  test('returns 1 when it snowed yesterday', () => {
+    expect(getDaysSinceSnowfall(makeHistorical([0, 0, 3]), 1, FEB_20)).toBe(1);
+  });
+
+  test('counts back to the most recent day at or above the minimum', () => {
+    // 0.5 cm on the last day is below the default 1 cm minimum
+    expect(getDaysSinceSnowfall(makeHistorical([4, 0, 0, 0.5]), 1, Date.parse('2026-02-21T12:00:00Z'))).toBe(4);
+  });
+
+  test('counts from today, not from the end of a lagging archive', () => {
+    // Snow on Feb 19, archive null after that, viewed on the 27th
+    const historical = makeHistorical([0, 0, 3, null, null, null, null, null, null, null]);
+    expect(getDaysSinceSnowfall(historical, 1, NOW)).toBe(8);
+  });
+
+  test('returns null when nothing in the window qualifies', () => {
+    expect(getDaysSinceSnowfall(makeHistorical([0, 0.2, null]), 1, FEB_20)).toBeNull();
+  });
+});
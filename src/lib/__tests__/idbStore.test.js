@@ -0,0 +1,101 @@
+/**
+ * src/lib/__tests__/idbStore.test.js
+ *
+ * Unit tests for the IndexedDB connection lifecycle in idbStore.js, against a
+ * small hand-rolled indexedDB stand-in (Node has none).
+ *
+ * Test 1: without IndexedDB every call resolves empty
+ * Test 2: a newer version opened elsewhere closes the connection; the next call reopens
+ * Test 3: a blocked upgrade rejects, and the late connection is closed
+ */
+
+import { jest } from '@jest/globals';
+import { idbGet, isIdbAvailable } from '../idbStore.js';
+
+// ── Fake IndexedDB ────────────────────────────────────────────────────────────
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/** A database holding one value under every store / key. */
+function fakeDb(value) {
+  return {
+    objectStoreNames: { contains: () => true },
+    close: jest.fn(),
+    transaction: () => ({
+      objectStore: () => ({
+        get: () => {
+          const request = { result: value };
+          setTimeout(() => request.onsuccess());
+          return request;
+        },
+      }),
+    }),
+  };
+}
+
+/** indexedDB.open that plays `events` ('success' | 'blocked') on each request. */
+function fakeIndexedDb(dbs, events) {
+  return {
+    open: jest.fn(() => {
+      const request = {};
+      const db = dbs.shift();
+      const script = events.shift() ?? ['success'];
+      (async () => {
+        for (const event of script) {
+          await tick();
+          if (event === 'success') request.result = db;
+          request[`on${event}`]?.();
+        }
+      })();
+      return request;
+    }),
+  };
+}
+
+afterEach(() => {
+  delete globalThis.indexedDB;
+});
+
+// ── Tests ─────────────────────────────────────────────────────────────────────
+
+test('Test 1: calls resolve empty when IndexedDB is missing', async () => {
+  expect(isIdbAvailable()).toBe(false);
+  expect(await idbGet('forecasts', 'x')).toBeUndefined();
+});
+
+test('Test 2: versionchange closes the shared connection and the next call reopens', async () => {
+  const first = fakeDb('v1');
+  const second = fakeDb('v2');
+  globalThis.indexedDB = fakeIndexedDb([first, second], []);
+
+  expect(await idbGet('forecasts', 'x')).toBe('v1');
+  expect(await idbGet('forecasts', 'x')).toBe('v1');
+  expect(globalThis.indexedDB.open).toHaveBeenCalledTimes(1);
+
+  // Another tab or the Service Worker opens a newer version
+  first.onversionchange();
+  expect(first.close).toHaveBeenCalled();
+
+  expect(await idbGet('forecasts', 'x')).toBe('v2');
+  expect(globalThis.indexedDB.open).toHaveBeenCalledTimes(2);
+
+  // Leave no shared connection behind for the next test
+  second.onversionchange();
+});
+
+test('Test 3: a blocked upgrade rejects instead of hanging', async () => {
+  const late = fakeDb('late');
+  const next = fakeDb('next');
+  globalThis.indexedDB = fakeIndexedDb([late, next], [['blocked', 'success']]);
+
+  await expect(idbGet('forecasts', 'x')).rejects.toThrow('blocked by another open SnowDesk tab');
+
+  // The other connection closes, the upgrade goes through — nobody is waiting
+  await tick();
+  await tick();
+  expect(late.close).toHaveBeenCalled();
+
+  // The failure isn't memoized
+  expect(await idbGet('forecasts', 'x')).toBe('next');
+  next.onversionchange();
+});
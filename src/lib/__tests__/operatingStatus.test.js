@@ -0,0 +1,174 @@
+/**
+ * src/lib/__tests__/operatingStatus.test.js
+ *
+ * Unit tests for lift/run stats and operating status. The status feed is a
+ * local HTTP stub on a random port.
+ *
+ * Test 1: extractResortStats — counts, difficulty buckets, unknown values
+ * Test 2: getRunLengthShares — easiest first, empty buckets dropped
+ * Test 3: normalizeStatusFeed — matches by id or slug, drops the rest
+ * Test 4: feed provider — stub server round trip, HTTP errors
+ * Test 5: loadOperatingStatus — static provider, errors resolve to null
+ * Test 6: isOpenToday and formatStatus
+ */
+
+import http from 'http';
+import { jest } from '@jest/globals';
+import {
+  STATUS_MAX_AGE_MS,
+  NO_STATUS_PROVIDER,
+  createFeedStatusProvider,
+  createStaticStatusProvider,
+  formatStatus,
+  getStatusProvider,
+  isOpenToday,
+  normalizeStatusFeed,
+} from '../operatingStatus.js';
+import { extractResortStats, getRunLengthShares, getTotalRunLengthKm } from '../resortStats.js';
+import { loadOperatingStatus } from '../dataLoader.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const resorts = [
+  { id: 'osm-1', slug: 'vail',     name: 'Vail' },
+  { id: 'osm-2', slug: 'snowbird', name: 'Snowbird' },
+  { id: 'osm-3', slug: 'alta',     name: 'Alta' },
+];
+
+const FEED = {
+  updatedAt: '2026-01-15T07:30:00Z',
+  resorts: [
+    { slug: 'vail', open: true, liftsOpen: 21, liftsTotal: 31, runsOpen: 190 },
+    { id: 'osm-2', open: false, updatedAt: '2026-01-15T06:00:00Z' },
+    { slug: 'nowhere', open: true },
+    { slug: 'alta' }, // no open flag
+  ],
+};
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/status.json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(FEED));
+      return;
+    }
+    res.statusCode = 503;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+// ── Resort stats ──────────────────────────────────────────────────────────────
+
+test('Test 1: lifts, runs and run length come out of OpenSkiMap statistics', () => {
+  const stats = extractResortStats({
+    statistics: {
+      runs: {
+        byActivity: {
+          downhill: {
+            byDifficulty: {
+              novice:       { count: 4,  lengthInKm: 2.05 },
+              easy:         { count: 10, lengthInKm: 8 },
+              intermediate: { count: 20, lengthInKm: 25.3 },
+              freeride:     { count: 3,  lengthInKm: 1.5, litLengthInKm: 0 },
+              other:        { count: 2,  lengthInKm: 0.4 },
+            },
+          },
+        },
+      },
+      lifts: { byType: { chair_lift: { count: 9 }, gondola: { count: 1 }, 't-bar': { count: 2 } } },
+    },
+  });
+
+  expect(stats).toEqual({
+    lifts: 12,
+    runs: 39,
+    runLengthKm: { easy: 10.1, intermediate: 25.3, expert: 1.5, other: 0.4 },
+    nightSkiing: false,
+  });
+
+  expect(extractResortStats({ statistics: { runs: { byActivity: { downhill: { litLengthInKm: 3.2 } } } } }).nightSkiing)
+    .toBe(true);
+  expect(extractResortStats({ statistics: {} }))
+    .toEqual({ lifts: null, runs: null, runLengthKm: null, nightSkiing: null });
+  expect(extractResortStats(undefined).lifts).toBeNull();
+});
+
+test('Test 2: run length shares run easiest first and skip empty buckets', () => {
+  const resort = { runLengthKm: { expert: 5, easy: 10, intermediate: 0, other: 5 } };
+  expect(getTotalRunLengthKm(resort)).toBe(20);
+  expect(getRunLengthShares(resort)).toEqual([
+    { difficulty: 'easy',   km: 10, share: 0.5 },
+    { difficulty: 'expert', km: 5,  share: 0.25 },
+    { difficulty: 'other',  km: 5,  share: 0.25 },
+  ]);
+  expect(getRunLengthShares({})).toEqual([]);
+  expect(getTotalRunLengthKm({ runLengthKm: null })).toBeNull();
+});
+
+// ── Status feed ───────────────────────────────────────────────────────────────
+
+test('Test 3: feed entries match resorts by id or slug; unknown or malformed ones are dropped', () => {
+  const statuses = normalizeStatusFeed(FEED, resorts);
+
+  expect(Object.keys(statuses).sort()).toEqual(['osm-1', 'osm-2']);
+  expect(statuses['osm-1']).toEqual({
+    open: true, liftsOpen: 21, liftsTotal: 31, runsOpen: 190, updatedAt: '2026-01-15T07:30:00Z',
+  });
+  expect(statuses['osm-2']).toEqual({
+    open: false, liftsOpen: null, liftsTotal: null, runsOpen: null, updatedAt: '2026-01-15T06:00:00Z',
+  });
+  expect(normalizeStatusFeed(null, resorts)).toEqual({});
+});
+
+test('Test 4: the feed provider fetches and normalizes, and surfaces HTTP errors', async () => {
+  const provider = createFeedStatusProvider(`${baseUrl}/status.json`);
+  expect(provider.name).toBe(`feed:${baseUrl}/status.json`);
+  expect(Object.keys(await provider.fetchStatuses(resorts)).sort()).toEqual(['osm-1', 'osm-2']);
+
+  await expect(createFeedStatusProvider(`${baseUrl}/down`).fetchStatuses(resorts)).rejects.toThrow('HTTP 503');
+
+  expect(getStatusProvider(undefined)).toBe(NO_STATUS_PROVIDER);
+  expect(getStatusProvider(`${baseUrl}/status.json`).name).toBe(provider.name);
+});
+
+test('Test 5: loadOperatingStatus hands the provider result to the setter and never throws', async () => {
+  const setter = jest.fn();
+  const statuses = { 'osm-3': { open: true, liftsOpen: 7, liftsTotal: 7, runsOpen: null, updatedAt: null } };
+
+  await expect(loadOperatingStatus(resorts, setter, createStaticStatusProvider(statuses))).resolves.toEqual(statuses);
+  expect(setter).toHaveBeenCalledWith(statuses);
+
+  const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  try {
+    const failing = createFeedStatusProvider(`${baseUrl}/down`);
+    await expect(loadOperatingStatus(resorts, setter, failing)).resolves.toBeNull();
+    expect(setter).toHaveBeenCalledTimes(1);
+  } finally {
+    errorSpy.mockRestore();
+  }
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+test('Test 6: open today needs a fresh open report; labels show lifts when known', () => {
+  const now = Date.parse('2026-01-15T12:00:00Z');
+  const open = { open: true, liftsOpen: 21, liftsTotal: 31, runsOpen: null, updatedAt: '2026-01-15T07:30:00Z' };
+
+  expect(isOpenToday(open, now)).toBe(true);
+  expect(isOpenToday(open, Date.parse(open.updatedAt) + STATUS_MAX_AGE_MS)).toBe(false);
+  expect(isOpenToday({ ...open, updatedAt: null }, now)).toBe(true);
+  expect(isOpenToday({ ...open, open: false }, now)).toBe(false);
+  expect(isOpenToday(undefined, now)).toBe(false);
+
+  expect(formatStatus(open)).toBe('Open · 21/31 lifts');
+  expect(formatStatus({ ...open, liftsTotal: null })).toBe('Open · 21 lifts');
+  expect(formatStatus({ ...open, liftsOpen: null })).toBe('Open');
+  expect(formatStatus({ ...open, open: false })).toBe('Closed');
+});
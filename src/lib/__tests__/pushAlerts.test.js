@@ -0,0 +1,189 @@
+/**
+ * src/lib/__tests__/pushAlerts.test.js
+ *
+ * Tests for the server-side Web Push alert job (api/_lib/pushAlerts.js).
+ * Supabase is replaced by an in-memory store and the push service by a local
+ * HTTP stub, so real VAPID signing and payload encryption are exercised
+ * without network access.
+ *
+ * Test 1: pushes to every device of a user whose saved resort hits threshold
+ * Test 2: server-side cooldown from push_alert_log
+ * Test 3: per-user thresholds from the profile
+ * Test 4: expired subscriptions (410) are removed; no cooldown recorded
+ * Test 5: no subscribers → no forecast requests
+ */
+
+import http from 'node:http'
+import crypto from 'node:crypto'
+import { jest } from '@jest/globals'
+import webpush from 'web-push'
+import { runPushAlerts, sendPush } from '../../../api/_lib/pushAlerts.js'
+
+// ── Local push service stub ───────────────────────────────────────────────────
+
+let stub
+let stubUrl
+const received = []
+const expiredPaths = new Set()
+
+beforeAll(async () => {
+  stub = http.createServer((req, res) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks) })
+      res.statusCode = expiredPaths.has(req.url) ? 410 : 201
+      res.end()
+    })
+  })
+  await new Promise((resolve) => stub.listen(0, '127.0.0.1', resolve))
+  stubUrl = `http://127.0.0.1:${stub.address().port}`
+})
+
+afterAll(() => new Promise((resolve) => stub.close(resolve)))
+
+beforeEach(() => {
+  received.length = 0
+  expiredPaths.clear()
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const vapid = { subject: 'mailto:test@example.com', ...webpush.generateVAPIDKeys() }
+
+/** A browser-like subscription: real P-256 key + auth secret, stub endpoint. */
+function makeSubscription(userId, path) {
+  const ecdh = crypto.createECDH('prime256v1')
+  ecdh.generateKeys()
+  return {
+    user_id: userId,
+    endpoint: `${stubUrl}${path}`,
+    p256dh: ecdh.getPublicKey().toString('base64url'),
+    auth: crypto.randomBytes(16).toString('base64url'),
+  }
+}
+
+const resorts = [
+  { id: 'r-alta', slug: 'alta', name: 'Alta', region: 'Utah', lat: 40.5, lng: -111.6, summitElevation: 3216 },
+  { id: 'r-vail', slug: 'vail', name: 'Vail', region: 'Colorado', lat: 39.6, lng: -106.3, summitElevation: 3527 },
+]
+
+// Alta: 20 cm in the next 48h (above the 15.24 cm default); Vail: 5 cm
+const snowfall = { 'r-alta': [20, 0], 'r-vail': [5, 0] }
+const fetchForecast = jest.fn(async (resort) => ({ daily: { snowfall_sum: snowfall[resort.id] } }))
+
+const NOW = Date.parse('2026-01-15T12:00:00Z')
+
+/** In-memory stand-in for createPushStore(). */
+function makeStore({ subscriptions, saved, settings = [], log = [] }) {
+  const store = {
+    subscriptions: [...subscriptions],
+    recorded: [],
+    listSubscriptions: async () => store.subscriptions,
+    listSavedResorts: async () => saved,
+    listAlertSettings: async () => settings,
+    listAlertLog: async () => log,
+    recordAlerts: async (rows) => { store.recorded.push(...rows) },
+    deleteSubscription: async (endpoint) => {
+      store.subscriptions = store.subscriptions.filter((s) => s.endpoint !== endpoint)
+    },
+  }
+  return store
+}
+
+function run(store) {
+  return runPushAlerts({
+    store,
+    resorts,
+    fetchForecast,
+    send: (subscription, payload) => sendPush(subscription, payload, vapid),
+    now: NOW,
+  })
+}
+
+// ── Tests ─────────────────────────────────────────────────────────────────────
+
+test('Test 1: pushes a signed, encrypted alert to every device of the user', async () => {
+  const store = makeStore({
+    subscriptions: [makeSubscription('u1', '/phone'), makeSubscription('u1', '/laptop')],
+    saved: [
+      { user_id: 'u1', resort_slug: 'alta' },
+      { user_id: 'u1', resort_slug: 'vail' },
+    ],
+  })
+
+  const result = await run(store)
+
+  expect(result).toEqual({ users: 1, alerts: 1, pushes: 2, removed: 0 })
+  expect(received.map((r) => r.path).sort()).toEqual(['/laptop', '/phone'])
+
+  const [push] = received
+  expect(push.headers.authorization).toMatch(new RegExp(`^vapid t=.+, k=${vapid.publicKey}$`))
+  expect(push.headers['content-encoding']).toBe('aes128gcm')
+  expect(Number(push.headers.ttl)).toBeGreaterThan(0)
+  // Encrypted — the resort name must not appear in clear text
+  expect(push.body.length).toBeGreaterThan(0)
+  expect(push.body.toString('latin1')).not.toContain('Alta')
+
+  expect(store.recorded).toEqual([
+    { user_id: 'u1', resort_id: 'r-alta', alerted_at: new Date(NOW).toISOString() },
+  ])
+})
+
+test('Test 2: honours the 6h cooldown from push_alert_log', async () => {
+  const store = makeStore({
+    subscriptions: [makeSubscription('u1', '/phone')],
+    saved: [{ user_id: 'u1', resort_slug: 'alta' }],
+    log: [{ user_id: 'u1', resort_id: 'r-alta', alerted_at: new Date(NOW - 60 * 60 * 1000).toISOString() }],
+  })
+
+  const result = await run(store)
+
+  expect(result.alerts).toBe(0)
+  expect(received).toHaveLength(0)
+})
+
+test('Test 3: uses each user\'s synced thresholds', async () => {
+  const store = makeStore({
+    subscriptions: [makeSubscription('u1', '/u1'), makeSubscription('u2', '/u2')],
+    saved: [
+      { user_id: 'u1', resort_slug: 'alta' },
+      { user_id: 'u2', resort_slug: 'alta' },
+    ],
+    // u1 wants 30 cm at Alta; u2 has never synced (default threshold)
+    settings: [{ id: 'u1', alert_thresholds: { 'r-alta': 30 }, default_threshold: 15.24 }],
+  })
+
+  const result = await run(store)
+
+  expect(result.alerts).toBe(1)
+  expect(received.map((r) => r.path)).toEqual(['/u2'])
+})
+
+test('Test 4: removes expired subscriptions and records no cooldown without delivery', async () => {
+  expiredPaths.add('/old-phone')
+  const store = makeStore({
+    subscriptions: [makeSubscription('u1', '/old-phone')],
+    saved: [{ user_id: 'u1', resort_slug: 'alta' }],
+  })
+
+  const result = await run(store)
+
+  expect(result).toEqual({ users: 1, alerts: 0, pushes: 0, removed: 1 })
+  expect(store.subscriptions).toEqual([])
+  expect(store.recorded).toEqual([])
+})
+
+test('Test 5: does no work when nobody is subscribed', async () => {
+  fetchForecast.mockClear()
+  const store = makeStore({ subscriptions: [], saved: [{ user_id: 'u1', resort_slug: 'alta' }] })
+
+  const result = await run(store)
+
+  expect(result).toEqual({ users: 0, alerts: 0, pushes: 0, removed: 0 })
+  expect(fetchForecast).not.toHaveBeenCalled()
+})
@@ -0,0 +1,81 @@
+/**
+ * src/lib/__tests__/regions.test.js
+ *
+ * Unit tests for region coverage: the builder's region profiles
+ * (scripts/regionProfiles.js, scripts/data/regionProfiles.json) and the
+ * Dashboard's data-generated location filters (src/lib/regions.js).
+ *
+ * Test 1: resolveProfiles — the shipped config, overrides, validation
+ * Test 2: getTier1Ids — quotas per country group by vertical drop
+ * Test 3: getLocationOptions — continents and countries from the data
+ */
+
+import { readFileSync } from 'fs';
+import { getProfileForCountry, getTier1Ids, resolveProfiles } from '../../../scripts/regionProfiles.js';
+import { getContinent, getCountryName, getLocationOptions } from '../regions.js';
+
+const CONFIG = JSON.parse(
+  readFileSync(new URL('../../../scripts/data/regionProfiles.json', import.meta.url), 'utf8')
+);
+
+const resort = (id, country, verticalDrop) => ({ id, country, verticalDrop });
+
+// ── Builder profiles ──────────────────────────────────────────────────────────
+
+test('Test 1: the shipped profiles resolve, and bad configs are rejected', () => {
+  const profiles = resolveProfiles(CONFIG);
+  expect(profiles.map((p) => p.name)).toEqual(['americas', 'alps', 'japan']);
+  expect(getProfileForCountry(profiles, 'CH').minVerticalDrop).toBe(300);
+  expect(getProfileForCountry(profiles, 'US').minVerticalDrop).toBe(150);
+  expect(getProfileForCountry(profiles, 'NZ')).toBeNull();
+
+  expect(resolveProfiles(CONFIG, ['japan']).map((p) => p.name)).toEqual(['japan']);
+  expect(() => resolveProfiles(CONFIG, ['pyrenees'])).toThrow('Unknown region profile "pyrenees"');
+
+  const overlapping = { profiles: { a: { countries: ['FR'] }, b: { countries: ['FR', 'ES'] } } };
+  expect(() => resolveProfiles(overlapping, ['a', 'b'])).toThrow('Country FR is in both "a" and "b"');
+
+  const stray = { profiles: { a: { countries: ['FR'], tierQuotas: [{ countries: ['CH'], count: 1 }] } } };
+  expect(() => resolveProfiles(stray, ['a'])).toThrow('names CH');
+});
+
+test('Test 2: each quota takes the most vertical across its countries', () => {
+  const profiles = resolveProfiles({
+    profiles: {
+      test: {
+        countries: ['AR', 'CL', 'US'],
+        tierQuotas: [
+          { countries: ['US'], count: 1 },
+          { countries: ['AR', 'CL'], count: 2 },
+        ],
+      },
+    },
+  }, ['test']);
+
+  const ids = getTier1Ids([
+    resort('us-small', 'US', 400),
+    resort('us-big', 'US', 1200),
+    resort('ar', 'AR', 900),
+    resort('cl-big', 'CL', 1100),
+    resort('cl-small', 'CL', 300),
+  ], profiles);
+
+  expect([...ids].sort()).toEqual(['ar', 'cl-big', 'us-big']);
+});
+
+// ── Dashboard filters ─────────────────────────────────────────────────────────
+
+test('Test 3: continent and country options come from the resorts present', () => {
+  const { continentOptions, countryOptions } = getLocationOptions([
+    resort('a', 'US'), resort('b', 'US'), resort('c', 'CH'), resort('d', 'JP'), resort('e', 'CL'), resort('f', 'XK'),
+  ]);
+
+  expect(continentOptions.map((c) => c.label)).toEqual(['Asia', 'Europe', 'North America', 'South America', 'Other']);
+  expect(countryOptions.find((c) => c.value === 'CH')).toEqual({ value: 'CH', label: 'Switzerland', continent: 'EU' });
+  expect(countryOptions.map((c) => c.value)).toHaveLength(5);
+
+  expect(getContinent('JP')).toBe('AS');
+  expect(getContinent('XK')).toBeNull();
+  expect(getCountryName('US')).toBe('United States');
+  expect(getCountryName('not a code')).toBe('not a code');
+});
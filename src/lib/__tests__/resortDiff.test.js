@@ -0,0 +1,149 @@
+/**
+ * src/lib/__tests__/resortDiff.test.js
+ *
+ * Unit tests for the diff-aware resort build (scripts/resortDiff.js) and the
+ * app side of slug migrations (src/lib/slugMigrations.js).
+ *
+ * Test 1: slugs stay put across rebuilds, whatever the feature order
+ * Test 2: added and removed resorts; removed slugs stay reserved
+ * Test 3: a resort under a new id nearby keeps its slug
+ * Test 4: renames — reported, slug kept unless --reslug-renamed
+ * Test 5: migrations file and Supabase SQL
+ * Test 6: buildSlugRedirects / migrateSlugs — chains, loops, duplicates
+ */
+
+import {
+  appendMigrations,
+  applyStableSlugs,
+  buildSlugMigrationSql,
+  generateSlug,
+  slugMapFromResorts,
+} from '../../../scripts/resortDiff.js';
+import { buildSlugRedirects, migrateSlugs, resolveSlug } from '../slugMigrations.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const built = (id, name, region, lat, lng, tier = 2) => ({ id, name, country: 'US', region, lat, lng, tier });
+
+const bigSkyMt = built('way-1', 'Big Sky', 'Montana', 45.28, -111.4, 1);
+const bigSkyCa = built('way-2', 'Big Sky', 'California', 38.0, -120.0);
+const alta     = built('way-3', 'Alta', 'Utah', 40.58, -111.63, 1);
+
+function firstBuild(resorts) {
+  return applyStableSlugs({ resorts, previous: [], slugMap: {} }).resorts;
+}
+
+// ── Slugs ─────────────────────────────────────────────────────────────────────
+
+test('Test 1: slugs come from the slug map, not from feature order', () => {
+  const previous = firstBuild([bigSkyMt, bigSkyCa, alta]);
+  expect(previous.map((r) => r.slug)).toEqual(['big-sky', 'big-sky-california', 'alta']);
+
+  // OpenSkiMap now lists the California one first
+  const { resorts, report } = applyStableSlugs({
+    resorts: [bigSkyCa, alta, bigSkyMt],
+    previous,
+    slugMap: slugMapFromResorts(previous),
+  });
+  expect(Object.fromEntries(resorts.map((r) => [r.id, r.slug])))
+    .toEqual({ 'way-1': 'big-sky', 'way-2': 'big-sky-california', 'way-3': 'alta' });
+  expect(report).toMatchObject({ added: [], removed: [], renamed: [], migrations: [] });
+
+  expect(generateSlug("Sugar Bowl's Lodge")).toBe('sugar-bowls-lodge');
+  expect(generateSlug(null)).toBe('');
+});
+
+test('Test 2: new resorts are reported as added, gone ones as removed, and removed slugs are never reused', () => {
+  const previous = firstBuild([bigSkyMt, alta]);
+  const newcomer = built('way-9', 'Alta', 'Wyoming', 43.0, -110.0);
+
+  const { resorts, slugMap, report } = applyStableSlugs({
+    resorts: [bigSkyMt, newcomer],
+    previous,
+    slugMap: slugMapFromResorts(previous),
+  });
+
+  expect(report.added.map((r) => r.slug)).toEqual(['alta-wyoming']);
+  expect(report.removed.map((r) => r.slug)).toEqual(['alta']);
+  expect(resorts[1].slug).toBe('alta-wyoming');
+  expect(slugMap['way-3']).toBe('alta'); // kept, so "alta" stays reserved
+});
+
+test('Test 3: a resort that reappears under a new id at the same place keeps its slug', () => {
+  const previous = firstBuild([bigSkyMt, alta]);
+  const altaRelation = { ...alta, id: 'relation-3', lat: 40.585, tier: 2 };
+
+  const { resorts, slugMap, report } = applyStableSlugs({
+    resorts: [bigSkyMt, altaRelation],
+    previous,
+    slugMap: slugMapFromResorts(previous),
+  });
+
+  expect(resorts[1].slug).toBe('alta');
+  expect(report.reidentified).toEqual([{ slug: 'alta', fromId: 'way-3', toId: 'relation-3' }]);
+  expect(report.tierChanged).toEqual([{ slug: 'alta', from: 1, to: 2 }]);
+  expect(report).toMatchObject({ added: [], removed: [], migrations: [] });
+  expect(slugMap).not.toHaveProperty('way-3');
+
+  // Too far away to be the same ski area
+  const elsewhere = { ...alta, id: 'relation-3', lat: 41.5 };
+  const far = applyStableSlugs({ resorts: [bigSkyMt, elsewhere], previous, slugMap: slugMapFromResorts(previous) });
+  expect(far.report.added).toHaveLength(1);
+  expect(far.report.removed).toHaveLength(1);
+});
+
+test('Test 4: renamed resorts keep their slug unless asked to follow the new name', () => {
+  const previous = firstBuild([bigSkyMt, alta]);
+  const renamed = { ...alta, name: 'Alta Ski Area' };
+  const args = { resorts: [bigSkyMt, renamed], previous, slugMap: slugMapFromResorts(previous) };
+
+  const kept = applyStableSlugs(args);
+  expect(kept.resorts[1].slug).toBe('alta');
+  expect(kept.report.renamed).toEqual([{ slug: 'alta', from: 'Alta', to: 'Alta Ski Area' }]);
+  expect(kept.report.migrations).toEqual([]);
+
+  const moved = applyStableSlugs({ ...args, reslugRenamed: true });
+  expect(moved.resorts[1].slug).toBe('alta-ski-area');
+  expect(moved.report.migrations).toEqual([{ from: 'alta', to: 'alta-ski-area' }]);
+
+  // A retired slug is not handed to a new resort
+  const next = applyStableSlugs({
+    resorts: [...moved.resorts.map(({ slug, ...r }) => r), built('way-7', 'Alta', 'Utah', 39.0, -112.0)],
+    previous: moved.resorts,
+    slugMap: moved.slugMap,
+    retired: ['alta'],
+  });
+  expect(next.resorts[2].slug).toBe('alta-utah');
+});
+
+// ── Migrations ────────────────────────────────────────────────────────────────
+
+test('Test 5: migrations are appended with a date and turned into saved_resorts updates', () => {
+  const list = appendMigrations([{ from: 'a', to: 'b', date: '2026-01-01' }], [{ from: 'c', to: 'd' }], '2026-10-19');
+  expect(list).toEqual([
+    { from: 'a', to: 'b', date: '2026-01-01' },
+    { from: 'c', to: 'd', date: '2026-10-19' },
+  ]);
+
+  const sql = buildSlugMigrationSql([{ from: "o'brien", to: 'obrien' }]);
+  expect(sql).toContain("update public.saved_resorts set resort_slug = 'obrien' where resort_slug = 'o''brien';");
+  expect(sql).toContain("where old.resort_slug = 'o''brien' and cur.resort_slug = 'obrien'");
+});
+
+test('Test 6: old slugs resolve to the current one and saved lists are deduplicated', () => {
+  const redirects = buildSlugRedirects([
+    { from: 'squaw-valley', to: 'palisades' },
+    { from: 'palisades', to: 'palisades-tahoe' },
+    { from: 'x', to: 'y' },
+    { from: 'y', to: 'x' },
+  ]);
+
+  expect(resolveSlug('squaw-valley', redirects)).toBe('palisades-tahoe');
+  expect(resolveSlug('palisades', redirects)).toBe('palisades-tahoe');
+  expect(resolveSlug('vail', redirects)).toBe('vail');
+  // Renamed and then renamed back: x is current again
+  expect(resolveSlug('x', redirects)).toBe('x');
+  expect(resolveSlug('y', redirects)).toBe('x');
+
+  expect(migrateSlugs(['vail', 'squaw-valley', 'palisades-tahoe'], redirects)).toEqual(['vail', 'palisades-tahoe']);
+});
@@ -0,0 +1,91 @@
+/**
+ * src/lib/__tests__/resortMap.test.js
+ *
+ * Unit tests for the /map data helpers. Does NOT render Leaflet.
+ *
+ * Test 1: get48hSnow / getSnowBucket — marker color from the next 48h
+ * Test 2: projectToPixel — Web Mercator world pixels
+ * Test 3: clusterResorts — nearby resorts merge at low zoom, split from CLUSTER_MAX_ZOOM
+ * Test 4: getTileSource — OpenStreetMap, custom template, and the offline stub
+ */
+
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import {
+  CLUSTER_MAX_ZOOM,
+  OSM_TILES,
+  STUB_TILES,
+  clusterResorts,
+  getSnowBucket,
+  getTileSource,
+  projectToPixel,
+} from '../resortMap.js';
+import { get48hSnow } from '../utils.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+// Two Cottonwood Canyons resorts ~3 km apart, and one in Colorado
+const snowbird = { id: 'snowbird', lat: 40.581, lng: -111.657 };
+const alta     = { id: 'alta',     lat: 40.588, lng: -111.638 };
+const vail     = { id: 'vail',     lat: 39.606, lng: -106.355 };
+
+const forecast = (...days) => ({ daily: { snowfall_sum: days } });
+
+// ── Snow buckets ──────────────────────────────────────────────────────────────
+
+test('Test 1: marker color follows the next-48h total', () => {
+  expect(get48hSnow(forecast(4, 6, 30))).toBe(10);
+  expect(get48hSnow(null)).toBeNull();
+
+  expect(getSnowBucket(null)).toBe('pending');
+  expect(getSnowBucket(0.2)).toBe('dry');
+  expect(getSnowBucket(10)).toBe('light');
+  expect(getSnowBucket(15.24)).toBe('powder');
+});
+
+// ── Projection ────────────────────────────────────────────────────────────────
+
+test('Test 2: Web Mercator pixels at a zoom level', () => {
+  expect(projectToPixel(0, 0, 0)).toEqual({ x: 128, y: 128 });
+  expect(projectToPixel(0, -180, 1)).toEqual({ x: 0, y: 256 });
+  const north = projectToPixel(60, 0, 2);
+  expect(north.x).toBe(512);
+  expect(north.y).toBeLessThan(512);
+  // Poles are clamped rather than going infinite
+  expect(Number.isFinite(projectToPixel(90, 0, 3).y)).toBe(true);
+});
+
+// ── Clustering ────────────────────────────────────────────────────────────────
+
+test('Test 3: neighbours cluster at low zoom and split when zoomed in', () => {
+  const forecasts = { snowbird: forecast(10, 10), vail: forecast(1, 0) };
+
+  const low = clusterResorts([snowbird, alta, vail], 5, forecasts);
+  expect(low).toHaveLength(2);
+  const utah = low.find((m) => m.resorts.length === 2);
+  expect(utah.id).toMatch(/^cluster:5:/);
+  expect(utah.snowCm).toBe(20); // snowiest loaded member; alta isn't loaded
+  expect(utah.lat).toBeCloseTo((snowbird.lat + alta.lat) / 2);
+  expect(low.find((m) => m.resorts.length === 1)).toMatchObject({ id: 'vail', snowCm: 1 });
+
+  // Nothing loaded → pending
+  expect(clusterResorts([snowbird, alta], 5, {})[0].snowCm).toBeNull();
+
+  const high = clusterResorts([snowbird, alta, vail], CLUSTER_MAX_ZOOM, forecasts);
+  expect(high.map((m) => m.id)).toEqual(['snowbird', 'alta', 'vail']);
+  expect(high[1].snowCm).toBeNull();
+});
+
+// ── Tiles ─────────────────────────────────────────────────────────────────────
+
+test('Test 4: tiles come from OSM, a custom template, or the local stub', () => {
+  expect(getTileSource()).toBe(OSM_TILES);
+  expect(getTileSource({ url: 'https://tiles.example.com/{z}/{x}/{y}.png' }).url)
+    .toBe('https://tiles.example.com/{z}/{x}/{y}.png');
+  expect(getTileSource({ url: 'stub' })).toBe(STUB_TILES);
+  expect(getTileSource({ online: false })).toBe(STUB_TILES);
+
+  // The stub is served from public/ — no network needed
+  const stubPath = fileURLToPath(new URL(`../../../public${STUB_TILES.url}`, import.meta.url));
+  expect(existsSync(stubPath)).toBe(true);
+});
@@ -0,0 +1,137 @@
+/**
+ * src/lib/__tests__/seasonContext.test.js
+ *
+ * Unit tests for season-to-date snowfall and climatology percentile.
+ * Does NOT test the archive API call (fetchArchiveSnowfall / loadSeasonContext).
+ */
+
+import {
+  getSeasonStart,
+  getSeasonArchiveRange,
+  percentileRank,
+  getSeasonLabel,
+  computeSeasonContext,
+  ordinal,
+} from '../seasonContext.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+/**
+ * Builds an archive response covering [startDate, endDate] where every day
+ * gets snowfallFn(dateStr) cm.
+ */
+function makeArchive(startDate, endDate, snowfallFn) {
+  const time = [];
+  const snowfall_sum = [];
+  const d = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  while (d <= end) {
+    const s = d.toISOString().split('T')[0];
+    time.push(s);
+    snowfall_sum.push(snowfallFn(s));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return { daily: { time, snowfall_sum } };
+}
+
+// Local noon avoids any timezone rollover in getSeasonStart
+const TODAY = new Date(2026, 0, 15, 12); // 15 Jan 2026
+
+// ── getSeasonStart ────────────────────────────────────────────────────────────
+
+describe('getSeasonStart', () => {
+  test('northern hemisphere in January → previous October', () => {
+    expect(getSeasonStart(TODAY, 39.6)).toBe('2025-10-01');
+  });
+
+  test('northern hemisphere in November → this October', () => {
+    expect(getSeasonStart(new Date(2025, 10, 3, 12), 39.6)).toBe('2025-10-01');
+  });
+
+  test('southern hemisphere in July → this April', () => {
+    expect(getSeasonStart(new Date(2026, 6, 20, 12), -33.3)).toBe('2026-04-01');
+  });
+});
+
+describe('getSeasonArchiveRange', () => {
+  test('spans the climatology years up to yesterday', () => {
+    expect(getSeasonArchiveRange(TODAY, 39.6, 10)).toEqual({
+      startDate: '2015-10-01',
+      endDate: '2026-01-14',
+    });
+  });
+});
+
+// ── percentileRank / labels ───────────────────────────────────────────────────
+
+describe('percentileRank', () => {
+  test('counts values below and half of ties', () => {
+    expect(percentileRank(5, [1, 2, 3, 4])).toBe(100);
+    expect(percentileRank(0, [1, 2, 3, 4])).toBe(0);
+    expect(percentileRank(2, [1, 2, 3, 4])).toBe(38); // (1 + 0.5) / 4
+  });
+
+  test('labels terciles', () => {
+    expect(getSeasonLabel(80)).toBe('Above average');
+    expect(getSeasonLabel(50)).toBe('Near average');
+    expect(getSeasonLabel(10)).toBe('Below average');
+  });
+
+  test('ordinal suffixes', () => {
+    expect(ordinal(1)).toBe('1st');
+    expect(ordinal(22)).toBe('22nd');
+    expect(ordinal(13)).toBe('13th');
+    expect(ordinal(73)).toBe('73rd');
+  });
+});
+
+// ── computeSeasonContext ──────────────────────────────────────────────────────
+
+describe('computeSeasonContext', () => {
+  const { startDate, endDate } = getSeasonArchiveRange(TODAY, 39.6, 4);
+
+  test('compares season-to-date against prior seasons at the same day-of-season', () => {
+    // Current season: 2 cm/day. Prior seasons: 1 cm/day, except the one
+    // starting 2022 which gets 3 cm/day.
+    const archive = makeArchive(startDate, endDate, (d) => {
+      if (d >= '2025-10-01') return 2;
+      if (d >= '2022-10-01' && d < '2023-10-01') return 3;
+      return 1;
+    });
+
+    const ctx = computeSeasonContext(archive, { lat: 39.6, today: TODAY, years: 4 });
+
+    // 2025-10-01 → 2026-01-14 inclusive = 106 days
+    expect(ctx.seasonStart).toBe('2025-10-01');
+    expect(ctx.asOf).toBe('2026-01-14');
+    expect(ctx.seasonToDate_cm).toBe(212);
+    expect(ctx.seasons).toHaveLength(4);
+    expect(ctx.seasons.map((s) => s.total_cm).sort((a, b) => a - b)).toEqual([106, 106, 106, 318]);
+    expect(ctx.median_cm).toBe(106);
+    expect(ctx.percentile).toBe(75);
+    expect(ctx.pctOfMedian).toBe(200);
+    expect(ctx.label).toBe('Above average');
+  });
+
+  test('cuts off at the last day the archive has data for', () => {
+    // Archive lags: the last 5 days are null
+    const archive = makeArchive(startDate, endDate, (d) => (d > '2026-01-09' ? null : 1));
+
+    const ctx = computeSeasonContext(archive, { lat: 39.6, today: TODAY, years: 4 });
+
+    expect(ctx.asOf).toBe('2026-01-09');
+    expect(ctx.seasonToDate_cm).toBe(101);
+    ctx.seasons.forEach((s) => expect(s.total_cm).toBe(101));
+    expect(ctx.percentile).toBe(50);
+    expect(ctx.label).toBe('Near average');
+  });
+
+  test('returns null when too few prior seasons have complete data', () => {
+    const archive = makeArchive(startDate, endDate, (d) => (d < '2024-10-01' ? null : 1));
+    expect(computeSeasonContext(archive, { lat: 39.6, today: TODAY, years: 4 })).toBeNull();
+  });
+
+  test('returns null for missing input', () => {
+    expect(computeSeasonContext(null, { lat: 39.6, today: TODAY })).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * src/lib/__tests__/snowDensity.test.js
+ *
+ * Unit tests for the snow-to-liquid ratio and density estimates.
+ *
+ * Test 1: estimateSlr — temperature curve, humidity factor and clamps
+ * Test 2: getHourlyDensity — liquid is precipitation − rain, null when dry
+ * Test 3: getDailyDensity — liquid-weighted over the day's snowy hours
+ */
+
+import {
+  estimateSlr,
+  getDensityCategory,
+  getHourlyDensity,
+  getDailyDensity,
+} from '../snowDensity.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+/** 48 hours of hourly data; `overrides` maps hour index → partial values. */
+function makeForecast(overrides = {}) {
+  const fill = (v) => new Array(48).fill(v);
+  const hourly = {
+    temperature_2m: fill(-5),
+    relativehumidity_2m: fill(70),
+    precipitation: fill(0),
+    rain: fill(0),
+  };
+  for (const [i, values] of Object.entries(overrides)) {
+    for (const [key, v] of Object.entries(values)) hourly[key][i] = v;
+  }
+  return { hourly };
+}
+
+// ── estimateSlr ───────────────────────────────────────────────────────────────
+
+test('Test 1: SLR rises as it gets colder and drier', () => {
+  expect(estimateSlr(-2)).toBe(12);
+  expect(estimateSlr(0)).toBe(8);   // 2 per °C above −2 °C
+  expect(estimateSlr(-10)).toBe(20); // 1 per °C below
+  expect(estimateSlr(-10, 40)).toBe(23); // dry air: +15%
+  expect(estimateSlr(-2, 100)).toBe(10.2); // saturated: −15%
+  expect(estimateSlr(-40)).toBe(25);
+  expect(estimateSlr(5)).toBe(4);
+
+  expect(getDensityCategory(18)).toBe('blower');
+  expect(getDensityCategory(12)).toBe('medium');
+  expect(getDensityCategory(8)).toBe('cement');
+});
+
+// ── getHourlyDensity ──────────────────────────────────────────────────────────
+
+test('Test 2: hourly density from the snow part of precipitation', () => {
+  const forecast = makeForecast({
+    0: { precipitation: 1.5, temperature_2m: -12 },
+    1: { precipitation: 2, rain: 1.95 }, // nearly all rain
+    2: { precipitation: 1, temperature_2m: 0, relativehumidity_2m: 90 },
+  });
+
+  expect(getHourlyDensity(forecast.hourly, 0)).toEqual({
+    slr: 22, density_kgm3: 45, category: 'blower', liquid_mm: 1.5, snow_cm: 3.3,
+  });
+  expect(getHourlyDensity(forecast.hourly, 1)).toBeNull();
+  expect(getHourlyDensity(forecast.hourly, 2)).toMatchObject({ slr: 7.2, category: 'cement' });
+  expect(getHourlyDensity(forecast.hourly, 3)).toBeNull(); // dry
+  expect(getHourlyDensity(undefined, 0)).toBeNull();
+});
+
+// ── getDailyDensity ───────────────────────────────────────────────────────────
+
+test('Test 3: daily density weights each hour by its liquid', () => {
+  const forecast = makeForecast({
+    3:  { precipitation: 3, temperature_2m: -12 }, // SLR 22
+    4:  { precipitation: 1, temperature_2m: 0 },   // SLR 8
+    30: { precipitation: 1, temperature_2m: -2 },  // tomorrow
+  });
+
+  expect(getDailyDensity(forecast, 0)).toEqual({
+    slr: 18.5, density_kgm3: 54, category: 'blower', liquid_mm: 4, snow_cm: 7.4,
+  });
+  expect(getDailyDensity(forecast, 1)).toMatchObject({ slr: 12, category: 'medium' });
+  expect(getDailyDensity(makeForecast(), 0)).toBeNull();
+});
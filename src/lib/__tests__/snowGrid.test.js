@@ -0,0 +1,161 @@
+/**
+ * src/lib/__tests__/snowGrid.test.js
+ *
+ * Unit tests for the /map snowfall heatmap grid. Does NOT touch the network
+ * or a canvas — only the points, sums and pixels, plus the loader against a
+ * mocked fetch.
+ *
+ * Test 1: getGridPoints — resort cells plus halo, deduplicated and ordered
+ * Test 2: chunkGridPoints — request-sized chunks with stable keys
+ * Test 3: sumGridSnow — window starts at the current hour
+ * Test 4: snowToRgba — transparent below the first stop, interpolated between
+ * Test 5: interpolateGrid — bilinear, missing corners drop out
+ * Test 6: buildHeatmapRaster — colored where sampled, transparent elsewhere
+ * Test 7: loadSnowGrid — 8 forecast days, retry on 429, cached chunks reused
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  HEATMAP_STOPS,
+  buildHeatmapRaster,
+  chunkGridPoints,
+  getGridBounds,
+  getGridPoints,
+  gridKey,
+  interpolateGrid,
+  snowToRgba,
+  sumGridSnow,
+} from '../snowGrid.js';
+import { loadSnowGrid } from '../dataLoader.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+// Snowbird and Alta share a cell; Vail is five cells east
+const snowbird = { id: 'snowbird', lat: 40.581, lng: -111.657 };
+const alta     = { id: 'alta',     lat: 40.588, lng: -111.638 };
+const vail     = { id: 'vail',     lat: 39.606, lng: -106.355 };
+
+// ── Grid points ───────────────────────────────────────────────────────────────
+
+test('Test 1: each resort cell is sampled with a one-cell halo, shared cells once', () => {
+  const points = getGridPoints([snowbird, alta]);
+  expect(points).toHaveLength(9);
+  expect(points[0]).toEqual({ lat: 40, lng: -113 });
+  expect(points[8]).toEqual({ lat: 42, lng: -111 });
+
+  expect(getGridPoints([snowbird, alta, vail])).toHaveLength(18);
+
+  // Finer grids keep exact coordinates
+  expect(getGridPoints([{ lat: 0.3, lng: 0.3 }], 0.25)[0]).toEqual({ lat: 0, lng: 0 });
+});
+
+test('Test 2: chunks are keyed by their points', () => {
+  const points = getGridPoints([snowbird, vail]);
+  const chunks = chunkGridPoints(points, 10);
+
+  expect(chunks.map((c) => c.points.length)).toEqual([10, 8]);
+  expect(chunks.flatMap((c) => c.points)).toEqual(points);
+  expect(chunkGridPoints(points, 10).map((c) => c.key)).toEqual(chunks.map((c) => c.key));
+  expect(new Set(chunks.map((c) => c.key)).size).toBe(2);
+});
+
+// ── Sums and colors ───────────────────────────────────────────────────────────
+
+test('Test 3: accumulation counts forward from the current hour', () => {
+  const cell = { start: '2026-01-15T00:00', snowfall: [...new Array(24).fill(0), ...new Array(48).fill(0.5)] };
+  const at = (iso) => Date.parse(iso);
+
+  expect(sumGridSnow(cell, 24, at('2026-01-15T00:30Z'))).toBe(0);
+  expect(sumGridSnow(cell, 24, at('2026-01-15T12:00Z'))).toBe(6);
+  expect(sumGridSnow(cell, 168, at('2026-01-15T12:00Z'))).toBe(24);
+  // Eight days of data cover a full week from any hour of the first day
+  const eightDays = { start: cell.start, snowfall: new Array(192).fill(0.1) };
+  expect(sumGridSnow(eightDays, 168, at('2026-01-15T23:00Z'))).toBe(16.8);
+  // Missing hours count as no snow
+  expect(sumGridSnow({ start: cell.start, snowfall: [1, null, 2] }, 24, at('2026-01-15T00:00Z'))).toBe(3);
+});
+
+test('Test 4: the color ramp starts transparent and blends between stops', () => {
+  expect(snowToRgba(0)).toEqual([0, 0, 0, 0]);
+  expect(snowToRgba(null)).toEqual([0, 0, 0, 0]);
+  expect(snowToRgba(HEATMAP_STOPS[1].cm)).toEqual(HEATMAP_STOPS[1].rgba);
+  expect(snowToRgba(500)).toEqual(HEATMAP_STOPS[HEATMAP_STOPS.length - 1].rgba);
+
+  const mid = snowToRgba(3); // halfway between 1 and 5 cm
+  expect(mid[3]).toBe(120);
+});
+
+// ── Raster ────────────────────────────────────────────────────────────────────
+
+test('Test 5: values interpolate between grid points and ignore missing ones', () => {
+  const values = new Map([
+    [gridKey(40, -112), 0],
+    [gridKey(40, -111), 10],
+    [gridKey(41, -112), 0],
+    [gridKey(41, -111), 10],
+  ]);
+
+  expect(interpolateGrid(values, 40.5, -111.5)).toBeCloseTo(5);
+  expect(interpolateGrid(values, 40, -111)).toBe(10);
+  // Half outside the sampled area: only the eastern points count
+  expect(interpolateGrid(values, 40.5, -110.5)).toBe(10);
+  expect(interpolateGrid(values, 45, -100)).toBeNull();
+});
+
+test('Test 6: the raster is colored inside the grid and transparent outside', () => {
+  const points = getGridPoints([snowbird]);
+  const values = new Map(points.map((p) => [gridKey(p.lat, p.lng), 20]));
+  const bounds = getGridBounds(points);
+  expect(bounds).toEqual({ south: 39.5, north: 42.5, west: -113.5, east: -110.5 });
+
+  const width = 4;
+  const height = 4;
+  const wide = { ...bounds, east: bounds.east + 4 };
+  const pixels = buildHeatmapRaster(values, { bounds: wide, width: 8, height });
+  expect(pixels).toHaveLength(8 * height * 4);
+
+  const alpha = (col, row) => pixels[(row * 8 + col) * 4 + 3];
+  expect(alpha(0, 1)).toBe(snowToRgba(20)[3]);
+  expect(alpha(7, 1)).toBe(0);
+
+  expect(buildHeatmapRaster(new Map(), { bounds, width, height }).every((v) => v === 0)).toBe(true);
+});
+
+// ── Loading ───────────────────────────────────────────────────────────────────
+
+test('Test 7: chunks retry after a 429 and come from the cache the next time', async () => {
+  const realFetch = globalThis.fetch;
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const body = (url) => {
+    const lats = new URL(url).searchParams.get('latitude').split(',');
+    return lats.map(() => ({ hourly: { time: ['2026-01-15T00:00'], snowfall: [1] } }));
+  };
+  const options = { callsPerMinute: Infinity, retryDelaysMs: [0] };
+
+  try {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 429 })
+      .mockImplementation(async (url) => ({ ok: true, status: 200, json: async () => body(url) }));
+
+    const cells = [];
+    expect(await loadSnowGrid([snowbird], (c) => cells.push(...c), options)).toBe(1);
+    expect(cells).toHaveLength(9);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    expect(new URL(globalThis.fetch.mock.calls[1][0]).searchParams.get('forecast_days')).toBe('8');
+
+    // Second load: served from the grid cache
+    expect(await loadSnowGrid([snowbird], () => {}, options)).toBe(1);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+
+    // Still rate limited after the last retry: nothing loads, nothing throws
+    globalThis.fetch = jest.fn().mockResolvedValue({ ok: false, status: 429 });
+    expect(await loadSnowGrid([vail], () => {}, options)).toBe(0);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+  } finally {
+    globalThis.fetch = realFetch;
+    warn.mockRestore();
+    error.mockRestore();
+  }
+});
@@ -2,10 +2,23 @@
  * src/lib/__tests__/snowQuality.test.js
  *
  * Unit tests for the snow quality algorithm (SPEC.md section 4).
- * Covers all 7 quality labels, getSnowAgeHours edge cases, and getBestWindow.
+ * Covers all 7 quality labels, the rule engine (every rule in QUALITY_RULES,
+ * user overrides, explanations), the hour-by-hour timeline, getSnowAgeHours
+ * edge cases, and getBestWindow.
  */
 
-import { getSnowQuality, getSnowAgeHours, getBestWindow } from '../snowQuality.js';
+import {
+  getSnowQuality,
+  getSnowAgeHours,
+  getBestWindow,
+  resolveQualityParams,
+  explainQuality,
+  getHourlyQualityInputs,
+  getQualityTimeline,
+  getBestQualityAhead,
+  QUALITY_RULES,
+  QUALITY_PARAMS,
+} from '../snowQuality.js';
 
 // ── getSnowQuality — all 7 branches ──────────────────────────────────────────
 
@@ -39,6 +52,16 @@ describe('getSnowQuality', () => {
     expect(result.priority).toBe(2);
   });
 
+  test('Powder — snow density replaces the temperature gate when given', () => {
+    const base = { wind_kmh: 15, snowfall_cm: 1.5, snowAgeHours: 0, humidity_pct: 95 };
+    // Cement (SLR 8) at -3 °C falls through to Soft
+    expect(getSnowQuality({ ...base, temp_c: -3, slr: 8 }).label).toBe('Soft');
+    // Dry flakes (SLR 11) just below freezing are still Powder
+    expect(getSnowQuality({ ...base, temp_c: -1, slr: 11 }).label).toBe('Powder');
+    // No estimate: the specced temp_c < -2 rule
+    expect(getSnowQuality({ ...base, temp_c: -1 }).label).toBe('Soft');
+  });
+
   test('Packed Powder — recent snow (≤ 12 hrs), cold, dry', () => {
     // Triggers: snowAgeHours <= 12 && temp_c < -5 && humidity_pct < 70
     // Not Powder (snowfall_cm = 0), not Wind Affected (snowfall <= 0.2)
@@ -119,6 +142,143 @@ describe('getSnowQuality', () => {
   });
 });
 
+// ── Rule engine ───────────────────────────────────────────────────────────────
+
+describe('quality rule engine', () => {
+  // One hour per rule that lands on it and on nothing above it
+  const HOUR_FOR_RULE = {
+    powder:       { temp_c: -8, wind_kmh: 20, snowfall_cm: 1.2, snowAgeHours: 0,  humidity_pct: 75 },
+    windAffected: { temp_c: -5, wind_kmh: 55, snowfall_cm: 1,   snowAgeHours: 0,  humidity_pct: 80 },
+    packedPowder: { temp_c: -8, wind_kmh: 15, snowfall_cm: 0,   snowAgeHours: 6,  humidity_pct: 60 },
+    soft:         { temp_c: -2, wind_kmh: 10, snowfall_cm: 0,   snowAgeHours: 18, humidity_pct: 75 },
+    spring:       { temp_c: 4,  wind_kmh: 10, snowfall_cm: 0,   snowAgeHours: 48, humidity_pct: 60 },
+    icy:          { temp_c: -8, wind_kmh: 10, snowfall_cm: 0,   snowAgeHours: 48, humidity_pct: 80 },
+    variable:     { temp_c: -6, wind_kmh: 10, snowfall_cm: 0,   snowAgeHours: 20, humidity_pct: 75 },
+  };
+
+  test.each(QUALITY_RULES.map((rule) => [rule.id, rule]))(
+    'rule %s fires and explains itself',
+    (id, rule) => {
+      const result = getSnowQuality(HOUR_FOR_RULE[id]);
+      expect(result.label).toBe(rule.quality.label);
+      expect(result.explanation.rule).toBe(id);
+      expect(result.explanation.checks).toHaveLength(rule.when.length);
+      expect(result.explanation.checks.every((c) => c.pass)).toBe(true);
+      // Every earlier rule is listed as skipped, in order
+      const earlier = QUALITY_RULES.slice(0, QUALITY_RULES.indexOf(rule)).map((r) => r.id);
+      expect(result.explanation.skipped.map((s) => s.rule)).toEqual(earlier);
+    }
+  );
+
+  test('every threshold in the rule table is a known param', () => {
+    const params = QUALITY_RULES.flatMap((rule) =>
+      rule.when.flatMap((c) => [c.param, c.ifMissing?.param].filter(Boolean))
+    );
+    for (const param of params) expect(QUALITY_PARAMS).toHaveProperty(param);
+  });
+
+  test('explanation records the inputs and thresholds that decided it', () => {
+    const result = getSnowQuality(HOUR_FOR_RULE.packedPowder);
+    expect(result.explanation.checks).toEqual([
+      { input: 'snowAgeHours', op: '<=', param: 'packedMaxAgeHours',    value: 6,  threshold: 12, pass: true },
+      { input: 'temp_c',       op: '<',  param: 'packedMaxTempC',       value: -8, threshold: -5, pass: true },
+      { input: 'humidity_pct', op: '<',  param: 'packedMaxHumidityPct', value: 60, threshold: 70, pass: true },
+    ]);
+    expect(result.explanation.skipped).toEqual([
+      { rule: 'powder', label: 'Powder', failed: expect.objectContaining({ input: 'snowfall_cm', value: 0, pass: false }) },
+      { rule: 'windAffected', label: 'Wind Affected', failed: expect.objectContaining({ input: 'snowfall_cm', threshold: 0.2 }) },
+    ]);
+  });
+
+  test('user overrides move thresholds, including shared boundaries', () => {
+    // 55 km/h is Wind Affected by default, Powder once the limit is 60
+    const windy = { ...HOUR_FOR_RULE.windAffected, temp_c: -8 };
+    expect(getSnowQuality(windy).label).toBe('Wind Affected');
+    expect(getSnowQuality(windy, { windAffectedMinKmh: 60 }).label).toBe('Powder');
+
+    // Moving the Packed/Soft boundary to -10 °C hands -8 °C to Soft
+    const result = getSnowQuality(HOUR_FOR_RULE.packedPowder, { packedMaxTempC: -10 });
+    expect(result.label).toBe('Soft');
+    expect(result.explanation.checks[1]).toMatchObject({ param: 'packedMaxTempC', threshold: -10 });
+  });
+
+  test('resolveQualityParams ignores unknown keys and non-numbers', () => {
+    const params = resolveQualityParams({ springMinTempC: 4, bogus: 1, icyMaxTempC: 'cold', powderMaxTempC: NaN });
+    expect(params.springMinTempC).toBe(4);
+    expect(params.icyMaxTempC).toBe(-2);
+    expect(params.powderMaxTempC).toBe(-2);
+    expect(params).not.toHaveProperty('bogus');
+    expect(resolveQualityParams()).toEqual(
+      Object.fromEntries(Object.entries(QUALITY_PARAMS).map(([k, p]) => [k, p.value]))
+    );
+  });
+
+  test('explainQuality reads in the user\'s units', () => {
+    const windy = getSnowQuality(HOUR_FOR_RULE.windAffected);
+    expect(explainQuality(windy, 'metric')).toEqual([
+      'Wind Affected: snowfall 1 cm > 0.2 cm, wind 55 km/h ≥ 40 km/h',
+      'Not Powder: wind 55 km/h ≥ 40 km/h',
+    ]);
+    expect(explainQuality(windy, 'imperial')[0]).toBe(
+      'Wind Affected: snowfall 0.4" > 0.1", wind 34 mph ≥ 25 mph'
+    );
+
+    const variable = getSnowQuality(HOUR_FOR_RULE.variable);
+    expect(explainQuality(variable, 'metric')[0]).toBe('Variable: no other rule matched');
+    expect(explainQuality(variable, 'metric')).toContain('Not Soft: temp -6°C < -5°C');
+    expect(explainQuality({ label: 'Powder' }, 'metric')).toEqual([]);
+  });
+});
+
+// ── Timeline ──────────────────────────────────────────────────────────────────
+
+describe('getQualityTimeline', () => {
+  // 120 cold hours: snow at 10–12 and again at 100, dry in between (> 72 h)
+  function makeForecast() {
+    const hours = 120;
+    const fill = (v) => new Array(hours).fill(v);
+    const snowfall = fill(0);
+    snowfall[10] = snowfall[11] = snowfall[12] = 1.5;
+    snowfall[100] = 0.3;
+    return {
+      hourly: {
+        time: Array.from({ length: hours }, (_, i) => `2026-01-${String(15 + Math.floor(i / 24)).padStart(2, '0')}T${String(i % 24).padStart(2, '0')}:00`),
+        temperature_2m: fill(-8),
+        windspeed_10m: fill(10),
+        snowfall,
+        relativehumidity_2m: fill(60),
+        precipitation: fill(0),
+        rain: fill(0),
+      },
+    };
+  }
+
+  test('classifies every hour with a rolling snow age matching getSnowAgeHours', () => {
+    const forecast = makeForecast();
+    const timeline = getQualityTimeline(forecast);
+
+    expect(timeline).toHaveLength(120);
+    timeline.forEach((quality, i) => {
+      const expected = getSnowQuality(getHourlyQualityInputs(forecast.hourly, i));
+      expect(quality).toEqual(expected);
+    });
+    expect(timeline[11].label).toBe('Powder');
+    expect(timeline[20].label).toBe('Packed Powder'); // 8 h after
+    expect(timeline[50].label).toBe('Icy');           // 38 h after
+    expect(timeline[90].label).toBe('Icy');           // capped at 72
+    expect(getQualityTimeline({})).toEqual([]);
+  });
+
+  test('getBestQualityAhead finds the best hour in the window, earliest first', () => {
+    const timeline = getQualityTimeline(makeForecast());
+
+    expect(getBestQualityAhead(timeline, 0)).toMatchObject({ index: 10, quality: { label: 'Powder' } });
+    expect(getBestQualityAhead(timeline, 13, 24)).toMatchObject({ index: 13, quality: { label: 'Packed Powder' } });
+    expect(getBestQualityAhead(timeline, 40, 24).quality.label).toBe('Icy');
+    expect(getBestQualityAhead(timeline, 200)).toBeNull();
+  });
+});
+
 // ── getSnowAgeHours ───────────────────────────────────────────────────────────
 
 describe('getSnowAgeHours', () => {
@@ -181,4 +341,20 @@ describe('getBestWindow', () => {
     expect(result.index).toBe(1);
     expect(result.score).toBe(10);
   });
+
+  test('weights snowfall by model confidence when given', () => {
+    const dailyData = [
+      // Day 0: 10 cm all models agree on → 10*3*1 + 5 = 35
+      { time: '2026-03-01', snowfall_sum: 10, rain_sum: 0, windspeed_10m_max: 10, temperature_2m_max: -5 },
+      // Day 1: 30 cm from one model only → 30*3*0.1 + 5 = 14
+      { time: '2026-03-02', snowfall_sum: 30, rain_sum: 0, windspeed_10m_max: 10, temperature_2m_max: -5 },
+    ];
+
+    expect(getBestWindow(dailyData).index).toBe(1);
+    const result = getBestWindow(dailyData, [1, 0.1]);
+    expect(result.index).toBe(0);
+    expect(result.score).toBe(35);
+    // Missing confidence counts as 1
+    expect(getBestWindow(dailyData, [null, null]).index).toBe(1);
+  });
 });
@@ -0,0 +1,197 @@
+/**
+ * src/lib/__tests__/summaryProxy.test.js
+ *
+ * Tests for the /api/summary serverless proxy (api/summary.js). The Anthropic
+ * and Supabase Auth APIs are replaced by a local HTTP stub — no network.
+ *
+ * Test 1: non-POST → 405
+ * Test 2: invalid payload → 400, stub never called
+ * Test 3: valid payload → 200 { text }, key + prompt sent to the stub
+ * Test 4: upstream error → 502
+ * Test 5: per-IP limit → 429 with Retry-After
+ * Test 6: per-user limit applies across IPs
+ * Test 7: invalid session token → 401
+ * Test 8: rate limiter window resets
+ * Test 9: prompt is labelled in the payload's (mixed) units; unknown units → 400
+ */
+
+import http from 'node:http'
+import { Readable } from 'node:stream'
+import { jest } from '@jest/globals'
+import { createSummaryHandler } from '../../../api/summary.js'
+import { createRateLimiter } from '../../../api/_lib/rateLimit.js'
+
+// ── Local stub for api.anthropic.com + Supabase Auth ──────────────────────────
+
+let stub
+let stubUrl
+const stubRequests = []
+let anthropicStatus = 200
+
+beforeAll(async () => {
+  stub = http.createServer((req, res) => {
+    let raw = ''
+    req.on('data', (chunk) => { raw += chunk })
+    req.on('end', () => {
+      stubRequests.push({ url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null })
+      res.setHeader('Content-Type', 'application/json')
+
+      if (req.url === '/auth/v1/user') {
+        const token = req.headers.authorization?.replace('Bearer ', '')
+        if (token?.startsWith('valid-')) {
+          res.end(JSON.stringify({ id: token.slice('valid-'.length) }))
+        } else {
+          res.statusCode = 401
+          res.end(JSON.stringify({ msg: 'invalid JWT' }))
+        }
+        return
+      }
+
+      res.statusCode = anthropicStatus
+      res.end(JSON.stringify({ content: [{ type: 'text', text: 'Fresh powder all week.' }] }))
+    })
+  })
+  await new Promise((resolve) => stub.listen(0, '127.0.0.1', resolve))
+  stubUrl = `http://127.0.0.1:${stub.address().port}`
+})
+
+afterAll(() => new Promise((resolve) => stub.close(resolve)))
+
+beforeEach(() => {
+  stubRequests.length = 0
+  anthropicStatus = 200
+  jest.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const validPayload = {
+  resortName: 'Test Mountain',
+  region: 'Colorado',
+  units: { snow: 'in', temp: 'F', wind: 'mph', elevation: 'ft' },
+  summitElevation: 11483,
+  currentDepth: 42,
+  next7Days: [
+    { date: 'Today', snowfall: 6, rain: 0, high: 28, low: 12, max_wind: 15, condition: 'Heavy snow' },
+  ],
+}
+
+function makeHandler(options = {}) {
+  return createSummaryHandler({
+    env: {
+      ANTHROPIC_API_KEY: 'test-key',
+      ANTHROPIC_BASE_URL: stubUrl,
+      SUPABASE_URL: stubUrl,
+      SUPABASE_ANON_KEY: 'anon-key',
+    },
+    ...options,
+  })
+}
+
+/** Minimal Node-style req/res pair; the body is streamed like a dev server. */
+async function call(handler, { method = 'POST', body = { payload: validPayload }, ip = '10.0.0.1', token } = {}) {
+  const req = Readable.from(method === 'POST' ? [JSON.stringify(body)] : [])
+  req.method = method
+  req.headers = { 'x-forwarded-for': ip }
+  if (token) req.headers.authorization = `Bearer ${token}`
+
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value },
+    end(text) { this.body = JSON.parse(text) },
+  }
+  await handler(req, res)
+  return res
+}
+
+const anthropicCalls = () => stubRequests.filter((r) => r.url === '/v1/messages')
+
+// ── Tests ─────────────────────────────────────────────────────────────────────
+
+test('Test 1: rejects non-POST requests', async () => {
+  const res = await call(makeHandler(), { method: 'GET' })
+  expect(res.statusCode).toBe(405)
+  expect(res.headers.allow).toBe('POST')
+})
+
+test('Test 2: rejects a malformed payload without calling Anthropic', async () => {
+  const payload = { ...validPayload, next7Days: new Array(8).fill(validPayload.next7Days[0]) }
+  const res = await call(makeHandler(), { body: { payload } })
+
+  expect(res.statusCode).toBe(400)
+  expect(res.body.error).toMatch(/next7Days/)
+  expect(anthropicCalls()).toHaveLength(0)
+})
+
+test('Test 3: proxies a valid payload with the server-side key and prompt', async () => {
+  const res = await call(makeHandler())
+
+  expect(res.statusCode).toBe(200)
+  expect(res.body).toEqual({ text: 'Fresh powder all week.' })
+
+  const [sent] = anthropicCalls()
+  expect(sent.headers['x-api-key']).toBe('test-key')
+  expect(sent.body.system).toMatch(/Write exactly 3 sentences/)
+  expect(sent.body.messages[0].content).toMatch(/^Resort: Test Mountain, Colorado/)
+  expect(sent.body.messages[0].content).toMatch(/Today: 6" snow/)
+})
+
+test('Test 4: upstream failures become 502', async () => {
+  anthropicStatus = 529
+  const res = await call(makeHandler())
+  expect(res.statusCode).toBe(502)
+  expect(res.body.error).toBe('Summary unavailable')
+})
+
+test('Test 5: limits requests per IP', async () => {
+  const handler = makeHandler({ ipLimit: { limit: 2, windowMs: 60_000 } })
+
+  expect((await call(handler)).statusCode).toBe(200)
+  expect((await call(handler)).statusCode).toBe(200)
+  const limited = await call(handler)
+  expect(limited.statusCode).toBe(429)
+  expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0)
+
+  // Another IP is unaffected
+  expect((await call(handler, { ip: '10.0.0.2' })).statusCode).toBe(200)
+})
+
+test('Test 6: limits signed-in users across IPs', async () => {
+  const handler = makeHandler({ userLimit: { limit: 1, windowMs: 60_000 } })
+
+  expect((await call(handler, { token: 'valid-alice', ip: '10.0.1.1' })).statusCode).toBe(200)
+  expect((await call(handler, { token: 'valid-alice', ip: '10.0.1.2' })).statusCode).toBe(429)
+  expect((await call(handler, { token: 'valid-bob', ip: '10.0.1.3' })).statusCode).toBe(200)
+})
+
+test('Test 7: rejects an invalid session token', async () => {
+  const res = await call(makeHandler(), { token: 'expired' })
+  expect(res.statusCode).toBe(401)
+  expect(anthropicCalls()).toHaveLength(0)
+})
+
+test('Test 8: the rate limiter window resets', () => {
+  const limiter = createRateLimiter({ limit: 1, windowMs: 1000 })
+  expect(limiter.check('k', 0).allowed).toBe(true)
+  expect(limiter.check('k', 500)).toEqual({ allowed: false, retryAfterMs: 500 })
+  expect(limiter.check('k', 1000).allowed).toBe(true)
+})
+
+test('Test 9: labels the prompt in the payload units and rejects unknown ones', async () => {
+  const payload = { ...validPayload, units: { snow: 'cm', temp: 'F', wind: 'kmh', elevation: 'm' } }
+  const res = await call(makeHandler(), { body: { payload } })
+
+  expect(res.statusCode).toBe(200)
+  const content = anthropicCalls()[0].body.messages[0].content
+  expect(content).toMatch(/Summit elevation: 11483m/)
+  expect(content).toMatch(/Today: 6 cm snow, 0 cm rain, High 28°F \/ Low 12°F, Wind max 15 km\/h/)
+
+  const bad = await call(makeHandler(), { body: { payload: { ...payload, units: { ...payload.units, snow: 'ft' } } } })
+  expect(bad.statusCode).toBe(400)
+  expect(bad.body.error).toMatch(/units\.snow/)
+})
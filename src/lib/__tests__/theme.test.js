@@ -0,0 +1,26 @@
+/**
+ * src/lib/__tests__/theme.test.js
+ *
+ * Unit tests for the settings.darkMode → theme mapping.
+ *
+ * Test 1: resolveTheme — explicit dark/light and 'system'
+ * Test 2: applyTheme — sets data-theme and color-scheme on the root
+ */
+
+import { resolveTheme, applyTheme } from '../theme.js';
+
+test('Test 1: resolveTheme maps darkMode, following the OS only for "system"', () => {
+  expect(resolveTheme(true, false)).toBe('dark');
+  expect(resolveTheme(false, true)).toBe('light');
+  expect(resolveTheme('system', true)).toBe('dark');
+  expect(resolveTheme('system', false)).toBe('light');
+  // Settings saved before the key existed stay dark
+  expect(resolveTheme(undefined, false)).toBe('dark');
+});
+
+test('Test 2: applyTheme flips data-theme and color-scheme', () => {
+  const root = { dataset: {}, style: {} };
+  applyTheme('light', root);
+  expect(root.dataset.theme).toBe('light');
+  expect(root.style.colorScheme).toBe('light');
+});
@@ -0,0 +1,163 @@
+/**
+ * src/lib/__tests__/tripPlanner.test.js
+ *
+ * Unit tests for the /plan trip ranking.
+ *
+ * Test 1: distanceKm / formatDistance — great-circle distance in the user's units
+ * Test 2: getTripCandidates — Tier 1 plus saved, no duplicates
+ * Test 3: getTripDayRange — forecast days inside the trip, partial and missed ranges
+ * Test 4: scoreResortForTrip — only days in range count; best day index is absolute
+ * Test 5: scoreResortForTrip — extended-outlook days are discounted
+ * Test 6: rankResortsForTrip — travel weight trades snow against distance
+ * Test 7: summarizeTripRanking — compact snapshot for a saved trip
+ */
+
+import {
+  getTripCandidates,
+  getTripDayRange,
+  scoreResortForTrip,
+  rankResortsForTrip,
+  summarizeTripRanking,
+} from '../tripPlanner.js';
+import { distanceKm, formatDistance, resolveUnits } from '../utils.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const DENVER = { lat: 39.7392, lng: -104.9903 };
+
+const near = { id: 'near', slug: 'near', name: 'Near', tier: 1, lat: 39.6, lng: -105.9 };    // ~80 km
+const far  = { id: 'far',  slug: 'far',  name: 'Far',  tier: 1, lat: 40.58, lng: -111.65 }; // ~570 km
+
+/**
+ * `days` days from 2026-01-15; `snowByDay` maps day index → cm, spread over
+ * that day's 24 hours.
+ */
+function makeForecast(snowByDay = {}, days = 4) {
+  const time = Array.from({ length: days }, (_, i) => `2026-01-${String(15 + i).padStart(2, '0')}`);
+  const snowfall_sum = time.map((_, i) => snowByDay[i] ?? 0);
+  const hours = days * 24;
+  const fill = (v) => new Array(hours).fill(v);
+  return {
+    daily: {
+      time,
+      snowfall_sum,
+      rain_sum: fill(0).slice(0, days),
+      windspeed_10m_max: fill(15).slice(0, days),
+      temperature_2m_max: fill(-4).slice(0, days),
+    },
+    hourly: {
+      time: Array.from({ length: hours }, (_, i) => `${time[Math.floor(i / 24)]}T${String(i % 24).padStart(2, '0')}:00`),
+      temperature_2m: fill(-8),
+      windspeed_10m: fill(10),
+      relativehumidity_2m: fill(70),
+      snowfall: Array.from({ length: hours }, (_, i) => snowfall_sum[Math.floor(i / 24)] / 24),
+      precipitation: fill(0),
+      rain: fill(0),
+    },
+  };
+}
+
+const trip = (overrides) => ({ startDate: '2026-01-15', endDate: '2026-01-18', ...overrides });
+
+// ── Distance ──────────────────────────────────────────────────────────────────
+
+test('Test 1: haversine distance, shown in miles or km with the elevation unit', () => {
+  expect(distanceKm(DENVER, DENVER)).toBe(0);
+  // Denver → Salt Lake City is ~600 km as the crow flies
+  expect(distanceKm(DENVER, { lat: 40.7608, lng: -111.891 })).toBeCloseTo(596, -1);
+
+  expect(formatDistance(100, resolveUnits('imperial'))).toBe('62 mi');
+  expect(formatDistance(100, resolveUnits('metric'))).toBe('100 km');
+  expect(formatDistance(100, resolveUnits('imperial', { elevation: 'm' }))).toBe('100 km');
+});
+
+// ── Candidates and range ──────────────────────────────────────────────────────
+
+test('Test 2: Tier 1 resorts plus saved Tier 2 ones', () => {
+  const tier2 = { id: 't2', slug: 't2', tier: 2 };
+  const other = { id: 'o', slug: 'o', tier: 2 };
+  expect(getTripCandidates([near, tier2, other], ['t2', 'near'])).toEqual([near, tier2]);
+  expect(getTripCandidates([near, tier2])).toEqual([near]);
+});
+
+test('Test 3: trip days map onto forecast indices', () => {
+  const forecast = makeForecast();
+  expect(getTripDayRange(forecast, '2026-01-16', '2026-01-17')).toEqual({ from: 1, to: 2 });
+  // Trip runs past the forecast: scored as far as it reaches
+  expect(getTripDayRange(forecast, '2026-01-17', '2026-01-25')).toEqual({ from: 2, to: 3 });
+  // Trip started yesterday: today onwards
+  expect(getTripDayRange(forecast, '2026-01-10', '2026-01-15')).toEqual({ from: 0, to: 0 });
+  // Entirely past or before the forecast
+  expect(getTripDayRange(forecast, '2026-02-01', '2026-02-03')).toBeNull();
+  expect(getTripDayRange(forecast, '2026-01-01', '2026-01-03')).toBeNull();
+  expect(getTripDayRange(null, '2026-01-15', '2026-01-16')).toBeNull();
+});
+
+// ── Scoring ───────────────────────────────────────────────────────────────────
+
+test('Test 4: only snow inside the trip counts', () => {
+  const forecast = makeForecast({ 0: 30, 2: 12 });
+  const result = scoreResortForTrip(near, forecast, trip({ startDate: '2026-01-16' }));
+
+  expect(result.days).toBe(3);
+  expect(result.snowCm).toBe(12);
+  expect(result.bestDay).toMatchObject({ index: 2, date: '2026-01-17' });
+  expect(result.bestQuality.index).toBeGreaterThanOrEqual(24);
+  expect(result.distanceKm).toBeNull(); // no origin
+
+  // The 30 cm day alone makes the whole-forecast trip score higher
+  expect(scoreResortForTrip(near, forecast, trip()).score).toBeGreaterThan(result.score);
+  expect(scoreResortForTrip(near, forecast, trip({ startDate: '2026-02-01', endDate: '2026-02-02' }))).toBeNull();
+});
+
+test('Test 5: the same storm scores less in the extended outlook', () => {
+  const range = { startDate: '2026-01-15', endDate: '2026-01-30' };
+  const soon  = scoreResortForTrip(near, makeForecast({ 3: 20 }, 16), range);
+  const later = scoreResortForTrip(near, makeForecast({ 10: 20 }, 16), range);
+
+  expect(soon.bestDay).toMatchObject({ index: 3, score: 65 });   // 20 × 3 + 5 (cold)
+  expect(later.bestDay).toMatchObject({ index: 10, score: 35 }); // 20 × 3 × 0.5 + 5
+  expect(soon.score).toBeGreaterThan(later.score);
+});
+
+// ── Ranking ───────────────────────────────────────────────────────────────────
+
+test('Test 6: travel weight decides between a short drive and a long one with more snow', () => {
+  const forecasts = {
+    near: makeForecast({ 1: 14 }),
+    far:  makeForecast({ 1: 20 }),
+  };
+  const order = (overrides) =>
+    rankResortsForTrip([near, far], forecasts, trip({ origin: DENVER, ...overrides })).map((r) => r.resort.id);
+
+  expect(order({ travelWeight: 'anywhere' })).toEqual(['far', 'near']);
+  expect(order({ travelWeight: 'close' })).toEqual(['near', 'far']);
+  expect(order({ origin: null, travelWeight: 'close' })).toEqual(['far', 'near']);
+
+  const ranked = rankResortsForTrip([near, far], forecasts, trip({ origin: DENVER }));
+  expect(ranked[0].distanceKm).toBeGreaterThan(0);
+
+  // Resorts without a forecast are left out
+  expect(rankResortsForTrip([near, far], { near: forecasts.near }, trip())).toHaveLength(1);
+});
+
+test('Test 7: saved trips keep a compact copy of the top of the ranking', () => {
+  const ranked = rankResortsForTrip(
+    [near, far],
+    { near: makeForecast({ 1: 14 }), far: makeForecast({ 1: 20 }) },
+    trip({ origin: DENVER, travelWeight: 'anywhere' })
+  );
+  const snapshot = summarizeTripRanking(ranked, 1);
+
+  expect(snapshot).toHaveLength(1);
+  expect(snapshot[0]).toEqual({
+    resortId: 'far',
+    slug: 'far',
+    name: 'Far',
+    score: ranked[0].score,
+    snowCm: 20,
+    bestDate: '2026-01-16',
+    quality: ranked[0].bestQuality.quality.label,
+    distanceKm: ranked[0].distanceKm,
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * src/lib/__tests__/units.test.js
+ *
+ * Unit tests for the unit-preference layer in utils.js.
+ *
+ * Test 1: resolveUnits — presets, overrides, settings objects, bad input
+ * Test 2: getUnitsKey — preset names and mixed keys
+ * Test 3: formatters — imperial, metric and mixed specs
+ * Test 4: inverses — typed display values back to metric, round trip
+ * Test 5: toInputValue / fromInputValue — exact, and typed values round-trip
+ */
+
+import {
+  resolveUnits,
+  getUnitsKey,
+  convertSnow,
+  convertTemp,
+  convertWind,
+  snowToCm,
+  tempToC,
+  windToKmh,
+  toInputValue,
+  fromInputValue,
+  formatSnow,
+  formatTemp,
+  formatWind,
+  formatElevation,
+} from '../utils.js';
+
+test('Test 1: resolveUnits merges a preset with per-dimension overrides', () => {
+  expect(resolveUnits('metric')).toEqual({ snow: 'cm', temp: 'C', wind: 'kmh', elevation: 'm' });
+  expect(resolveUnits('imperial', { snow: 'cm' })).toEqual({ snow: 'cm', temp: 'F', wind: 'mph', elevation: 'ft' });
+  expect(resolveUnits({ units: 'metric', unitOverrides: { temp: 'F' } }).temp).toBe('F');
+
+  // Unknown presets and values fall back to imperial
+  expect(resolveUnits('kelvin')).toEqual(resolveUnits('imperial'));
+  expect(resolveUnits('metric', { snow: 'furlongs' }).snow).toBe('cm');
+  expect(resolveUnits(undefined).snow).toBe('in');
+});
+
+test('Test 2: getUnitsKey names presets and spells out mixed units', () => {
+  expect(getUnitsKey('imperial')).toBe('imperial');
+  expect(getUnitsKey({ units: 'metric', unitOverrides: {} })).toBe('metric');
+  expect(getUnitsKey({ units: 'imperial', unitOverrides: { snow: 'cm' } })).toBe('cm-F-mph-ft');
+  // An override that matches the preset is still the preset
+  expect(getUnitsKey({ units: 'metric', unitOverrides: { snow: 'cm' } })).toBe('metric');
+});
+
+test('Test 3: formatters convert from metric source data', () => {
+  const mixed = resolveUnits('imperial', { snow: 'cm', wind: 'kmh' });
+
+  expect(formatSnow(20, 'imperial')).toBe('7.9"');
+  expect(formatSnow(20.04, 'metric')).toBe('20 cm');
+  expect(formatSnow(20, mixed)).toBe('20 cm');
+  expect(convertSnow(15.24, 'imperial', { decimals: 0 })).toBe(6);
+
+  expect(formatTemp(-5, 'imperial')).toBe('23°F');
+  expect(formatTemp(-5, mixed)).toBe('23°F');
+  expect(formatTemp(-5.4, 'metric')).toBe('-5°C');
+
+  expect(formatWind(30, 'imperial')).toBe('19 mph');
+  expect(formatWind(30, mixed)).toBe('30 km/h');
+
+  expect(formatElevation(3216, 'imperial')).toBe('10,551ft');
+  expect(formatElevation(3216, 'metric')).toBe('3,216m');
+});
+
+test('Test 4: values typed in display units convert back and display unchanged', () => {
+  expect(snowToCm(8, 'metric')).toBe(8);
+  expect(convertSnow(snowToCm(7.9, 'imperial'), 'imperial')).toBe(7.9);
+  expect(tempToC(23, 'imperial')).toBeCloseTo(-5);
+  expect(convertTemp(tempToC(-4, 'imperial'), 'imperial')).toBe(-4);
+  expect(tempToC(-5, 'metric')).toBe(-5);
+  expect(convertWind(windToKmh(31, 'imperial'), 'imperial')).toBe(31);
+  expect(windToKmh(50, { units: 'imperial', unitOverrides: { wind: 'kmh' } })).toBe(50);
+});
+
+test('Test 5: editable values are shown exactly and survive being saved', () => {
+  // The snow-quality defaults that the display rounding used to distort
+  expect(toInputValue('snow', 0.2, 'imperial')).toBe(0.08);
+  expect(toInputValue('snow', 0.5, 'imperial')).toBe(0.2);
+  expect(toInputValue('temp', -2, 'imperial')).toBe(28.4);
+  expect(toInputValue('wind', 40, 'imperial')).toBe(24.86);
+  expect(toInputValue('snow', 0.2, 'metric')).toBe(0.2);
+  expect(toInputValue('hours', 48, 'imperial')).toBe(48);
+
+  // Whatever is typed (2 decimals) is stored and shown again unchanged
+  for (const dimension of ['snow', 'temp', 'wind']) {
+    for (const units of ['imperial', 'metric']) {
+      for (let typed = -40; typed <= 60; typed = Math.round((typed + 0.37) * 100) / 100) {
+        const stored = fromInputValue(dimension, typed, units);
+        expect(toInputValue(dimension, stored, units)).toBe(typed);
+      }
+    }
+  }
+  expect(fromInputValue('snow', 0.08, 'imperial')).toBeCloseTo(0.2, 2);
+  expect(fromInputValue('ratio', 12, 'imperial')).toBe(12);
+});
@@ -0,0 +1,106 @@
+/**
+ * src/lib/__tests__/webcams.test.js
+ *
+ * Unit tests for curated webcams and the per-camera snapshot timeline.
+ *
+ * Test 1: normalizeWebcams — ids, default names, invalid entries reported
+ * Test 2: mergeWebcams — attached by slug, unknown slugs reported
+ * Test 3: getSnapshotUrl — cache-busting query on plain and query URLs
+ * Test 4: addSnapshot / settleSnapshot — capped timeline, status updates
+ * Test 5: getLatestGood and isCameraOffline
+ */
+
+import {
+  WEBCAM_OFFLINE_AFTER,
+  WEBCAM_TIMELINE_LENGTH,
+  addSnapshot,
+  getLatestGood,
+  getSnapshotUrl,
+  isCameraOffline,
+  mergeWebcams,
+  normalizeWebcams,
+  settleSnapshot,
+} from '../webcams.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const vail  = { id: 'osm-1', slug: 'vail',  name: 'Vail' };
+const alta  = { id: 'osm-2', slug: 'alta',  name: 'Alta' };
+
+const camera = { id: 'vail-0', name: 'Summit', url: 'https://cams.test/vail/summit.jpg', link: null };
+
+const T0 = 1_700_000_000_000;
+const MIN = 60_000;
+
+// ── Curated list ──────────────────────────────────────────────────────────────
+
+test('Test 1: curated entries get ids and names; entries without an http url are skipped', () => {
+  const { webcams, errors } = normalizeWebcams('vail', [
+    { name: ' Summit ', url: 'https://cams.test/vail/summit.jpg', link: 'https://vail.test/cams' },
+    { url: 'http://cams.test/vail/base.jpg', link: 'javascript:alert(1)' },
+    { name: 'Broken', url: 'ftp://cams.test/x.jpg' },
+    null,
+  ]);
+
+  expect(webcams).toEqual([
+    { id: 'vail-0', name: 'Summit', url: 'https://cams.test/vail/summit.jpg', link: 'https://vail.test/cams' },
+    { id: 'vail-1', name: 'Camera 2', url: 'http://cams.test/vail/base.jpg', link: null },
+  ]);
+  expect(errors).toEqual(['vail[2]: missing or non-http url', 'vail[3]: missing or non-http url']);
+
+  expect(normalizeWebcams('vail', { url: 'https://x.test' }).errors).toEqual(['vail: expected an array of cameras']);
+});
+
+test('Test 2: cameras are merged by slug and unknown slugs are reported', () => {
+  const { resorts, unknownSlugs, errors } = mergeWebcams([vail, alta], {
+    vail: [{ name: 'Summit', url: 'https://cams.test/vail/summit.jpg' }],
+    alta: [{ name: 'Bad' }],
+    'old-slug': [{ url: 'https://cams.test/old.jpg' }],
+  });
+
+  expect(resorts[0].webcams).toHaveLength(1);
+  expect(resorts[1]).toBe(alta); // nothing valid — left untouched
+  expect(unknownSlugs).toEqual(['old-slug']);
+  expect(errors).toEqual(['alta[0]: missing or non-http url']);
+
+  expect(mergeWebcams([vail], {}).resorts[0]).not.toHaveProperty('webcams');
+});
+
+// ── Timeline ──────────────────────────────────────────────────────────────────
+
+test('Test 3: snapshot URLs carry the timestamp as a cache-busting parameter', () => {
+  expect(getSnapshotUrl('https://cams.test/a.jpg', T0)).toBe(`https://cams.test/a.jpg?_=${T0}`);
+  expect(getSnapshotUrl('https://cams.test/a.jpg?size=l', T0)).toBe(`https://cams.test/a.jpg?size=l&_=${T0}`);
+});
+
+test('Test 4: the timeline keeps the newest snapshots and records load results', () => {
+  let timeline = [];
+  for (let i = 0; i < WEBCAM_TIMELINE_LENGTH + 2; i++) {
+    timeline = addSnapshot(timeline, camera, T0 + i * 5 * MIN);
+  }
+  expect(timeline).toHaveLength(WEBCAM_TIMELINE_LENGTH);
+  expect(timeline[0].takenAt).toBe(T0 + 10 * MIN);
+  expect(timeline.every((s) => s.status === 'loading')).toBe(true);
+
+  const last = timeline[timeline.length - 1].takenAt;
+  const settled = settleSnapshot(timeline, last, 'ok');
+  expect(settled[settled.length - 1]).toMatchObject({ status: 'ok', src: getSnapshotUrl(camera.url, last) });
+  expect(timeline[timeline.length - 1].status).toBe('loading'); // not mutated
+});
+
+test('Test 5: the last good image survives failures; repeated failures mean offline', () => {
+  const snap = (i, status) => ({ takenAt: T0 + i * MIN, src: `s${i}`, status });
+
+  const failing = [snap(0, 'ok'), snap(1, 'error'), snap(2, 'error')];
+  expect(getLatestGood(failing).takenAt).toBe(T0);
+  expect(isCameraOffline(failing)).toBe(false);
+
+  const down = [snap(0, 'ok'), ...Array.from({ length: WEBCAM_OFFLINE_AFTER }, (_, i) => snap(i + 1, 'error'))];
+  expect(isCameraOffline(down)).toBe(true);
+  // A pending snapshot doesn't end the run of failures; a success does
+  expect(isCameraOffline([...down, snap(9, 'loading')])).toBe(true);
+  expect(isCameraOffline([...down, snap(9, 'ok')])).toBe(false);
+
+  expect(getLatestGood([snap(0, 'error'), snap(1, 'loading')])).toBeNull();
+  expect(isCameraOffline([])).toBe(false);
+});
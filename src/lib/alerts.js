@@ -4,14 +4,44 @@
  * Powder alert system — browser Notification API integration.
  * Conforms to SPEC.md section 6 and Agent 6 deliverable specification.
  *
- * Architecture: in-session polling (no Service Worker).
+ * Architecture: in-session polling on the page, plus the background check in
+ * the Service Worker (backgroundAlerts.js) while the tab is closed. Both use
+ * evaluatePowderAlerts, so thresholds and the cooldown behave identically.
  * Does NOT modify context directly — returns updated alertLog for caller to persist.
+ *
+ * Avalanche danger is an optional second trigger (settings.avalancheAlertLevel),
+ * in-session only. It shares the alertLog under "avalanche:<resortId>" keys.
  */
 
-import { CM_TO_INCHES } from './utils.js';
+import { formatSnow } from './utils.js';
+import { MIN_ALERT_CONFIDENCE, getConfidenceByDay } from './ensemble.js';
+import { getDangerInfo } from './avalanche.js';
+
+// 6-hour cooldown — prevents re-alerting the same resort (shared with the
+// Service Worker through the alertLog)
+export const ALERT_COOLDOWN_MS = 6 * 60 * 60 * 1000;
 
-// 6-hour cooldown — prevents re-alerting same resort within a session
-const ALERT_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+// Danger ratings are issued once a day, so one avalanche alert per resort per day
+export const AVALANCHE_ALERT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+const AVALANCHE_LOG_PREFIX = 'avalanche:';
+
+/** alertLog key for a resort's avalanche alert. */
+export function getAvalancheLogKey(resortId) {
+  return `${AVALANCHE_LOG_PREFIX}${resortId}`;
+}
+
+/**
+ * Splits an alertLog key into its kind and resort id.
+ *
+ * @param {string} key
+ * @returns {{ kind: 'powder'|'avalanche', resortId: string }}
+ */
+export function parseAlertLogKey(key) {
+  return key.startsWith(AVALANCHE_LOG_PREFIX)
+    ? { kind: 'avalanche', resortId: key.slice(AVALANCHE_LOG_PREFIX.length) }
+    : { kind: 'powder', resortId: key };
+}
 
 // ── Permission helpers ────────────────────────────────────────────────────────
 
@@ -40,14 +70,15 @@ export function getNotificationPermission() {
  * Formats the notification payload for a single resort.
  * Returns { title, body, icon }
  *
- * @param {object} resort       Resort object from resorts.json
- * @param {string} snowfall_in  Snowfall amount as formatted string (e.g. "7.8")
+ * @param {object} resort         Resort object from resorts.json
+ * @param {number} snowfall_cm    Forecast snowfall in cm
+ * @param {string|object} [units='imperial']  Display units (see resolveUnits)
  * @returns {{ title: string, body: string, icon: string }}
  */
-export function buildNotificationPayload(resort, snowfall_in) {
+export function buildNotificationPayload(resort, snowfall_cm, units = 'imperial') {
   return {
     title: `❄️ Powder Alert: ${resort.name}`,
-    body: `${snowfall_in}" forecast in the next 48 hours — ${resort.region}`,
+    body: `${formatSnow(snowfall_cm, units)} forecast in the next 48 hours — ${resort.region}`,
     icon: '/snow-icon.png',
   };
 }
@@ -55,44 +86,36 @@ export function buildNotificationPayload(resort, snowfall_in) {
 // ── Core alert check ──────────────────────────────────────────────────────────
 
 /**
- * Runs the powder alert check against all provided resorts.
+ * Decides which resorts are due a powder alert. Pure — fires nothing and
+ * reads no browser APIs, so the page and the Service Worker share it.
  *
  * For each resort:
  *   1. Gets its threshold (from thresholds[resort.id] ?? defaultThreshold)
- *   2. Checks daily.snowfall_sum[0] and [1] (next 48hrs)
- *   3. If max >= threshold AND last alert > ALERT_COOLDOWN_MS ago:
- *      - Fires a browser Notification
- *      - Records timestamp in updatedLog
- *      - Calls onAlertFired(resort, snowfall_in) if provided
+ *   2. Checks daily.snowfall_sum[0] and [1] (next 48hrs), skipping any day
+ *      the model ensemble rates below MIN_ALERT_CONFIDENCE (when the forecast
+ *      carries one — see ensemble.js)
+ *   3. Due if max >= threshold AND last alert > ALERT_COOLDOWN_MS before `now`
  *
- * Does NOT modify context directly.
- * Returns the full updated alertLog (merge of existing + new timestamps).
- * Does NOT throw — all errors are logged and skipped.
+ * Does NOT throw — per-resort errors are logged and skipped.
  *
  * @param {object} params
- * @param {object[]} params.resorts            Resorts to check
+ * @param {object[]} params.resorts                    Resorts to check
  * @param {Record<string,object>} params.forecasts     resortId → forecast data
  * @param {Record<string,number>} params.thresholds    Per-resort threshold overrides (cm)
  * @param {number} params.defaultThreshold             Global default threshold (cm)
  * @param {Record<string,number>} params.alertLog      resortId → last alert timestamp
- * @param {Function} [params.onAlertFired]             Optional callback: (resort, snowfall_in) => void
- * @returns {Record<string,number>}  Updated alertLog with any new timestamps merged in
+ * @param {number} [params.now=Date.now()]
+ * @returns {Array<{ resort: object, snowfall_cm: number }>}
  */
-export function checkPowderAlerts({
+export function evaluatePowderAlerts({
   resorts,
   forecasts,
   thresholds,
   defaultThreshold,
   alertLog,
-  onAlertFired,
+  now = Date.now(),
 }) {
-  // Start with a copy of the existing log so we always return the full merged object
-  const updatedLog = { ...(alertLog ?? {}) };
-
-  // Nothing to do if notifications are not available or not granted
-  if (!('Notification' in globalThis) || Notification.permission !== 'granted') {
-    return updatedLog;
-  }
+  const due = [];
 
   for (const resort of (resorts ?? [])) {
     try {
@@ -106,43 +129,165 @@ export function checkPowderAlerts({
           ? (thresholds ?? {})[resort.id]
           : (defaultThreshold ?? 15.24);
 
-      // Next 48 hrs — slice handles arrays shorter than 2 elements gracefully
-      const next2Days = forecast.daily?.snowfall_sum?.slice(0, 2) ?? [];
+      // Next 48 hrs — slice handles arrays shorter than 2 elements gracefully.
+      // A day only one model believes in doesn't count.
+      const confidence = getConfidenceByDay(forecast);
+      const next2Days = (forecast.daily?.snowfall_sum?.slice(0, 2) ?? [])
+        .filter((_, i) => (confidence?.[i] ?? 1) >= MIN_ALERT_CONFIDENCE);
       if (next2Days.length === 0) continue;
 
       const maxSnow = Math.max(...next2Days);
       const lastAlerted = (alertLog ?? {})[resort.id] ?? 0;
 
-      if (maxSnow >= threshold && Date.now() - lastAlerted > ALERT_COOLDOWN_MS) {
-        const snowfall_in = (maxSnow * CM_TO_INCHES).toFixed(1);
-        const payload = buildNotificationPayload(resort, snowfall_in);
-
-        // Fire the notification — catch browser-level failures gracefully
-        try {
-          new Notification(payload.title, {
-            body: payload.body,
-            icon: payload.icon,
-          });
-        } catch (notifErr) {
-          console.error('[SnowDesk] Notification constructor failed:', notifErr);
-        }
-
-        // Record the timestamp in the returned log
-        updatedLog[resort.id] = Date.now();
-
-        // Invoke optional callback
-        if (typeof onAlertFired === 'function') {
-          try {
-            onAlertFired(resort, snowfall_in);
-          } catch (cbErr) {
-            console.error('[SnowDesk] onAlertFired callback error:', cbErr);
-          }
-        }
+      if (maxSnow >= threshold && now - lastAlerted > ALERT_COOLDOWN_MS) {
+        due.push({ resort, snowfall_cm: maxSnow });
       }
     } catch (err) {
       console.error(`[SnowDesk] Alert check error for resort "${resort?.id}":`, err);
     }
   }
 
+  return due;
+}
+
+/**
+ * Runs the powder alert check against all provided resorts.
+ *
+ * For each resort evaluatePowderAlerts reports as due:
+ *   - Fires a browser Notification
+ *   - Records timestamp in updatedLog
+ *   - Calls onAlertFired(resort, snowfall_cm) if provided
+ *
+ * Does NOT modify context directly.
+ * Returns the full updated alertLog (merge of existing + new timestamps).
+ * Does NOT throw — all errors are logged and skipped.
+ *
+ * @param {object} params
+ * @param {object[]} params.resorts            Resorts to check
+ * @param {Record<string,object>} params.forecasts     resortId → forecast data
+ * @param {Record<string,number>} params.thresholds    Per-resort threshold overrides (cm)
+ * @param {number} params.defaultThreshold             Global default threshold (cm)
+ * @param {Record<string,number>} params.alertLog      resortId → last alert timestamp
+ * @param {string|object} [params.units]              Display units for the notification text
+ * @param {Function} [params.onAlertFired]             Optional callback: (resort, snowfall_cm) => void
+ * @returns {Record<string,number>}  Updated alertLog with any new timestamps merged in
+ */
+export function checkPowderAlerts({
+  resorts,
+  forecasts,
+  thresholds,
+  defaultThreshold,
+  alertLog,
+  units,
+  onAlertFired,
+}) {
+  // Start with a copy of the existing log so we always return the full merged object
+  const updatedLog = { ...(alertLog ?? {}) };
+
+  // Nothing to do if notifications are not available or not granted
+  if (!('Notification' in globalThis) || Notification.permission !== 'granted') {
+    return updatedLog;
+  }
+
+  const due = evaluatePowderAlerts({ resorts, forecasts, thresholds, defaultThreshold, alertLog });
+
+  for (const { resort, snowfall_cm } of due) {
+    const payload = buildNotificationPayload(resort, snowfall_cm, units);
+
+    // Fire the notification — catch browser-level failures gracefully
+    try {
+      new Notification(payload.title, {
+        body: payload.body,
+        icon: payload.icon,
+      });
+    } catch (notifErr) {
+      console.error('[SnowDesk] Notification constructor failed:', notifErr);
+    }
+
+    // Record the timestamp in the returned log
+    updatedLog[resort.id] = Date.now();
+
+    // Invoke optional callback
+    if (typeof onAlertFired === 'function') {
+      try {
+        onAlertFired(resort, snowfall_cm);
+      } catch (cbErr) {
+        console.error('[SnowDesk] onAlertFired callback error:', cbErr);
+      }
+    }
+  }
+
+  return updatedLog;
+}
+
+// ── Avalanche danger alerts ───────────────────────────────────────────────────
+
+/**
+ * @param {object} resort  Resort object from resorts.json
+ * @param {object} danger  Entry from mapResortsToZones()
+ * @returns {{ title: string, body: string, icon: string }}
+ */
+export function buildAvalanchePayload(resort, danger) {
+  const info = getDangerInfo(danger.level);
+  return {
+    title: `${info.emoji} Avalanche danger: ${resort.name}`,
+    body: `${info.label} (${info.level}/5) in ${danger.zone} — ${danger.center}`,
+    icon: '/snow-icon.png',
+  };
+}
+
+/**
+ * Decides which resorts are due an avalanche alert: the zone's danger is at
+ * or above `minLevel` and the resort hasn't had one within
+ * AVALANCHE_ALERT_COOLDOWN_MS. Pure, like evaluatePowderAlerts.
+ *
+ * @param {object} params
+ * @param {object[]} params.resorts                 Resorts to check
+ * @param {Record<string,object>} params.dangers    resortId → danger (AppContext avalanche)
+ * @param {number|null} params.minLevel             settings.avalancheAlertLevel; null = off
+ * @param {Record<string,number>} params.alertLog   Shared alert log
+ * @param {number} [params.now=Date.now()]
+ * @returns {Array<{ resort: object, danger: object }>}
+ */
+export function evaluateAvalancheAlerts({ resorts, dangers, minLevel, alertLog, now = Date.now() }) {
+  if (!minLevel) return [];
+
+  return (resorts ?? []).flatMap((resort) => {
+    const danger = (dangers ?? {})[resort.id];
+    if (!danger?.level || danger.level < minLevel) return [];
+    const lastAlerted = (alertLog ?? {})[getAvalancheLogKey(resort.id)] ?? 0;
+    return now - lastAlerted > AVALANCHE_ALERT_COOLDOWN_MS ? [{ resort, danger }] : [];
+  });
+}
+
+/**
+ * Runs the avalanche check and fires a browser Notification for each resort
+ * due one. Same contract as checkPowderAlerts: returns the full updated
+ * alertLog and never throws.
+ *
+ * @param {object} params
+ * @param {object[]} params.resorts                 Resorts to check
+ * @param {Record<string,object>} params.dangers    resortId → danger
+ * @param {number|null} params.minLevel             settings.avalancheAlertLevel
+ * @param {Record<string,number>} params.alertLog   Shared alert log
+ * @returns {Record<string,number>}
+ */
+export function checkAvalancheAlerts({ resorts, dangers, minLevel, alertLog }) {
+  const updatedLog = { ...(alertLog ?? {}) };
+
+  if (!('Notification' in globalThis) || Notification.permission !== 'granted') {
+    return updatedLog;
+  }
+
+  for (const { resort, danger } of evaluateAvalancheAlerts({ resorts, dangers, minLevel, alertLog })) {
+    const payload = buildAvalanchePayload(resort, danger);
+    try {
+      new Notification(payload.title, { body: payload.body, icon: payload.icon });
+    } catch (notifErr) {
+      console.error('[SnowDesk] Notification constructor failed:', notifErr);
+    }
+    updatedLog[getAvalancheLogKey(resort.id)] = Date.now();
+  }
+
   return updatedLog;
 }
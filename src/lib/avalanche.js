@@ -0,0 +1,171 @@
+/**
+ * src/lib/avalanche.js
+ *
+ * Avalanche danger per resort. Forecast zones come from the avalanche.org
+ * map layer — one GeoJSON FeatureCollection with every US forecast zone, its
+ * polygon and today's danger rating — so a single request covers the whole
+ * resort list. Each resort is matched to the zone its lat/lng falls inside;
+ * resorts outside every zone (everything outside the US today) get no entry.
+ *
+ * Another feed only needs an adapter returning the same zone shape as
+ * parseMapLayer().
+ *
+ * VITE_AVALANCHE_URL swaps the API host, e.g. for the local fixture server
+ * (npm run avalanche-fixtures → scripts/avalancheFixtureServer.js).
+ */
+
+export const AVALANCHE_ORG_BASE = 'https://api.avalanche.org';
+export const MAP_LAYER_PATH = '/v2/public/products/map-layer';
+
+/** North American Public Avalanche Danger Scale, 1–5. */
+export const DANGER_LEVELS = {
+  1: { label: 'Low',          color: '#50B848', textColor: '#0F172A', emoji: '🟢' },
+  2: { label: 'Moderate',     color: '#FFF200', textColor: '#0F172A', emoji: '🟡' },
+  3: { label: 'Considerable', color: '#F7941E', textColor: '#0F172A', emoji: '🟠' },
+  4: { label: 'High',         color: '#ED1C24', textColor: '#FFFFFF', emoji: '🔴' },
+  5: { label: 'Extreme',      color: '#231F20', textColor: '#FFFFFF', emoji: '⚫' },
+};
+
+/**
+ * @param {number|null} level
+ * @returns {{ level: number, label: string, color: string, textColor: string, emoji: string }|null}
+ *          null for "no rating" (off season, or the feed's -1 / 0)
+ */
+export function getDangerInfo(level) {
+  const info = DANGER_LEVELS[level];
+  return info ? { level, ...info } : null;
+}
+
+// ── Feed ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Fetches the avalanche.org map layer.
+ *
+ * @param {string} [base]  API host; defaults to VITE_AVALANCHE_URL or avalanche.org
+ * @returns {Promise<object[]>} Zones from parseMapLayer()
+ */
+export async function fetchAvalancheZones(base = import.meta.env?.VITE_AVALANCHE_URL || AVALANCHE_ORG_BASE) {
+  const url = `${base.replace(/\/$/, '')}${MAP_LAYER_PATH}`;
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new Error(`Network error fetching avalanche zones: ${err.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} fetching avalanche zones`);
+  }
+
+  return parseMapLayer(await response.json());
+}
+
+/**
+ * Normalizes map-layer features into zones.
+ *
+ * @param {object} geojson  FeatureCollection from the map-layer endpoint
+ * @returns {Array<{
+ *   id: string,
+ *   name: string,
+ *   center: string,
+ *   url: string|null,
+ *   level: number|null,
+ *   travelAdvice: string|null,
+ *   validUntil: string|null,
+ *   geometry: object
+ * }>} Features without a polygon are dropped
+ */
+export function parseMapLayer(geojson) {
+  return (geojson?.features ?? [])
+    .filter((f) => f?.geometry && ['Polygon', 'MultiPolygon'].includes(f.geometry.type))
+    .map((f) => {
+      const p = f.properties ?? {};
+      const level = Number(p.danger_level);
+      return {
+        id: String(f.id ?? `${p.center_id}:${p.name}`),
+        name: p.name ?? 'Unnamed zone',
+        center: p.center ?? p.center_id ?? '',
+        url: p.link || p.center_link || null,
+        level: !p.off_season && DANGER_LEVELS[level] ? level : null,
+        travelAdvice: p.travel_advice || null,
+        validUntil: p.end_date ?? null,
+        geometry: f.geometry,
+      };
+    });
+}
+
+// ── Zone matching ─────────────────────────────────────────────────────────────
+
+/** Ray casting against one ring of [lng, lat] positions. */
+function inRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * @param {number} lat
+ * @param {number} lng
+ * @param {object} geometry  GeoJSON Polygon or MultiPolygon (holes respected)
+ * @returns {boolean}
+ */
+export function isInZone(lat, lng, geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.some(
+    ([outer, ...holes]) => inRing(lat, lng, outer) && !holes.some((hole) => inRing(lat, lng, hole))
+  );
+}
+
+/**
+ * Matches every resort to the forecast zone it sits in. Where zones overlap
+ * the first match wins.
+ *
+ * @param {object[]} resorts  Resorts from resorts.json
+ * @param {object[]} zones    From parseMapLayer()
+ * @returns {Record<string, {
+ *   zoneId: string,
+ *   zone: string,
+ *   center: string,
+ *   url: string|null,
+ *   level: number|null,
+ *   travelAdvice: string|null,
+ *   validUntil: string|null
+ * }>} resortId → danger; resorts outside every zone are left out
+ */
+export function mapResortsToZones(resorts, zones) {
+  // Bounding boxes first — real zone outlines run to thousands of points
+  const boxed = zones.map((zone) => {
+    const positions = zone.geometry.coordinates.flat(zone.geometry.type === 'MultiPolygon' ? 2 : 1);
+    const lngs = positions.map((p) => p[0]);
+    const lats = positions.map((p) => p[1]);
+    return {
+      zone,
+      south: Math.min(...lats),
+      north: Math.max(...lats),
+      west: Math.min(...lngs),
+      east: Math.max(...lngs),
+    };
+  });
+
+  const dangers = {};
+  for (const resort of resorts) {
+    const match = boxed.find(
+      (b) =>
+        resort.lat >= b.south && resort.lat <= b.north &&
+        resort.lng >= b.west && resort.lng <= b.east &&
+        isInZone(resort.lat, resort.lng, b.zone.geometry)
+    );
+    if (!match) continue;
+
+    const { geometry: _geometry, id, name, ...rest } = match.zone;
+    dangers[resort.id] = { zoneId: id, zone: name, ...rest };
+  }
+  return dangers;
+}
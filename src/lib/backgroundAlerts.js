@@ -0,0 +1,214 @@
+/**
+ * src/lib/backgroundAlerts.js
+ *
+ * Powder alerts while the tab is closed.
+ *
+ * The page mirrors what the Service Worker needs into IndexedDB — the saved
+ * resorts, thresholds and the alertLog — because workers cannot read
+ * localStorage or resorts.json from context. The worker (src/sw.js) wakes on
+ * Periodic Background Sync, refreshes those forecasts through cache.js (so the
+ * next page load paints them instantly) and notifies using the same
+ * evaluatePowderAlerts rules and cooldown as the in-session check.
+ *
+ * Periodic Background Sync is Chromium-only and needs the app installed; in
+ * other browsers registerAlertWorker is a no-op beyond registration and the
+ * in-session focus check remains the only trigger.
+ */
+
+import { evaluatePowderAlerts, buildNotificationPayload } from './alerts.js';
+import { resolveUnits } from './utils.js';
+import { revalidateForecast } from './cache.js';
+import { fetchForecast } from './openMeteo.js';
+import { idbGet, idbSet } from './idbStore.js';
+
+export const ALERT_SYNC_TAG = 'powder-alerts';
+
+// Requested interval — the browser decides the real one from site engagement
+const SYNC_MIN_INTERVAL_MS = 60 * 60 * 1000;
+
+const ALERT_STORE = 'alerts';
+const CONFIG_KEY = 'config';
+const LOG_KEY = 'alertLog';
+
+// The subset of each resort object the worker needs to fetch and notify
+const RESORT_FIELDS = ['id', 'slug', 'name', 'region', 'lat', 'lng', 'summitElevation', 'baseElevation'];
+
+// ── Shared state (page ⇄ worker) ──────────────────────────────────────────────
+
+/**
+ * Builds the worker's config from app state: saved resorts only, trimmed to
+ * RESORT_FIELDS, plus the alert thresholds and display units from settings.
+ *
+ * @param {object}   params
+ * @param {object[]} params.resorts     All resorts (context)
+ * @param {string[]} params.savedSlugs  Saved resort slugs (context)
+ * @param {object}   params.settings    { thresholds, defaultThreshold, units, unitOverrides, multiModel }
+ * @returns {{ resorts: object[], thresholds: Record<string,number>, defaultThreshold: number, units: object, multiModel: boolean }}
+ */
+export function buildAlertConfig({ resorts, savedSlugs, settings }) {
+  const saved = new Set(savedSlugs ?? []);
+  return {
+    resorts: (resorts ?? [])
+      .filter((r) => saved.has(r.slug))
+      .map((r) => Object.fromEntries(RESORT_FIELDS.map((f) => [f, r[f]]))),
+    thresholds: { ...(settings?.thresholds ?? {}) },
+    defaultThreshold: settings?.defaultThreshold,
+    units: resolveUnits(settings?.units, settings?.unitOverrides),
+    multiModel: Boolean(settings?.multiModel),
+  };
+}
+
+/** Persists the worker's config. Never throws. */
+export async function saveAlertConfig(config) {
+  try {
+    await idbSet(ALERT_STORE, CONFIG_KEY, config);
+  } catch (err) {
+    console.warn('[SnowDesk] Could not save background alert config:', err);
+  }
+}
+
+/**
+ * Reads the alertLog shared with the worker.
+ *
+ * @returns {Promise<Record<string,number>>} {} when missing or unreadable
+ */
+export async function readAlertLog() {
+  try {
+    return (await idbGet(ALERT_STORE, LOG_KEY)) ?? {};
+  } catch (err) {
+    console.warn('[SnowDesk] Could not read background alert log:', err);
+    return {};
+  }
+}
+
+/** Overwrites the shared alertLog. Never throws. */
+export async function writeAlertLog(alertLog) {
+  try {
+    await idbSet(ALERT_STORE, LOG_KEY, alertLog);
+  } catch (err) {
+    console.warn('[SnowDesk] Could not write background alert log:', err);
+  }
+}
+
+/**
+ * Merges alert logs, keeping the latest timestamp per resort.
+ *
+ * @param {...Record<string,number>} logs
+ * @returns {Record<string,number>}
+ */
+export function mergeAlertLogs(...logs) {
+  const merged = {};
+  for (const log of logs) {
+    for (const [id, ts] of Object.entries(log ?? {})) {
+      if (!(merged[id] >= ts)) merged[id] = ts;
+    }
+  }
+  return merged;
+}
+
+// ── Worker side ───────────────────────────────────────────────────────────────
+
+/**
+ * Records an alert shown by the worker (e.g. a server push) so the local
+ * checks apply the cooldown to it too. Never throws.
+ *
+ * @param {string} resortId
+ * @param {number} [timestamp=Date.now()]
+ */
+export async function recordAlert(resortId, timestamp = Date.now()) {
+  await writeAlertLog(mergeAlertLogs(await readAlertLog(), { [resortId]: timestamp }));
+}
+
+/**
+ * Refreshes forecasts for the configured resorts and notifies for any that
+ * are due. Records fired alerts in the shared alertLog.
+ *
+ * @param {object}   params
+ * @param {(payload: { title, body, icon }, resort: object) => Promise<void>} params.notify
+ * @param {number}   [params.now=Date.now()]
+ * @returns {Promise<Record<string,number>>} The alertLog after the check
+ */
+export async function runBackgroundAlertCheck({ notify, now = Date.now() }) {
+  const config = await idbGet(ALERT_STORE, CONFIG_KEY).catch(() => null);
+  if (!config?.resorts?.length) return readAlertLog();
+
+  // Sequential — saved lists are short and the worker has no UI to hurry for
+  const forecasts = {};
+  for (const resort of config.resorts) {
+    try {
+      const { data } = await revalidateForecast(resort.id, () =>
+        fetchForecast(resort, { multiModel: config.multiModel })
+      );
+      forecasts[resort.id] = data;
+    } catch (err) {
+      console.warn(`[SnowDesk] Background forecast failed for ${resort.id}:`, err);
+    }
+  }
+
+  const alertLog = await readAlertLog();
+  const due = evaluatePowderAlerts({
+    resorts: config.resorts,
+    forecasts,
+    thresholds: config.thresholds,
+    defaultThreshold: config.defaultThreshold,
+    alertLog,
+    now,
+  });
+  if (due.length === 0) return alertLog;
+
+  const fired = {};
+  for (const { resort, snowfall_cm } of due) {
+    try {
+      await notify(buildNotificationPayload(resort, snowfall_cm, config.units), resort);
+      fired[resort.id] = now;
+    } catch (err) {
+      console.error(`[SnowDesk] Background notification failed for ${resort.id}:`, err);
+    }
+  }
+
+  // Re-read so a write from an open tab during the fetches is not lost
+  const updatedLog = mergeAlertLogs(await readAlertLog(), fired);
+  await writeAlertLog(updatedLog);
+  return updatedLog;
+}
+
+// ── Page side ─────────────────────────────────────────────────────────────────
+
+let registrationPromise = null;
+
+/**
+ * Registers the Service Worker and, where supported and permitted, the
+ * periodic sync that drives background alerts. Memoized; never throws.
+ *
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export function registerAlertWorker() {
+  if (!registrationPromise) registrationPromise = register();
+  return registrationPromise;
+}
+
+async function register() {
+  if (!('serviceWorker' in navigator)) return null;
+
+  try {
+    // Dev serves the untransformed module; the build emits /sw.js (vite.config.js)
+    const url = import.meta.env.DEV ? '/src/sw.js' : '/sw.js';
+    const registration = await navigator.serviceWorker.register(url, { type: 'module' });
+
+    if ('periodicSync' in registration) {
+      const status = await navigator.permissions
+        .query({ name: 'periodic-background-sync' })
+        .catch(() => null);
+      if (status?.state === 'granted') {
+        await registration.periodicSync.register(ALERT_SYNC_TAG, {
+          minInterval: SYNC_MIN_INTERVAL_MS,
+        });
+      }
+    }
+    return registration;
+  } catch (err) {
+    console.warn('[SnowDesk] Service Worker registration failed:', err);
+    registrationPromise = null; // allow a later retry
+    return null;
+  }
+}
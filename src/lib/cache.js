@@ -1,52 +1,364 @@
 /**
  * src/lib/cache.js
  *
- * In-memory caching layer for SnowDesk.
+ * Caching layer for SnowDesk.
  * Conforms to SPEC.md section 5 (forecast cache) and section 7 (summary cache).
+ * The historical cache mirrors the forecast cache with a longer TTL.
+ *
+ * Forecasts are also persisted to IndexedDB (idbStore.js) so a reload can
+ * paint the last known data instantly and revalidate in the background
+ * (stale-while-revalidate). The in-memory Map stays the source of truth for
+ * the session; IndexedDB is write-through and read on a memory miss.
+ * AI summaries are persisted the same way, plus an optional shared store
+ * (Supabase) so one summary per resort per day serves the whole group.
+ * Snowfall heatmap chunks (snowGrid.js) are persisted too, with a longer TTL.
  *
  * No localStorage here — that belongs in the alert system (SPEC.md section 6).
  */
 
+import { idbGet, idbSet, idbDelete, idbGetAll } from './idbStore.js';
+
 // ── Forecast cache ────────────────────────────────────────────────────────────
 
 const forecastCache = new Map();
-const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+export const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Persisted entries older than this are discarded rather than painted
+const PERSIST_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const FORECAST_STORE = 'forecasts';
+
+// In-flight background revalidations — one per resort at a time
+const revalidating = new Map();
+
+/** True if a cache entry written at `timestamp` is older than the TTL. */
+export function isForecastStale(timestamp) {
+  return !timestamp || Date.now() - timestamp >= CACHE_TTL_MS;
+}
+
+/**
+ * Timestamp (ms) at which the cached forecast for a resort was fetched, or
+ * null if nothing is cached in memory.
+ *
+ * @param {string} resortId
+ * @returns {number|null}
+ */
+export function getForecastTimestamp(resortId) {
+  return forecastCache.get(resortId)?.timestamp ?? null;
+}
+
+/** Write-through: memory + IndexedDB. Persistence failures are logged only. */
+function storeForecast(resortId, data, timestamp) {
+  const entry = { data, timestamp };
+  forecastCache.set(resortId, entry);
+  idbSet(FORECAST_STORE, resortId, entry).catch((err) =>
+    console.warn('[SnowDesk] Could not persist forecast:', err)
+  );
+  return entry;
+}
+
+/** Reads a persisted entry into memory. Resolves undefined on miss or error. */
+async function readPersistedForecast(resortId) {
+  try {
+    const entry = await idbGet(FORECAST_STORE, resortId);
+    if (!entry || Date.now() - entry.timestamp >= PERSIST_MAX_AGE_MS) return undefined;
+    forecastCache.set(resortId, entry);
+    return entry;
+  } catch (err) {
+    console.warn('[SnowDesk] Could not read persisted forecast:', err);
+    return undefined;
+  }
+}
+
+/**
+ * Fetches, stores and returns a fresh forecast regardless of what is cached.
+ * Concurrent calls for the same resort share one request.
+ *
+ * @param {string}            resortId
+ * @param {() => Promise<*>}  fetchFn
+ * @returns {Promise<{ data: *, timestamp: number }>}
+ */
+export function revalidateForecast(resortId, fetchFn) {
+  if (revalidating.has(resortId)) return revalidating.get(resortId);
+  const promise = fetchFn()
+    .then((data) => storeForecast(resortId, data, Date.now()))
+    .finally(() => revalidating.delete(resortId));
+  revalidating.set(resortId, promise);
+  return promise;
+}
+
+/**
+ * Returns the cached forecast; fetches only on a full miss.
+ *
+ *   fresh hit (memory or IndexedDB) → cached data
+ *   stale hit                       → cached data immediately, plus a
+ *                                     background revalidation that calls
+ *                                     onRevalidate(data, timestamp) when done
+ *   miss                            → awaits fetchFn, caches, returns
+ *
+ * @param {string}            resortId      Resort ID (key)
+ * @param {() => Promise<*>}  fetchFn       Async function that fetches fresh data
+ * @param {(data: *, timestamp: number) => void} [onRevalidate]
+ *                                          Called after a background refresh
+ * @returns {Promise<*>}
+ */
+export async function getCachedForecast(resortId, fetchFn, onRevalidate) {
+  const cached = forecastCache.get(resortId) ?? (await readPersistedForecast(resortId));
+
+  if (cached && !isForecastStale(cached.timestamp)) {
+    return cached.data;
+  }
+
+  if (cached) {
+    revalidateForecast(resortId, fetchFn)
+      .then(({ data, timestamp }) => onRevalidate?.(data, timestamp))
+      .catch((err) =>
+        console.error(`[SnowDesk] Background revalidation failed for ${resortId}:`, err)
+      );
+    return cached.data;
+  }
+
+  const { data } = await revalidateForecast(resortId, fetchFn);
+  return data;
+}
 
 /**
- * Returns cached forecast if still fresh; otherwise calls fetchFn, caches the
- * result, and returns it.
+ * Loads every persisted forecast into memory so the Dashboard can paint
+ * before any network request. Expired entries (> PERSIST_MAX_AGE_MS) are
+ * deleted. Never throws — resolves to {} if IndexedDB is unavailable.
+ *
+ * @returns {Promise<Record<string, { data: *, timestamp: number }>>}
+ */
+export async function hydrateForecastCache() {
+  let entries;
+  try {
+    entries = await idbGetAll(FORECAST_STORE);
+  } catch (err) {
+    console.warn('[SnowDesk] Could not read persisted forecasts:', err);
+    return {};
+  }
+
+  const hydrated = {};
+  for (const { key, value } of entries) {
+    if (!value || Date.now() - value.timestamp >= PERSIST_MAX_AGE_MS) {
+      idbDelete(FORECAST_STORE, key).catch(() => {});
+      continue;
+    }
+    // Never overwrite something newer fetched during this session
+    const current = forecastCache.get(key);
+    if (!current || current.timestamp < value.timestamp) {
+      forecastCache.set(key, value);
+    }
+    hydrated[key] = forecastCache.get(key);
+  }
+  return hydrated;
+}
+
+// ── Historical cache ──────────────────────────────────────────────────────────
+
+const historicalCache = new Map();
+const HISTORICAL_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours — archive updates daily
+
+/**
+ * Returns cached 10-day archive data if still fresh; otherwise calls fetchFn,
+ * caches the result, and returns it. Same contract as getCachedForecast.
  *
  * @param {string}            resortId  Resort ID (key)
  * @param {() => Promise<*>}  fetchFn   Async function that fetches fresh data
  * @returns {Promise<*>}
  */
-export async function getCachedForecast(resortId, fetchFn) {
-  const cached = forecastCache.get(resortId);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+export async function getCachedHistorical(resortId, fetchFn) {
+  const cached = historicalCache.get(resortId);
+  if (cached && Date.now() - cached.timestamp < HISTORICAL_TTL_MS) {
+    return cached.data;
+  }
+  const data = await fetchFn();
+  historicalCache.set(resortId, { data, timestamp: Date.now() });
+  return data;
+}
+
+// ── Avalanche cache ───────────────────────────────────────────────────────────
+
+let avalancheCache = null;
+const AVALANCHE_TTL_MS = 60 * 60 * 1000; // 1 hour — centers publish once a day
+
+/**
+ * Returns the cached avalanche zones (avalanche.js) if still fresh; otherwise
+ * calls fetchFn, caches the result, and returns it. One entry — the feed
+ * covers every zone at once.
+ *
+ * @param {() => Promise<*>}  fetchFn  Async function that fetches the zones
+ * @returns {Promise<*>}
+ */
+export async function getCachedAvalanche(fetchFn) {
+  if (avalancheCache && Date.now() - avalancheCache.timestamp < AVALANCHE_TTL_MS) {
+    return avalancheCache.data;
+  }
+  const data = await fetchFn();
+  avalancheCache = { data, timestamp: Date.now() };
+  return data;
+}
+
+// ── Operating status cache ────────────────────────────────────────────────────
+
+const statusCache = new Map();
+const STATUS_TTL_MS = 15 * 60 * 1000; // 15 minutes — lifts open through the morning
+
+/**
+ * Returns cached operating statuses for a provider (operatingStatus.js) if
+ * still fresh; otherwise calls fetchFn, caches the result, and returns it.
+ *
+ * @param {string}            providerName  Provider name (key)
+ * @param {() => Promise<*>}  fetchFn       Async function that fetches statuses
+ * @returns {Promise<*>}
+ */
+export async function getCachedStatus(providerName, fetchFn) {
+  const cached = statusCache.get(providerName);
+  if (cached && Date.now() - cached.timestamp < STATUS_TTL_MS) {
     return cached.data;
   }
   const data = await fetchFn();
-  forecastCache.set(resortId, { data, timestamp: Date.now() });
+  statusCache.set(providerName, { data, timestamp: Date.now() });
   return data;
 }
 
+// ── Snowfall grid cache ───────────────────────────────────────────────────────
+
+const gridCache = new Map();
+const GRID_TTL_MS = 3 * 60 * 60 * 1000; // 3 hours — a regional overview, not a card
+const GRID_STORE = 'grid';
+
+/**
+ * Returns a cached heatmap chunk (see chunkGridPoints in snowGrid.js).
+ *
+ * Lookup order: memory → IndexedDB → fetchFn. Entries younger than
+ * GRID_TTL_MS are served as-is; if refreshing an older one fails, the stale
+ * chunk (up to PERSIST_MAX_AGE_MS) is returned rather than a hole in the map.
+ *
+ * @param {string}            key      Chunk key
+ * @param {() => Promise<*>}  fetchFn  Async function that fetches the chunk
+ * @returns {Promise<*>}
+ */
+export async function getCachedGridChunk(key, fetchFn) {
+  let cached = gridCache.get(key);
+  if (!cached) {
+    try {
+      cached = await idbGet(GRID_STORE, key);
+      if (cached) gridCache.set(key, cached);
+    } catch (err) {
+      console.warn('[SnowDesk] Could not read persisted grid chunk:', err);
+    }
+  }
+
+  if (cached && Date.now() - cached.timestamp < GRID_TTL_MS) {
+    return cached.data;
+  }
+
+  try {
+    const data = await fetchFn();
+    const entry = { data, timestamp: Date.now() };
+    gridCache.set(key, entry);
+    idbSet(GRID_STORE, key, entry).catch((err) =>
+      console.warn('[SnowDesk] Could not persist grid chunk:', err)
+    );
+    return data;
+  } catch (err) {
+    if (cached && Date.now() - cached.timestamp < PERSIST_MAX_AGE_MS) return cached.data;
+    throw err;
+  }
+}
+
 // ── Summary cache ─────────────────────────────────────────────────────────────
 
 const summaryCache = new Map();
+const SUMMARY_STORE = 'summaries';
+
+// Persisted summaries from previous days are pruned once per session
+let summariesPruned = false;
+
+/** Today's key suffix — UTC date, "YYYY-MM-DD". */
+function getSummaryDate() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/** Deletes persisted summaries whose key is not from `today`. Never throws. */
+async function prunePersistedSummaries(today) {
+  summariesPruned = true;
+  try {
+    const entries = await idbGetAll(SUMMARY_STORE);
+    await Promise.all(
+      entries
+        .filter(({ key }) => !key.endsWith(`_${today}`))
+        .map(({ key }) => idbDelete(SUMMARY_STORE, key))
+    );
+  } catch (err) {
+    console.warn('[SnowDesk] Could not prune persisted summaries:', err);
+  }
+}
 
 /**
  * Returns cached AI summary for the given resort on today's date.
- * Key format: `resortId_YYYY-MM-DD` — summaries do not need hourly refresh.
+ * Key format: `resortId_unitsKey_YYYY-MM-DD` — summaries do not need hourly
+ * refresh, but quote amounts in the reader's units.
  *
- * @param {string}            resortId  Resort ID
- * @param {() => Promise<*>}  fetchFn   Async function that generates a fresh summary
+ * Lookup order: memory → IndexedDB → sharedStore → fetchFn. A freshly
+ * generated summary is written back to all three layers; a shared hit is
+ * written to the local layers only.
+ *
+ * @param {string}            resortId     Resort ID
+ * @param {() => Promise<*>}  fetchFn      Async function that generates a fresh summary
+ * @param {object|null}       [sharedStore] Optional cross-user store, e.g.
+ *   sharedSummaryStore from supabase.js:
+ *   { get(resortId, date, units) → Promise<string|null>,
+ *     put(resortId, date, text, units) → Promise<void> }
+ * @param {string}            [unitsKey='imperial']  getUnitsKey() of the display units
  * @returns {Promise<*>}
  */
-export async function getCachedSummary(resortId, fetchFn) {
-  const today = new Date().toISOString().split('T')[0];
-  const key = `${resortId}_${today}`;
+export async function getCachedSummary(resortId, fetchFn, sharedStore = null, unitsKey = 'imperial') {
+  const today = getSummaryDate();
+  const key = `${resortId}_${unitsKey}_${today}`;
   if (summaryCache.has(key)) return summaryCache.get(key);
+
+  if (!summariesPruned) prunePersistedSummaries(today);
+
+  // 1. Persisted locally from an earlier page load today
+  try {
+    const persisted = await idbGet(SUMMARY_STORE, key);
+    if (persisted) {
+      summaryCache.set(key, persisted);
+      return persisted;
+    }
+  } catch (err) {
+    console.warn('[SnowDesk] Could not read persisted summary:', err);
+  }
+
+  const persist = (summary) => {
+    summaryCache.set(key, summary);
+    idbSet(SUMMARY_STORE, key, summary).catch((err) =>
+      console.warn('[SnowDesk] Could not persist summary:', err)
+    );
+  };
+
+  // 2. Generated today by someone else in the group
+  if (sharedStore) {
+    try {
+      const shared = await sharedStore.get(resortId, today, unitsKey);
+      if (shared) {
+        persist(shared);
+        return shared;
+      }
+    } catch (err) {
+      console.warn('[SnowDesk] Could not read shared summary:', err);
+    }
+  }
+
+  // 3. Generate, then share
   const summary = await fetchFn();
-  summaryCache.set(key, summary);
+  persist(summary);
+  if (sharedStore) {
+    sharedStore.put(resortId, today, summary, unitsKey).catch((err) =>
+      console.warn('[SnowDesk] Could not share summary:', err)
+    );
+  }
   return summary;
 }
@@ -7,55 +7,314 @@
  * Does NOT throw — all errors are per-resort and logged to console.
  */
 
-import { getCachedForecast } from './cache.js';
-import { fetchForecast } from './openMeteo.js';
+import {
+  getCachedAvalanche,
+  getCachedForecast,
+  getCachedGridChunk,
+  getCachedHistorical,
+  getCachedStatus,
+  getForecastTimestamp,
+  hydrateForecastCache,
+  isForecastStale,
+  revalidateForecast,
+} from './cache.js';
+import { fetchForecast, fetchHistorical, fetchArchiveSnowfall, fetchGridSnowfall } from './openMeteo.js';
+import { getSeasonArchiveRange, computeSeasonContext } from './seasonContext.js';
+import {
+  GRID_CALLS_PER_MINUTE,
+  GRID_RETRY_DELAYS_MS,
+  chunkGridPoints,
+  getGridPoints,
+} from './snowGrid.js';
+import { fetchAvalancheZones, mapResortsToZones } from './avalanche.js';
+import { getStatusProvider } from './operatingStatus.js';
 
 const BATCH_SIZE = 10;
 const BATCH_DELAY_MS = 200;
 
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs loadFn over items in batches of BATCH_SIZE, staggered BATCH_DELAY_MS
+ * apart (SPEC.md section 5).
+ *
+ * @param {object[]} items   Resorts to load
+ * @param {Function} loadFn  (item) → Promise<void>; must not throw
+ */
+async function loadInBatches(items, loadFn) {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = items.slice(i, i + BATCH_SIZE);
+
+    await Promise.all(batch.map(loadFn));
+
+    // Stagger batches to avoid hammering the API (SPEC.md section 5)
+    if (i + BATCH_SIZE < items.length) {
+      await delay(BATCH_DELAY_MS);
+    }
+  }
+}
+
 /**
  * Loads all Tier 1 resort forecasts in batches of 10, staggered 200 ms apart.
  * Populates AppContext progressively as each batch completes.
  *
+ * Stale-while-revalidate: anything in the persistent cache is painted first
+ * (marked 'done' with its original fetch time), then only missing or stale
+ * resorts go to the network through the usual batching. A resort whose
+ * revalidation fails keeps its stale data rather than flipping to 'error'.
+ *
+ * With `multiModel`, cached forecasts that lack the model spread count as
+ * stale so turning the setting on fills it in.
+ *
  * @param {object[]} resorts          Full resort list from resorts.json
- * @param {Function} setForecast      (resortId, data) → void — from useSetForecast()
+ * @param {Function} setForecast      (resortId, data, fetchedAt) → void — from useSetForecast()
  * @param {Function} setLoadingState  (resortId, status) → void — from useSetLoadingState()
+ * @param {object}   [options]        Passed to fetchForecast — { multiModel }
  */
-export async function loadTier1Forecasts(resorts, setForecast, setLoadingState) {
+export async function loadTier1Forecasts(resorts, setForecast, setLoadingState, options = {}) {
   const tier1 = resorts.filter((r) => r.tier === 1);
 
-  for (let i = 0; i < tier1.length; i += BATCH_SIZE) {
-    const batch = tier1.slice(i, i + BATCH_SIZE);
+  // 1. Paint cached data instantly
+  const cached = await hydrateForecastCache();
+  tier1.forEach((resort) => {
+    const entry = cached[resort.id];
+    if (!entry) return;
+    setForecast(resort.id, entry.data, entry.timestamp);
+    setLoadingState(resort.id, 'done');
+  });
 
-    await Promise.all(
-      batch.map((resort) => loadSingleForecast(resort, setForecast, setLoadingState))
-    );
+  // 2. Network only for missing or stale resorts
+  const toFetch = tier1.filter(
+    (r) =>
+      !cached[r.id] ||
+      isForecastStale(cached[r.id].timestamp) ||
+      (options.multiModel && !cached[r.id].data.ensemble)
+  );
+  await loadInBatches(toFetch, (resort) =>
+    cached[resort.id]
+      ? refreshForecast(resort, setForecast, options)
+      : loadSingleForecast(resort, setForecast, setLoadingState, options)
+  );
+}
 
-    // Stagger batches to avoid hammering the API (SPEC.md section 5)
-    if (i + BATCH_SIZE < tier1.length) {
-      await new Promise((resolve) => setTimeout(resolve, BATCH_DELAY_MS));
-    }
+/**
+ * Background refresh of a resort that is already on screen with stale data
+ * (or, from ResortDetail, one missing the model spread). Does NOT touch
+ * loadingState — the card keeps showing (and flagging) the stale forecast
+ * until fresh data arrives. Does NOT throw.
+ *
+ * @param {object}   resort       Resort object from resorts.json
+ * @param {Function} setForecast  (resortId, data, fetchedAt) → void
+ * @param {object}   [options]    Passed to fetchForecast
+ */
+export async function refreshForecast(resort, setForecast, options) {
+  try {
+    const { data, timestamp } = await revalidateForecast(resort.id, () => fetchForecast(resort, options));
+    setForecast(resort.id, data, timestamp);
+  } catch (err) {
+    console.error(`[SnowDesk] Failed to refresh forecast for ${resort.name}:`, err);
   }
 }
 
 /**
- * Loads a single resort forecast using the in-memory cache layer.
+ * Loads a single resort forecast using the cache layer.
  * Used by loadTier1Forecasts (above) and by ResortDetail for Tier 2 resorts.
  *
+ * If the cache returns stale data, it is shown immediately and replaced once
+ * the background revalidation completes.
+ *
  * On error: sets loadingState to 'error', logs to console, does NOT throw.
  *
  * @param {object}   resort           Resort object from resorts.json
- * @param {Function} setForecast      (resortId, data) → void
+ * @param {Function} setForecast      (resortId, data, fetchedAt) → void
  * @param {Function} setLoadingState  (resortId, status) → void
+ * @param {object}   [options]        Passed to fetchForecast — { multiModel }
  */
-export async function loadSingleForecast(resort, setForecast, setLoadingState) {
+export async function loadSingleForecast(resort, setForecast, setLoadingState, options) {
   setLoadingState(resort.id, 'loading');
   try {
-    const data = await getCachedForecast(resort.id, () => fetchForecast(resort));
-    setForecast(resort.id, data);
+    const data = await getCachedForecast(
+      resort.id,
+      () => fetchForecast(resort, options),
+      (fresh, timestamp) => setForecast(resort.id, fresh, timestamp)
+    );
+    setForecast(resort.id, data, getForecastTimestamp(resort.id) ?? Date.now());
     setLoadingState(resort.id, 'done');
   } catch (err) {
     console.error(`[SnowDesk] Failed to load forecast for ${resort.name}:`, err);
     setLoadingState(resort.id, 'error');
   }
 }
+
+/**
+ * Loads forecasts for an arbitrary list of resorts (e.g. the trip planner's
+ * Tier 1 plus saved candidates) with the same batching as loadTier1Forecasts.
+ * Callers pass only resorts that aren't loaded or loading yet. Does NOT throw.
+ *
+ * @param {object[]} resorts          Resorts to load
+ * @param {Function} setForecast      (resortId, data, fetchedAt) → void
+ * @param {Function} setLoadingState  (resortId, status) → void
+ * @param {object}   [options]        Passed to fetchForecast — { multiModel }
+ */
+export async function loadForecasts(resorts, setForecast, setLoadingState, options) {
+  await loadInBatches(resorts, (resort) =>
+    loadSingleForecast(resort, setForecast, setLoadingState, options)
+  );
+}
+
+/**
+ * Loads the 10-day archive for all Tier 1 resorts, using the same batching as
+ * loadTier1Forecasts. Called by the Dashboard once forecasts have finished so
+ * the archive requests never compete with the primary card data.
+ *
+ * @param {object[]} resorts        Full resort list from resorts.json
+ * @param {Function} setHistorical  (resortId, data) → void — from useSetHistorical()
+ */
+export async function loadTier1Historical(resorts, setHistorical) {
+  const tier1 = resorts.filter((r) => r.tier === 1);
+  await loadInBatches(tier1, (resort) => loadSingleHistorical(resort, setHistorical));
+}
+
+/**
+ * Loads the 10-day archive for a single resort through the historical cache.
+ * Used by loadTier1Historical (above) and by the Snow Summary tab.
+ *
+ * On error: logs to console, leaves context untouched and resolves to null.
+ * Does NOT throw — history is supplementary, so callers render without it.
+ *
+ * @param {object}   resort         Resort object from resorts.json
+ * @param {Function} setHistorical  (resortId, data) → void
+ * @returns {Promise<object|null>}  The archive response, or null on error
+ */
+export async function loadSingleHistorical(resort, setHistorical) {
+  try {
+    const data = await getCachedHistorical(resort.id, () => fetchHistorical(resort));
+    setHistorical(resort.id, data);
+    return data;
+  } catch (err) {
+    console.error(`[SnowDesk] Failed to load history for ${resort.name}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Loads season-to-date context for a single resort (Snow Summary tab).
+ * The multi-year archive response goes through the historical cache under
+ * "<resortId>_season" so it is fetched at most once per TTL.
+ *
+ * On error: logs to console and resolves to null. Does NOT throw.
+ *
+ * @param {object} resort  Resort object from resorts.json
+ * @returns {Promise<object|null>}  computeSeasonContext() result, or null
+ */
+export async function loadSeasonContext(resort) {
+  try {
+    const { startDate, endDate } = getSeasonArchiveRange(new Date(), resort.lat);
+    const archive = await getCachedHistorical(`${resort.id}_season`, () =>
+      fetchArchiveSnowfall(resort, startDate, endDate)
+    );
+    return computeSeasonContext(archive, { lat: resort.lat });
+  } catch (err) {
+    console.error(`[SnowDesk] Failed to load season context for ${resort.name}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Loads the snowfall heatmap grid around every resort (snowGrid.js): one
+ * multi-location request per chunk, through the grid cache. Chunks go one at
+ * a time, and after each one fetched from the network the loader waits in
+ * proportion to its size so the grid stays under GRID_CALLS_PER_MINUTE; a
+ * chunk that gets HTTP 429 is retried after each of GRID_RETRY_DELAYS_MS.
+ * onChunk is called as each chunk arrives so the overlay fills in
+ * progressively; failed chunks are logged and left out. Does NOT throw.
+ *
+ * @param {object[]} resorts  Full resort list from resorts.json
+ * @param {Function} onChunk  (cells) → void — cells from fetchGridSnowfall()
+ * @param {object}   [options]
+ * @param {number}   [options.callsPerMinute=GRID_CALLS_PER_MINUTE]
+ * @param {number[]} [options.retryDelaysMs=GRID_RETRY_DELAYS_MS]
+ * @returns {Promise<number>} How many chunks loaded
+ */
+export async function loadSnowGrid(
+  resorts,
+  onChunk,
+  { callsPerMinute = GRID_CALLS_PER_MINUTE, retryDelaysMs = GRID_RETRY_DELAYS_MS } = {}
+) {
+  const chunks = chunkGridPoints(getGridPoints(resorts));
+  let loaded = 0;
+
+  for (const [i, chunk] of chunks.entries()) {
+    let fetched = false;
+    const fetchChunk = async () => {
+      fetched = true;
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await fetchGridSnowfall(chunk.points);
+        } catch (err) {
+          if (err.status !== 429 || attempt >= retryDelaysMs.length) throw err;
+          console.warn(`[SnowDesk] Snowfall grid rate limited, retrying in ${retryDelaysMs[attempt] / 1000}s`);
+          await delay(retryDelaysMs[attempt]);
+        }
+      }
+    };
+
+    try {
+      onChunk(await getCachedGridChunk(chunk.key, fetchChunk));
+      loaded++;
+    } catch (err) {
+      console.error(`[SnowDesk] Failed to load snowfall grid chunk ${chunk.key}:`, err);
+    }
+
+    // Cached chunks cost nothing, so only network fetches are paced
+    if (fetched && i < chunks.length - 1) {
+      await delay((chunk.points.length / callsPerMinute) * 60000);
+    }
+  }
+  return loaded;
+}
+
+/**
+ * Loads today's avalanche danger and matches every resort to its forecast
+ * zone (avalanche.js). One feed request, through the avalanche cache.
+ *
+ * On error: logs to console and resolves to null. Does NOT throw — danger
+ * ratings are supplementary, so cards render without them.
+ *
+ * @param {object[]} resorts       Full resort list from resorts.json
+ * @param {Function} setAvalanche  (dangers) → void — from useSetAvalanche()
+ * @returns {Promise<object|null>} resortId → danger, or null
+ */
+export async function loadAvalancheDanger(resorts, setAvalanche) {
+  try {
+    const zones = await getCachedAvalanche(() => fetchAvalancheZones());
+    const dangers = mapResortsToZones(resorts, zones);
+    setAvalanche(dangers);
+    return dangers;
+  } catch (err) {
+    console.error('[SnowDesk] Failed to load avalanche danger:', err);
+    return null;
+  }
+}
+
+/**
+ * Loads today's operating status (open/closed, lifts open) from the
+ * configured provider (operatingStatus.js), through the status cache.
+ *
+ * On error: logs to console and resolves to null. Does NOT throw.
+ *
+ * @param {object[]} resorts             Full resort list from resorts.json
+ * @param {Function} setOperatingStatus  (statuses) → void — from useSetOperatingStatus()
+ * @param {object}   [provider]          Defaults to getStatusProvider()
+ * @returns {Promise<object|null>} resortId → status, or null
+ */
+export async function loadOperatingStatus(resorts, setOperatingStatus, provider = getStatusProvider()) {
+  try {
+    const statuses = await getCachedStatus(provider.name, () => provider.fetchStatuses(resorts));
+    setOperatingStatus(statuses);
+    return statuses;
+  } catch (err) {
+    console.error('[SnowDesk] Failed to load operating status:', err);
+    return null;
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * src/lib/elevationBands.js
+ *
+ * Base / mid / summit forecasts. fetchForecast() asks Open-Meteo for all three
+ * elevations in one multi-location request; the summit response stays the
+ * forecast object itself (so everything that predates bands keeps working)
+ * and the other two ride along, trimmed, under `forecast.bands`:
+ *
+ *   forecast.bands = { base: BandForecast, mid: BandForecast }
+ *
+ * Forecasts cached before bands existed have no `bands` — every helper here
+ * degrades to summit-only rather than failing.
+ */
+
+export const BANDS = ['base', 'mid', 'summit'];
+
+export const BAND_LABELS = { base: 'Base', mid: 'Mid', summit: 'Summit' };
+
+// Snow usually reaches ~300 m below the freezing level before turning to rain
+export const SNOW_LINE_OFFSET_M = 300;
+
+// Window the card's rain/snow line and base rain risk look ahead over
+export const RAIN_RISK_HOURS = 48;
+
+// Rain at the base (mm over the window) worth flagging
+export const BASE_RAIN_MIN_MM = 1;
+
+// Hourly precipitation (mm) that counts as "it's precipitating"
+const PRECIP_MIN_MM = 0.1;
+
+// Hourly variables kept for base and mid — enough for Conditions and the
+// band table without tripling what the forecast cache stores
+const BAND_HOURLY_VARS = ['time', 'temperature_2m', 'snowfall', 'rain', 'snow_depth', 'weathercode'];
+
+/**
+ * @param {object} resort  Resort object from resorts.json
+ * @returns {{ base: number, mid: number, summit: number }} Meters
+ */
+export function getBandElevations(resort) {
+  const summit = Math.round(resort.summitElevation);
+  const base = Math.round(resort.baseElevation ?? resort.summitElevation);
+  return { base, mid: Math.round((base + summit) / 2), summit };
+}
+
+/**
+ * Keeps the daily block and a handful of hourly series from a raw
+ * Open-Meteo response.
+ *
+ * @param {object} response  Raw Open-Meteo forecast response for one elevation
+ * @returns {object} BandForecast: { elevation, daily, hourly }
+ */
+export function trimBandForecast(response) {
+  const hourly = {};
+  for (const key of BAND_HOURLY_VARS) {
+    if (response.hourly?.[key]) hourly[key] = response.hourly[key];
+  }
+  return { elevation: response.elevation, daily: response.daily, hourly };
+}
+
+/**
+ * Combines the per-elevation responses of a multi-location request
+ * (ordered base, mid, summit) into one forecast object.
+ *
+ * @param {object[]} responses  [base, mid, summit] raw Open-Meteo responses
+ * @returns {object} The summit response with `bands` attached
+ */
+export function combineBandForecasts([base, mid, summit]) {
+  return {
+    ...summit,
+    bands: { base: trimBandForecast(base), mid: trimBandForecast(mid) },
+  };
+}
+
+/**
+ * @param {object} forecast  Forecast from fetchForecast()
+ * @param {'base'|'mid'|'summit'} band
+ * @returns {object|null} That band's forecast (daily + hourly), or null when
+ *                        the forecast predates elevation bands
+ */
+export function getBandForecast(forecast, band) {
+  if (!forecast) return null;
+  if (band === 'summit') return forecast;
+  return forecast.bands?.[band] ?? null;
+}
+
+/** True when the forecast carries base and mid bands. */
+export function hasBands(forecast) {
+  return Boolean(forecast?.bands?.base && forecast?.bands?.mid);
+}
+
+/**
+ * Highest rain/snow line (m) over the precipitating hours of the window —
+ * below it precipitation falls as snow, above-freezing air lifts it to rain.
+ * Uses the summit's hourly freezing_level_height.
+ *
+ * @param {object} forecast    Forecast from fetchForecast()
+ * @param {number} startIndex  Hourly index to start from (usually the current hour)
+ * @param {number} [hours=RAIN_RISK_HOURS]
+ * @returns {number|null} Meters, or null when nothing falls in the window
+ *                        (or the forecast has no freezing level)
+ */
+export function getSnowLine(forecast, startIndex, hours = RAIN_RISK_HOURS) {
+  const h = forecast?.hourly;
+  if (!h?.freezing_level_height || !h.precipitation) return null;
+
+  let snowLine = null;
+  const end = Math.min(startIndex + hours, h.time.length);
+  for (let i = startIndex; i < end; i++) {
+    if ((h.precipitation[i] ?? 0) < PRECIP_MIN_MM) continue;
+    const freezing = h.freezing_level_height[i];
+    if (freezing == null) continue;
+    snowLine = Math.max(snowLine ?? -Infinity, freezing - SNOW_LINE_OFFSET_M);
+  }
+  return snowLine === null ? null : Math.max(0, Math.round(snowLine));
+}
+
+/**
+ * Whether the base is likely to see rain in the window. Uses the base band's
+ * own rain when present; otherwise falls back to the snow line sitting above
+ * the base elevation.
+ *
+ * @param {object} forecast    Forecast from fetchForecast()
+ * @param {object} resort      Resort object from resorts.json
+ * @param {number} startIndex  Hourly index to start from
+ * @param {number} [hours=RAIN_RISK_HOURS]
+ * @returns {boolean}
+ */
+export function hasBaseRainRisk(forecast, resort, startIndex, hours = RAIN_RISK_HOURS) {
+  const base = getBandForecast(forecast, 'base');
+  if (base?.hourly?.rain) {
+    const rain = base.hourly.rain
+      .slice(startIndex, startIndex + hours)
+      .reduce((sum, v) => sum + (v ?? 0), 0);
+    return rain >= BASE_RAIN_MIN_MM;
+  }
+  const snowLine = getSnowLine(forecast, startIndex, hours);
+  return snowLine !== null && snowLine > getBandElevations(resort).base;
+}
@@ -0,0 +1,151 @@
+/**
+ * src/lib/ensemble.js
+ *
+ * Multi-model snowfall spread. With settings.multiModel on, fetchForecast()
+ * also asks Open-Meteo for daily snowfall from each model in ENSEMBLE_MODELS
+ * and attaches the per-day spread to the forecast:
+ *
+ *   forecast.ensemble = {
+ *     models: ['gfs_seamless', …],           // models that returned data
+ *     days:   [{ date, min, median, max, count, confidence }, …],
+ *   }
+ *
+ * `confidence` (0–1) is median ÷ max: how much of the biggest model's storm
+ * the typical model agrees with. A sure storm scores near 1; one model's
+ * fantasy dump with everyone else dry scores near 0. Dry days score 1.
+ * getBestWindow() and the powder alert check both read it; forecasts without
+ * an ensemble behave exactly as before.
+ */
+
+import { OUTLOOK_DAYS } from './utils.js';
+
+/** Models requested, in legend order. HRRR only covers the US, ~2 days out. */
+export const ENSEMBLE_MODELS = [
+  { id: 'gfs_seamless',  label: 'GFS'   },
+  { id: 'ecmwf_ifs025',  label: 'ECMWF' },
+  { id: 'gfs_hrrr',      label: 'HRRR'  },
+  { id: 'gem_seamless',  label: 'GEM'   },
+  { id: 'icon_seamless', label: 'ICON'  },
+];
+
+// Days the ensemble covers — matches the Forecast tab's 7-day chart
+export const ENSEMBLE_DAYS = 7;
+
+// Below this a day's storm is treated as one model's outlier: it can't be the
+// best window on snowfall alone and doesn't fire a powder alert
+export const MIN_ALERT_CONFIDENCE = 0.3;
+
+// Extended-outlook days (8–16) have no ensemble and little single-run skill;
+// their snowfall counts at most this much toward the best window
+export const EXTENDED_DAY_CONFIDENCE = 0.5;
+
+// Snowfall (cm) below which a day counts as dry for confidence purposes
+const DRY_DAY_CM = 0.5;
+
+/**
+ * @param {number[]} sorted  Ascending, non-empty
+ * @returns {number}
+ */
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/**
+ * @param {number} medianCm
+ * @param {number} maxCm
+ * @returns {number} 0–1, rounded to 2 decimals
+ */
+export function getConfidence(medianCm, maxCm) {
+  if (maxCm < DRY_DAY_CM) return 1;
+  return Math.round(Math.min(1, medianCm / maxCm) * 100) / 100;
+}
+
+/**
+ * @param {number|null|undefined} confidence  0–1
+ * @returns {'high'|'medium'|'low'|null} null when unknown
+ */
+export function getConfidenceLevel(confidence) {
+  if (confidence == null) return null;
+  if (confidence >= 0.6) return 'high';
+  if (confidence >= MIN_ALERT_CONFIDENCE) return 'medium';
+  return 'low';
+}
+
+/**
+ * Builds forecast.ensemble from a multi-model Open-Meteo response, whose
+ * daily block has one `snowfall_sum_<model>` series per model. Models that
+ * return nothing for a day (e.g. HRRR past its range) are left out of that
+ * day's spread.
+ *
+ * @param {object} response  Raw Open-Meteo response (daily=snowfall_sum, models=…)
+ * @param {string[]} [modelIds]  Defaults to ENSEMBLE_MODELS
+ * @returns {{ models: string[], days: object[] }|null} null when fewer than
+ *          two models returned data — there is no spread to show
+ */
+export function summarizeModelSpread(response, modelIds = ENSEMBLE_MODELS.map((m) => m.id)) {
+  const daily = response?.daily;
+  if (!daily?.time) return null;
+
+  const series = modelIds
+    .map((id) => ({ id, values: daily[`snowfall_sum_${id}`] }))
+    .filter((s) => s.values?.some((v) => v != null));
+  if (series.length < 2) return null;
+
+  const days = daily.time.slice(0, ENSEMBLE_DAYS).map((date, i) => {
+    const values = series
+      .map((s) => s.values[i])
+      .filter((v) => v != null)
+      .sort((a, b) => a - b);
+    if (values.length === 0) {
+      return { date, min: null, median: null, max: null, count: 0, confidence: null };
+    }
+    const min = values[0];
+    const max = values[values.length - 1];
+    const med = median(values);
+    return {
+      date,
+      min: round1(min),
+      median: round1(med),
+      max: round1(max),
+      count: values.length,
+      confidence: values.length >= 2 ? getConfidence(med, max) : null,
+    };
+  });
+
+  return { models: series.map((s) => s.id), days };
+}
+
+/**
+ * Per-day confidence aligned with forecast.daily.time, for getBestWindow().
+ *
+ * @param {object} forecast  Forecast from fetchForecast()
+ * @returns {Array<number|null>|null} null when the forecast has no ensemble
+ */
+export function getConfidenceByDay(forecast) {
+  const days = forecast?.ensemble?.days;
+  if (!days) return null;
+  const byDate = new Map(days.map((d) => [d.date, d.confidence]));
+  return (forecast.daily?.time ?? []).map((date) => byDate.get(date) ?? null);
+}
+
+/**
+ * Per-day confidence for a `days`-long horizon. Up to OUTLOOK_DAYS this is
+ * getConfidenceByDay(); past it, days are capped at EXTENDED_DAY_CONFIDENCE.
+ *
+ * @param {object} forecast  Forecast from fetchForecast()
+ * @param {number} days      Horizon, e.g. EXTENDED_OUTLOOK_DAYS
+ * @returns {Array<number|null>|null} null when the horizon is a week or less
+ *          and the forecast has no ensemble
+ */
+export function getOutlookConfidence(forecast, days) {
+  const byDay = getConfidenceByDay(forecast);
+  if (days <= OUTLOOK_DAYS) return byDay;
+  return Array.from({ length: days }, (_, i) => {
+    const confidence = byDay?.[i] ?? null;
+    if (i < OUTLOOK_DAYS) return confidence;
+    return Math.min(confidence ?? 1, EXTENDED_DAY_CONFIDENCE);
+  });
+}
@@ -0,0 +1,124 @@
+/**
+ * src/lib/history.js
+ *
+ * Helpers for the 10-day archive response returned by fetchHistorical().
+ * No UI dependencies — pure data logic.
+ *
+ * The archive lags real time by a day or more, so trailing days may come back
+ * as null. Null days are kept in the arrays (so the date axis stays intact)
+ * but are ignored by every total.
+ */
+
+/**
+ * Transform the flat Open-Meteo archive daily object into an array of days,
+ * oldest first.
+ *
+ * @param {object|null} historical  Raw Open-Meteo archive response
+ * @returns {Array<{
+ *   time: string,
+ *   snowfall_sum: number|null,
+ *   temperature_2m_max: number|null,
+ *   temperature_2m_min: number|null
+ * }>}
+ */
+export function buildHistoryArray(historical) {
+  const daily = historical?.daily;
+  if (!daily?.time) return [];
+  return daily.time.map((date, i) => ({
+    time:               date,
+    snowfall_sum:       daily.snowfall_sum?.[i]       ?? null,
+    temperature_2m_max: daily.temperature_2m_max?.[i] ?? null,
+    temperature_2m_min: daily.temperature_2m_min?.[i] ?? null,
+  }));
+}
+
+// ── Dates ─────────────────────────────────────────────────────────────────────
+
+/** Today's "YYYY-MM-DD" in the archive's timezone (the resort's). */
+function getLocalDate(timezone, now) {
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(now);
+  } catch {
+    return new Date(now).toISOString().slice(0, 10);
+  }
+}
+
+/** Whole calendar days from one "YYYY-MM-DD" to a later one. */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00Z`) - Date.parse(`${from}T00:00Z`)) / 86400000);
+}
+
+/** Archive days up to the last one with data; trailing nulls dropped. */
+function getReportedDays(historical) {
+  const days = buildHistoryArray(historical);
+  let end = days.length;
+  while (end > 0 && days[end - 1].snowfall_sum === null) end--;
+  return days.slice(0, end);
+}
+
+/**
+ * The last archive date with snowfall data, or null when there is none.
+ * Normally yesterday; a few days earlier while the archive lags.
+ *
+ * @param {object|null} historical  Raw Open-Meteo archive response
+ * @returns {string|null} "YYYY-MM-DD"
+ */
+export function getLastReportedDate(historical) {
+  const days = getReportedDays(historical);
+  return days.length ? days[days.length - 1].time : null;
+}
+
+/**
+ * Whole days from the last reported archive day to today at the resort:
+ * 1 when the archive is complete through yesterday, more while it lags.
+ *
+ * @param {object|null} historical  Raw Open-Meteo archive response
+ * @param {Date|number} [now=new Date()]
+ * @returns {number|null} null when no day has data
+ */
+export function getArchiveLagDays(historical, now = new Date()) {
+  const last = getLastReportedDate(historical);
+  if (!last) return null;
+  return daysBetween(last, getLocalDate(historical.timezone, now));
+}
+
+// ── Totals ────────────────────────────────────────────────────────────────────
+
+/**
+ * Total snowfall (cm) over the `days` archive days ending at the last
+ * reported day (getLastReportedDate). With the default of 3 this is the
+ * "past 72h" figure when the archive is complete through yesterday; while it
+ * lags, the window moves back rather than shrinking, so callers should name
+ * it by getArchiveLagDays(). Returns null when no day has data yet.
+ *
+ * @param {object|null} historical  Raw Open-Meteo archive response
+ * @param {number}      [days=3]    Number of reported days to sum
+ * @returns {number|null}
+ */
+export function getPastSnowfall(historical, days = 3) {
+  const recent = getReportedDays(historical)
+    .slice(-days)
+    .filter((d) => d.snowfall_sum !== null);
+  if (recent.length === 0) return null;
+  return recent.reduce((sum, d) => sum + d.snowfall_sum, 0);
+}
+
+/**
+ * Whole days since the last archive day with snowfall ≥ minCm, counted from
+ * today at the resort (1 = yesterday). Returns null if no day in the window
+ * qualifies.
+ *
+ * @param {object|null} historical  Raw Open-Meteo archive response
+ * @param {number}      [minCm=1]   Minimum daily snowfall to count as a snow day
+ * @param {Date|number} [now=new Date()]
+ * @returns {number|null}
+ */
+export function getDaysSinceSnowfall(historical, minCm = 1, now = new Date()) {
+  const days = buildHistoryArray(historical);
+  for (let i = days.length - 1; i >= 0; i--) {
+    if ((days[i].snowfall_sum ?? 0) >= minCm) {
+      return daysBetween(days[i].time, getLocalDate(historical.timezone, now));
+    }
+  }
+  return null;
+}
@@ -0,0 +1,157 @@
+/**
+ * src/lib/idbStore.js
+ *
+ * Minimal promise wrapper around IndexedDB — the persistent backend behind
+ * cache.js and the state shared with the Service Worker (backgroundAlerts.js).
+ * One database, one object store per kind, out-of-line keys.
+ *
+ * When IndexedDB is unavailable (Node/Jest, private browsing modes that block
+ * it) every call resolves to an empty result, so callers fall back to their
+ * in-memory layer without special-casing. Real IndexedDB errors reject.
+ */
+
+const DB_NAME = 'snowdesk';
+const DB_VERSION = 4;
+
+// Object stores created on upgrade — bump DB_VERSION when adding one
+const STORES = ['forecasts', 'summaries', 'alerts', 'grid'];
+
+let dbPromise = null;
+
+/** True when the IndexedDB API exists in this environment. */
+export function isIdbAvailable() {
+  return typeof globalThis.indexedDB !== 'undefined';
+}
+
+/** Promisify an IDBRequest. */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens (and upgrades, if needed) the SnowDesk database. Memoized — the
+ * connection is shared for the lifetime of the page.
+ *
+ * The page and the Service Worker each hold a connection, so upgrades have
+ * to be cooperative: when a newer version is opened elsewhere this one closes
+ * (onversionchange) and the next call reopens; when our own upgrade is
+ * blocked by a connection that won't close, the open rejects rather than
+ * hanging, and a connection that succeeds after that is closed again.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (!dbPromise) {
+    const opening = new Promise((resolve, reject) => {
+      let settled = false;
+      const request = globalThis.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        STORES.forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        });
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        if (settled) {
+          db.close(); // the caller already gave up on this open
+          return;
+        }
+        settled = true;
+        const release = () => {
+          db.close();
+          if (dbPromise === opening) dbPromise = null;
+        };
+        db.onversionchange = release;
+        db.onclose = release;
+        resolve(db);
+      };
+      request.onerror = () => {
+        settled = true;
+        reject(request.error);
+      };
+      request.onblocked = () => {
+        if (settled) return;
+        settled = true;
+        reject(new Error(`IndexedDB upgrade to v${DB_VERSION} blocked by another open SnowDesk tab or worker`));
+      };
+    }).catch((err) => {
+      dbPromise = null; // allow a later retry
+      throw err;
+    });
+    dbPromise = opening;
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs fn against a single object store inside one transaction.
+ *
+ * @param {string}   storeName
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} fn
+ */
+async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  return promisify(fn(tx.objectStore(storeName)));
+}
+
+/**
+ * @param {string} storeName
+ * @param {string} key
+ * @returns {Promise<*|undefined>}
+ */
+export async function idbGet(storeName, key) {
+  if (!isIdbAvailable()) return undefined;
+  return withStore(storeName, 'readonly', (store) => store.get(key));
+}
+
+/**
+ * @param {string} storeName
+ * @param {string} key
+ * @param {*}      value  Must be structured-cloneable
+ * @returns {Promise<void>}
+ */
+export async function idbSet(storeName, key, value) {
+  if (!isIdbAvailable()) return;
+  await withStore(storeName, 'readwrite', (store) => store.put(value, key));
+}
+
+/**
+ * @param {string} storeName
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export async function idbDelete(storeName, key) {
+  if (!isIdbAvailable()) return;
+  await withStore(storeName, 'readwrite', (store) => store.delete(key));
+}
+
+/**
+ * Reads every entry in a store.
+ *
+ * @param {string} storeName
+ * @returns {Promise<Array<{ key: string, value: * }>>}
+ */
+export async function idbGetAll(storeName) {
+  if (!isIdbAvailable()) return [];
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(entries);
+        return;
+      }
+      entries.push({ key: cursor.key, value: cursor.value });
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
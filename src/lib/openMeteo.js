@@ -5,8 +5,12 @@
  * All parameters conform exactly to SPEC.md section 3.
  */
 
+import { getBandElevations, combineBandForecasts } from './elevationBands.js';
+import { ENSEMBLE_DAYS, ENSEMBLE_MODELS, summarizeModelSpread } from './ensemble.js';
+
 const FORECAST_BASE = 'https://api.open-meteo.com/v1/forecast';
 const ARCHIVE_BASE = 'https://archive-api.open-meteo.com/v1/archive';
+const GEOCODING_BASE = 'https://geocoding-api.open-meteo.com/v1/search';
 
 // Every hourly variable listed in SPEC.md section 3
 const HOURLY_VARS = [
@@ -22,8 +26,12 @@ const HOURLY_VARS = [
   'winddirection_10m',  // degrees
   'cloudcover',         // %
   'relativehumidity_2m', // % — needed for snow quality calc
+  'freezing_level_height', // m — rain/snow line (elevationBands.js)
 ].join(',');
 
+// Heatmap grid (snowGrid.js) — snowfall only, out of the list above
+const GRID_HOURLY_VARS = 'snowfall';
+
 // Every daily variable listed in SPEC.md section 3
 const DAILY_VARS = [
   'snowfall_sum',           // cm total for day — primary card metric
@@ -38,19 +46,40 @@ const DAILY_VARS = [
 ].join(',');
 
 /**
- * Fetches a 16-day hourly + daily forecast for a resort.
- * Returns the raw Open-Meteo JSON response — no transformation.
+ * Fetches a 16-day hourly + daily forecast for a resort at its base, mid and
+ * summit elevations, in one multi-location request.
+ *
+ * CRITICAL: the returned object is the summit response (elevation =
+ * resort.summitElevation) — cards, alerts and summaries read it unchanged.
+ * Base and mid are attached as `bands` (see elevationBands.js).
  *
- * CRITICAL: passes elevation = resort.summitElevation for accuracy.
+ * With `multiModel`, the per-model snowfall spread is fetched alongside and
+ * attached as `ensemble` (see ensemble.js). A failed ensemble request only
+ * costs the spread — the forecast still resolves.
  *
  * @param {object} resort  Resort object from resorts.json
- * @returns {Promise<object>} Raw Open-Meteo forecast response
+ * @param {object} [options]
+ * @param {boolean} [options.multiModel=false]  settings.multiModel
+ * @returns {Promise<object>} Summit Open-Meteo response plus `bands` (and `ensemble`)
  */
-export async function fetchForecast(resort) {
+export async function fetchForecast(resort, { multiModel = false } = {}) {
+  if (multiModel) {
+    const [forecast, ensemble] = await Promise.all([
+      fetchForecast(resort),
+      fetchModelSpread(resort).catch((err) => {
+        console.warn(`[SnowDesk] Model spread unavailable for ${resort.name}:`, err);
+        return null;
+      }),
+    ]);
+    return ensemble ? { ...forecast, ensemble } : forecast;
+  }
+
+  const { base, mid, summit } = getBandElevations(resort);
+  const elevations = [base, mid, summit];
   const params = new URLSearchParams({
-    latitude: resort.lat,
-    longitude: resort.lng,
-    elevation: resort.summitElevation,
+    latitude: elevations.map(() => resort.lat).join(','),
+    longitude: elevations.map(() => resort.lng).join(','),
+    elevation: elevations.join(','),
     timezone: 'auto',
     forecast_days: 16,
     hourly: HOURLY_VARS,
@@ -70,7 +99,42 @@ export async function fetchForecast(resort) {
     throw new Error(`HTTP ${response.status} fetching forecast for ${resort.name}`);
   }
 
-  return response.json();
+  // Multiple locations come back as an array, in request order
+  return combineBandForecasts(await response.json());
+}
+
+/**
+ * Fetches 7 days of daily snowfall from each model in ENSEMBLE_MODELS at the
+ * summit, and reduces it to a per-day spread.
+ *
+ * @param {object} resort  Resort object from resorts.json
+ * @returns {Promise<object|null>} summarizeModelSpread() result
+ */
+export async function fetchModelSpread(resort) {
+  const params = new URLSearchParams({
+    latitude: resort.lat,
+    longitude: resort.lng,
+    elevation: resort.summitElevation,
+    timezone: 'auto',
+    forecast_days: ENSEMBLE_DAYS,
+    daily: 'snowfall_sum',
+    models: ENSEMBLE_MODELS.map((m) => m.id).join(','),
+  });
+
+  const url = `${FORECAST_BASE}?${params}`;
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new Error(`Network error fetching model spread for ${resort.name}: ${err.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} fetching model spread for ${resort.name}`);
+  }
+
+  return summarizeModelSpread(await response.json());
 }
 
 /**
@@ -117,3 +181,125 @@ export async function fetchHistorical(resort) {
 
   return response.json();
 }
+
+/**
+ * Fetches daily archive snowfall for an arbitrary date range.
+ * Same endpoint and elevation rule as fetchHistorical; used by the season
+ * context module to build season-to-date totals and multi-year climatology.
+ *
+ * @param {object} resort     Resort object from resorts.json
+ * @param {string} startDate  "YYYY-MM-DD" (inclusive)
+ * @param {string} endDate    "YYYY-MM-DD" (inclusive)
+ * @returns {Promise<object>} Raw Open-Meteo archive response
+ */
+export async function fetchArchiveSnowfall(resort, startDate, endDate) {
+  const params = new URLSearchParams({
+    latitude: resort.lat,
+    longitude: resort.lng,
+    elevation: resort.summitElevation,
+    start_date: startDate,
+    end_date: endDate,
+    daily: 'snowfall_sum',
+    timezone: 'auto',
+  });
+
+  const url = `${ARCHIVE_BASE}?${params}`;
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new Error(`Network error fetching archive data for ${resort.name}: ${err.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} fetching archive data for ${resort.name}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches hourly snowfall for a batch of grid points in one multi-location
+ * request — the heatmap's only variable, taken from the forecast's
+ * HOURLY_VARS. Times are GMT so every point shares one clock. Eight days
+ * come back because the series starts at GMT midnight: the 7-day window
+ * counted from the current hour runs into the eighth.
+ *
+ * @param {Array<{ lat: number, lng: number }>} points  One chunk from chunkGridPoints()
+ * @returns {Promise<Array<{ lat: number, lng: number, start: string, snowfall: number[] }>>}
+ *          In request order, with the requested (not model-snapped) coordinates
+ * @throws {Error} On network failure or non-200; HTTP errors carry `status`
+ *                 so the loader can back off on 429
+ */
+export async function fetchGridSnowfall(points) {
+  const params = new URLSearchParams({
+    latitude: points.map((p) => p.lat).join(','),
+    longitude: points.map((p) => p.lng).join(','),
+    timezone: 'GMT',
+    forecast_days: 8,
+    hourly: GRID_HOURLY_VARS,
+  });
+
+  const url = `${FORECAST_BASE}?${params}`;
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new Error(`Network error fetching snowfall grid: ${err.message}`);
+  }
+
+  if (!response.ok) {
+    const err = new Error(`HTTP ${response.status} fetching snowfall grid`);
+    err.status = response.status;
+    throw err;
+  }
+
+  // A single location comes back as an object, several as an array
+  const body = await response.json();
+  const results = Array.isArray(body) ? body : [body];
+  return results.map((result, i) => ({
+    lat: points[i].lat,
+    lng: points[i].lng,
+    start: result.hourly.time[0],
+    snowfall: result.hourly.snowfall,
+  }));
+}
+
+/**
+ * Looks up places by name with Open-Meteo's geocoding API — used to pick a
+ * trip planner origin without sharing the device location.
+ *
+ * @param {string} name  Town or city, e.g. "Denver"
+ * @returns {Promise<Array<{ label: string, lat: number, lng: number }>>}
+ *          Up to 5 matches, best first; empty when nothing matches
+ */
+export async function searchPlaces(name) {
+  const params = new URLSearchParams({
+    name,
+    count: 5,
+    language: 'en',
+    format: 'json',
+  });
+
+  const url = `${GEOCODING_BASE}?${params}`;
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new Error(`Network error searching places for "${name}": ${err.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} searching places for "${name}"`);
+  }
+
+  const { results = [] } = await response.json();
+  return results.map((place) => ({
+    label: [place.name, place.admin1, place.country].filter(Boolean).join(', '),
+    lat: place.latitude,
+    lng: place.longitude,
+  }));
+}
@@ -0,0 +1,148 @@
+/**
+ * src/lib/operatingStatus.js
+ *
+ * Live operating status per resort — open or closed today, lifts and runs
+ * open. There is no open feed covering every resort, so the source is
+ * pluggable: a provider is
+ *
+ *   { name: string, fetchStatuses(resorts) → Promise<Record<resortId, Status>> }
+ *
+ * The built-in provider reads a JSON feed at VITE_STATUS_FEED_URL (e.g. a
+ * small proxy over resort snow reports) in this shape:
+ *
+ *   { "updatedAt": "2026-01-15T07:30:00Z",
+ *     "resorts": [{ "slug": "vail", "open": true, "liftsOpen": 21,
+ *                   "liftsTotal": 31, "runsOpen": 190, "updatedAt": "…" }] }
+ *
+ * Entries match a resort by `id` or `slug`; a per-entry updatedAt overrides
+ * the feed's. With no URL configured nothing is fetched, statuses stay empty
+ * and the status UI hides itself.
+ */
+
+// A status older than this no longer says anything about today
+export const STATUS_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} Status
+ * @property {boolean}     open
+ * @property {number|null} liftsOpen
+ * @property {number|null} liftsTotal
+ * @property {number|null} runsOpen
+ * @property {string|null} updatedAt  ISO timestamp of the report
+ */
+
+const toCount = (v) => (Number.isFinite(v) && v >= 0 ? v : null);
+
+/**
+ * Normalizes a status feed against the resort list.
+ *
+ * @param {object}   feed     Parsed feed JSON
+ * @param {object[]} resorts  Resorts from resorts.json
+ * @returns {Record<string, Status>} resortId → status; unknown resorts are dropped
+ */
+export function normalizeStatusFeed(feed, resorts) {
+  const byKey = new Map();
+  for (const r of resorts) {
+    byKey.set(r.id, r.id);
+    byKey.set(r.slug, r.id);
+  }
+
+  const statuses = {};
+  for (const entry of feed?.resorts ?? []) {
+    const resortId = byKey.get(entry?.id) ?? byKey.get(entry?.slug);
+    if (!resortId || typeof entry.open !== 'boolean') continue;
+    statuses[resortId] = {
+      open: entry.open,
+      liftsOpen: toCount(entry.liftsOpen),
+      liftsTotal: toCount(entry.liftsTotal),
+      runsOpen: toCount(entry.runsOpen),
+      updatedAt: entry.updatedAt ?? feed.updatedAt ?? null,
+    };
+  }
+  return statuses;
+}
+
+// ── Providers ─────────────────────────────────────────────────────────────────
+
+/** Nothing configured — no requests, no statuses. */
+export const NO_STATUS_PROVIDER = {
+  name: 'none',
+  fetchStatuses: async () => ({}),
+};
+
+/**
+ * Provider over a JSON feed in the format above.
+ *
+ * @param {string} url
+ * @returns {{ name: string, fetchStatuses: Function }}
+ */
+export function createFeedStatusProvider(url) {
+  return {
+    name: `feed:${url}`,
+    async fetchStatuses(resorts) {
+      let response;
+      try {
+        response = await fetch(url);
+      } catch (err) {
+        throw new Error(`Network error fetching operating status: ${err.message}`);
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} fetching operating status`);
+      }
+
+      return normalizeStatusFeed(await response.json(), resorts);
+    },
+  };
+}
+
+/**
+ * Provider with fixed statuses — for tests and demos.
+ *
+ * @param {Record<string, Status>} statuses  resortId → status
+ */
+export function createStaticStatusProvider(statuses) {
+  return {
+    name: 'static',
+    fetchStatuses: async () => ({ ...statuses }),
+  };
+}
+
+/**
+ * The provider this build is configured for.
+ *
+ * @param {string} [url]  Defaults to VITE_STATUS_FEED_URL
+ */
+export function getStatusProvider(url = import.meta.env?.VITE_STATUS_FEED_URL) {
+  return url ? createFeedStatusProvider(url) : NO_STATUS_PROVIDER;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * True when the resort reported itself open within STATUS_MAX_AGE_MS.
+ * Reports without a timestamp are taken at their word.
+ *
+ * @param {Status|null|undefined} status
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function isOpenToday(status, now = Date.now()) {
+  if (!status?.open) return false;
+  if (!status.updatedAt) return true;
+  return now - Date.parse(status.updatedAt) < STATUS_MAX_AGE_MS;
+}
+
+/**
+ * Short label, e.g. "Open · 21/31 lifts" or "Closed".
+ *
+ * @param {Status} status
+ * @returns {string}
+ */
+export function formatStatus(status) {
+  if (!status.open) return 'Closed';
+  if (status.liftsOpen === null) return 'Open';
+  return status.liftsTotal !== null
+    ? `Open · ${status.liftsOpen}/${status.liftsTotal} lifts`
+    : `Open · ${status.liftsOpen} lifts`;
+}
@@ -0,0 +1,78 @@
+/**
+ * src/lib/push.js
+ *
+ * Web Push subscription for server-sent powder alerts. Each device's
+ * subscription is stored in Supabase (push_subscriptions) so the scheduled
+ * job (api/cron/powder-alerts.js) can reach every device a user is signed in
+ * on. Notifications are shown by the push handler in src/sw.js.
+ */
+
+import { registerAlertWorker } from './backgroundAlerts.js';
+import { deletePushSubscription, savePushSubscription } from './supabase.js';
+
+/**
+ * VAPID public keys are URL-safe base64; PushManager wants raw bytes.
+ *
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function urlBase64ToUint8Array(base64) {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
+
+/** True when this browser can subscribe and the app has a VAPID key configured. */
+export function isPushSupported() {
+  return (
+    'serviceWorker' in navigator &&
+    'PushManager' in window &&
+    Boolean(import.meta.env.VITE_VAPID_PUBLIC_KEY)
+  );
+}
+
+/**
+ * @returns {Promise<PushSubscription|null>} This device's subscription, if any
+ */
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await registerAlertWorker();
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+/**
+ * Subscribes this device and stores the subscription for the signed-in user.
+ * Requires notification permission to already be granted.
+ *
+ * @param {string} userId
+ * @returns {Promise<PushSubscription>}
+ * @throws {Error} When unsupported, the worker is unavailable, or saving fails
+ */
+export async function enablePush(userId) {
+  if (!isPushSupported()) throw new Error('Push notifications are not supported here');
+  const registration = await registerAlertWorker();
+  if (!registration) throw new Error('Service Worker unavailable');
+
+  const subscription =
+    (await registration.pushManager.getSubscription()) ??
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(import.meta.env.VITE_VAPID_PUBLIC_KEY),
+    }));
+
+  await savePushSubscription(userId, subscription.toJSON());
+  return subscription;
+}
+
+/**
+ * Removes this device's subscription from Supabase and the browser.
+ *
+ * @returns {Promise<void>}
+ */
+export async function disablePush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  await deletePushSubscription(subscription.endpoint);
+  await subscription.unsubscribe();
+}
@@ -0,0 +1,92 @@
+/**
+ * src/lib/regions.js
+ *
+ * Country and continent names for the Dashboard filters. Which countries
+ * exist comes from resorts.json (whatever region profiles the builder ran
+ * with — scripts/data/regionProfiles.json); this module only names them.
+ * Country names come from Intl.DisplayNames, continents from the table
+ * below, which covers every country with lift-served skiing of note.
+ * No UI dependencies.
+ */
+
+export const CONTINENTS = {
+  NA: 'North America',
+  SA: 'South America',
+  EU: 'Europe',
+  AS: 'Asia',
+  OC: 'Oceania',
+  AF: 'Africa',
+};
+
+// ISO 3166-1 alpha-2 → continent code
+const COUNTRY_CONTINENTS = {
+  // North America
+  US: 'NA', CA: 'NA', MX: 'NA', GL: 'NA',
+  // South America
+  AR: 'SA', CL: 'SA', BR: 'SA', BO: 'SA', PE: 'SA', CO: 'SA', VE: 'SA', EC: 'SA',
+  // Europe
+  AD: 'EU', AT: 'EU', BA: 'EU', BE: 'EU', BG: 'EU', BY: 'EU', CH: 'EU', CZ: 'EU', DE: 'EU', ES: 'EU',
+  FI: 'EU', FR: 'EU', GB: 'EU', GR: 'EU', HR: 'EU', IS: 'EU', IT: 'EU', LI: 'EU', ME: 'EU', MK: 'EU',
+  NO: 'EU', PL: 'EU', PT: 'EU', RO: 'EU', RS: 'EU', SE: 'EU', SI: 'EU', SK: 'EU', UA: 'EU', AL: 'EU',
+  // Asia (Russia and Turkey ski mostly east of the Urals / in Anatolia)
+  JP: 'AS', KR: 'AS', CN: 'AS', IN: 'AS', KZ: 'AS', KG: 'AS', GE: 'AS', AM: 'AS', AZ: 'AS', IR: 'AS',
+  LB: 'AS', IL: 'AS', TR: 'AS', RU: 'AS', MN: 'AS', PK: 'AS', UZ: 'AS', TJ: 'AS',
+  // Oceania
+  AU: 'OC', NZ: 'OC',
+  // Africa
+  MA: 'AF', ZA: 'AF', LS: 'AF',
+};
+
+let displayNames;
+
+/**
+ * English country name for an ISO code, or the code itself when the runtime
+ * can't name it.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export function getCountryName(code) {
+  try {
+    displayNames ??= new Intl.DisplayNames(['en'], { type: 'region' });
+    return displayNames.of(code) ?? code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Continent code for a country, or null when it isn't in the table.
+ *
+ * @param {string} country  ISO 3166-1 alpha-2
+ * @returns {string|null}
+ */
+export function getContinent(country) {
+  return COUNTRY_CONTINENTS[country] ?? null;
+}
+
+/**
+ * Filter options generated from the resorts present: continents and
+ * countries, each sorted by name. Countries outside the table land under
+ * "Other" (continent value 'OTHER').
+ *
+ * @param {object[]} resorts
+ * @returns {{
+ *   continentOptions: Array<{ value: string, label: string }>,
+ *   countryOptions: Array<{ value: string, label: string, continent: string }>
+ * }}
+ */
+export function getLocationOptions(resorts) {
+  const countries = [...new Set(resorts.map((r) => r.country).filter(Boolean))];
+
+  const countryOptions = countries
+    .map((code) => ({ value: code, label: getCountryName(code), continent: getContinent(code) ?? 'OTHER' }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  // "Other" sorts last
+  const continentOptions = [...new Set(countryOptions.map((c) => c.continent))]
+    .map((code) => ({ value: code, label: CONTINENTS[code] ?? 'Other' }))
+    .sort((a, b) => (a.value === 'OTHER') - (b.value === 'OTHER') || a.label.localeCompare(b.label));
+
+  return { continentOptions, countryOptions };
+}
@@ -0,0 +1,134 @@
+/**
+ * src/lib/resortMap.js
+ *
+ * Data side of the /map view: marker colors from 48h snowfall, grid
+ * clustering for low zoom levels, and the tile source.
+ *
+ * Clustering is a plain pixel grid in Web Mercator space — at each zoom the
+ * world is 256 × 2^zoom px wide, resorts falling in the same CLUSTER_CELL_PX
+ * cell merge into one marker. From CLUSTER_MAX_ZOOM in, every resort gets its
+ * own marker. 450 resorts don't need anything smarter.
+ *
+ * Tiles come from OpenStreetMap unless VITE_MAP_TILE_URL says otherwise;
+ * "stub" (or being offline) swaps in a single local tile from public/tiles so
+ * the map still draws without a network. No UI dependencies.
+ */
+
+import { get48hSnow, POWDER_THRESHOLD_CM } from './utils.js';
+
+export const CLUSTER_CELL_PX = 64;
+export const CLUSTER_MAX_ZOOM = 8;
+
+// Below this 48h total a resort shows as dry
+const DRY_CM = 0.5;
+
+/** Marker color per snow bucket — the card's snow bar colors. */
+export const SNOW_BUCKET_COLORS = {
+  pending: 'transparent', // drawn as an outline
+  dry:     'var(--color-text-secondary)',
+  light:   'var(--color-snow-light)',
+  powder:  'var(--color-snow-powder)',
+};
+
+export const SNOW_BUCKET_LABELS = {
+  pending: 'Not loaded',
+  dry:     'Dry',
+  light:   'Some snow',
+  powder:  'Powder',
+};
+
+export const OSM_TILES = {
+  url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '&copy; OpenStreetMap contributors',
+};
+
+// Every {z}/{x}/{y} resolves to the same plain tile
+export const STUB_TILES = {
+  url: '/tiles/stub.svg',
+  attribution: 'Offline map',
+};
+
+/**
+ * @param {number|null} snowCm  From get48hSnow()
+ * @returns {'pending'|'dry'|'light'|'powder'}
+ */
+export function getSnowBucket(snowCm) {
+  if (snowCm === null || snowCm === undefined) return 'pending';
+  if (snowCm >= POWDER_THRESHOLD_CM) return 'powder';
+  if (snowCm >= DRY_CM) return 'light';
+  return 'dry';
+}
+
+/**
+ * Web Mercator world pixel coordinates at a zoom level.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} zoom
+ * @returns {{ x: number, y: number }}
+ */
+export function projectToPixel(lat, lng, zoom) {
+  const size = 256 * 2 ** zoom;
+  const sin = Math.sin((Math.max(-85.05, Math.min(85.05, lat)) * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size,
+  };
+}
+
+/**
+ * Groups resorts into map markers for a zoom level.
+ *
+ * @param {object[]} resorts    Resorts from resorts.json
+ * @param {number}   zoom       Current map zoom
+ * @param {object}   forecasts  AppContext forecasts, keyed by resort id
+ * @returns {Array<{
+ *   id: string,
+ *   lat: number,
+ *   lng: number,
+ *   resorts: object[],
+ *   snowCm: number|null
+ * }>} One entry per marker. Clusters sit at their members' average position
+ *     and take the snowiest member's 48h total (null when none are loaded).
+ */
+export function clusterResorts(resorts, zoom, forecasts) {
+  const snowOf = (r) => get48hSnow(forecasts[r.id]);
+
+  if (zoom >= CLUSTER_MAX_ZOOM) {
+    return resorts.map((r) => ({ id: r.id, lat: r.lat, lng: r.lng, resorts: [r], snowCm: snowOf(r) }));
+  }
+
+  const cells = new Map();
+  for (const r of resorts) {
+    const { x, y } = projectToPixel(r.lat, r.lng, zoom);
+    const key = `${Math.floor(x / CLUSTER_CELL_PX)}:${Math.floor(y / CLUSTER_CELL_PX)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(r);
+  }
+
+  return [...cells.entries()].map(([key, members]) => {
+    const snow = members.map(snowOf).filter((v) => v !== null);
+    return {
+      id: members.length === 1 ? members[0].id : `cluster:${zoom}:${key}`,
+      lat: members.reduce((sum, r) => sum + r.lat, 0) / members.length,
+      lng: members.reduce((sum, r) => sum + r.lng, 0) / members.length,
+      resorts: members,
+      snowCm: snow.length ? Math.max(...snow) : null,
+    };
+  });
+}
+
+/**
+ * Tile source for the map.
+ *
+ * @param {object} [options]
+ * @param {string} [options.url]     VITE_MAP_TILE_URL — a tile URL template,
+ *                                   or "stub" for the local tile
+ * @param {boolean} [options.online=true]  navigator.onLine
+ * @returns {{ url: string, attribution: string }}
+ */
+export function getTileSource({ url, online = true } = {}) {
+  if (url === 'stub' || !online) return STUB_TILES;
+  if (url) return { url, attribution: '' };
+  return OSM_TILES;
+}
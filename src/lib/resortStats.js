@@ -0,0 +1,117 @@
+/**
+ * src/lib/resortStats.js
+ *
+ * Lift and run statistics per resort. scripts/buildResortData.js extracts
+ * them from each OpenSkiMap ski area's `statistics` into resorts.json; the
+ * app only reads the result:
+ *
+ *   lifts        total lift count (every lift type)
+ *   runs         downhill run count
+ *   runLengthKm  downhill run length per difficulty — { easy, intermediate,
+ *                advanced, expert, other }, only buckets with runs present
+ *   nightSkiing  true when OpenSkiMap reports lit downhill runs
+ *
+ * Every field is null when OpenSkiMap has no data for it, so the UI can tell
+ * "none" from "unknown". Resorts built before these fields existed have them
+ * undefined, which reads the same. No UI dependencies.
+ */
+
+/** Difficulty buckets, easiest first — North American trail-sign grades. */
+export const RUN_DIFFICULTIES = ['easy', 'intermediate', 'advanced', 'expert'];
+
+export const DIFFICULTY_LABELS = {
+  easy:         { label: 'Easy',         symbol: '●',  color: 'var(--color-success)' },
+  intermediate: { label: 'Intermediate', symbol: '■',  color: 'var(--color-snow-light)' },
+  advanced:     { label: 'Advanced',     symbol: '◆',  color: 'var(--color-text-secondary)' },
+  expert:       { label: 'Expert',       symbol: '◆◆', color: 'var(--color-text-primary)' },
+  other:        { label: 'Ungraded',     symbol: '○',  color: 'var(--color-bg-card-hover)' },
+};
+
+// OpenSkiMap difficulty → bucket; anything else lands in "other"
+const DIFFICULTY_BUCKETS = {
+  novice:       'easy',
+  easy:         'easy',
+  intermediate: 'intermediate',
+  advanced:     'advanced',
+  expert:       'expert',
+  freeride:     'expert',
+  extreme:      'expert',
+};
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/**
+ * Lit-run length (km) from a downhill statistics block, or null when the
+ * source doesn't report lighting at all.
+ */
+function getLitLengthKm(downhill) {
+  if (typeof downhill?.litLengthInKm === 'number') return downhill.litLengthInKm;
+  const perDifficulty = Object.values(downhill?.byDifficulty ?? {})
+    .map((s) => s?.litLengthInKm)
+    .filter((v) => typeof v === 'number');
+  return perDifficulty.length ? perDifficulty.reduce((sum, v) => sum + v, 0) : null;
+}
+
+/**
+ * Extracts lift and run stats from an OpenSkiMap ski area.
+ *
+ * @param {object} properties  Feature properties from ski_areas.geojson
+ * @returns {{
+ *   lifts: number|null,
+ *   runs: number|null,
+ *   runLengthKm: Record<string, number>|null,
+ *   nightSkiing: boolean|null
+ * }}
+ */
+export function extractResortStats(properties) {
+  const stats = properties?.statistics ?? {};
+  const downhill = stats.runs?.byActivity?.downhill ?? null;
+  const liftTypes = stats.lifts?.byType ?? null;
+
+  let runs = null;
+  let runLengthKm = null;
+  if (downhill?.byDifficulty) {
+    runs = 0;
+    runLengthKm = {};
+    for (const [difficulty, s] of Object.entries(downhill.byDifficulty)) {
+      runs += s?.count ?? 0;
+      const bucket = DIFFICULTY_BUCKETS[difficulty] ?? 'other';
+      runLengthKm[bucket] = round1((runLengthKm[bucket] ?? 0) + (s?.lengthInKm ?? 0));
+    }
+  }
+
+  const litKm = getLitLengthKm(downhill);
+
+  return {
+    lifts: liftTypes ? Object.values(liftTypes).reduce((sum, s) => sum + (s?.count ?? 0), 0) : null,
+    runs,
+    runLengthKm,
+    nightSkiing: litKm === null ? null : litKm > 0,
+  };
+}
+
+/**
+ * Total downhill run length (km) across difficulties.
+ *
+ * @param {object} resort  Resort from resorts.json
+ * @returns {number|null}
+ */
+export function getTotalRunLengthKm(resort) {
+  if (!resort?.runLengthKm) return null;
+  return round1(Object.values(resort.runLengthKm).reduce((sum, km) => sum + km, 0));
+}
+
+/**
+ * Run length per difficulty as shares of the total, easiest first, for the
+ * stacked bar on ResortDetail. Empty buckets are left out.
+ *
+ * @param {object} resort  Resort from resorts.json
+ * @returns {Array<{ difficulty: string, km: number, share: number }>}
+ */
+export function getRunLengthShares(resort) {
+  const total = getTotalRunLengthKm(resort);
+  if (!total) return [];
+  return [...RUN_DIFFICULTIES, 'other']
+    .filter((d) => resort.runLengthKm[d] > 0)
+    .map((d) => ({ difficulty: d, km: resort.runLengthKm[d], share: resort.runLengthKm[d] / total }));
+}
@@ -0,0 +1,220 @@
+/**
+ * src/lib/seasonContext.js
+ *
+ * Season-to-date snowfall and "above/below average" context (SPEC.md section
+ * 8.3, Tab 1 — skipped for v1). No UI dependencies — pure data logic.
+ *
+ * One archive request covers the current season plus CLIMATOLOGY_YEARS prior
+ * seasons. Each prior season is cut off at the same day-of-season as the
+ * current one, so "to date" always compares like with like.
+ */
+
+// Number of prior seasons that make up the climatology
+export const CLIMATOLOGY_YEARS = 10;
+
+// Fewer complete prior seasons than this → no meaningful percentile
+const MIN_SEASONS = 3;
+
+// Season start (month is 1-based). Southern hemisphere resorts (lat < 0) ski
+// through the austral winter.
+const NORTH_SEASON_START = { month: 10, day: 1 };
+const SOUTH_SEASON_START = { month: 4,  day: 1 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Date helpers (UTC, "YYYY-MM-DD") ──────────────────────────────────────────
+
+const fmt = (d) => d.toISOString().split('T')[0];
+
+function parseDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function addDays(dateStr, days) {
+  return fmt(new Date(parseDate(dateStr).getTime() + days * DAY_MS));
+}
+
+function addYears(dateStr, years) {
+  const d = parseDate(dateStr);
+  d.setUTCFullYear(d.getUTCFullYear() + years);
+  return fmt(d);
+}
+
+function daysBetween(fromStr, toStr) {
+  return Math.round((parseDate(toStr) - parseDate(fromStr)) / DAY_MS);
+}
+
+// ── Season window ─────────────────────────────────────────────────────────────
+
+/**
+ * Returns the start date of the season that `today` falls in.
+ * Northern hemisphere seasons start Oct 1, southern hemisphere Apr 1.
+ *
+ * @param {Date}   today  Reference date (local calendar date is used)
+ * @param {number} lat    Resort latitude
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function getSeasonStart(today, lat) {
+  const { month, day } = lat < 0 ? SOUTH_SEASON_START : NORTH_SEASON_START;
+  const year = today.getFullYear();
+  const todayMonth = today.getMonth() + 1;
+  const startedThisYear =
+    todayMonth > month || (todayMonth === month && today.getDate() >= day);
+  const startYear = startedThisYear ? year : year - 1;
+  return `${startYear}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Archive date range needed for the current season plus the climatology.
+ * Ends yesterday — the last day the archive endpoint covers.
+ *
+ * @param {Date}   today
+ * @param {number} lat
+ * @param {number} [years=CLIMATOLOGY_YEARS]
+ * @returns {{ startDate: string, endDate: string }}
+ */
+export function getSeasonArchiveRange(today, lat, years = CLIMATOLOGY_YEARS) {
+  const seasonStart = getSeasonStart(today, lat);
+  const localToday = fmt(new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate())));
+  return {
+    startDate: addYears(seasonStart, -years),
+    endDate: addDays(localToday, -1),
+  };
+}
+
+// ── Percentile ────────────────────────────────────────────────────────────────
+
+/**
+ * Percentile rank of `value` within `samples` (0–100). Ties count half.
+ *
+ * @param {number}   value
+ * @param {number[]} samples
+ * @returns {number}
+ */
+export function percentileRank(value, samples) {
+  if (samples.length === 0) return 50;
+  const below = samples.filter((s) => s < value).length;
+  const equal = samples.filter((s) => s === value).length;
+  return Math.round(((below + equal / 2) / samples.length) * 100);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Map a percentile to a human label. Terciles: top third is above average,
+ * bottom third below.
+ *
+ * @param {number} percentile
+ * @returns {'Above average'|'Near average'|'Below average'}
+ */
+export function getSeasonLabel(percentile) {
+  if (percentile >= 67) return 'Above average';
+  if (percentile <= 33) return 'Below average';
+  return 'Near average';
+}
+
+// ── Core computation ──────────────────────────────────────────────────────────
+
+/**
+ * Compute season-to-date snowfall and how it ranks against prior seasons.
+ *
+ * The cutoff is the latest current-season day the archive has data for (it
+ * lags a few days). Prior seasons are summed over the same number of days
+ * from their own season start; seasons with any missing day are dropped.
+ *
+ * @param {object} archive  Raw Open-Meteo archive response (daily.snowfall_sum)
+ * @param {object} params
+ * @param {number} params.lat                    Resort latitude
+ * @param {Date}   [params.today=new Date()]     Reference date
+ * @param {number} [params.years=CLIMATOLOGY_YEARS]
+ * @returns {null | {
+ *   seasonStart: string,
+ *   asOf: string,
+ *   seasonToDate_cm: number,
+ *   median_cm: number,
+ *   percentile: number,
+ *   pctOfMedian: number|null,
+ *   label: string,
+ *   seasons: Array<{ seasonStart: string, total_cm: number }>
+ * }}  null when the current season or the climatology has too little data
+ */
+export function computeSeasonContext(archive, { lat, today = new Date(), years = CLIMATOLOGY_YEARS }) {
+  const daily = archive?.daily;
+  if (!daily?.time || !daily.snowfall_sum) return null;
+
+  const byDate = new Map();
+  daily.time.forEach((date, i) => byDate.set(date, daily.snowfall_sum[i] ?? null));
+
+  const seasonStart = getSeasonStart(today, lat);
+
+  // Latest current-season day with data
+  let asOf = null;
+  for (let i = daily.time.length - 1; i >= 0; i--) {
+    const date = daily.time[i];
+    if (date < seasonStart) break;
+    if (daily.snowfall_sum[i] !== null && daily.snowfall_sum[i] !== undefined) {
+      asOf = date;
+      break;
+    }
+  }
+  if (!asOf) return null;
+
+  const offset = daysBetween(seasonStart, asOf);
+
+  /** Sum a window of offset + 1 days; null if any day is missing. */
+  function sumWindow(start) {
+    let total = 0;
+    for (let d = 0; d <= offset; d++) {
+      const v = byDate.get(addDays(start, d));
+      if (v === null || v === undefined) return null;
+      total += v;
+    }
+    return total;
+  }
+
+  // Current season tolerates gaps (treated as 0) — only the cutoff must exist
+  let seasonToDate_cm = 0;
+  for (let d = 0; d <= offset; d++) {
+    seasonToDate_cm += byDate.get(addDays(seasonStart, d)) ?? 0;
+  }
+
+  const seasons = [];
+  for (let k = 1; k <= years; k++) {
+    const start = addYears(seasonStart, -k);
+    const total = sumWindow(start);
+    if (total !== null) seasons.push({ seasonStart: start, total_cm: total });
+  }
+  if (seasons.length < MIN_SEASONS) return null;
+
+  const totals = seasons.map((s) => s.total_cm);
+  const median_cm = median(totals);
+  const percentile = percentileRank(seasonToDate_cm, totals);
+
+  return {
+    seasonStart,
+    asOf,
+    seasonToDate_cm,
+    median_cm,
+    percentile,
+    pctOfMedian: median_cm > 0 ? Math.round((seasonToDate_cm / median_cm) * 100) : null,
+    label: getSeasonLabel(percentile),
+    seasons,
+  };
+}
+
+/**
+ * "72" → "72nd", "11" → "11th" — for percentile display.
+ *
+ * @param {number} n
+ * @returns {string}
+ */
+export function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] ?? 'th'}`;
+}
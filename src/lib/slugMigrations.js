@@ -0,0 +1,50 @@
+/**
+ * src/lib/slugMigrations.js
+ *
+ * Follows resort slugs that changed between resorts.json builds. The builder
+ * (scripts/buildResortData.js) appends every old → new pair to
+ * src/data/slugMigrations.json; the app uses it to move saved slugs along and
+ * to redirect old /resort/:slug links. Supabase rows are moved by the SQL
+ * migration the builder writes alongside. No UI dependencies.
+ */
+
+/**
+ * Old slug → current slug, with chains (a → b, later b → c) collapsed.
+ *
+ * @param {Array<{ from: string, to: string }>} migrations  Oldest first
+ * @returns {Map<string, string>}
+ */
+export function buildSlugRedirects(migrations) {
+  const redirects = new Map();
+  for (const { from, to } of migrations) {
+    for (const [old, current] of redirects) {
+      if (current === from) redirects.set(old, to);
+    }
+    // `to` is a live slug again even if it once redirected (renamed back)
+    redirects.delete(to);
+    redirects.set(from, to);
+  }
+  return redirects;
+}
+
+/**
+ * Current slug for `slug` (itself when it never moved).
+ *
+ * @param {string} slug
+ * @param {Map<string, string>} redirects  From buildSlugRedirects
+ * @returns {string}
+ */
+export function resolveSlug(slug, redirects) {
+  return redirects.get(slug) ?? slug;
+}
+
+/**
+ * Saved slugs moved onto current slugs, duplicates dropped, order kept.
+ *
+ * @param {string[]} slugs
+ * @param {Map<string, string>} redirects
+ * @returns {string[]}
+ */
+export function migrateSlugs(slugs, redirects) {
+  return [...new Set(slugs.map((s) => resolveSlug(s, redirects)))];
+}
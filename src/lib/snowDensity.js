@@ -0,0 +1,112 @@
+/**
+ * src/lib/snowDensity.js
+ *
+ * Snow-to-liquid ratio (SLR) and density estimates. Open-Meteo's `snowfall`
+ * assumes a fixed ratio, so a cold-smoke night and a wet coastal dump with
+ * the same water content look identical. Here the ratio follows the air:
+ *
+ *   SLR  = Kuchera-style curve on surface temperature
+ *          (12:1 at −2 °C; 2 per °C warmer, 1 per °C colder; 4–25 clamp)
+ *          × humidity factor (drier air → lighter crystals, ±15%)
+ *   snow = liquid × SLR, where liquid = precipitation − rain (mm)
+ *   density (kg/m³) = 1000 ÷ SLR
+ *
+ * Categories: blower (SLR ≥ 15), medium (≥ 10), cement (< 10).
+ * No UI dependencies — pure data logic, like snowQuality.js.
+ */
+
+export const SLR_BLOWER = 15;
+export const SLR_MEDIUM = 10;
+
+const SLR_MIN = 4;
+const SLR_MAX = 25;
+
+// Liquid (mm) below which an hour counts as not snowing
+const MIN_LIQUID_MM = 0.1;
+
+/** Display labels for each category. */
+export const DENSITY_LABELS = {
+  blower: 'Blower',
+  medium: 'Medium',
+  cement: 'Cement',
+};
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/**
+ * @param {number} temp_c        Surface temperature (°C)
+ * @param {number} humidity_pct  Relative humidity (%)
+ * @returns {number} Snow-to-liquid ratio (e.g. 14 for 14:1), 1 decimal place
+ */
+export function estimateSlr(temp_c, humidity_pct = 70) {
+  const tk = temp_c + 273.15;
+  const base = tk > 271.16 ? 12 + 2 * (271.16 - tk) : 12 + (271.16 - tk);
+  const humidity = Math.max(0.85, Math.min(1.15, 1 + (70 - humidity_pct) / 200));
+  return round1(Math.max(SLR_MIN, Math.min(SLR_MAX, base * humidity)));
+}
+
+/**
+ * @param {number} slr
+ * @returns {'blower'|'medium'|'cement'}
+ */
+export function getDensityCategory(slr) {
+  if (slr >= SLR_BLOWER) return 'blower';
+  if (slr >= SLR_MEDIUM) return 'medium';
+  return 'cement';
+}
+
+/**
+ * @param {number} slr
+ * @param {number} liquid_mm
+ * @returns {{ slr: number, density_kgm3: number, category: string, liquid_mm: number, snow_cm: number }}
+ */
+function describe(slr, liquid_mm) {
+  return {
+    slr,
+    density_kgm3: Math.round(1000 / slr),
+    category: getDensityCategory(slr),
+    liquid_mm: round1(liquid_mm),
+    snow_cm: round1((liquid_mm * slr) / 10),
+  };
+}
+
+/**
+ * Density of the snow falling in one hour of the Open-Meteo hourly block.
+ *
+ * @param {object} hourly  forecast.hourly (temperature_2m, relativehumidity_2m,
+ *                         precipitation, rain)
+ * @param {number} i       Hourly index
+ * @returns {object|null}  { slr, density_kgm3, category, liquid_mm, snow_cm },
+ *                         or null when no snow is falling
+ */
+export function getHourlyDensity(hourly, i) {
+  const liquid_mm = (hourly?.precipitation?.[i] ?? 0) - (hourly?.rain?.[i] ?? 0);
+  if (liquid_mm < MIN_LIQUID_MM) return null;
+  const slr = estimateSlr(
+    hourly.temperature_2m?.[i] ?? 0,
+    hourly.relativehumidity_2m?.[i] ?? 70
+  );
+  return describe(slr, liquid_mm);
+}
+
+/**
+ * Liquid-weighted density for one forecast day (hourly indices
+ * dayIndex*24 … +23, the same alignment the Forecast tab uses).
+ *
+ * @param {object} forecast  Open-Meteo forecast
+ * @param {number} dayIndex  0 = today
+ * @returns {object|null}    Same shape as getHourlyDensity(), or null when
+ *                           no snow falls that day
+ */
+export function getDailyDensity(forecast, dayIndex) {
+  let liquid = 0;
+  let weightedSlr = 0;
+  for (let i = dayIndex * 24; i < dayIndex * 24 + 24; i++) {
+    const hour = getHourlyDensity(forecast?.hourly, i);
+    if (!hour) continue;
+    liquid += hour.liquid_mm;
+    weightedSlr += hour.slr * hour.liquid_mm;
+  }
+  if (liquid === 0) return null;
+  return describe(round1(weightedSlr / liquid), liquid);
+}
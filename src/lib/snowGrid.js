@@ -0,0 +1,238 @@
+/**
+ * src/lib/snowGrid.js
+ *
+ * Regional snowfall heatmap for the /map view. Instead of per-resort points,
+ * Open-Meteo is sampled on a coarse lat/lng grid (GRID_STEP_DEG) around every
+ * resort in the database, and the 24h / 48h / 7-day accumulation is drawn as
+ * a raster overlay:
+ *
+ *   getGridPoints()      resorts → grid points (each resort's cell plus a halo)
+ *   chunkGridPoints()    points → request-sized chunks with stable cache keys
+ *   fetchGridSnowfall()  (openMeteo.js) one multi-location request per chunk,
+ *                        paced to GRID_CALLS_PER_MINUTE
+ *   sumGridSnow()        hourly snowfall from the current hour over a window
+ *   buildHeatmapRaster() bilinear interpolation → RGBA pixels, rows spaced in
+ *                        Web Mercator so Leaflet's ImageOverlay lines up
+ *
+ * Loading goes through dataLoader.js (loadSnowGrid) and the grid cache in
+ * cache.js. No UI dependencies — the view only puts the pixels on a canvas.
+ */
+
+import { projectToPixel } from './resortMap.js';
+
+export const GRID_STEP_DEG = 1;
+
+// Cells around each resort's own cell that are sampled too, so the heatmap
+// shows the surrounding range rather than isolated squares
+const GRID_HALO = 1;
+
+// Locations per Open-Meteo request
+export const GRID_CHUNK_SIZE = 50;
+
+// Open-Meteo bills a multi-location request as one call per location, against
+// 600 calls a minute on the free tier. The grid keeps to half of that so the
+// card forecasts loading alongside still fit.
+export const GRID_CALLS_PER_MINUTE = 300;
+
+// Waits before retrying a chunk that got HTTP 429, long enough for the
+// minute window to roll over
+export const GRID_RETRY_DELAYS_MS = [60000, 120000];
+
+/** Accumulation windows, in hours from now. */
+export const HEATMAP_WINDOWS = {
+  '24h': { label: '24h',    hours: 24 },
+  '48h': { label: '48h',    hours: 48 },
+  '7d':  { label: '7-day',  hours: 168 },
+};
+
+/**
+ * Color ramp: snowfall (cm) → RGBA. Below the first stop is transparent;
+ * between stops the color is interpolated. Same hues as the snow bars
+ * (blue → powder orange), deepening to red for big storms.
+ */
+export const HEATMAP_STOPS = [
+  { cm: 1,     rgba: [147, 197, 253, 90]  },
+  { cm: 5,     rgba: [59, 130, 246, 150]  },
+  { cm: 15.24, rgba: [249, 115, 22, 180]  },
+  { cm: 40,    rgba: [220, 38, 38, 200]   },
+];
+
+const round1 = (v) => Math.round(v * 10) / 10;
+const roundDeg = (v) => Math.round(v * 1000) / 1000;
+
+/** Integer grid index for a coordinate. */
+const toIndex = (deg, step) => Math.round(deg / step);
+
+/** Map key for a grid point. */
+export function gridKey(lat, lng, step = GRID_STEP_DEG) {
+  return `${toIndex(lat, step)}:${toIndex(lng, step)}`;
+}
+
+/**
+ * Grid points covering the resort database: every resort's own cell plus
+ * GRID_HALO cells around it, deduplicated, sorted south→north, west→east.
+ *
+ * @param {object[]} resorts  Resorts from resorts.json
+ * @param {number} [step=GRID_STEP_DEG]
+ * @returns {Array<{ lat: number, lng: number }>}
+ */
+export function getGridPoints(resorts, step = GRID_STEP_DEG) {
+  const seen = new Map();
+  for (const r of resorts) {
+    const i0 = toIndex(r.lat, step);
+    const j0 = toIndex(r.lng, step);
+    for (let i = i0 - GRID_HALO; i <= i0 + GRID_HALO; i++) {
+      for (let j = j0 - GRID_HALO; j <= j0 + GRID_HALO; j++) {
+        if (Math.abs(i * step) > 90) continue;
+        const key = `${i}:${j}`;
+        if (!seen.has(key)) seen.set(key, { i, j });
+      }
+    }
+  }
+  return [...seen.values()]
+    .sort((a, b) => a.i - b.i || a.j - b.j)
+    .map(({ i, j }) => ({ lat: roundDeg(i * step), lng: roundDeg(j * step) }));
+}
+
+/**
+ * Splits grid points into request-sized chunks. Keys depend only on the
+ * chunk's points, so the cache survives reloads as long as the resort list
+ * doesn't change.
+ *
+ * @param {Array<{ lat: number, lng: number }>} points  From getGridPoints()
+ * @param {number} [size=GRID_CHUNK_SIZE]
+ * @returns {Array<{ key: string, points: object[] }>}
+ */
+export function chunkGridPoints(points, size = GRID_CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < points.length; i += size) {
+    const slice = points.slice(i, i + size);
+    const first = slice[0];
+    const last = slice[slice.length - 1];
+    chunks.push({
+      key: `${first.lat},${first.lng}…${last.lat},${last.lng}#${slice.length}`,
+      points: slice,
+    });
+  }
+  return chunks;
+}
+
+/**
+ * Snowfall (cm) over the next `hours`, starting at the current hour.
+ *
+ * @param {{ start: string, snowfall: number[] }} cell  From fetchGridSnowfall();
+ *        `start` is the first hour in GMT, "YYYY-MM-DDTHH:00"
+ * @param {number} hours
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+export function sumGridSnow(cell, hours, now = Date.now()) {
+  const first = Math.max(0, Math.floor((now - Date.parse(`${cell.start}Z`)) / 3600000));
+  return round1(
+    cell.snowfall
+      .slice(first, first + hours)
+      .reduce((sum, v) => sum + (v ?? 0), 0)
+  );
+}
+
+/**
+ * @param {number} cm
+ * @returns {number[]} [r, g, b, a]
+ */
+export function snowToRgba(cm) {
+  if (!(cm >= HEATMAP_STOPS[0].cm)) return [0, 0, 0, 0];
+  for (let k = 1; k < HEATMAP_STOPS.length; k++) {
+    const lo = HEATMAP_STOPS[k - 1];
+    const hi = HEATMAP_STOPS[k];
+    if (cm < hi.cm) {
+      const t = (cm - lo.cm) / (hi.cm - lo.cm);
+      return lo.rgba.map((v, c) => Math.round(v + (hi.rgba[c] - v) * t));
+    }
+  }
+  return [...HEATMAP_STOPS[HEATMAP_STOPS.length - 1].rgba];
+}
+
+/**
+ * Bilinear value at a point from the four surrounding grid points. Missing
+ * corners (outside the sampled area) drop out of the weighting; with none
+ * present the point is outside the heatmap.
+ *
+ * @param {Map<string, number>} values  gridKey → cm
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} step
+ * @returns {number|null}
+ */
+export function interpolateGrid(values, lat, lng, step = GRID_STEP_DEG) {
+  const fi = lat / step;
+  const fj = lng / step;
+  const i0 = Math.floor(fi);
+  const j0 = Math.floor(fj);
+  const ti = fi - i0;
+  const tj = fj - j0;
+
+  let sum = 0;
+  let weight = 0;
+  for (const [di, wi] of [[0, 1 - ti], [1, ti]]) {
+    for (const [dj, wj] of [[0, 1 - tj], [1, tj]]) {
+      const v = values.get(`${i0 + di}:${j0 + dj}`);
+      const w = wi * wj;
+      if (v === undefined || w === 0) continue;
+      sum += v * w;
+      weight += w;
+    }
+  }
+  return weight > 0 ? sum / weight : null;
+}
+
+/**
+ * Renders grid values to RGBA pixels covering `bounds`. Columns are evenly
+ * spaced in longitude and rows in Web Mercator y, matching how Leaflet
+ * stretches an ImageOverlay between its corners.
+ *
+ * @param {Map<string, number>} values  gridKey → cm
+ * @param {object} options
+ * @param {{ south: number, west: number, north: number, east: number }} options.bounds
+ * @param {number} options.width   Pixels
+ * @param {number} options.height  Pixels
+ * @param {number} [options.step=GRID_STEP_DEG]
+ * @returns {Uint8ClampedArray} width × height × 4
+ */
+export function buildHeatmapRaster(values, { bounds, width, height, step = GRID_STEP_DEG }) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const top = projectToPixel(bounds.north, 0, 0).y;
+  const bottom = projectToPixel(bounds.south, 0, 0).y;
+
+  for (let row = 0; row < height; row++) {
+    // Mercator y (zoom 0, 0–256) → latitude
+    const y = top + ((row + 0.5) / height) * (bottom - top);
+    const lat = (Math.atan(Math.sinh(Math.PI * (1 - y / 128))) * 180) / Math.PI;
+    for (let col = 0; col < width; col++) {
+      const lng = bounds.west + ((col + 0.5) / width) * (bounds.east - bounds.west);
+      const cm = interpolateGrid(values, lat, lng, step);
+      if (cm === null) continue;
+      data.set(snowToRgba(cm), (row * width + col) * 4);
+    }
+  }
+  return data;
+}
+
+/**
+ * Bounds of the sampled grid, padded by half a step so edge cells fade out
+ * rather than being clipped.
+ *
+ * @param {Array<{ lat: number, lng: number }>} points
+ * @param {number} [step=GRID_STEP_DEG]
+ * @returns {{ south: number, west: number, north: number, east: number }|null}
+ */
+export function getGridBounds(points, step = GRID_STEP_DEG) {
+  if (points.length === 0) return null;
+  const lats = points.map((p) => p.lat);
+  const lngs = points.map((p) => p.lng);
+  return {
+    south: Math.max(-85, Math.min(...lats) - step / 2),
+    north: Math.min(85, Math.max(...lats) + step / 2),
+    west: Math.min(...lngs) - step / 2,
+    east: Math.max(...lngs) + step / 2,
+  };
+}
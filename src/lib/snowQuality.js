@@ -3,13 +3,168 @@
  *
  * Snow quality algorithm as defined in SPEC.md section 4.
  * No UI dependencies — pure data logic.
+ *
+ * The SPEC 4 decision tree lives in QUALITY_RULES as data: an ordered table of
+ * rules, each a list of `input op param` conditions over the hour's values.
+ * The first rule whose conditions all hold wins. Every threshold is a named
+ * entry in QUALITY_PARAMS, which users can override from Settings
+ * (settings.qualityOverrides), and every result carries an `explanation` of
+ * which inputs triggered the winning rule and why earlier rules were skipped.
+ */
+
+import { SLR_MEDIUM, getHourlyDensity } from './snowDensity.js';
+import { formatSnow, formatTemp, formatWind } from './utils.js';
+
+// ── Rule table ────────────────────────────────────────────────────────────────
+
+/**
+ * Tunable thresholds. `value` is the SPEC 4 default, in the unit of the input
+ * it is compared with (cm, °C, km/h, hours, %, SLR). A param shared by two
+ * rules is the boundary between them, so overriding it can't open a gap.
  */
+export const QUALITY_PARAMS = {
+  powderMinSnowfallCm:       { value: 0.5,        dimension: 'snow',    label: 'Powder: hourly snowfall above' },
+  powderMaxTempC:            { value: -2,         dimension: 'temp',    label: 'Powder: colder than' },
+  powderMinSlr:              { value: SLR_MEDIUM, dimension: 'ratio',   label: 'Powder: snow-to-liquid at least' },
+  windAffectedMinKmh:        { value: 40,         dimension: 'wind',    label: 'Wind Affected: wind from' },
+  windAffectedMinSnowfallCm: { value: 0.2,        dimension: 'snow',    label: 'Wind Affected: hourly snowfall above' },
+  packedMaxAgeHours:         { value: 12,         dimension: 'hours',   label: 'Packed Powder: snowed within' },
+  packedMaxTempC:            { value: -5,         dimension: 'temp',    label: 'Packed Powder: colder than (Soft above)' },
+  packedMaxHumidityPct:      { value: 70,         dimension: 'percent', label: 'Packed Powder: humidity below' },
+  softMaxAgeHours:           { value: 24,         dimension: 'hours',   label: 'Soft: snowed within (Icy after)' },
+  springMinTempC:            { value: 2,          dimension: 'temp',    label: 'Spring/Corn: from' },
+  icyMaxTempC:               { value: -2,         dimension: 'temp',    label: 'Icy: colder than' },
+};
+
+/** Hourly inputs the rules read, with how to display them. */
+export const QUALITY_INPUTS = {
+  snowfall_cm:  { label: 'snowfall',       dimension: 'snow'    },
+  temp_c:       { label: 'temp',           dimension: 'temp'    },
+  wind_kmh:     { label: 'wind',           dimension: 'wind'    },
+  snowAgeHours: { label: 'snow age',       dimension: 'hours'   },
+  humidity_pct: { label: 'humidity',       dimension: 'percent' },
+  slr:          { label: 'snow-to-liquid', dimension: 'ratio'   },
+};
 
 /**
- * Classify snow quality for the current hour.
+ * SPEC 4 decision tree, in order — do not reorder without updating the spec.
+ * A condition with `ifMissing` falls back to that condition when its own
+ * input is absent: Powder gates on snow density (snowDensity.js) when the
+ * caller has an estimate, otherwise on temperature as originally specced.
+ * A rule with no conditions always matches.
+ */
+export const QUALITY_RULES = [
+  {
+    id: 'powder',
+    quality: { label: 'Powder', color: '#1E90FF', bgColor: '#E8F4FD', emoji: '❄️', priority: 1 },
+    when: [
+      { input: 'snowfall_cm', op: '>', param: 'powderMinSnowfallCm' },
+      {
+        input: 'slr', op: '>=', param: 'powderMinSlr',
+        ifMissing: { input: 'temp_c', op: '<', param: 'powderMaxTempC' },
+      },
+      { input: 'wind_kmh', op: '<', param: 'windAffectedMinKmh' },
+    ],
+  },
+  {
+    id: 'windAffected',
+    quality: { label: 'Wind Affected', color: '#F97316', bgColor: '#FEF3C7', emoji: '💨', priority: 2 },
+    when: [
+      { input: 'snowfall_cm', op: '>', param: 'windAffectedMinSnowfallCm' },
+      { input: 'wind_kmh', op: '>=', param: 'windAffectedMinKmh' },
+    ],
+  },
+  {
+    id: 'packedPowder',
+    quality: { label: 'Packed Powder', color: '#38BDF8', bgColor: '#F0F9FF', emoji: '🎿', priority: 3 },
+    when: [
+      { input: 'snowAgeHours', op: '<=', param: 'packedMaxAgeHours' },
+      { input: 'temp_c', op: '<', param: 'packedMaxTempC' },
+      { input: 'humidity_pct', op: '<', param: 'packedMaxHumidityPct' },
+    ],
+  },
+  {
+    id: 'soft',
+    quality: { label: 'Soft', color: '#4ADE80', bgColor: '#F0FDF4', emoji: '✨', priority: 4 },
+    when: [
+      { input: 'snowAgeHours', op: '<=', param: 'softMaxAgeHours' },
+      { input: 'temp_c', op: '>=', param: 'packedMaxTempC' },
+      { input: 'temp_c', op: '<', param: 'springMinTempC' },
+    ],
+  },
+  {
+    id: 'spring',
+    quality: { label: 'Spring/Corn', color: '#FBBF24', bgColor: '#FFFBEB', emoji: '☀️', priority: 5 },
+    when: [
+      { input: 'temp_c', op: '>=', param: 'springMinTempC' },
+    ],
+  },
+  {
+    id: 'icy',
+    quality: { label: 'Icy', color: '#EF4444', bgColor: '#FEF2F2', emoji: '🧊', priority: 6 },
+    when: [
+      { input: 'snowAgeHours', op: '>', param: 'softMaxAgeHours' },
+      { input: 'temp_c', op: '<', param: 'icyMaxTempC' },
+    ],
+  },
+  {
+    id: 'variable',
+    quality: { label: 'Variable', color: '#9CA3AF', bgColor: '#F9FAFB', emoji: '🌫️', priority: 7 },
+    when: [],
+  },
+];
+
+const OPS = {
+  '>':  (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<':  (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+};
+
+// How a check reads in an explanation, passed or failed
+const OP_SYMBOLS = { '>': '>', '>=': '≥', '<': '<', '<=': '≤' };
+const NEGATED_OPS = { '>': '≤', '>=': '<', '<': '≥', '<=': '>' };
+
+// ── Engine ────────────────────────────────────────────────────────────────────
+
+/**
+ * Defaults merged with a user's overrides. Unknown keys and non-numeric
+ * values are ignored, so a stale or hand-edited setting can't break scoring.
  *
- * Decision tree is copied verbatim from SPEC.md section 4 — do not reorder
- * the branches without updating the spec first.
+ * @param {object} [overrides]  e.g. { windAffectedMinKmh: 50 }
+ * @returns {Object<string, number>}
+ */
+export function resolveQualityParams(overrides) {
+  const params = {};
+  for (const [key, { value }] of Object.entries(QUALITY_PARAMS)) {
+    const override = overrides?.[key];
+    params[key] = Number.isFinite(override) ? override : value;
+  }
+  return params;
+}
+
+/**
+ * @returns {{ input: string, op: string, param: string, value: number|null,
+ *             threshold: number, pass: boolean }}
+ */
+function checkCondition(condition, inputs, params) {
+  const value = inputs[condition.input];
+  if (value == null && condition.ifMissing) {
+    return checkCondition(condition.ifMissing, inputs, params);
+  }
+  const threshold = params[condition.param];
+  return {
+    input: condition.input,
+    op: condition.op,
+    param: condition.param,
+    value: value ?? null,
+    threshold,
+    pass: value != null && OPS[condition.op](value, threshold),
+  };
+}
+
+/**
+ * Classify snow quality for the current hour by walking QUALITY_RULES.
  *
  * @param {object} params
  * @param {number} params.temp_c         Current temperature (°C)
@@ -17,41 +172,151 @@
  * @param {number} params.snowfall_cm    Hourly snowfall (cm)
  * @param {number} params.snowAgeHours   Hours since last snowfall > 0.1 cm
  * @param {number} params.humidity_pct   Relative humidity (%)
- * @returns {{ label: string, color: string, bgColor: string, emoji: string, priority: number }}
+ * @param {number|null} [params.slr]     Estimated snow-to-liquid ratio this hour
+ * @param {object} [overrides]           settings.qualityOverrides — see QUALITY_PARAMS
+ * @returns {{ label: string, color: string, bgColor: string, emoji: string, priority: number,
+ *             explanation: { rule: string, checks: object[], skipped: object[] } }}
+ *          `checks` are the winning rule's conditions with the values that met
+ *          them; `skipped` lists each earlier rule with its first failed check.
  */
-export function getSnowQuality({ temp_c, wind_kmh, snowfall_cm, snowAgeHours, humidity_pct }) {
-  // 1. Fresh Powder: active snowfall, cold, manageable wind
-  if (snowfall_cm > 0.5 && temp_c < -2 && wind_kmh < 40) {
-    return { label: 'Powder', color: '#1E90FF', bgColor: '#E8F4FD', emoji: '❄️', priority: 1 };
-  }
+export function getSnowQuality(inputs, overrides) {
+  const params = resolveQualityParams(overrides);
+  const skipped = [];
 
-  // 2. Wind Affected: fresh snow but blowing
-  if (snowfall_cm > 0.2 && wind_kmh >= 40) {
-    return { label: 'Wind Affected', color: '#F97316', bgColor: '#FEF3C7', emoji: '💨', priority: 2 };
+  for (const rule of QUALITY_RULES) {
+    const checks = rule.when.map((condition) => checkCondition(condition, inputs, params));
+    const failed = checks.find((check) => !check.pass);
+    if (!failed) {
+      return { ...rule.quality, explanation: { rule: rule.id, checks, skipped } };
+    }
+    skipped.push({ rule: rule.id, label: rule.quality.label, failed });
   }
+  // Unreachable while the table ends in a condition-free fallback
+  throw new Error('QUALITY_RULES has no fallback rule');
+}
 
-  // 3. Packed Powder: recent snow (< 12 hrs), cold and dry
-  if (snowAgeHours <= 12 && temp_c < -5 && humidity_pct < 70) {
-    return { label: 'Packed Powder', color: '#38BDF8', bgColor: '#F0F9FF', emoji: '🎿', priority: 3 };
-  }
+// ── Explanation ───────────────────────────────────────────────────────────────
 
-  // 4. Soft Snow: recent snow, warming
-  if (snowAgeHours <= 24 && temp_c >= -5 && temp_c < 2) {
-    return { label: 'Soft', color: '#4ADE80', bgColor: '#F0FDF4', emoji: '✨', priority: 4 };
+/**
+ * Formats a rule input or threshold in the user's units.
+ *
+ * @param {string} dimension  From QUALITY_INPUTS / QUALITY_PARAMS
+ * @param {number} value      Stored value (cm, °C, km/h, hours, %, SLR)
+ * @param {object|string} units
+ * @returns {string}
+ */
+export function formatQualityValue(dimension, value, units) {
+  if (value == null) return '—';
+  switch (dimension) {
+    case 'snow':    return formatSnow(value, units);
+    case 'temp':    return formatTemp(value, units);
+    case 'wind':    return formatWind(value, units);
+    case 'hours':   return `${value} h`;
+    case 'percent': return `${Math.round(value)}%`;
+    case 'ratio':   return `1:${Math.round(value)}`;
+    default:        return String(value);
   }
+}
 
-  // 5. Spring / Corn: warm temps
-  if (temp_c >= 2) {
-    return { label: 'Spring/Corn', color: '#FBBF24', bgColor: '#FFFBEB', emoji: '☀️', priority: 5 };
-  }
+function describeCheck(check, units, op) {
+  const { label, dimension } = QUALITY_INPUTS[check.input];
+  if (check.value == null) return `${label} unknown`;
+  const value = formatQualityValue(dimension, check.value, units);
+  const threshold = formatQualityValue(dimension, check.threshold, units);
+  return `${label} ${value} ${op} ${threshold}`;
+}
 
-  // 6. Icy: old snow, refrozen
-  if (snowAgeHours > 24 && temp_c < -2) {
-    return { label: 'Icy', color: '#EF4444', bgColor: '#FEF2F2', emoji: '🧊', priority: 6 };
-  }
+/**
+ * Human-readable lines for a quality's explanation — the QualityBadge tooltip.
+ *
+ * @param {object} quality  From getSnowQuality()
+ * @param {object|string} units
+ * @returns {string[]} e.g. ['Powder: snowfall 0.5" > 0.2", temp 18°F < 28°F, …',
+ *                           'Not Wind Affected: wind 12 mph < 25 mph']
+ */
+export function explainQuality(quality, units) {
+  const explanation = quality?.explanation;
+  if (!explanation) return [];
+
+  const because = explanation.checks.length
+    ? explanation.checks.map((check) => describeCheck(check, units, OP_SYMBOLS[check.op])).join(', ')
+    : 'no other rule matched';
+  return [
+    `${quality.label}: ${because}`,
+    ...explanation.skipped.map(({ label, failed }) =>
+      `Not ${label}: ${describeCheck(failed, units, NEGATED_OPS[failed.op])}`
+    ),
+  ];
+}
+
+// ── Timeline ──────────────────────────────────────────────────────────────────
+
+// Hourly snowfall (cm) that resets snowAgeHours, and the age it's capped at
+const SNOW_AGE_MIN_CM = 0.1;
+const SNOW_AGE_CAP_HOURS = 72;
+
+// Window the dashboard's "best quality" sort looks ahead over
+export const QUALITY_LOOKAHEAD_HOURS = 72;
+
+/**
+ * getSnowQuality() inputs for one hour of the Open-Meteo hourly block, with
+ * the same fallbacks the current-hour callers use.
+ *
+ * @param {object} hourly        forecast.hourly
+ * @param {number} i             Hourly index
+ * @param {number} [snowAgeHours] Precomputed age; scans back from i when omitted
+ * @returns {object}
+ */
+export function getHourlyQualityInputs(hourly, i, snowAgeHours = getSnowAgeHours(hourly.snowfall, i)) {
+  return {
+    temp_c:       hourly.temperature_2m[i]      ?? 0,
+    wind_kmh:     hourly.windspeed_10m[i]       ?? 0,
+    snowfall_cm:  hourly.snowfall[i]            ?? 0,
+    snowAgeHours,
+    humidity_pct: hourly.relativehumidity_2m[i] ?? 50,
+    slr:          getHourlyDensity(hourly, i)?.slr,
+  };
+}
+
+/**
+ * Runs the classifier across every hour of the forecast (16 days). Snow age
+ * rolls forward in one pass instead of re-scanning back from each hour, and
+ * matches getSnowAgeHours() at every index.
+ *
+ * @param {object} forecast   Forecast from fetchForecast()
+ * @param {object} [overrides] settings.qualityOverrides
+ * @returns {object[]} One getSnowQuality() result per forecast.hourly.time entry
+ */
+export function getQualityTimeline(forecast, overrides) {
+  const hourly = forecast?.hourly;
+  if (!hourly?.time) return [];
 
-  // 7. Fallback
-  return { label: 'Variable', color: '#9CA3AF', bgColor: '#F9FAFB', emoji: '🌫️', priority: 7 };
+  let lastSnow = -Infinity;
+  return hourly.time.map((_, i) => {
+    if (hourly.snowfall[i] > SNOW_AGE_MIN_CM) lastSnow = i;
+    const snowAgeHours = Math.min(i - lastSnow, SNOW_AGE_CAP_HOURS);
+    return getSnowQuality(getHourlyQualityInputs(hourly, i, snowAgeHours), overrides);
+  });
+}
+
+/**
+ * Best (lowest priority) quality in a window of the timeline; the earliest
+ * hour wins ties.
+ *
+ * @param {object[]} timeline    From getQualityTimeline()
+ * @param {number}   startIndex  Usually the current hour
+ * @param {number}   [hours=QUALITY_LOOKAHEAD_HOURS]
+ * @returns {{ index: number, quality: object }|null} null when the window is empty
+ */
+export function getBestQualityAhead(timeline, startIndex, hours = QUALITY_LOOKAHEAD_HOURS) {
+  let best = null;
+  const end = Math.min(startIndex + hours, timeline.length);
+  for (let i = Math.max(0, startIndex); i < end; i++) {
+    if (!best || timeline[i].priority < best.quality.priority) {
+      best = { index: i, quality: timeline[i] };
+    }
+  }
+  return best;
 }
 
 /**
@@ -67,20 +332,24 @@ export function getSnowQuality({ temp_c, wind_kmh, snowfall_cm, snowAgeHours, hu
 export function getSnowAgeHours(hourlySnowfall, currentHourIndex) {
   for (let i = currentHourIndex; i >= 0; i--) {
     const hoursBack = currentHourIndex - i;
-    if (hoursBack > 72) return 72; // cap — stop scanning beyond 72 hours
-    if (hourlySnowfall[i] > 0.1) return hoursBack;
+    if (hoursBack > SNOW_AGE_CAP_HOURS) return SNOW_AGE_CAP_HOURS; // stop scanning beyond the cap
+    if (hourlySnowfall[i] > SNOW_AGE_MIN_CM) return hoursBack;
   }
-  return 72; // no qualifying snowfall found in entire lookback window
+  return SNOW_AGE_CAP_HOURS; // no qualifying snowfall found in entire lookback window
 }
 
 /**
  * Find the single best 24-hour window in the daily forecast.
  *
  * Scoring formula from SPEC.md section 4:
- *   score = (snowfall_sum * 3) - (rain_sum * 5)
+ *   score = (snowfall_sum * 3 * confidence) - (rain_sum * 5)
  *           - (windspeed_10m_max > 50 ? 10 : 0)
  *           + (temperature_2m_max < 0 ? 5 : 0)
  *
+ * `confidence` is the day's multi-model agreement (0–1, see ensemble.js) so a
+ * single model's outlier storm can't win on snowfall alone. Days without one
+ * (no ensemble, or the model missing) count as 1 — the original formula.
+ *
  * @param {Array<{
  *   time: string,
  *   snowfall_sum: number,
@@ -88,14 +357,16 @@ export function getSnowAgeHours(hourlySnowfall, currentHourIndex) {
  *   windspeed_10m_max: number,
  *   temperature_2m_max: number
  * }>} dailyData  Array of daily forecast objects
+ * @param {Array<number|null>|null} [confidence]  Per-day confidence, aligned
+ *        with dailyData — from getConfidenceByDay(forecast)
  * @returns {{ index: number, date: string, score: number }}
  */
-export function getBestWindow(dailyData) {
+export function getBestWindow(dailyData, confidence = null) {
   const scored = dailyData.map((day, i) => ({
     index: i,
     date: day.time,
     score:
-      day.snowfall_sum * 3
+      day.snowfall_sum * 3 * (confidence?.[i] ?? 1)
       - day.rain_sum * 5
       - (day.windspeed_10m_max > 50 ? 10 : 0)
       + (day.temperature_2m_max < 0 ? 5 : 0),
@@ -53,6 +53,13 @@ export async function signInWithEmail(email, password) {
   return data
 }
 
+// Current session's access token (null when signed out) — sent to our own
+// serverless endpoints so they can identify the user
+export async function getAccessToken() {
+  const { data: { session } } = await supabase.auth.getSession()
+  return session?.access_token ?? null
+}
+
 export async function signOut() {
   const { error } = await supabase.auth.signOut()
   if (error) throw error
@@ -78,3 +85,100 @@ export async function updateProfile(userId, updates) {
   if (error) throw error
   return data
 }
+
+// Shared AI summaries — one row per resort per day per units key (getUnitsKey
+// in utils.js), readable by every signed-in user (table: summaries, see
+// supabase/migrations)
+export async function getSharedSummary(resortId, date, units = 'imperial') {
+  const { data, error } = await supabase
+    .from('summaries')
+    .select('text')
+    .eq('resort_id', resortId)
+    .eq('summary_date', date)
+    .eq('units', units)
+    .maybeSingle()
+
+  if (error) throw error
+  return data?.text ?? null
+}
+
+export async function saveSharedSummary(resortId, date, text, units = 'imperial') {
+  // First writer wins — a concurrent insert for the same day is ignored
+  const { error } = await supabase
+    .from('summaries')
+    .upsert(
+      [{ resort_id: resortId, summary_date: date, text, units }],
+      { onConflict: 'resort_id,summary_date,units', ignoreDuplicates: true }
+    )
+
+  if (error) throw error
+}
+
+// Shape expected by getCachedSummary() in cache.js
+export const sharedSummaryStore = {
+  get: getSharedSummary,
+  put: saveSharedSummary,
+}
+
+// Web Push subscriptions — one row per device (table: push_subscriptions)
+export async function savePushSubscription(userId, subscription) {
+  const { endpoint, keys } = subscription
+  const { error } = await supabase
+    .from('push_subscriptions')
+    .upsert(
+      [{ endpoint, user_id: userId, p256dh: keys.p256dh, auth: keys.auth }],
+      { onConflict: 'endpoint' }
+    )
+
+  if (error) throw error
+}
+
+export async function deletePushSubscription(endpoint) {
+  const { error } = await supabase
+    .from('push_subscriptions')
+    .delete()
+    .eq('endpoint', endpoint)
+
+  if (error) throw error
+}
+
+// Alert thresholds the push job evaluates (profiles.alert_thresholds, cm)
+export async function saveAlertSettings(userId, { thresholds, defaultThreshold }) {
+  return updateProfile(userId, {
+    alert_thresholds: thresholds ?? {},
+    default_threshold: defaultThreshold,
+  })
+}
+
+// Saved trip plans (table: trips) — the /plan inputs plus a snapshot of the
+// ranking (summarizeTripRanking in tripPlanner.js), newest first
+export async function getTrips(userId) {
+  const { data, error } = await supabase
+    .from('trips')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+  return data
+}
+
+export async function saveTrip(userId, trip) {
+  const { data, error } = await supabase
+    .from('trips')
+    .insert([{ ...trip, user_id: userId }])
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+export async function deleteTrip(tripId) {
+  const { error } = await supabase
+    .from('trips')
+    .delete()
+    .eq('id', tripId)
+
+  if (error) throw error
+}
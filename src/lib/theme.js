@@ -0,0 +1,60 @@
+/**
+ * src/lib/theme.js
+ *
+ * Light / dark theme behind settings.darkMode. The palettes live in
+ * src/index.css as CSS variables; this module only decides which one applies
+ * and flips the `data-theme` attribute on <html>. Components style themselves
+ * with `var(--color-…)` tokens, never hex values, so they follow automatically.
+ *
+ * settings.darkMode: true (dark) | false (light) | 'system' (follow the OS)
+ */
+
+/** Options for the Settings picker, in display order. */
+export const THEME_OPTIONS = [
+  { value: true,     label: 'Dark'      },
+  { value: false,    label: 'Light'     },
+  { value: 'system', label: 'Follow OS' },
+];
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * @param {boolean|'system'} darkMode  settings.darkMode
+ * @param {boolean} prefersDark        Whether the OS is in dark mode
+ * @returns {'dark'|'light'}
+ */
+export function resolveTheme(darkMode, prefersDark) {
+  if (darkMode === 'system') return prefersDark ? 'dark' : 'light';
+  return darkMode === false ? 'light' : 'dark';
+}
+
+/** @returns {boolean} Whether the OS currently prefers a dark color scheme. */
+export function systemPrefersDark() {
+  return typeof window !== 'undefined' && window.matchMedia?.(DARK_QUERY).matches === true;
+}
+
+/**
+ * Points the CSS variables at the given palette and tells the browser which
+ * scheme native controls (scrollbars, inputs) should use.
+ *
+ * @param {'dark'|'light'} theme
+ * @param {HTMLElement} [root=document.documentElement]
+ */
+export function applyTheme(theme, root = document.documentElement) {
+  root.dataset.theme = theme;
+  root.style.colorScheme = theme;
+}
+
+/**
+ * Calls `onChange(prefersDark)` whenever the OS color scheme changes.
+ *
+ * @param {(prefersDark: boolean) => void} onChange
+ * @returns {() => void} Unsubscribe
+ */
+export function watchSystemTheme(onChange) {
+  const query = typeof window !== 'undefined' ? window.matchMedia?.(DARK_QUERY) : null;
+  if (!query) return () => {};
+  const handler = (e) => onChange(e.matches);
+  query.addEventListener('change', handler);
+  return () => query.removeEventListener('change', handler);
+}
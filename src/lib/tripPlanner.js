@@ -0,0 +1,177 @@
+/**
+ * src/lib/tripPlanner.js
+ *
+ * Trip planner (/plan): ranks resorts for a chosen date range, weighted by
+ * how far they are from a chosen origin. Candidates are Tier 1 plus saved
+ * resorts; only the forecast days inside the range are scored:
+ *
+ *   score = best day        getBestWindow() over the range, extended-outlook
+ *                           days discounted via getOutlookConfidence()
+ *         + snowfall        total over the range (cm)
+ *         + quality bonus   QUALITY_BONUS × (7 − best hourly quality priority)
+ *         − travel          distance (km) ÷ 100 × the travel weight
+ *
+ * Only days the 16-day forecast covers can be scored — a range that starts
+ * past it ranks nothing. No UI dependencies — pure data logic, like
+ * snowQuality.js.
+ */
+
+import { getBestWindow, getQualityTimeline, getBestQualityAhead } from './snowQuality.js';
+import { getOutlookConfidence } from './ensemble.js';
+import { distanceKm, getSnowTotal, EXTENDED_OUTLOOK_DAYS } from './utils.js';
+
+/**
+ * Travel weights: score points lost per 100 km from the origin. A cm of snow
+ * on the best day is worth ~4 points, so "Balanced" trades 1 cm per 100 km.
+ */
+export const TRAVEL_WEIGHTS = {
+  close:    { label: 'Close to home', perHundredKm: 10 },
+  balanced: { label: 'Balanced',      perHundredKm: 4 },
+  anywhere: { label: 'Anywhere',      perHundredKm: 0 },
+};
+
+export const DEFAULT_TRAVEL_WEIGHT = 'balanced';
+
+// Points per quality step above Variable (priority 7): Powder adds 12
+const QUALITY_BONUS = 2;
+const LOWEST_QUALITY_PRIORITY = 7;
+
+// Rows kept when a ranking is saved as a trip
+export const TRIP_SNAPSHOT_SIZE = 10;
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/**
+ * Tier 1 resorts plus any saved ones, without duplicates.
+ *
+ * @param {object[]} resorts     Full resort list from resorts.json
+ * @param {string[]} savedSlugs
+ * @returns {object[]}
+ */
+export function getTripCandidates(resorts, savedSlugs = []) {
+  const saved = new Set(savedSlugs);
+  return resorts.filter((r) => r.tier === 1 || saved.has(r.slug));
+}
+
+/**
+ * Forecast day indices that fall inside the trip (inclusive on both ends).
+ * Dates compare as "YYYY-MM-DD" strings in the resort's local time, the same
+ * strings as forecast.daily.time.
+ *
+ * @param {object} forecast   Forecast from fetchForecast()
+ * @param {string} startDate  "YYYY-MM-DD"
+ * @param {string} endDate    "YYYY-MM-DD"
+ * @returns {{ from: number, to: number }|null} null when no forecast day is in range
+ */
+export function getTripDayRange(forecast, startDate, endDate) {
+  const time = forecast?.daily?.time ?? [];
+  const from = time.findIndex((date) => date >= startDate);
+  if (from === -1 || time[from] > endDate) return null;
+  let to = from;
+  while (to + 1 < time.length && time[to + 1] <= endDate) to++;
+  return { from, to };
+}
+
+/**
+ * Scores one resort for the trip.
+ *
+ * @param {object} resort    Resort object from resorts.json
+ * @param {object} forecast  Forecast from fetchForecast()
+ * @param {object} trip
+ * @param {string} trip.startDate     "YYYY-MM-DD"
+ * @param {string} trip.endDate       "YYYY-MM-DD"
+ * @param {{ lat: number, lng: number }|null} [trip.origin]  No travel weighting when null
+ * @param {string} [trip.travelWeight=DEFAULT_TRAVEL_WEIGHT]  Key of TRAVEL_WEIGHTS
+ * @param {object} [qualityOverrides]  settings.qualityOverrides
+ * @returns {{
+ *   resort: object,
+ *   score: number,
+ *   snowCm: number,
+ *   bestDay: { index: number, date: string, score: number },
+ *   bestQuality: { index: number, quality: object }|null,
+ *   distanceKm: number|null,
+ *   days: number
+ * }|null} null when the forecast has no days in the range
+ */
+export function scoreResortForTrip(resort, forecast, trip, qualityOverrides) {
+  const range = getTripDayRange(forecast, trip.startDate, trip.endDate);
+  if (!range) return null;
+  const { from, to } = range;
+  const days = to - from + 1;
+
+  const daily = forecast.daily;
+  const dailyArr = daily.time.slice(from, to + 1).map((date, j) => ({
+    time: date,
+    snowfall_sum:       daily.snowfall_sum[from + j]       ?? 0,
+    rain_sum:           daily.rain_sum[from + j]           ?? 0,
+    windspeed_10m_max:  daily.windspeed_10m_max[from + j]  ?? 0,
+    temperature_2m_max: daily.temperature_2m_max[from + j] ?? 0,
+  }));
+  const confidence = getOutlookConfidence(forecast, EXTENDED_OUTLOOK_DAYS)?.slice(from, to + 1) ?? null;
+  const best = getBestWindow(dailyArr, confidence);
+  const bestDay = { ...best, index: from + best.index };
+
+  const snowCm = getSnowTotal(forecast, days, from);
+
+  // Hourly indices line up with daily ones at 24 per day (as in the Forecast tab)
+  const bestQuality = getBestQualityAhead(getQualityTimeline(forecast, qualityOverrides), from * 24, days * 24);
+  const qualityBonus = bestQuality
+    ? (LOWEST_QUALITY_PRIORITY - bestQuality.quality.priority) * QUALITY_BONUS
+    : 0;
+
+  const km = trip.origin ? distanceKm(trip.origin, resort) : null;
+  const weight = TRAVEL_WEIGHTS[trip.travelWeight] ?? TRAVEL_WEIGHTS[DEFAULT_TRAVEL_WEIGHT];
+  const travel = km === null ? 0 : (km / 100) * weight.perHundredKm;
+
+  return {
+    resort,
+    score: round1(best.score + snowCm + qualityBonus - travel),
+    snowCm: round1(snowCm),
+    bestDay,
+    bestQuality,
+    distanceKm: km === null ? null : Math.round(km),
+    days,
+  };
+}
+
+/**
+ * Ranks resorts for the trip, best first. Resorts without a loaded forecast,
+ * or whose forecast doesn't reach the range, are left out.
+ *
+ * @param {object[]} resorts    Candidates, e.g. from getTripCandidates()
+ * @param {object}   forecasts  AppContext forecasts, keyed by resort id
+ * @param {object}   trip       See scoreResortForTrip()
+ * @param {object}   [qualityOverrides]
+ * @returns {object[]} scoreResortForTrip() results, highest score first
+ */
+export function rankResortsForTrip(resorts, forecasts, trip, qualityOverrides) {
+  return resorts
+    .map((resort) => {
+      const forecast = forecasts[resort.id];
+      return forecast ? scoreResortForTrip(resort, forecast, trip, qualityOverrides) : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Compact copy of a ranking for storing with a saved trip — forecasts change,
+ * so a saved trip keeps what the ranking looked like when it was made.
+ *
+ * @param {object[]} ranking  From rankResortsForTrip()
+ * @param {number} [limit=TRIP_SNAPSHOT_SIZE]
+ * @returns {Array<{ resortId: string, slug: string, name: string, score: number,
+ *   snowCm: number, bestDate: string, quality: string|null, distanceKm: number|null }>}
+ */
+export function summarizeTripRanking(ranking, limit = TRIP_SNAPSHOT_SIZE) {
+  return ranking.slice(0, limit).map((row) => ({
+    resortId: row.resort.id,
+    slug: row.resort.slug,
+    name: row.resort.name,
+    score: row.score,
+    snowCm: row.snowCm,
+    bestDate: row.bestDay.date,
+    quality: row.bestQuality?.quality.label ?? null,
+    distanceKm: row.distanceKm,
+  }));
+}
@@ -10,6 +10,7 @@
 export const CM_TO_INCHES = 0.3937;
 export const POWDER_THRESHOLD_CM = 15.24; // 6 inches
 export const KMH_TO_MPH = 0.6214;
+export const KM_PER_MILE = 1.609344;
 
 // ── Conversion helpers ────────────────────────────────────────────────────────
 
@@ -22,6 +23,191 @@ export const toInches = (cm) => Math.round(cm * CM_TO_INCHES * 10) / 10;
 /** km/h → mph, rounded to 0 decimal places */
 export const toMph = (kmh) => Math.round(kmh * KMH_TO_MPH);
 
+/** Meters → feet, rounded to nearest integer. */
+export const toFeet = (m) => Math.round(m * 3.28084);
+
+// ── Unit preferences ──────────────────────────────────────────────────────────
+//
+// settings.units picks a preset; settings.unitOverrides swaps individual
+// dimensions (e.g. cm of snow with °F). Every view, chart axis, notification
+// and AI prompt formats through the helpers below — never toF/toInches/toMph
+// directly — so the two settings are honoured everywhere.
+
+export const UNIT_PRESETS = {
+  imperial: { snow: 'in', temp: 'F', wind: 'mph', elevation: 'ft' },
+  metric:   { snow: 'cm', temp: 'C', wind: 'kmh', elevation: 'm'  },
+};
+
+/** Allowed values per dimension, in the order Settings lists them. */
+export const UNIT_OPTIONS = {
+  snow:      ['in', 'cm'],
+  temp:      ['F', 'C'],
+  wind:      ['mph', 'kmh'],
+  elevation: ['ft', 'm'],
+};
+
+/** Suffix appended to a converted value, e.g. `${7.9}${UNIT_SUFFIX.in}` → 7.9" */
+export const UNIT_SUFFIX = {
+  in: '"', cm: ' cm',
+  F: '°F', C: '°C',
+  mph: ' mph', kmh: ' km/h',
+  ft: 'ft', m: 'm',
+};
+
+/** Short names for pickers and summaries of the user's choice. */
+export const UNIT_LABELS = {
+  in: 'inches', cm: 'cm',
+  F: '°F', C: '°C',
+  mph: 'mph', kmh: 'km/h',
+  ft: 'feet', m: 'meters',
+};
+
+/**
+ * Resolves a preset plus optional per-dimension overrides into a full unit
+ * spec. Accepts a preset name, an already-resolved spec, or a settings-like
+ * object ({ units, unitOverrides }). Unknown values fall back to imperial.
+ *
+ * @param {string|object} [units='imperial']
+ * @param {object} [overrides]  e.g. { snow: 'cm' }
+ * @returns {{ snow: 'in'|'cm', temp: 'F'|'C', wind: 'mph'|'kmh', elevation: 'ft'|'m' }}
+ */
+export function resolveUnits(units = 'imperial', overrides) {
+  if (units && typeof units === 'object' && 'units' in units) {
+    return resolveUnits(units.units, units.unitOverrides);
+  }
+  const base = typeof units === 'string' || !units
+    ? UNIT_PRESETS[units] ?? UNIT_PRESETS.imperial
+    : { ...UNIT_PRESETS.imperial, ...units };
+
+  const resolved = { ...base };
+  for (const [dimension, value] of Object.entries(overrides ?? {})) {
+    if (UNIT_OPTIONS[dimension]?.includes(value)) resolved[dimension] = value;
+  }
+  for (const dimension of Object.keys(UNIT_OPTIONS)) {
+    if (!UNIT_OPTIONS[dimension].includes(resolved[dimension])) {
+      resolved[dimension] = UNIT_PRESETS.imperial[dimension];
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Stable identifier for a unit spec — the preset name when it matches one,
+ * otherwise "snow-temp-wind-elevation". Used to key unit-dependent caches
+ * such as AI summaries.
+ *
+ * @param {string|object} units  Anything resolveUnits() accepts
+ * @returns {string}
+ */
+export function getUnitsKey(units) {
+  const resolved = resolveUnits(units);
+  const preset = Object.keys(UNIT_PRESETS).find((name) =>
+    Object.keys(UNIT_OPTIONS).every((d) => UNIT_PRESETS[name][d] === resolved[d])
+  );
+  return preset ?? Object.keys(UNIT_OPTIONS).map((d) => resolved[d]).join('-');
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/** cm → display snow unit; 1 decimal place unless `decimals` is given. */
+export function convertSnow(cm, units, { decimals } = {}) {
+  const value = resolveUnits(units).snow === 'cm' ? round1(cm) : toInches(cm);
+  return decimals === 0 ? Math.round(value) : value;
+}
+
+/** °C → display temperature unit, rounded to whole degrees. */
+export function convertTemp(c, units) {
+  return Math.round(resolveUnits(units).temp === 'C' ? c : toF(c));
+}
+
+/** km/h → display wind unit, rounded to whole units. */
+export function convertWind(kmh, units) {
+  return resolveUnits(units).wind === 'kmh' ? Math.round(kmh) : toMph(kmh);
+}
+
+// ── Inverses: a value typed in the user's units → stored metric value ───────
+// Same factors as the convert* helpers, so a typed value displays unchanged.
+
+/** Display snow unit → cm. */
+export function snowToCm(value, units) {
+  return resolveUnits(units).snow === 'cm' ? value : value / CM_TO_INCHES;
+}
+
+/** Display temperature unit → °C. */
+export function tempToC(value, units) {
+  return resolveUnits(units).temp === 'C' ? value : ((value - 32) * 5) / 9;
+}
+
+/** Display wind unit → km/h. */
+export function windToKmh(value, units) {
+  return resolveUnits(units).wind === 'kmh' ? value : value / KMH_TO_MPH;
+}
+
+// ── Editable values: exact conversions for number inputs ─────────────────────
+// The convert* helpers round for display, too coarse for a setting the user
+// types (0.2 cm would show as 0.1"). Inputs show the exact conversion to 2
+// decimals and store 4, so whatever is typed shows again unchanged.
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const round4 = (v) => Math.round(v * 10000) / 10000;
+
+/**
+ * Stored metric value → number input value in the user's units.
+ *
+ * @param {'snow'|'temp'|'wind'|string} dimension  Anything else passes through
+ * @param {number} value  cm, °C or km/h
+ * @param {object|string} units
+ * @returns {number}
+ */
+export function toInputValue(dimension, value, units) {
+  const u = resolveUnits(units);
+  if (dimension === 'snow') return round2(u.snow === 'cm' ? value : value * CM_TO_INCHES);
+  if (dimension === 'temp') return round2(u.temp === 'C' ? value : toF(value));
+  if (dimension === 'wind') return round2(u.wind === 'kmh' ? value : value * KMH_TO_MPH);
+  return value;
+}
+
+/**
+ * Number input value in the user's units → stored metric value; the exact
+ * inverse of toInputValue.
+ *
+ * @param {'snow'|'temp'|'wind'|string} dimension
+ * @param {number} value
+ * @param {object|string} units
+ * @returns {number}
+ */
+export function fromInputValue(dimension, value, units) {
+  if (dimension === 'snow') return round4(snowToCm(value, units));
+  if (dimension === 'temp') return round4(tempToC(value, units));
+  if (dimension === 'wind') return round4(windToKmh(value, units));
+  return value;
+}
+
+/** Meters → display elevation unit, rounded to whole units. */
+export function convertElevation(m, units) {
+  return resolveUnits(units).elevation === 'm' ? Math.round(m) : toFeet(m);
+}
+
+/** e.g. 20 cm → '7.9"' (imperial) or '20 cm' (metric). Also used for rain and depth. */
+export function formatSnow(cm, units, options) {
+  return `${convertSnow(cm, units, options)}${UNIT_SUFFIX[resolveUnits(units).snow]}`;
+}
+
+/** e.g. -5 °C → '23°F' or '-5°C' */
+export function formatTemp(c, units) {
+  return `${convertTemp(c, units)}${UNIT_SUFFIX[resolveUnits(units).temp]}`;
+}
+
+/** e.g. 30 km/h → '19 mph' or '30 km/h' */
+export function formatWind(kmh, units) {
+  return `${convertWind(kmh, units)}${UNIT_SUFFIX[resolveUnits(units).wind]}`;
+}
+
+/** e.g. 3216 m → '10,551ft' or '3,216m' */
+export function formatElevation(m, units) {
+  return `${convertElevation(m, units).toLocaleString('en-US')}${UNIT_SUFFIX[resolveUnits(units).elevation]}`;
+}
+
 // ── WMO weather code lookup (SPEC.md section 3) ───────────────────────────────
 
 const WEATHER_CODES = {
@@ -56,7 +242,9 @@ export function getWeatherInfo(code) {
  * Converts a "YYYY-MM-DD" date string to a human-readable label:
  *   - Today's date   → "Today"
  *   - Tomorrow       → "Tomorrow"
- *   - Any other date → short weekday name ("Mon", "Tue", …)
+ *   - Within a week  → short weekday name ("Mon", "Tue", …)
+ *   - A week or more out (extended outlook) → weekday + day of month ("Sat 28"),
+ *     since the weekday alone repeats
  *
  * Parsing uses local midnight to avoid DST / timezone edge-cases.
  *
@@ -76,14 +264,127 @@ export function getDayLabel(dateStr) {
   if (inputDate.getTime() === today.getTime()) return 'Today';
   if (inputDate.getTime() === tomorrow.getTime()) return 'Tomorrow';
 
-  return inputDate.toLocaleDateString('en-US', { weekday: 'short' });
+  const weekday = inputDate.toLocaleDateString('en-US', { weekday: 'short' });
+  const weekOut = new Date(today);
+  weekOut.setDate(weekOut.getDate() + OUTLOOK_DAYS);
+  return inputDate >= weekOut ? `${weekday} ${day}` : weekday;
+}
+
+/** "2026-02-27" → "Feb 27" */
+export function formatShortDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+// ── Forecast horizon ──────────────────────────────────────────────────────────
+//
+// fetchForecast() asks Open-Meteo for 16 days, but cards, tables, totals and
+// the best window use the first week unless the extended outlook is switched
+// on. Days past OUTLOOK_DAYS are shown with reduced-confidence styling.
+
+export const OUTLOOK_DAYS = 7;
+export const EXTENDED_OUTLOOK_DAYS = 16;
+
+/** True for 0-based forecast day indices past the standard week. */
+export function isExtendedDay(dayIndex) {
+  return dayIndex >= OUTLOOK_DAYS;
+}
+
+/**
+ * Total forecast snowfall (cm) over a horizon.
+ *
+ * @param {object} forecast   Forecast from fetchForecast()
+ * @param {number} [days=OUTLOOK_DAYS]  How many days to add up
+ * @param {number} [fromDay=0]          First day index, e.g. 7 for days 8–16
+ * @returns {number}
+ */
+export function getSnowTotal(forecast, days = OUTLOOK_DAYS, fromDay = 0) {
+  return (forecast?.daily?.snowfall_sum ?? [])
+    .slice(fromDay, fromDay + days)
+    .reduce((sum, v) => sum + (v ?? 0), 0);
+}
+
+/**
+ * Next-48h snowfall (cm) — today and tomorrow, as on the card.
+ *
+ * @param {object|null} forecast  Forecast from fetchForecast()
+ * @returns {number|null} null when the forecast isn't loaded
+ */
+export function get48hSnow(forecast) {
+  const daily = forecast?.daily?.snowfall_sum;
+  if (!daily) return null;
+  return (daily[0] ?? 0) + (daily[1] ?? 0);
 }
 
 // ── Geography helpers ─────────────────────────────────────────────────────────
 
 /** Meters → miles, rounded to 1 decimal place. (SPEC.md Conditions tab) */
 export function toMiles(meters) {
-  return Math.round((meters / 1609.34) * 10) / 10;
+  return Math.round((meters / (KM_PER_MILE * 1000)) * 10) / 10;
+}
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle (haversine) distance between two points.
+ *
+ * @param {{ lat: number, lng: number }} a
+ * @param {{ lat: number, lng: number }} b
+ * @returns {number} Kilometers
+ */
+export function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Travel distance in the user's units. There is no separate distance
+ * dimension: it follows elevation (feet → miles, meters → km).
+ *
+ * @param {number} km
+ * @param {object} units  Resolved units from useUnits()
+ * @returns {string} e.g. "412 mi"
+ */
+export function formatDistance(km, units) {
+  return units.elevation === 'ft'
+    ? `${Math.round(km / KM_PER_MILE)} mi`
+    : `${Math.round(km)} km`;
+}
+
+// No routing behind drive times: great-circle distance is stretched by a
+// typical road-winding factor and driven at a mixed highway/mountain speed
+const ROAD_FACTOR = 1.3;
+const DRIVE_SPEED_KMH = 80;
+
+/**
+ * Rough drive time for a great-circle distance, to the nearest half hour.
+ *
+ * @param {number} km  From distanceKm()
+ * @returns {number} Hours, e.g. 2.5
+ */
+export function estimateDriveHours(km) {
+  return Math.round(((km * ROAD_FACTOR) / DRIVE_SPEED_KMH) * 2) / 2;
+}
+
+/**
+ * Parses a typed coordinate pair, e.g. "39.74, -104.99" or "39.74 -104.99".
+ *
+ * @param {string} text
+ * @returns {{ lat: number, lng: number }|null} null when it isn't two numbers
+ *          in range (lat ±90, lng ±180)
+ */
+export function parseLatLng(text) {
+  const parts = (text ?? '').trim().split(/[\s,]+/);
+  if (parts.length !== 2) return null;
+  const [lat, lng] = parts.map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
 }
 
 /**
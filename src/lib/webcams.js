@@ -0,0 +1,145 @@
+/**
+ * src/lib/webcams.js
+ *
+ * Webcam stills per resort. Camera URLs are curated by hand in
+ * scripts/data/webcams.json, keyed by resort slug:
+ *
+ *   { "vail": [{ "name": "Eagle's Nest", "url": "https://…/still.jpg",
+ *                "link": "https://…/webcams" }] }
+ *
+ * `url` must be a still image (JPEG/PNG) the resort refreshes in place;
+ * `link` is optional, the page to send people to when the image is down.
+ * scripts/buildResortData.js merges the list into resorts.json as
+ * `resort.webcams`. The Webcams tab re-polls each still and keeps a short
+ * timeline of snapshots per camera — the helpers for that live here too.
+ * No UI dependencies.
+ */
+
+export const WEBCAM_REFRESH_MS = 5 * 60 * 1000;
+
+// Snapshots kept per camera (an hour at the refresh interval)
+export const WEBCAM_TIMELINE_LENGTH = 12;
+
+// Failed loads in a row before a camera is shown as offline
+export const WEBCAM_OFFLINE_AFTER = 3;
+
+const isHttpUrl = (v) => typeof v === 'string' && /^https?:\/\//i.test(v);
+
+/**
+ * Validates one resort's curated camera list.
+ *
+ * @param {string}   slug
+ * @param {object[]} entries  Raw entries from webcams.json
+ * @returns {{ webcams: object[], errors: string[] }}
+ *   webcams: [{ id, name, url, link }], invalid entries left out
+ */
+export function normalizeWebcams(slug, entries) {
+  const webcams = [];
+  const errors = [];
+  if (!Array.isArray(entries)) {
+    return { webcams, errors: [`${slug}: expected an array of cameras`] };
+  }
+
+  entries.forEach((entry, i) => {
+    if (!isHttpUrl(entry?.url)) {
+      errors.push(`${slug}[${i}]: missing or non-http url`);
+      return;
+    }
+    webcams.push({
+      id: `${slug}-${i}`,
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : `Camera ${i + 1}`,
+      url: entry.url,
+      link: isHttpUrl(entry.link) ? entry.link : null,
+    });
+  });
+  return { webcams, errors };
+}
+
+/**
+ * Attaches curated webcams to resorts by slug. Resorts without cameras are
+ * returned unchanged (no `webcams` key), so resorts.json only grows where
+ * there is something to show.
+ *
+ * @param {object[]} resorts  Resorts with slugs assigned
+ * @param {object}   curated  Parsed webcams.json
+ * @returns {{ resorts: object[], unknownSlugs: string[], errors: string[] }}
+ */
+export function mergeWebcams(resorts, curated) {
+  const bySlug = new Map(resorts.map((r) => [r.slug, r]));
+  const unknownSlugs = Object.keys(curated ?? {}).filter((slug) => !bySlug.has(slug));
+  const errors = [];
+
+  const merged = resorts.map((r) => {
+    if (!curated?.[r.slug]) return r;
+    const result = normalizeWebcams(r.slug, curated[r.slug]);
+    errors.push(...result.errors);
+    return result.webcams.length ? { ...r, webcams: result.webcams } : r;
+  });
+
+  return { resorts: merged, unknownSlugs, errors };
+}
+
+// ── Snapshot timeline ─────────────────────────────────────────────────────────
+
+/**
+ * The still URL for a snapshot taken at `takenAt`. The timestamp is added as
+ * a query parameter so the browser fetches a fresh image and keeps each
+ * snapshot under its own cache entry for the timeline.
+ *
+ * @param {string} url
+ * @param {number} takenAt  Epoch ms
+ * @returns {string}
+ */
+export function getSnapshotUrl(url, takenAt) {
+  return `${url}${url.includes('?') ? '&' : '?'}_=${takenAt}`;
+}
+
+/**
+ * Appends a pending snapshot, dropping the oldest beyond `max`.
+ *
+ * @param {object[]} timeline  [{ takenAt, src, status: 'loading'|'ok'|'error' }], oldest first
+ * @param {object}   camera    From resort.webcams
+ * @param {number}   takenAt   Epoch ms
+ * @param {number}   [max=WEBCAM_TIMELINE_LENGTH]
+ * @returns {object[]}
+ */
+export function addSnapshot(timeline, camera, takenAt, max = WEBCAM_TIMELINE_LENGTH) {
+  const next = [...timeline, { takenAt, src: getSnapshotUrl(camera.url, takenAt), status: 'loading' }];
+  return next.slice(-max);
+}
+
+/**
+ * Records whether a snapshot loaded.
+ *
+ * @param {object[]} timeline
+ * @param {number}   takenAt
+ * @param {'ok'|'error'} status
+ * @returns {object[]}
+ */
+export function settleSnapshot(timeline, takenAt, status) {
+  return timeline.map((s) => (s.takenAt === takenAt ? { ...s, status } : s));
+}
+
+/**
+ * Most recent snapshot that loaded, or null.
+ *
+ * @param {object[]} timeline
+ * @returns {object|null}
+ */
+export function getLatestGood(timeline) {
+  for (let i = timeline.length - 1; i >= 0; i--) {
+    if (timeline[i].status === 'ok') return timeline[i];
+  }
+  return null;
+}
+
+/**
+ * True when the last WEBCAM_OFFLINE_AFTER settled snapshots all failed.
+ *
+ * @param {object[]} timeline
+ * @returns {boolean}
+ */
+export function isCameraOffline(timeline) {
+  const settled = timeline.filter((s) => s.status !== 'loading').slice(-WEBCAM_OFFLINE_AFTER);
+  return settled.length === WEBCAM_OFFLINE_AFTER && settled.every((s) => s.status === 'error');
+}
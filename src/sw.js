@@ -0,0 +1,73 @@
+/**
+ * src/sw.js — Service Worker entry (emitted as /sw.js, see vite.config.js)
+ *
+ * Background powder alerts:
+ *   - periodicsync: refreshes forecasts for saved resorts and notifies via
+ *     runBackgroundAlertCheck (lib/backgroundAlerts.js)
+ *   - push: shows alerts sent by the server job (api/cron/powder-alerts.js)
+ * Clicking a notification focuses SnowDesk on that resort.
+ */
+
+import { ALERT_SYNC_TAG, recordAlert, runBackgroundAlertCheck } from './lib/backgroundAlerts.js';
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag !== ALERT_SYNC_TAG) return;
+  if (self.Notification?.permission !== 'granted') return;
+
+  event.waitUntil(
+    runBackgroundAlertCheck({
+      notify: (payload, resort) =>
+        self.registration.showNotification(payload.title, {
+          body: payload.body,
+          icon: payload.icon,
+          tag: `powder-${resort.id}`, // replaces an older alert for the same resort
+          data: { url: `/resort/${resort.slug}` },
+        }),
+    })
+  );
+});
+
+self.addEventListener('push', (event) => {
+  let payload;
+  try {
+    payload = event.data?.json();
+  } catch {
+    payload = null;
+  }
+  if (!payload?.title) return;
+
+  event.waitUntil(
+    Promise.all([
+      self.registration.showNotification(payload.title, {
+        body: payload.body,
+        icon: payload.icon,
+        tag: `powder-${payload.resortId}`, // same tag as local alerts — no duplicates
+        data: { url: payload.url ?? '/' },
+      }),
+      // Local checks on this device then honour the cooldown for this resort
+      payload.resortId ? recordAlert(payload.resortId) : null,
+    ])
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url ?? '/';
+
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      const existing = windows.find((c) => new URL(c.url).origin === self.location.origin);
+      if (!existing) return self.clients.openWindow(url);
+      await existing.focus();
+      // navigate() only works on controlled clients — fall back to just focusing
+      return existing.navigate(url).catch(() => {});
+    })()
+  );
+});
@@ -10,14 +10,43 @@ import { useEffect, useRef, useState, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import {
   useApp,
+  useSetAvalanche,
   useSetForecast,
+  useSetHistorical,
   useSetLoadingState,
+  useSetOperatingStatus,
+  useUnits,
   useUpdateAlertLog,
+  useUpdateSettings,
 } from '../context/AppContext';
-import { loadTier1Forecasts } from '../lib/dataLoader.js';
-import { checkPowderAlerts } from '../lib/alerts.js';
-import { getSnowQuality, getSnowAgeHours } from '../lib/snowQuality.js';
-import { getCurrentHourIndex } from '../lib/utils.js';
+import {
+  loadAvalancheDanger,
+  loadOperatingStatus,
+  loadTier1Forecasts,
+  loadTier1Historical,
+} from '../lib/dataLoader.js';
+import { checkAvalancheAlerts, checkPowderAlerts } from '../lib/alerts.js';
+import {
+  getSnowQuality,
+  getSnowAgeHours,
+  getQualityTimeline,
+  getBestQualityAhead,
+} from '../lib/snowQuality.js';
+import { getHourlyDensity } from '../lib/snowDensity.js';
+import { isOpenToday } from '../lib/operatingStatus.js';
+import { getContinent, getLocationOptions } from '../lib/regions.js';
+import {
+  getCurrentHourIndex,
+  getSnowTotal,
+  resolveUnits,
+  formatSnow,
+  formatDistance,
+  distanceKm,
+  fromInputValue,
+  get48hSnow,
+  parseLatLng,
+  KM_PER_MILE,
+} from '../lib/utils.js';
 import ResortCard from '../components/ResortCard.jsx';
 import SearchResults from '../components/SearchResults.jsx';
 
@@ -26,16 +55,30 @@ const SORT_OPTIONS = [
   { value: 'snow24',  label: 'Next 24hr snow' },
   { value: 'snow48',  label: 'Next 48hr snow' },
   { value: 'snow7d',  label: 'Next 7-day total' },
+  { value: 'snow14d', label: 'Next 14-day total' },
   { value: 'quality', label: 'Snow quality' },
+  { value: 'quality3d', label: 'Best quality, next 3 days' },
   { value: 'alpha',   label: 'Alphabetical' },
 ];
 
-// Country codes that get their own filter bucket; everything else → 'SA'
-const KNOWN_COUNTRIES = ['US', 'CA', 'MX'];
+// Only offered once a home point is set; the label carries the threshold
+const CLOSEST_SORT = 'closest';
 
-function resortCountryBucket(country) {
-  return KNOWN_COUNTRIES.includes(country) ? country : 'SA';
-}
+// "Near me" radius choices, in the distance unit the user sees (stored in km)
+const RADIUS_OPTIONS = {
+  mi: [50, 100, 200, 400],
+  km: [100, 200, 400, 800],
+};
+
+// "Closest with ≥ X in 48h" amounts, in the snow unit the user sees (stored in cm)
+const CLOSEST_SNOW_OPTIONS = {
+  in: [1, 2, 4, 6, 8, 12],
+  cm: [2, 5, 10, 15, 20, 30],
+};
+
+// "Operating" filter — each option only shows when some resort has the data
+const OPEN_TODAY = 'open';
+const NIGHT_SKIING = 'night';
 
 // ── Sort helpers ──────────────────────────────────────────────────────────────
 
@@ -43,13 +86,7 @@ function getDailySnow(forecast, dayIndex) {
   return forecast?.daily?.snowfall_sum?.[dayIndex] ?? 0;
 }
 
-function get7DaySnow(forecast) {
-  return (
-    forecast?.daily?.snowfall_sum?.slice(0, 7).reduce((a, b) => a + b, 0) ?? 0
-  );
-}
-
-function getQualityPriority(resort, forecasts) {
+function getQualityPriority(resort, forecasts, qualityOverrides) {
   const forecast = forecasts[resort.id];
   if (!forecast) return 999;
   try {
@@ -60,15 +97,38 @@ function getQualityPriority(resort, forecasts) {
       snowfall_cm:  forecast.hourly.snowfall[idx]       ?? 0,
       snowAgeHours: getSnowAgeHours(forecast.hourly.snowfall, idx),
       humidity_pct: forecast.hourly.relativehumidity_2m[idx] ?? 50,
-    });
+      slr:          getHourlyDensity(forecast.hourly, idx)?.slr,
+    }, qualityOverrides);
     return q.priority;
   } catch {
     return 999;
   }
 }
 
+// Best quality priority over the next QUALITY_LOOKAHEAD_HOURS, from the
+// hour-by-hour timeline. Classifies every forecast hour, so the sort computes
+// it once per resort rather than inside the comparator.
+function getBestQualityAheadPriority(resort, forecasts, qualityOverrides) {
+  const forecast = forecasts[resort.id];
+  if (!forecast) return 999;
+  try {
+    const idx = getCurrentHourIndex(forecast.hourly.time, forecast.timezone);
+    const best = getBestQualityAhead(getQualityTimeline(forecast, qualityOverrides), idx);
+    return best?.quality.priority ?? 999;
+  } catch {
+    return 999;
+  }
+}
+
 // ── Filter dropdown (multi-select checkboxes) ─────────────────────────────────
 
+/** The selection minus values no longer offered; the same Set when nothing drops. */
+function keepOffered(selected, options) {
+  const offered = new Set(options.map((o) => o.value));
+  const kept = [...selected].filter((v) => offered.has(v));
+  return kept.length === selected.size ? selected : new Set(kept);
+}
+
 function FilterDropdown({ label, options, selected, onToggle, onClear }) {
   const [open, setOpen] = useState(false);
   const ref = useRef(null);
@@ -118,7 +178,7 @@ function FilterDropdown({ label, options, selected, onToggle, onClear }) {
             top: '100%',
             left: 0,
             marginTop: 4,
-            backgroundColor: '#0F172A',
+            backgroundColor: 'var(--color-bg-popover)',
             border: '1px solid var(--color-bg-card-hover)',
             borderRadius: 8,
             padding: '6px 0',
@@ -126,7 +186,7 @@ function FilterDropdown({ label, options, selected, onToggle, onClear }) {
             minWidth: 170,
             maxHeight: 300,
             overflowY: 'auto',
-            boxShadow: '0 8px 24px rgba(0,0,0,0.5)',
+            boxShadow: '0 8px 24px var(--color-shadow)',
           }}
         >
           {options.map((opt) => (
@@ -182,12 +242,226 @@ function FilterDropdown({ label, options, selected, onToggle, onClear }) {
   );
 }
 
+// ── "Near me" control (home point + radius) ───────────────────────────────────
+
+function NearMeControl({ home, radiusKm, minSnowCm, units, onHomeChange, onRadiusChange, onMinSnowChange }) {
+  const [open, setOpen] = useState(false);
+  const [coords, setCoords] = useState('');
+  const [error, setError] = useState(null);
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    function handler(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener('mousedown', handler);
+    return () => document.removeEventListener('mousedown', handler);
+  }, [open]);
+
+  const distanceUnit = units.elevation === 'ft' ? 'mi' : 'km';
+  const radiusOptions = RADIUS_OPTIONS[distanceUnit].map((v) =>
+    distanceUnit === 'mi' ? v * KM_PER_MILE : v
+  );
+  // A radius picked in the other unit stays selectable until changed
+  if (radiusKm && !radiusOptions.some((km) => Math.abs(km - radiusKm) < 0.01)) {
+    radiusOptions.push(radiusKm);
+  }
+  const snowOptions = CLOSEST_SNOW_OPTIONS[units.snow].map((v) => fromInputValue('snow', v, units));
+  if (!snowOptions.some((cm) => Math.abs(cm - minSnowCm) < 0.01)) {
+    snowOptions.push(minSnowCm);
+    snowOptions.sort((a, b) => a - b);
+  }
+
+  function handleUseMyLocation() {
+    if (!navigator.geolocation) {
+      setError("Your browser can't share its location.");
+      return;
+    }
+    setError(null);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => onHomeChange({ label: 'My location', lat: pos.coords.latitude, lng: pos.coords.longitude }),
+      () => setError("Couldn't get your location.")
+    );
+  }
+
+  function handleCoordsSubmit(e) {
+    e.preventDefault();
+    const point = parseLatLng(coords);
+    if (!point) {
+      setError('Enter latitude, longitude — e.g. 39.74, -104.99');
+      return;
+    }
+    setError(null);
+    setCoords('');
+    onHomeChange({ label: `${point.lat}, ${point.lng}`, ...point });
+  }
+
+  const active = Boolean(home);
+  const smallButton = {
+    padding: '4px 10px',
+    borderRadius: 4,
+    border: '1px solid var(--color-bg-card-hover)',
+    backgroundColor: 'transparent',
+    color: 'var(--color-text-secondary)',
+    fontSize: 12,
+    cursor: 'pointer',
+  };
+
+  return (
+    <div ref={ref} style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen((v) => !v)}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: 4,
+          padding: '6px 12px',
+          borderRadius: 6,
+          border: '1px solid var(--color-bg-card-hover)',
+          backgroundColor: active ? 'var(--color-accent)' : 'var(--color-bg-card)',
+          color: active ? 'var(--color-bg-dark)' : 'var(--color-text-secondary)',
+          fontSize: 13,
+          cursor: 'pointer',
+          fontWeight: active ? 600 : 400,
+        }}
+      >
+        📍 Near me
+        {active && radiusKm && ` (${formatDistance(radiusKm, units)})`}
+        {' ▾'}
+      </button>
+
+      {open && (
+        <div
+          style={{
+            position: 'absolute',
+            top: '100%',
+            left: 0,
+            marginTop: 4,
+            backgroundColor: 'var(--color-bg-popover)',
+            border: '1px solid var(--color-bg-card-hover)',
+            borderRadius: 8,
+            padding: 14,
+            zIndex: 50,
+            width: 260,
+            boxShadow: '0 8px 24px var(--color-shadow)',
+            fontSize: 13,
+            color: 'var(--color-text-secondary)',
+          }}
+        >
+          <div style={{ marginBottom: 10 }}>
+            Home:{' '}
+            <span style={{ color: 'var(--color-text-primary)' }}>
+              {home ? home.label : 'not set'}
+            </span>
+          </div>
+
+          <button onClick={handleUseMyLocation} style={{ ...smallButton, marginBottom: 8 }}>
+            Use my location
+          </button>
+
+          <form onSubmit={handleCoordsSubmit} style={{ display: 'flex', gap: 6, marginBottom: 8 }}>
+            <input
+              value={coords}
+              onChange={(e) => setCoords(e.target.value)}
+              placeholder="lat, lng"
+              style={{
+                flex: 1,
+                minWidth: 0,
+                padding: '4px 8px',
+                borderRadius: 4,
+                border: '1px solid var(--color-bg-card-hover)',
+                backgroundColor: 'var(--color-bg-card)',
+                color: 'var(--color-text-primary)',
+                fontSize: 12,
+              }}
+            />
+            <button type="submit" style={smallButton}>Set</button>
+          </form>
+
+          {error && (
+            <div style={{ fontSize: 12, color: 'var(--color-warning)', marginBottom: 8 }}>
+              {error}
+            </div>
+          )}
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+            Within
+            <select
+              value={radiusKm ?? ''}
+              disabled={!home}
+              onChange={(e) => onRadiusChange(e.target.value === '' ? null : Number(e.target.value))}
+              style={{
+                padding: '4px 8px',
+                borderRadius: 4,
+                border: '1px solid var(--color-bg-card-hover)',
+                backgroundColor: 'var(--color-bg-card)',
+                color: 'var(--color-text-primary)',
+                fontSize: 12,
+              }}
+            >
+              <option value="">Any distance</option>
+              {radiusOptions.map((km) => (
+                <option key={km} value={km}>
+                  {formatDistance(km, units)}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {/* Amount for the "Closest with ≥ X in 48h" sort */}
+          <label style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: home ? 10 : 0 }}>
+            Closest with ≥
+            <select
+              value={minSnowCm}
+              disabled={!home}
+              onChange={(e) => onMinSnowChange(Number(e.target.value))}
+              style={{
+                padding: '4px 8px',
+                borderRadius: 4,
+                border: '1px solid var(--color-bg-card-hover)',
+                backgroundColor: 'var(--color-bg-card)',
+                color: 'var(--color-text-primary)',
+                fontSize: 12,
+              }}
+            >
+              {snowOptions.map((cm) => (
+                <option key={cm} value={cm}>
+                  {formatSnow(cm, units)}
+                </option>
+              ))}
+            </select>
+            in 48h
+          </label>
+
+          {home && (
+            <button
+              onClick={() => {
+                onHomeChange(null);
+                setOpen(false);
+              }}
+              style={smallButton}
+            >
+              Clear home point
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ── Dashboard ─────────────────────────────────────────────────────────────────
 
 export default function Dashboard() {
-  const { resorts, forecasts, loadingStates, settings, alertLog, user, savedSlugs } = useApp();
+  const { resorts, forecasts, forecastFetchedAt, historicals, avalanche, operatingStatus, loadingStates, settings, alertLog, user, savedSlugs } = useApp();
   const setForecast      = useSetForecast();
+  const setHistorical    = useSetHistorical();
+  const setAvalanche     = useSetAvalanche();
+  const setOperatingStatus = useSetOperatingStatus();
   const setLoadingState  = useSetLoadingState();
+  const updateSettings   = useUpdateSettings();
+  const units            = useUnits();
   const updateAlertLog   = useUpdateAlertLog();
 
   // Toggle state for My Resorts vs All Resorts (default to My Resorts if logged in)
@@ -195,8 +469,12 @@ export default function Dashboard() {
 
   // Stable refs so in-flight batch callbacks always dispatch to current functions
   const setForecastRef     = useRef(setForecast);
+  const setHistoricalRef   = useRef(setHistorical);
   const setLoadingStateRef = useRef(setLoadingState);
+  const setAvalancheRef    = useRef(setAvalanche);
   useEffect(() => { setForecastRef.current = setForecast; },      [setForecast]);
+  useEffect(() => { setHistoricalRef.current = setHistorical; },  [setHistorical]);
+  useEffect(() => { setAvalancheRef.current = setAvalanche; },    [setAvalanche]);
   useEffect(() => { setLoadingStateRef.current = setLoadingState; }, [setLoadingState]);
 
   // Refs to always read the latest context values inside the once-on-mount effect
@@ -220,37 +498,62 @@ export default function Dashboard() {
       .filter((r) => r.tier === 1)
       .forEach((r) => setLoadingStateRef.current(r.id, 'idle'));
 
-    loadTier1Forecasts(
-      resorts,
-      (id, data)   => setForecastRef.current(id, data),
-      (id, status) => setLoadingStateRef.current(id, status)
-    ).then(() => {
-      // After all tier 1 forecasts have loaded, run the powder alert check.
+    // Lift status is independent of everything else
+    loadOperatingStatus(resorts, setOperatingStatus);
+
+    // Avalanche danger is one feed request, fetched alongside the forecasts
+    Promise.all([
+      loadTier1Forecasts(
+        resorts,
+        (id, data, fetchedAt) => setForecastRef.current(id, data, fetchedAt),
+        (id, status) => setLoadingStateRef.current(id, status),
+        { multiModel: settingsRef.current.multiModel }
+      ),
+      loadAvalancheDanger(resorts, (dangers) => setAvalancheRef.current(dangers)),
+    ]).then(([, dangers]) => {
+      // After all tier 1 forecasts have loaded, run the powder alert check,
+      // then the optional avalanche one on the same log.
       // Use refs to access the latest state values (the closure captures the
       // initial empty forecasts/settings/alertLog from mount time).
-      const updatedLog = checkPowderAlerts({
+      const units = resolveUnits(settingsRef.current.units, settingsRef.current.unitOverrides);
+      const powderLog = checkPowderAlerts({
         resorts: resorts.filter((r) => r.tier === 1),
         forecasts: forecastsRef.current,
         thresholds: settingsRef.current.thresholds,
         defaultThreshold: settingsRef.current.defaultThreshold,
         alertLog: alertLogRef.current,
-        onAlertFired: (resort, snowfall_in) => {
-          console.log(`🔔 Alert fired: ${resort.name} — ${snowfall_in}"`);
+        units,
+        onAlertFired: (resort, snowfall_cm) => {
+          console.log(`🔔 Alert fired: ${resort.name} — ${formatSnow(snowfall_cm, units)}`);
         },
       });
+      const updatedLog = checkAvalancheAlerts({
+        resorts: resorts.filter((r) => r.tier === 1),
+        dangers: dangers ?? {},
+        minLevel: settingsRef.current.avalancheAlertLevel,
+        alertLog: powderLog,
+      });
       Object.entries(updatedLog).forEach(([id, ts]) =>
         updateAlertLogRef.current(id, ts)
       );
+
+      // Archive data for the "past 72h" card figure — loaded last so it never
+      // delays the forecast cards.
+      return loadTier1Historical(resorts, (id, data) =>
+        setHistoricalRef.current(id, data)
+      );
     });
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
   // ── UI state ───────────────────────────────────────────────────────────────
-  const [sortBy,            setSortBy]            = useState('snow24');
-  const [selectedCountries, setSelectedCountries] = useState(new Set());
-  const [selectedRegions,   setSelectedRegions]   = useState(new Set());
-  const [searchQuery,       setSearchQuery]       = useState('');
-  const [searchOpen,        setSearchOpen]        = useState(false);
+  const [sortBy,             setSortBy]             = useState('snow24');
+  const [selectedContinents, setSelectedContinents] = useState(new Set());
+  const [selectedCountries,  setSelectedCountries]  = useState(new Set());
+  const [selectedRegions,    setSelectedRegions]    = useState(new Set());
+  const [selectedOperating,  setSelectedOperating]  = useState(new Set());
+  const [searchQuery,        setSearchQuery]        = useState('');
+  const [searchOpen,         setSearchOpen]         = useState(false);
 
   // ── Search mode: true when query has non-whitespace content ───────────────
   const isSearching = searchQuery.trim().length > 0;
@@ -300,37 +603,89 @@ export default function Dashboard() {
     return allValues.length > 0 ? Math.max(...allValues, 0) : 1;
   }, [forecasts]);
 
-  // Country and region filter options
-  const countryOptions = [
-    { value: 'US', label: 'United States' },
-    { value: 'CA', label: 'Canada' },
-    { value: 'MX', label: 'Mexico' },
-    { value: 'SA', label: 'South America' },
-  ];
+  // Continent and country filter options — generated from the resorts present,
+  // so they follow the region profiles resorts.json was built with
+  const locationOptions = useMemo(() => getLocationOptions(tier1), [tier1]);
+  const continentOptions = locationOptions.continentOptions;
+  // Countries narrow to the chosen continents
+  const countryOptions = useMemo(
+    () => selectedContinents.size > 0
+      ? locationOptions.countryOptions.filter((c) => selectedContinents.has(c.continent))
+      : locationOptions.countryOptions,
+    [locationOptions, selectedContinents]
+  );
+
+  // ── Near me: distances from the home point (settings.homeLocation) ──────────
+  const home = settings.homeLocation ?? null;
+  const radiusKm = home ? settings.nearRadiusKm ?? null : null;
+  const closestMinCm = settings.closestMinSnowCm ?? settings.defaultThreshold;
 
+  const distances = useMemo(
+    () => (home ? new Map(tier1.map((r) => [r.id, distanceKm(home, r)])) : null),
+    [tier1, home]
+  );
+
+  const sortOptions = home
+    ? [
+        ...SORT_OPTIONS,
+        {
+          value: CLOSEST_SORT,
+          label: `Closest with ≥ ${formatSnow(closestMinCm, units)} in 48h`,
+        },
+      ]
+    : SORT_OPTIONS;
+  // The closest sort disappears with the home point
+  const activeSort = sortBy === CLOSEST_SORT && !home ? 'snow24' : sortBy;
+
+  // Regions narrow to the chosen countries
   const regionOptions = useMemo(() => {
     const seen = new Set();
     return tier1
+      .filter((r) => selectedCountries.size === 0 || selectedCountries.has(r.country))
       .filter((r) => r.region && !seen.has(r.region) && seen.add(r.region))
       .map((r) => ({ value: r.region, label: r.region }))
       .sort((a, b) => a.label.localeCompare(b.label));
-  }, [tier1]);
+  }, [tier1, selectedCountries]);
+
+  // A country or region hidden by a narrower parent filter is deselected too,
+  // rather than filtering the list from out of sight
+  useEffect(() => {
+    setSelectedCountries((prev) => keepOffered(prev, countryOptions));
+  }, [countryOptions]);
+  useEffect(() => {
+    setSelectedRegions((prev) => keepOffered(prev, regionOptions));
+  }, [regionOptions]);
+
+  const operatingOptions = useMemo(() => [
+    ...(tier1.some((r) => operatingStatus[r.id]) ? [{ value: OPEN_TODAY, label: 'Open today' }] : []),
+    ...(tier1.some((r) => r.nightSkiing) ? [{ value: NIGHT_SKIING, label: 'Night skiing' }] : []),
+  ], [tier1, operatingStatus]);
 
   // ── Filter (Tier 1 card grid only — search uses its own results path) ──────
   const filteredResorts = useMemo(() => {
     let list = tier1;
 
+    if (selectedContinents.size > 0) {
+      list = list.filter((r) => selectedContinents.has(getContinent(r.country) ?? 'OTHER'));
+    }
     if (selectedCountries.size > 0) {
-      list = list.filter((r) =>
-        selectedCountries.has(resortCountryBucket(r.country))
-      );
+      list = list.filter((r) => selectedCountries.has(r.country));
     }
     if (selectedRegions.size > 0) {
       list = list.filter((r) => selectedRegions.has(r.region));
     }
+    if (radiusKm) {
+      list = list.filter((r) => distances.get(r.id) <= radiusKm);
+    }
+    if (selectedOperating.has(OPEN_TODAY)) {
+      list = list.filter((r) => isOpenToday(operatingStatus[r.id]));
+    }
+    if (selectedOperating.has(NIGHT_SKIING)) {
+      list = list.filter((r) => r.nightSkiing === true);
+    }
 
     return list;
-  }, [tier1, selectedCountries, selectedRegions]);
+  }, [tier1, selectedContinents, selectedCountries, selectedRegions, radiusKm, distances, selectedOperating, operatingStatus]);
 
   // ── Sort: loaded resorts sorted by criteria; loading ones at end ───────────
   const sortedResorts = useMemo(() => {
@@ -343,34 +698,46 @@ export default function Dashboard() {
         loadingStates[r.id] !== 'done' && loadingStates[r.id] !== 'error'
     );
 
+    const bestAhead = activeSort === 'quality3d'
+      ? new Map(loaded.map((r) => [r.id, getBestQualityAheadPriority(r, forecasts, settings.qualityOverrides)]))
+      : null;
+
     const sorted = [...loaded].sort((a, b) => {
       const fa = forecasts[a.id];
       const fb = forecasts[b.id];
 
-      switch (sortBy) {
+      switch (activeSort) {
         case 'snow24':
           return getDailySnow(fb, 0) - getDailySnow(fa, 0);
         case 'snow48':
-          return (
-            getDailySnow(fb, 0) + getDailySnow(fb, 1) -
-            (getDailySnow(fa, 0) + getDailySnow(fa, 1))
-          );
+          return (get48hSnow(fb) ?? 0) - (get48hSnow(fa) ?? 0);
         case 'snow7d':
-          return get7DaySnow(fb) - get7DaySnow(fa);
+          return getSnowTotal(fb, 7) - getSnowTotal(fa, 7);
+        case 'snow14d':
+          return getSnowTotal(fb, 14) - getSnowTotal(fa, 14);
         case 'quality':
           return (
-            getQualityPriority(a, forecasts) -
-            getQualityPriority(b, forecasts)
+            getQualityPriority(a, forecasts, settings.qualityOverrides) -
+            getQualityPriority(b, forecasts, settings.qualityOverrides)
           );
+        case 'quality3d':
+          return bestAhead.get(a.id) - bestAhead.get(b.id);
         case 'alpha':
           return a.name.localeCompare(b.name);
+        case CLOSEST_SORT: {
+          // Resorts reaching the powder threshold first, then nearest first
+          const snowyA = (get48hSnow(fa) ?? 0) >= closestMinCm;
+          const snowyB = (get48hSnow(fb) ?? 0) >= closestMinCm;
+          if (snowyA !== snowyB) return snowyA ? -1 : 1;
+          return distances.get(a.id) - distances.get(b.id);
+        }
         default:
           return 0;
       }
     });
 
     return [...sorted, ...loading];
-  }, [filteredResorts, loadingStates, forecasts, sortBy]);
+  }, [filteredResorts, loadingStates, forecasts, activeSort, distances, settings.qualityOverrides, closestMinCm]);
 
   // ── Toggle My Resorts vs All Resorts ───────────────────────────────────────
   const displayedResorts = useMemo(() => {
@@ -382,6 +749,13 @@ export default function Dashboard() {
   }, [sortedResorts, showMyResorts, user, savedSlugs]);
 
   // ── Toggle helpers ─────────────────────────────────────────────────────────
+  function toggleContinent(code) {
+    setSelectedContinents((prev) => {
+      const next = new Set(prev);
+      next.has(code) ? next.delete(code) : next.add(code);
+      return next;
+    });
+  }
   function toggleCountry(code) {
     setSelectedCountries((prev) => {
       const next = new Set(prev);
@@ -396,9 +770,19 @@ export default function Dashboard() {
       return next;
     });
   }
+  function toggleOperating(value) {
+    setSelectedOperating((prev) => {
+      const next = new Set(prev);
+      next.has(value) ? next.delete(value) : next.add(value);
+      return next;
+    });
+  }
   function resetFilters() {
+    setSelectedContinents(new Set());
     setSelectedCountries(new Set());
     setSelectedRegions(new Set());
+    setSelectedOperating(new Set());
+    if (radiusKm) updateSettings({ nearRadiusKm: null });
     setSearchQuery('');
     setSearchOpen(false);
   }
@@ -448,7 +832,7 @@ export default function Dashboard() {
             Sort
           </span>
           <select
-            value={sortBy}
+            value={activeSort}
             onChange={(e) => setSortBy(e.target.value)}
             style={{
               padding: '6px 10px',
@@ -460,7 +844,7 @@ export default function Dashboard() {
               cursor: 'pointer',
             }}
           >
-            {SORT_OPTIONS.map((opt) => (
+            {sortOptions.map((opt) => (
               <option key={opt.value} value={opt.value}>
                 {opt.label}
               </option>
@@ -468,6 +852,17 @@ export default function Dashboard() {
           </select>
         </div>
 
+        {/* Continent filter — only when the data spans more than one */}
+        {continentOptions.length > 1 && (
+          <FilterDropdown
+            label="Continent"
+            options={continentOptions}
+            selected={selectedContinents}
+            onToggle={toggleContinent}
+            onClear={() => setSelectedContinents(new Set())}
+          />
+        )}
+
         {/* Country filter */}
         <FilterDropdown
           label="Country"
@@ -486,6 +881,28 @@ export default function Dashboard() {
           onClear={() => setSelectedRegions(new Set())}
         />
 
+        {/* Operating: open today / night skiing, when there's data for them */}
+        {operatingOptions.length > 0 && (
+          <FilterDropdown
+            label="Operating"
+            options={operatingOptions}
+            selected={selectedOperating}
+            onToggle={toggleOperating}
+            onClear={() => setSelectedOperating(new Set())}
+          />
+        )}
+
+        {/* Near me: home point + radius */}
+        <NearMeControl
+          home={home}
+          radiusKm={radiusKm}
+          minSnowCm={closestMinCm}
+          units={units}
+          onHomeChange={(homeLocation) => updateSettings({ homeLocation })}
+          onRadiusChange={(nearRadiusKm) => updateSettings({ nearRadiusKm })}
+          onMinSnowChange={(closestMinSnowCm) => updateSettings({ closestMinSnowCm })}
+        />
+
         {/* Search icon / input */}
         <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center' }}>
           {searchOpen ? (
@@ -654,7 +1071,8 @@ export default function Dashboard() {
           {/* ── Empty state (filters only, not search) ───────────────────── */}
           {!user || !showMyResorts ? (
             displayedResorts.length === 0 &&
-            (selectedCountries.size > 0 || selectedRegions.size > 0) && (
+            (selectedContinents.size > 0 || selectedCountries.size > 0 || selectedRegions.size > 0 ||
+              selectedOperating.size > 0 || radiusKm) && (
               <div
                 style={{
                   display: 'flex',
@@ -707,8 +1125,12 @@ export default function Dashboard() {
                   key={resort.id}
                   resort={resort}
                   forecast={forecasts[resort.id] ?? null}
+                  historical={historicals[resort.id] ?? null}
+                  fetchedAt={forecastFetchedAt[resort.id] ?? null}
                   loading={loadingStates[resort.id] ?? 'idle'}
                   maxValue_cm={globalMaxSnow}
+                  distanceKm={distances?.get(resort.id) ?? null}
+                  avalanche={avalanche[resort.id] ?? null}
                 />
               ))}
             </div>
@@ -1,51 +1,58 @@
 /**
  * src/views/ResortDetail.jsx
  *
- * /resort/:slug route — full 3-tab resort detail view.
+ * /resort/:slug route — full tabbed resort detail view.
  * SPEC.md section 8.3 and Deliverable 4.
  *
- * Tabs: Snow Summary | Forecast | Conditions
+ * Tabs: Snow Summary | Forecast | Conditions | Webcams (only when the resort has cameras)
  *
  * On mount:
  *   1. Read :slug param, find resort in context.
  *   2. If forecasts[resort.id] already exists: use it immediately (no re-fetch).
  *   3. If not: call loadSingleForecast() from dataLoader.js, show loading state.
- *   4. If resort ID not found in resorts.json: show "Resort not found" with back button.
+ *   4. If resort ID not found in resorts.json: show "Resort not found" with back button,
+ *      unless the slug was migrated in a rebuild — then redirect to the current one.
+ *   5. Avalanche danger (Conditions tab) loads too unless the Dashboard already did.
  *
  * Back button: navigate(-1) if history exists, otherwise navigate('/').
  * Save star and alert bell: synced with Dashboard via shared AppContext.
  */
 
 import { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Navigate, useParams, useNavigate } from 'react-router-dom';
 import {
   useApp,
   useSaveResort,
+  useSetAvalanche,
   useSetForecast,
   useSetLoadingState,
+  useSetOperatingStatus,
+  useUnits,
   useUpdateSettings,
 } from '../context/AppContext';
-import { loadSingleForecast } from '../lib/dataLoader.js';
+import {
+  loadAvalancheDanger,
+  loadOperatingStatus,
+  loadSingleForecast,
+  refreshForecast,
+} from '../lib/dataLoader.js';
+import { formatSnow, formatElevation } from '../lib/utils.js';
 import SnowSummary from './ResortDetail/tabs/SnowSummary.jsx';
 import ForecastTab from './ResortDetail/tabs/Forecast.jsx';
 import Conditions from './ResortDetail/tabs/Conditions.jsx';
+import WebcamsTab from './ResortDetail/tabs/Webcams.jsx';
+import MountainStats from '../components/MountainStats.jsx';
+import slugMigrations from '../data/slugMigrations.json';
+import { buildSlugRedirects } from '../lib/slugMigrations.js';
 
 // ── Constants ─────────────────────────────────────────────────────────────────
 
-const TABS = ['Snow Summary', 'Forecast', 'Conditions'];
-
-const THRESHOLD_OPTIONS = [
-  { label: '6"',  value: 15.24 },
-  { label: '8"',  value: 20.32 },
-  { label: '10"', value: 25.40 },
-  { label: '12"', value: 30.48 },
-];
+const SLUG_REDIRECTS = buildSlugRedirects(slugMigrations);
 
-// ── Helpers ───────────────────────────────────────────────────────────────────
+const TABS = ['Snow Summary', 'Forecast', 'Conditions', 'Webcams'];
 
-function toFeet(m) {
-  return Math.round(m * 3.28084);
-}
+// Stored in cm, labelled in the user's snow unit: 6" / 8" / 10" / 12"
+const THRESHOLD_OPTIONS = [15.24, 20.32, 25.40, 30.48].map((value) => ({ value }));
 
 // ── Loading spinner ───────────────────────────────────────────────────────────
 
@@ -67,6 +74,7 @@ function Spinner() {
 // ── Alert bell popover (same behavior as ResortCard) ──────────────────────────
 
 function AlertBell({ resort, settings, updateSettings }) {
+  const units = useUnits();
   const [open, setOpen] = useState(false);
   const popoverRef = useRef(null);
   const bellRef    = useRef(null);
@@ -118,13 +126,13 @@ function AlertBell({ resort, settings, updateSettings }) {
             top: '100%',
             right: 0,
             marginTop: 6,
-            backgroundColor: '#0F172A',
+            backgroundColor: 'var(--color-bg-popover)',
             border: '1px solid var(--color-bg-card-hover)',
             borderRadius: 8,
             padding: '8px 0',
             zIndex: 50,
             minWidth: 150,
-            boxShadow: '0 8px 24px rgba(0,0,0,0.5)',
+            boxShadow: '0 8px 24px var(--color-shadow)',
           }}
         >
           <div
@@ -158,7 +166,7 @@ function AlertBell({ resort, settings, updateSettings }) {
                 fontWeight: settings.thresholds?.[resort.id] === opt.value ? 600 : 400,
               }}
             >
-              {opt.label}
+              {formatSnow(opt.value, units, { decimals: 0 })}
               {settings.thresholds?.[resort.id] === opt.value && ' ✓'}
             </button>
           ))}
@@ -175,10 +183,13 @@ export default function ResortDetail() {
   const navigate    = useNavigate();
 
   // Changed: using savedSlugs instead of savedResortIds
-  const { resorts, forecasts, loadingStates, savedSlugs, settings } = useApp();
+  const { resorts, forecasts, avalanche, operatingStatus, loadingStates, savedSlugs, settings } = useApp();
+  const units = useUnits();
   const saveResort      = useSaveResort();
   const setForecast     = useSetForecast();
   const setLoadingState = useSetLoadingState();
+  const setAvalanche    = useSetAvalanche();
+  const setOperatingStatus = useSetOperatingStatus();
   const updateSettings  = useUpdateSettings();
 
   // Tab state: local only — not in URL, not in global context (SPEC.md Deliverable 4)
@@ -198,19 +209,37 @@ export default function ResortDetail() {
   const fetchStarted = useRef(false);
   useEffect(() => {
     if (!resort)                     return; // will show "not found"
-    if (forecast)                    return; // already loaded — no re-fetch (SPEC step 2)
     if (fetchStarted.current)        return;
+    const options = { multiModel: settings.multiModel };
+    if (forecast) {
+      // Already loaded — no re-fetch (SPEC step 2), unless the model spread
+      // is wanted and this copy predates it
+      if (options.multiModel && !forecast.ensemble) {
+        fetchStarted.current = true;
+        refreshForecast(resort, (rid, data, fetchedAt) => setForecastRef.current(rid, data, fetchedAt), options);
+      }
+      return;
+    }
     if (loadingState === 'loading')  return; // already in flight
     fetchStarted.current = true;
     loadSingleForecast(
       resort,
-      (rid, data)   => setForecastRef.current(rid, data),
-      (rid, status) => setLoadingStateRef.current(rid, status)
+      (rid, data, fetchedAt) => setForecastRef.current(rid, data, fetchedAt),
+      (rid, status) => setLoadingStateRef.current(rid, status),
+      options
     );
   // Intentionally only runs when resort.id changes
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [resort?.id]);
 
+  // Cached in cache.js, so an empty result (no zones match) costs no request
+  useEffect(() => {
+    if (Object.keys(avalanche).length === 0) loadAvalancheDanger(resorts, setAvalanche);
+    if (Object.keys(operatingStatus).length === 0) loadOperatingStatus(resorts, setOperatingStatus);
+  // Once per visit
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   // ── Back navigation ─────────────────────────────────────────────────────-
   function handleBack() {
     // If user navigated directly (no prior history entry), go home instead
@@ -222,6 +251,9 @@ export default function ResortDetail() {
   }
 
   // ── Resort not found ─────────────────────────────────────────────────────
+  if (!resort && SLUG_REDIRECTS.has(slug)) {
+    return <Navigate to={`/resort/${SLUG_REDIRECTS.get(slug)}`} replace />;
+  }
   if (!resort) {
     return (
       <div style={{ padding: 24, minHeight: '100vh' }}>
@@ -344,13 +376,18 @@ export default function ResortDetail() {
         >
           {resort.name}
         </h1>
-        <p style={{ color: '#EF4444', fontSize: 14 }}>
+        <p style={{ color: 'var(--color-danger)', fontSize: 14 }}>
           Forecast unavailable — could not fetch data for this resort.
         </p>
       </div>
     );
   }
 
+  // Webcams only for resorts with curated cameras; a tab index left over from
+  // another resort falls back to the first tab
+  const tabs = resort.webcams?.length ? TABS : TABS.filter((tab) => tab !== 'Webcams');
+  const currentTab = activeTab < tabs.length ? activeTab : 0;
+
   // ── Full detail view ─────────────────────────────────────────────────────-
   return (
     <div style={{ minHeight: '100vh', paddingBottom: 48 }}>
@@ -410,7 +447,7 @@ export default function ResortDetail() {
               cursor: 'pointer',
               padding: '6px 10px',
               fontSize: 18,
-              color: isSaved ? '#F59E0B' : 'var(--color-text-secondary)',
+              color: isSaved ? 'var(--color-saved)' : 'var(--color-text-secondary)',
               lineHeight: 1,
             }}
           >
@@ -447,7 +484,7 @@ export default function ResortDetail() {
         <span>
           Summit{' '}
           <span style={{ color: 'var(--color-text-primary)' }}>
-            {toFeet(resort.summitElevation).toLocaleString()}ft
+            {formatElevation(resort.summitElevation, units)}
           </span>
         </span>
         {resort.baseElevation > 0 && (
@@ -456,13 +493,15 @@ export default function ResortDetail() {
             <span>
               Base{' '}
               <span style={{ color: 'var(--color-text-primary)' }}>
-                {toFeet(resort.baseElevation).toLocaleString()}ft
+                {formatElevation(resort.baseElevation, units)}
               </span>
             </span>
           </>
         )}
       </div>
 
+      <MountainStats resort={resort} status={operatingStatus[resort.id] ?? null} />
+
       {/* ── Tab bar ───────────────────────────────────────────────────────── */}
       <div
         style={{
@@ -471,7 +510,7 @@ export default function ResortDetail() {
           padding: '0 24px',
         }}
       >
-        {TABS.map((tab, i) => (
+        {tabs.map((tab, i) => (
           <button
             key={tab}
             onClick={() => setActiveTab(i)}
@@ -481,13 +520,13 @@ export default function ResortDetail() {
               cursor: 'pointer',
               padding: '12px 16px',
               fontSize: 14,
-              fontWeight: activeTab === i ? 600 : 400,
+              fontWeight: currentTab === i ? 600 : 400,
               color:
-                activeTab === i
+                currentTab === i
                   ? 'var(--color-text-primary)'
                   : 'var(--color-text-secondary)',
               borderBottom:
-                activeTab === i
+                currentTab === i
                   ? '2px solid var(--color-accent)'
                   : '2px solid transparent',
               marginBottom: -1,
@@ -503,9 +542,10 @@ export default function ResortDetail() {
       {/* ── Tab content ───────────────────────────────────────────────────── */}
       <div style={{ padding: '0 24px' }}>
         {/* Switching tabs does NOT re-fetch — data stays in context */}
-        {activeTab === 0 && <SnowSummary resort={resort} forecast={forecast} />}
-        {activeTab === 1 && <ForecastTab resort={resort} forecast={forecast} />}
-        {activeTab === 2 && <Conditions  resort={resort} forecast={forecast} />}
+        {currentTab === 0 && <SnowSummary resort={resort} forecast={forecast} />}
+        {currentTab === 1 && <ForecastTab resort={resort} forecast={forecast} />}
+        {currentTab === 2 && <Conditions  resort={resort} forecast={forecast} avalanche={avalanche[resort.id] ?? null} />}
+        {currentTab === 3 && <WebcamsTab  resort={resort} />}
       </div>
     </div>
   );
@@ -8,14 +8,38 @@
  *   Temperature | Feels Like | Wind | Gusts
  *   Snow Depth  | Humidity   | Cloud Cover | Visibility
  *
- * All values from forecast.hourly at currentHourIndex.
+ * All values from forecast.hourly at currentHourIndex, in the user's units.
  * Wind direction: degrees → cardinal → arrow emoji.
  * Visibility: not in API response → shown as N/A.
  *
- * Props: { resort, forecast }
+ * Below the grid, base / mid / summit side by side (temperature, what's
+ * falling, today's totals, snow depth) plus the rain/snow line for the next
+ * 48 hours. Forecasts cached before elevation bands show summit only.
+ *
+ * When the resort lies in an avalanche forecast zone, today's danger rating
+ * sits above the grid with a link to the center's full forecast.
+ *
+ * Props: { resort, forecast, avalanche }
  */
 
-import { getCurrentHourIndex, toF, toInches, toMph, degreesToCardinal } from '../../../lib/utils.js';
+import {
+  getCurrentHourIndex,
+  formatTemp,
+  formatWind,
+  formatSnow,
+  formatElevation,
+  degreesToCardinal,
+} from '../../../lib/utils.js';
+import {
+  BANDS,
+  BAND_LABELS,
+  getBandElevations,
+  getBandForecast,
+  getSnowLine,
+  hasBaseRainRisk,
+} from '../../../lib/elevationBands.js';
+import { useUnits } from '../../../context/AppContext.jsx';
+import DangerBadge from '../../../components/DangerBadge.jsx';
 
 // Arrow emoji for each cardinal direction
 const CARDINAL_ARROWS = {
@@ -75,9 +99,121 @@ function StatCard({ label, value, sub, accent }) {
   );
 }
 
+// ── Elevation band card ───────────────────────────────────────────────────────
+
+function BandCard({ label, elevation_m, band, idx, units }) {
+  const h = band.hourly;
+  const temp_c     = h.temperature_2m?.[idx] ?? 0;
+  const snow_cm    = h.snowfall?.[idx]       ?? 0;
+  const rain_cm    = h.rain?.[idx]           ?? 0;
+  const depth_cm   = h.snow_depth?.[idx]     ?? 0;
+  const todaySnow  = band.daily.snowfall_sum?.[0] ?? 0;
+  const todayRain  = band.daily.rain_sum?.[0]     ?? 0;
+
+  const falling = rain_cm > 0 && snow_cm > 0 ? '🌨️ Mixed'
+    : rain_cm > 0 ? '🌧️ Rain'
+    : snow_cm > 0 ? '❄️ Snow'
+    : '—';
+
+  return (
+    <div
+      style={{
+        padding: '14px 16px',
+        borderRadius: 10,
+        backgroundColor: 'var(--color-bg-card)',
+        border: '1px solid var(--color-bg-card-hover)',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 6,
+        fontSize: 12,
+        color: 'var(--color-text-secondary)',
+        minWidth: 0,
+      }}
+    >
+      <span
+        style={{
+          fontSize: 11,
+          fontWeight: 600,
+          textTransform: 'uppercase',
+          letterSpacing: '0.06em',
+        }}
+      >
+        {label} · {formatElevation(elevation_m, units)}
+      </span>
+      <span style={{ fontSize: 24, fontWeight: 700, color: 'var(--color-text-primary)', lineHeight: 1.1 }}>
+        {formatTemp(temp_c, units)}
+      </span>
+      <span>Now: <span style={{ color: 'var(--color-text-primary)' }}>{falling}</span></span>
+      <span>
+        Today:{' '}
+        <span style={{ color: todaySnow > 0 ? 'var(--color-snow-light)' : 'var(--color-text-primary)' }}>
+          {formatSnow(todaySnow, units)} snow
+        </span>
+        {todayRain > 0 && (
+          <span style={{ color: 'var(--color-snow-mixed)' }}> · {formatSnow(todayRain, units)} rain</span>
+        )}
+      </span>
+      <span>Depth: <span style={{ color: 'var(--color-text-primary)' }}>{formatSnow(depth_cm, units)}</span></span>
+    </div>
+  );
+}
+
+// ── Avalanche danger ──────────────────────────────────────────────────────────
+
+function AvalancheRow({ danger }) {
+  return (
+    <div
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: 10,
+        marginBottom: 16,
+        padding: '12px 16px',
+        borderRadius: 10,
+        backgroundColor: 'var(--color-bg-card)',
+        border: '1px solid var(--color-bg-card-hover)',
+        fontSize: 13,
+        color: 'var(--color-text-secondary)',
+      }}
+    >
+      <span
+        style={{
+          fontSize: 11,
+          fontWeight: 600,
+          textTransform: 'uppercase',
+          letterSpacing: '0.06em',
+        }}
+      >
+        Avalanche danger
+      </span>
+      <DangerBadge danger={danger} size="md" />
+      <span>
+        {danger.zone} · {danger.center}
+      </span>
+      {danger.travelAdvice && (
+        <span style={{ flexBasis: '100%', color: 'var(--color-text-primary)' }}>
+          {danger.travelAdvice}
+        </span>
+      )}
+      {danger.url && (
+        <a
+          href={danger.url}
+          target="_blank"
+          rel="noreferrer"
+          style={{ color: 'var(--color-accent)', marginLeft: 'auto' }}
+        >
+          Full forecast ↗
+        </a>
+      )}
+    </div>
+  );
+}
+
 // ── Conditions ────────────────────────────────────────────────────────────────
 
-export default function Conditions({ resort, forecast }) {
+export default function Conditions({ resort, forecast, avalanche = null }) {
+  const units = useUnits();
   const idx = getCurrentHourIndex(forecast.hourly.time, forecast.timezone);
   const h   = forecast.hourly;
 
@@ -91,12 +227,13 @@ export default function Conditions({ resort, forecast }) {
   const humidity_pct  = h.relativehumidity_2m[idx]   ?? 0;
   const cloudCover    = h.cloudcover[idx]            ?? 0;
 
-  // ── Unit conversions ──────────────────────────────────────────────────────
-  const tempF        = Math.round(toF(temp_c));
-  const feelsLikeF   = Math.round(toF(feelsLike_c));
-  const windMph      = toMph(wind_kmh);
-  const gustsMph     = toMph(gusts_kmh);
-  const snowDepthIn  = toInches(snowDepth_cm);
+  // ── Elevation bands ───────────────────────────────────────────────────────
+  const elevations   = getBandElevations(resort);
+  const bands        = BANDS
+    .map((band) => ({ band, forecast: getBandForecast(forecast, band) }))
+    .filter((b) => b.forecast);
+  const snowLine     = getSnowLine(forecast, idx);
+  const baseRainRisk = hasBaseRainRisk(forecast, resort, idx);
 
   // ── Wind direction ────────────────────────────────────────────────────────
   const cardinal  = degreesToCardinal(windDir_deg);
@@ -105,6 +242,8 @@ export default function Conditions({ resort, forecast }) {
   return (
     <div style={{ padding: '24px 0' }}>
 
+      {avalanche && <AvalancheRow danger={avalanche} />}
+
       {/* ── Conditions grid — 4 columns on wider screens, 2 on mobile ─────── */}
       <div
         style={{
@@ -116,33 +255,33 @@ export default function Conditions({ resort, forecast }) {
         {/* 1. Temperature */}
         <StatCard
           label="Temperature"
-          value={`${tempF}°F`}
+          value={formatTemp(temp_c, units)}
         />
 
         {/* 2. Feels Like */}
         <StatCard
           label="Feels Like"
-          value={`${feelsLikeF}°F`}
+          value={formatTemp(feelsLike_c, units)}
         />
 
         {/* 3. Wind */}
         <StatCard
           label="Wind"
-          value={`${windMph} mph`}
+          value={formatWind(wind_kmh, units)}
           sub={`${arrow} ${cardinal}`}
         />
 
         {/* 4. Gusts */}
         <StatCard
           label="Gusts"
-          value={`${gustsMph} mph`}
+          value={formatWind(gusts_kmh, units)}
         />
 
         {/* 5. Snow Depth */}
         <StatCard
           label="Snow Depth"
-          value={`${snowDepthIn}"`}
-          accent={snowDepthIn >= 100}
+          value={formatSnow(snowDepth_cm, units)}
+          accent={snowDepth_cm >= 254 /* 100" */}
         />
 
         {/* 6. Humidity */}
@@ -165,6 +304,54 @@ export default function Conditions({ resort, forecast }) {
         />
       </div>
 
+      {/* ── Elevation bands ───────────────────────────────────────────────── */}
+      <div
+        style={{
+          marginTop: 24,
+          marginBottom: 10,
+          fontSize: 11,
+          fontWeight: 600,
+          textTransform: 'uppercase',
+          letterSpacing: '0.07em',
+          color: 'var(--color-text-secondary)',
+        }}
+      >
+        By elevation
+      </div>
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))',
+          gap: 12,
+        }}
+      >
+        {bands.map(({ band, forecast: bandForecast }) => (
+          <BandCard
+            key={band}
+            label={BAND_LABELS[band]}
+            elevation_m={elevations[band]}
+            band={bandForecast}
+            idx={idx}
+            units={units}
+          />
+        ))}
+      </div>
+      {h.freezing_level_height && (
+        <div style={{ marginTop: 10, fontSize: 12, color: 'var(--color-text-secondary)' }}>
+          {snowLine !== null ? (
+            <>
+              Rain/snow line next 48h: up to{' '}
+              <span style={{ color: 'var(--color-text-primary)' }}>{formatElevation(snowLine, units)}</span>
+              {baseRainRisk && (
+                <span style={{ marginLeft: 8, color: 'var(--color-snow-mixed)' }}>🌧️ Rain likely at the base</span>
+              )}
+            </>
+          ) : (
+            'No precipitation in the next 48h.'
+          )}
+        </div>
+      )}
+
       {/* ── Timestamp note ────────────────────────────────────────────────── */}
       <div
         style={{
@@ -4,10 +4,19 @@
  * Forecast tab for the Resort Detail view.
  * SPEC.md section 8.3, Tab 2.
  *
- * Three sections:
- *   1. 7-Day Recharts bar chart (blue/orange/purple per bar)
- *   2. Daily data table with all forecast variables
- *   3. Hourly accordion — click a day row to expand/collapse hourly breakdown
+ * Sections:
+ *   1. 7-Day Recharts bar chart (blue/orange/purple per bar), with min–max
+ *      model spread as error bars when the forecast carries an ensemble.
+ *      The "Days 8–16" toggle extends the chart, ribbon, table and best
+ *      window to all 16 days; days 8–16 are dimmed as low confidence
+ *   2. By elevation — base / mid / summit snow, rain and high per day, side
+ *      by side (hidden for forecasts cached before elevation bands)
+ *   3. Quality ribbon — getSnowQuality() for every hour of the 7 days,
+ *      click a day to open it below
+ *   4. Daily data table with all forecast variables (summit)
+ *   5. Hourly accordion — click a day row to expand/collapse hourly breakdown
+ *
+ * Values, chart axis and tooltip follow the user's units (useUnits).
  *
  * Props: { resort, forecast }
  */
@@ -21,25 +30,47 @@ import {
   CartesianGrid,
   Tooltip,
   Cell,
+  ErrorBar,
   ResponsiveContainer,
 } from 'recharts';
-import { getBestWindow } from '../../../lib/snowQuality.js';
+import { getBestWindow, getQualityTimeline } from '../../../lib/snowQuality.js';
+import {
+  ENSEMBLE_MODELS,
+  getOutlookConfidence,
+  getConfidenceLevel,
+} from '../../../lib/ensemble.js';
+import { getHourlyDensity, DENSITY_LABELS } from '../../../lib/snowDensity.js';
 import {
   getCurrentHourIndex,
   getDayLabel,
   getWeatherInfo,
-  toF,
-  toInches,
-  toMph,
+  convertSnow,
+  formatSnow,
+  formatTemp,
+  formatWind,
+  formatElevation,
+  convertWind,
+  UNIT_SUFFIX,
   POWDER_THRESHOLD_CM,
   degreesToCardinal,
+  isExtendedDay,
+  OUTLOOK_DAYS,
+  EXTENDED_OUTLOOK_DAYS,
 } from '../../../lib/utils.js';
+import {
+  BANDS,
+  BAND_LABELS,
+  getBandElevations,
+  getBandForecast,
+  hasBands,
+} from '../../../lib/elevationBands.js';
+import { useApp, useUnits } from '../../../context/AppContext.jsx';
 import WeatherIcon from '../../../components/WeatherIcon.jsx';
 import SnowBar from '../../../components/SnowBar.jsx';
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-function buildDailyArray(daily, count = 7) {
+function buildDailyArray(daily, count = OUTLOOK_DAYS) {
   return daily.time.slice(0, count).map((date, i) => ({
     time:               date,
     snowfall_sum:       daily.snowfall_sum[i]       ?? 0,
@@ -51,10 +82,10 @@ function buildDailyArray(daily, count = 7) {
 
 /** Per-bar color per SPEC.md section 9 color tokens. */
 function getBarColor(snowfall_cm, rain_cm) {
-  if (rain_cm > 0 && snowfall_cm > 0) return '#8B5CF6'; // purple — mixed
-  if (snowfall_cm >= POWDER_THRESHOLD_CM) return '#F97316'; // orange — ≥ 6"
-  if (snowfall_cm > 0)                    return '#3B82F6'; // blue — < 6"
-  return '#1E293B'; // empty — dark fill
+  if (rain_cm > 0 && snowfall_cm > 0) return 'var(--color-snow-mixed)'; // purple — mixed
+  if (snowfall_cm >= POWDER_THRESHOLD_CM) return 'var(--color-snow-powder)'; // orange — ≥ 6"
+  if (snowfall_cm > 0)                    return 'var(--color-snow-light)'; // blue — < 6"
+  return 'var(--color-snow-empty)'; // empty
 }
 
 /** Format "2026-02-27T06:00" → "06:00" */
@@ -83,9 +114,23 @@ function getVisibleHourIndices(forecast, dayIndex, currentHourIndex) {
   return visible;
 }
 
+// ── Model confidence ──────────────────────────────────────────────────────────
+
+const CONFIDENCE_LABELS = {
+  high:   'Models agree',
+  medium: 'Models partly agree',
+  low:    'Mostly one model — low confidence',
+};
+
+const CONFIDENCE_COLORS = {
+  high:   'var(--color-success)',
+  medium: 'var(--color-quality-spring)',
+  low:    'var(--color-warning)',
+};
+
 // ── Custom Recharts tooltip ───────────────────────────────────────────────────
 
-function CustomTooltip({ active, payload }) {
+function CustomTooltip({ active, payload, units }) {
   if (!active || !payload?.length) return null;
   const d = payload[0].payload;
   return (
@@ -103,21 +148,45 @@ function CustomTooltip({ active, payload }) {
       <div style={{ fontWeight: 600, marginBottom: 8, color: 'var(--color-accent)' }}>
         {d.day}
       </div>
-      <div style={{ marginBottom: 4 }}>❄️ Snow: <strong>{d.snowfall_in}&quot;</strong></div>
-      {d.rain_in > 0 && (
-        <div style={{ marginBottom: 4 }}>🌧️ Rain: <strong>{d.rain_in}&quot;</strong></div>
+      {d.extended && (
+        <div style={{ marginBottom: 8, fontSize: 12, fontStyle: 'italic', color: 'var(--color-text-secondary)' }}>
+          Extended outlook — low confidence
+        </div>
+      )}
+      <div style={{ marginBottom: 4 }}>❄️ Snow: <strong>{formatSnow(d.rawSnow, units)}</strong></div>
+      {d.rawRain > 0 && (
+        <div style={{ marginBottom: 4 }}>🌧️ Rain: <strong>{formatSnow(d.rawRain, units)}</strong></div>
       )}
       <div style={{ marginBottom: 4 }}>
-        🌡️ {d.highF}°F / {d.lowF}°F
+        🌡️ {formatTemp(d.high_c, units)} / {formatTemp(d.low_c, units)}
       </div>
-      <div>💨 Wind: <strong>{d.windMph}mph</strong></div>
+      <div>💨 Wind: <strong>{formatWind(d.wind_kmh, units)}</strong></div>
+      {d.model?.count >= 2 && (
+        <div style={{ marginTop: 8, paddingTop: 8, borderTop: '1px solid var(--color-bg-card-hover)' }}>
+          <div style={{ marginBottom: 4 }}>
+            📊 {d.model.count} models: <strong>{formatSnow(d.model.min, units)}–{formatSnow(d.model.max, units)}</strong>
+          </div>
+          <div style={{ marginBottom: 4, color: 'var(--color-text-secondary)' }}>
+            Median {formatSnow(d.model.median, units)}
+          </div>
+          <div style={{ color: CONFIDENCE_COLORS[getConfidenceLevel(d.model.confidence)] }}>
+            {CONFIDENCE_LABELS[getConfidenceLevel(d.model.confidence)]}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
 // ── Hourly row ────────────────────────────────────────────────────────────────
 
-function HourlyRow({ hourIndex, forecast, maxHourlySnow }) {
+const DENSITY_COLORS = {
+  blower: 'var(--color-quality-powder)',
+  medium: 'var(--color-text-primary)',
+  cement: 'var(--color-warning)',
+};
+
+function HourlyRow({ hourIndex, forecast, maxHourlySnow, units }) {
   const h = forecast.hourly;
   const snowfall_cm = h.snowfall[hourIndex]          ?? 0;
   const rain_cm     = h.rain[hourIndex]              ?? 0;
@@ -126,12 +195,10 @@ function HourlyRow({ hourIndex, forecast, maxHourlySnow }) {
   const gusts_kmh   = h.windgusts_10m[hourIndex]     ?? 0;
   const windDir     = h.winddirection_10m[hourIndex] ?? 0;
   const wCode       = h.weathercode[hourIndex]       ?? 0;
+  const density     = getHourlyDensity(h, hourIndex);
 
   const timeLabel   = formatHour(h.time[hourIndex]);
   const weatherInfo = getWeatherInfo(wCode);
-  const tempF       = Math.round(toF(temp_c));
-  const windMph     = toMph(wind_kmh);
-  const gustsMph    = toMph(gusts_kmh);
 
   const CARDINAL_ARROWS = { N:'↑', NE:'↗', E:'→', SE:'↘', S:'↓', SW:'↙', W:'←', NW:'↖' };
   const cardinal = degreesToCardinal(windDir);
@@ -140,7 +207,7 @@ function HourlyRow({ hourIndex, forecast, maxHourlySnow }) {
   return (
     <tr
       style={{
-        borderBottom: '1px solid rgba(51,65,85,0.4)',
+        borderBottom: '1px solid var(--color-chart-grid)',
         fontSize: 12,
         color: 'var(--color-text-secondary)',
       }}
@@ -157,18 +224,29 @@ function HourlyRow({ hourIndex, forecast, maxHourlySnow }) {
         </span>
       </td>
       {/* Snowfall */}
-      <td style={{ padding: '6px 8px', color: snowfall_cm > 0.1 ? '#3B82F6' : undefined }}>
-        {snowfall_cm > 0 ? `${toInches(snowfall_cm)}"` : '—'}
+      <td style={{ padding: '6px 8px', color: snowfall_cm > 0.1 ? 'var(--color-snow-light)' : undefined }}>
+        {snowfall_cm > 0 ? formatSnow(snowfall_cm, units) : '—'}
+      </td>
+      {/* Density */}
+      <td style={{ padding: '6px 8px', whiteSpace: 'nowrap' }}>
+        {density ? (
+          <span title={`≈ ${density.density_kgm3} kg/m³`}>
+            <span style={{ color: DENSITY_COLORS[density.category] }}>
+              {DENSITY_LABELS[density.category]}
+            </span>
+            <span style={{ marginLeft: 4 }}>1:{Math.round(density.slr)}</span>
+          </span>
+        ) : '—'}
       </td>
       {/* Temp */}
       <td style={{ padding: '6px 8px', color: 'var(--color-text-primary)' }}>
-        {tempF}°F
+        {formatTemp(temp_c, units)}
       </td>
       {/* Wind */}
       <td style={{ padding: '6px 8px', whiteSpace: 'nowrap' }}>
-        <span style={{ color: 'var(--color-text-primary)' }}>{arrow} {windMph}mph</span>
-        {gustsMph > windMph && (
-          <span style={{ marginLeft: 4, color: '#F97316' }}>gusts {gustsMph}mph</span>
+        <span style={{ color: 'var(--color-text-primary)' }}>{arrow} {formatWind(wind_kmh, units)}</span>
+        {convertWind(gusts_kmh, units) > convertWind(wind_kmh, units) && (
+          <span style={{ marginLeft: 4, color: 'var(--color-warning)' }}>gusts {formatWind(gusts_kmh, units)}</span>
         )}
       </td>
       {/* Mini bar */}
@@ -186,32 +264,265 @@ function HourlyRow({ hourIndex, forecast, maxHourlySnow }) {
   );
 }
 
+// ── Quality ribbon ────────────────────────────────────────────────────────────
+
+// One thin segment per hour, coloured by getSnowQuality(), grouped by day so a
+// click on a day opens it in the accordion below. Hours already past are dimmed.
+function QualityRibbon({ forecast, timeline, days, currentHourIndex, expandedDay, onSelectDay }) {
+  const present = new Map();
+  for (let h = 0; h < days * 24 && h < timeline.length; h++) {
+    present.set(timeline[h].label, timeline[h]);
+  }
+  const legend = [...present.values()].sort((a, b) => a.priority - b.priority);
+
+  return (
+    <div
+      style={{
+        marginBottom: 24,
+        padding: '16px',
+        borderRadius: 8,
+        backgroundColor: 'var(--color-bg-card)',
+      }}
+    >
+      <div
+        style={{
+          fontSize: 11,
+          fontWeight: 600,
+          textTransform: 'uppercase',
+          letterSpacing: '0.07em',
+          color: 'var(--color-text-secondary)',
+          marginBottom: 12,
+        }}
+      >
+        Snow Quality by Hour
+      </div>
+      <div style={{ display: 'flex', gap: 3 }}>
+        {forecast.daily.time.slice(0, days).map((date, day) => (
+          <div
+            key={date}
+            onClick={() => onSelectDay(day)}
+            style={{ flex: 1, minWidth: 0, cursor: 'pointer' }}
+          >
+            <div
+              style={{
+                display: 'flex',
+                height: 14,
+                borderRadius: 3,
+                overflow: 'hidden',
+                outline: expandedDay === day ? '2px solid var(--color-accent)' : 'none',
+                outlineOffset: 1,
+              }}
+            >
+              {timeline.slice(day * 24, day * 24 + 24).map((quality, h) => {
+                const hourIndex = day * 24 + h;
+                return (
+                  <div
+                    key={hourIndex}
+                    title={`${getDayLabel(date)} ${formatHour(forecast.hourly.time[hourIndex])} · ${quality.label}`}
+                    style={{
+                      flex: 1,
+                      backgroundColor: quality.color,
+                      opacity: hourIndex < currentHourIndex ? 0.35 : isExtendedDay(day) ? 0.5 : 1,
+                    }}
+                  />
+                );
+              })}
+            </div>
+            <div
+              style={{
+                marginTop: 4,
+                fontSize: 10,
+                textAlign: 'center',
+                whiteSpace: 'nowrap',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                color: expandedDay === day ? 'var(--color-accent)' : 'var(--color-text-secondary)',
+              }}
+            >
+              {getDayLabel(date)}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div
+        style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: 12,
+          marginTop: 10,
+          fontSize: 11,
+          color: 'var(--color-text-secondary)',
+        }}
+      >
+        {legend.map((quality) => (
+          <span key={quality.label} style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+            <span
+              style={{
+                width: 8,
+                height: 8,
+                borderRadius: 2,
+                backgroundColor: quality.color,
+              }}
+            />
+            {quality.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ── Elevation band table ──────────────────────────────────────────────────────
+
+function BandCell({ daily, i, units }) {
+  const snow_cm = daily.snowfall_sum?.[i]       ?? 0;
+  const rain_cm = daily.rain_sum?.[i]           ?? 0;
+  const high_c  = daily.temperature_2m_max?.[i] ?? 0;
+  return (
+    <td style={{ padding: '8px 10px', whiteSpace: 'nowrap' }}>
+      <span
+        style={{
+          color: snow_cm >= POWDER_THRESHOLD_CM ? 'var(--color-snow-powder)' : snow_cm > 0 ? 'var(--color-snow-light)' : 'var(--color-text-secondary)',
+          fontWeight: snow_cm >= POWDER_THRESHOLD_CM ? 600 : 400,
+        }}
+      >
+        {formatSnow(snow_cm, units)}
+      </span>
+      {rain_cm > 0 && (
+        <span style={{ marginLeft: 6, color: 'var(--color-snow-mixed)' }}>
+          🌧️ {formatSnow(rain_cm, units)}
+        </span>
+      )}
+      <span style={{ marginLeft: 6, fontSize: 11, color: 'var(--color-text-secondary)' }}>
+        {formatTemp(high_c, units)}
+      </span>
+    </td>
+  );
+}
+
+function ElevationBandTable({ resort, forecast, units }) {
+  const elevations = getBandElevations(resort);
+  return (
+    <div
+      style={{
+        marginBottom: 32,
+        padding: '16px',
+        borderRadius: 8,
+        backgroundColor: 'var(--color-bg-card)',
+        overflowX: 'auto',
+      }}
+    >
+      <div
+        style={{
+          fontSize: 11,
+          fontWeight: 600,
+          textTransform: 'uppercase',
+          letterSpacing: '0.07em',
+          color: 'var(--color-text-secondary)',
+          marginBottom: 12,
+        }}
+      >
+        By Elevation
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+        <thead>
+          <tr
+            style={{
+              fontSize: 11,
+              fontWeight: 600,
+              textTransform: 'uppercase',
+              letterSpacing: '0.05em',
+              color: 'var(--color-text-secondary)',
+            }}
+          >
+            <th style={{ padding: '6px 10px', textAlign: 'left', fontWeight: 600 }}>Day</th>
+            {BANDS.map((band) => (
+              <th key={band} style={{ padding: '6px 10px', textAlign: 'left', fontWeight: 600, whiteSpace: 'nowrap' }}>
+                {BAND_LABELS[band]} · {formatElevation(elevations[band], units)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {forecast.daily.time.slice(0, 7).map((date, i) => (
+            <tr key={date} style={{ borderTop: '1px solid var(--color-chart-grid)', color: 'var(--color-text-primary)' }}>
+              <td style={{ padding: '8px 10px', fontWeight: 500 }}>{getDayLabel(date)}</td>
+              {BANDS.map((band) => (
+                <BandCell key={band} daily={getBandForecast(forecast, band).daily} i={i} units={units} />
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 // ── Forecast ──────────────────────────────────────────────────────────────────
 
 export default function ForecastTab({ resort, forecast }) {
+  const { settings } = useApp();
+  const units = useUnits();
   const [expandedDay, setExpandedDay] = useState(null);
+  const [extended, setExtended] = useState(false);
 
   const currentHourIndex = getCurrentHourIndex(forecast.hourly.time, forecast.timezone);
 
+  // ── Horizon: the week, or the full 16-day outlook ───────────────────────
+  const days = extended
+    ? Math.min(EXTENDED_OUTLOOK_DAYS, forecast.daily.time.length)
+    : OUTLOOK_DAYS;
+
+  function toggleExtended() {
+    if (extended && expandedDay !== null && isExtendedDay(expandedDay)) setExpandedDay(null);
+    setExtended(!extended);
+  }
+
   // ── Best window ─────────────────────────────────────────────────────────
-  const dailyArr   = buildDailyArray(forecast.daily);
-  const bestWindow = getBestWindow(dailyArr);
+  const dailyArr   = buildDailyArray(forecast.daily, days);
+  const bestWindow = getBestWindow(dailyArr, getOutlookConfidence(forecast, days));
+
+  // ── Model spread (settings.multiModel) ──────────────────────────────────
+  const ensemble    = forecast.ensemble ?? null;
+  const modelLabels = ensemble
+    ? ENSEMBLE_MODELS.filter((m) => ensemble.models.includes(m.id)).map((m) => m.label)
+    : [];
 
   // ── Chart data ──────────────────────────────────────────────────────────
+  // Bars are plotted in display units; the tooltip formats the raw values.
+  // Error bars are [below, above] offsets from the bar to the model min/max.
   const chartData = useMemo(
     () =>
-      forecast.daily.time.slice(0, 7).map((date, i) => ({
-        day:          getDayLabel(date),
-        snowfall_in:  toInches(forecast.daily.snowfall_sum[i] ?? 0),
-        rain_in:      toInches(forecast.daily.rain_sum[i]    ?? 0),
-        highF:        Math.round(toF(forecast.daily.temperature_2m_max[i] ?? 0)),
-        lowF:         Math.round(toF(forecast.daily.temperature_2m_min[i] ?? 0)),
-        windMph:      toMph(forecast.daily.windspeed_10m_max[i] ?? 0),
-        rawSnow:      forecast.daily.snowfall_sum[i] ?? 0,
-        rawRain:      forecast.daily.rain_sum[i]    ?? 0,
-        dayIndex:     i,
-      })),
-    [forecast]
+      forecast.daily.time.slice(0, days).map((date, i) => {
+        const snowfall = convertSnow(forecast.daily.snowfall_sum[i] ?? 0, units);
+        const model    = forecast.ensemble?.days.find((d) => d.date === date) ?? null;
+        const spread   = model?.count >= 2
+          ? [
+              Math.max(0, snowfall - convertSnow(model.min, units)),
+              Math.max(0, convertSnow(model.max, units) - snowfall),
+            ]
+          : [0, 0];
+        return {
+          day:          getDayLabel(date),
+          snowfall,
+          spread,
+          model,
+          high_c:       forecast.daily.temperature_2m_max[i] ?? 0,
+          low_c:        forecast.daily.temperature_2m_min[i] ?? 0,
+          wind_kmh:     forecast.daily.windspeed_10m_max[i] ?? 0,
+          rawSnow:      forecast.daily.snowfall_sum[i] ?? 0,
+          rawRain:      forecast.daily.rain_sum[i]    ?? 0,
+          dayIndex:     i,
+          extended:     isExtendedDay(i),
+        };
+      }),
+    [forecast, units, days]
+  );
+
+  // ── Hour-by-hour quality ─────────────────────────────────────────────────
+  const qualityTimeline = useMemo(
+    () => getQualityTimeline(forecast, settings.qualityOverrides),
+    [forecast, settings.qualityOverrides]
   );
 
   // Max hourly snowfall — used to scale mini bars
@@ -227,7 +538,7 @@ export default function ForecastTab({ resort, forecast }) {
   return (
     <div style={{ padding: '24px 0' }}>
 
-      {/* ── Section 1: 7-Day Bar Chart ──────────────────────────────────── */}
+      {/* ── Section 1: Snowfall Bar Chart ───────────────────────────────── */}
       <div
         style={{
           marginBottom: 32,
@@ -238,15 +549,50 @@ export default function ForecastTab({ resort, forecast }) {
       >
         <div
           style={{
-            fontSize: 11,
-            fontWeight: 600,
-            textTransform: 'uppercase',
-            letterSpacing: '0.07em',
-            color: 'var(--color-text-secondary)',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'space-between',
+            gap: 12,
             marginBottom: 16,
           }}
         >
-          7-Day Snowfall
+          <div
+            style={{
+              fontSize: 11,
+              fontWeight: 600,
+              textTransform: 'uppercase',
+              letterSpacing: '0.07em',
+              color: 'var(--color-text-secondary)',
+            }}
+          >
+            {days}-Day Snowfall
+            {ensemble && (
+              <span style={{ marginLeft: 8, textTransform: 'none', letterSpacing: 0, fontWeight: 400 }}>
+                · bars show the spread across {modelLabels.join(', ')}
+              </span>
+            )}
+            {extended && (
+              <span style={{ marginLeft: 8, textTransform: 'none', letterSpacing: 0, fontWeight: 400, fontStyle: 'italic' }}>
+                · days 8–{days} are a low-confidence outlook
+              </span>
+            )}
+          </div>
+          <button
+            onClick={toggleExtended}
+            style={{
+              padding: '4px 10px',
+              borderRadius: 6,
+              border: '1px solid',
+              borderColor: extended ? 'var(--color-accent)' : 'var(--color-bg-card-hover)',
+              backgroundColor: extended ? 'var(--color-accent-wash)' : 'transparent',
+              color: extended ? 'var(--color-accent)' : 'var(--color-text-secondary)',
+              fontSize: 12,
+              cursor: 'pointer',
+              whiteSpace: 'nowrap',
+            }}
+          >
+            Days 8–16 {extended ? '●' : '○'}
+          </button>
         </div>
         <ResponsiveContainer width="100%" height={200}>
           <BarChart
@@ -266,26 +612,53 @@ export default function ForecastTab({ resort, forecast }) {
               tickLine={false}
             />
             <YAxis
-              tickFormatter={(v) => `${v}"`}
+              tickFormatter={(v) => `${v}${UNIT_SUFFIX[units.snow]}`}
               tick={{ fontSize: 11, fill: 'var(--color-text-secondary)' }}
               axisLine={false}
               tickLine={false}
-              width={36}
+              width={units.snow === 'cm' ? 48 : 36}
             />
-            <Tooltip content={<CustomTooltip />} cursor={{ fill: 'rgba(255,255,255,0.04)' }} />
-            <Bar dataKey="snowfall_in" radius={[3, 3, 0, 0]}>
+            <Tooltip content={<CustomTooltip units={units} />} cursor={{ fill: 'var(--color-chart-cursor)' }} />
+            <Bar dataKey="snowfall" radius={[3, 3, 0, 0]}>
               {chartData.map((entry, index) => (
                 <Cell
                   key={`cell-${index}`}
                   fill={getBarColor(entry.rawSnow, entry.rawRain)}
+                  fillOpacity={entry.extended ? 0.4 : 1}
+                  stroke={entry.extended ? getBarColor(entry.rawSnow, entry.rawRain) : undefined}
+                  strokeDasharray={entry.extended ? '3 2' : undefined}
                 />
               ))}
+              {ensemble && (
+                <ErrorBar
+                  dataKey="spread"
+                  direction="y"
+                  width={6}
+                  strokeWidth={1.5}
+                  stroke="var(--color-text-primary)"
+                />
+              )}
             </Bar>
           </BarChart>
         </ResponsiveContainer>
       </div>
 
-      {/* ── Section 2 & 3: Daily Table + Hourly Accordion ─────────────── */}
+      {/* ── Section 2: Base / Mid / Summit ──────────────────────────────── */}
+      {hasBands(forecast) && (
+        <ElevationBandTable resort={resort} forecast={forecast} units={units} />
+      )}
+
+      {/* ── Section 3: Quality ribbon ───────────────────────────────────── */}
+      <QualityRibbon
+        forecast={forecast}
+        timeline={qualityTimeline}
+        days={days}
+        currentHourIndex={currentHourIndex}
+        expandedDay={expandedDay}
+        onSelectDay={toggleDay}
+      />
+
+      {/* ── Section 4 & 5: Daily Table + Hourly Accordion ──────────────── */}
       <div style={{ overflowX: 'auto' }}>
         <table
           style={{
@@ -325,15 +698,16 @@ export default function ForecastTab({ resort, forecast }) {
           </thead>
 
           <tbody>
-            {forecast.daily.time.slice(0, 7).map((date, i) => {
+            {forecast.daily.time.slice(0, days).map((date, i) => {
               const isBestDay = bestWindow?.index === i;
               const isExpanded = expandedDay === i;
+              const isExtended = isExtendedDay(i);
 
-              const snowIn      = toInches(forecast.daily.snowfall_sum[i] ?? 0);
-              const rainIn      = toInches(forecast.daily.rain_sum[i]    ?? 0);
-              const highF       = Math.round(toF(forecast.daily.temperature_2m_max[i] ?? 0));
-              const lowF        = Math.round(toF(forecast.daily.temperature_2m_min[i] ?? 0));
-              const windMph     = toMph(forecast.daily.windspeed_10m_max[i] ?? 0);
+              const snow_cm     = forecast.daily.snowfall_sum[i] ?? 0;
+              const rain_cm     = forecast.daily.rain_sum[i]    ?? 0;
+              const high_c      = forecast.daily.temperature_2m_max[i] ?? 0;
+              const low_c       = forecast.daily.temperature_2m_min[i] ?? 0;
+              const wind_kmh    = forecast.daily.windspeed_10m_max[i] ?? 0;
               const precipHours = forecast.daily.precipitation_hours[i] ?? 0;
               const wCode       = forecast.daily.weathercode[i] ?? 0;
               const dayLabel    = getDayLabel(date);
@@ -343,6 +717,24 @@ export default function ForecastTab({ resort, forecast }) {
 
               return (
                 <>
+                  {/* ── Extended outlook divider ── */}
+                  {i === OUTLOOK_DAYS && (
+                    <tr key={`${date}-outlook`}>
+                      <td
+                        colSpan={8}
+                        style={{
+                          padding: '12px 10px 6px',
+                          fontSize: 11,
+                          fontStyle: 'italic',
+                          color: 'var(--color-text-secondary)',
+                          borderBottom: '1px dashed var(--color-bg-card-hover)',
+                        }}
+                      >
+                        Extended outlook · days 8–{days} · low confidence, watch the trend rather than the numbers
+                      </td>
+                    </tr>
+                  )}
+
                   {/* ── Daily row ── */}
                   <tr
                     key={date}
@@ -362,6 +754,8 @@ export default function ForecastTab({ resort, forecast }) {
                         ? '3px solid var(--color-accent)'
                         : '3px solid transparent',
                       color: 'var(--color-text-primary)',
+                      opacity: isExtended ? 0.6 : 1,
+                      fontStyle: isExtended ? 'italic' : 'normal',
                     }}
                   >
                     {/* Day */}
@@ -375,30 +769,30 @@ export default function ForecastTab({ resort, forecast }) {
                     <td
                       style={{
                         padding: '10px 10px',
-                        color: snowIn >= 6 ? '#F97316' : snowIn > 0 ? '#3B82F6' : 'var(--color-text-secondary)',
-                        fontWeight: snowIn >= 6 ? 600 : 400,
+                        color: snow_cm >= POWDER_THRESHOLD_CM ? 'var(--color-snow-powder)' : snow_cm > 0 ? 'var(--color-snow-light)' : 'var(--color-text-secondary)',
+                        fontWeight: snow_cm >= POWDER_THRESHOLD_CM ? 600 : 400,
                       }}
                     >
-                      {snowIn}&quot;
+                      {formatSnow(snow_cm, units)}
                     </td>
                     {/* Rain */}
                     <td
                       style={{
                         padding: '10px 10px',
-                        color: rainIn > 0 ? '#8B5CF6' : 'var(--color-text-secondary)',
+                        color: rain_cm > 0 ? 'var(--color-snow-mixed)' : 'var(--color-text-secondary)',
                       }}
                     >
-                      {rainIn > 0 ? `${rainIn}"` : '—'}
+                      {rain_cm > 0 ? formatSnow(rain_cm, units) : '—'}
                     </td>
                     {/* High */}
-                    <td style={{ padding: '10px 10px' }}>{highF}°F</td>
+                    <td style={{ padding: '10px 10px' }}>{formatTemp(high_c, units)}</td>
                     {/* Low */}
                     <td style={{ padding: '10px 10px', color: 'var(--color-text-secondary)' }}>
-                      {lowF}°F
+                      {formatTemp(low_c, units)}
                     </td>
                     {/* Wind */}
                     <td style={{ padding: '10px 10px', color: 'var(--color-text-secondary)', whiteSpace: 'nowrap' }}>
-                      {windMph}mph
+                      {formatWind(wind_kmh, units)}
                     </td>
                     {/* Precip hours */}
                     <td style={{ padding: '10px 10px', color: 'var(--color-text-secondary)' }}>
@@ -436,7 +830,7 @@ export default function ForecastTab({ resort, forecast }) {
                             style={{
                               width: '100%',
                               borderCollapse: 'collapse',
-                              backgroundColor: 'rgba(15,23,42,0.5)',
+                              backgroundColor: 'var(--color-bg-inset)',
                             }}
                           >
                             <tbody>
@@ -446,6 +840,7 @@ export default function ForecastTab({ resort, forecast }) {
                                   hourIndex={hourIdx}
                                   forecast={forecast}
                                   maxHourlySnow={maxHourlySnow}
+                                  units={units}
                                 />
                               ))}
                             </tbody>
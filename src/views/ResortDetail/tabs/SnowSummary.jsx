@@ -8,20 +8,33 @@
  *
  * Named export AISummarySection accepts { summary, summaryLoading, error, onRetry }.
  * AI summary is lazy-loaded via useEffect only when this tab mounts.
+ * The 10-day archive ("Last 10 Days") and season context are lazy-loaded the
+ * same way.
  */
 
 import { useState, useEffect } from 'react'
 import { getSnowQuality, getSnowAgeHours, getBestWindow } from '../../../lib/snowQuality.js';
+import { getConfidenceByDay } from '../../../lib/ensemble.js';
+import { getHourlyDensity, getDailyDensity, DENSITY_LABELS } from '../../../lib/snowDensity.js';
+import {
+  buildHistoryArray,
+  getPastSnowfall,
+  getDaysSinceSnowfall,
+} from '../../../lib/history.js';
+import { loadSingleHistorical, loadSeasonContext } from '../../../lib/dataLoader.js';
+import { ordinal } from '../../../lib/seasonContext.js';
 import {
   getCurrentHourIndex,
   getDayLabel,
-  toF,
-  toInches,
-  toMph,
+  getUnitsKey,
+  formatSnow,
+  formatTemp,
 } from '../../../lib/utils.js';
 import QualityBadge from '../../../components/QualityBadge.jsx';
+import SnowBar from '../../../components/SnowBar.jsx';
 import { getCachedOrFetchSummary } from '../../../lib/aiSummary.js'
-import { useApp, useSetSummary } from '../../../context/AppContext.jsx'
+import { getAccessToken, sharedSummaryStore } from '../../../lib/supabase.js'
+import { useApp, useUnits, useSetSummary, useSetHistorical } from '../../../context/AppContext.jsx'
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
@@ -35,6 +48,112 @@ function buildDailyArray(daily, count = 7) {
   }));
 }
 
+/** Format "2026-02-27" → "2/27" — weekday names repeat across a 10-day window. */
+function formatShortDate(dateStr) {
+  const [, month, day] = dateStr.split('-').map(Number);
+  return `${month}/${day}`;
+}
+
+// ── RecentHistorySection ──────────────────────────────────────────────────────
+
+/**
+ * "Last 10 Days" panel built from the fetchHistorical() archive response.
+ *
+ * Props:
+ *   historical {object|null} — Open-Meteo archive response, null while loading
+ *   failed     {boolean}     — true if the archive request failed
+ *
+ * States:
+ *   historical=null → "Loading recent history…" in muted text
+ *   failed / no days → "Recent history not available"
+ *   otherwise       → one SnowBar per day + 10-day total + days since last snow
+ */
+export function RecentHistorySection({ historical, failed = false }) {
+  const units = useUnits();
+  if (!historical && !failed) {
+    return (
+      <p style={{ fontSize: 14, color: 'var(--color-text-secondary)', margin: 0 }}>
+        Loading recent history…
+      </p>
+    );
+  }
+
+  const days = buildHistoryArray(historical);
+  if (days.length === 0) {
+    return (
+      <p
+        style={{
+          fontSize: 14,
+          color: 'var(--color-text-secondary)',
+          margin: 0,
+          fontStyle: 'italic',
+        }}
+      >
+        Recent history not available
+      </p>
+    );
+  }
+
+  const totalCm   = getPastSnowfall(historical, days.length);
+  const daysSince = getDaysSinceSnowfall(historical);
+  const maxCm     = Math.max(...days.map((d) => d.snowfall_sum ?? 0), 1);
+
+  let lastSnowText = 'No snow in the last 10 days';
+  if (daysSince === 1)      lastSnowText = 'Last snowfall yesterday';
+  else if (daysSince !== null) lastSnowText = `Last snowfall ${daysSince} days ago`;
+
+  return (
+    <div>
+      <div
+        style={{
+          display: 'flex',
+          gap: 24,
+          marginBottom: 14,
+          flexWrap: 'wrap',
+          fontSize: 14,
+          color: 'var(--color-text-secondary)',
+        }}
+      >
+        <span>
+          10-day total{' '}
+          <strong style={{ color: 'var(--color-text-primary)' }}>
+            {totalCm !== null ? formatSnow(totalCm, units) : '—'}
+          </strong>
+        </span>
+        <span>{lastSnowText}</span>
+      </div>
+
+      <div style={{ display: 'flex', gap: 6, justifyContent: 'space-between' }}>
+        {days.map((d) => (
+          <div
+            key={d.time}
+            style={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}
+          >
+            <SnowBar
+              snowfall_cm={d.snowfall_sum ?? 0}
+              maxValue_cm={maxCm}
+              width={24}
+              maxHeight={60}
+            />
+            <div
+              style={{
+                marginTop: 4,
+                fontSize: 10,
+                lineHeight: 1.3,
+                textAlign: 'center',
+                color: 'var(--color-text-secondary)',
+              }}
+            >
+              <div>{formatShortDate(d.time)}</div>
+              <div>{d.snowfall_sum !== null ? formatSnow(d.snowfall_sum, units) : '—'}</div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 // ── AISummarySection ──────────────────────────────────────────────────────────
 
 /**
@@ -80,7 +199,7 @@ export function AISummarySection({ summary, summaryLoading, error, onRetry }) {
         <p
           style={{
             fontSize: 14,
-            color: '#EF4444',
+            color: 'var(--color-danger)',
             margin: '0 0 10px',
           }}
         >
@@ -140,7 +259,7 @@ export function AISummarySection({ summary, summaryLoading, error, onRetry }) {
 
 // ── Stat tile ────────────────────────────────────────────────────────────────
 
-function StatTile({ label, value }) {
+function StatTile({ label, value, sub }) {
   return (
     <div
       style={{
@@ -164,16 +283,56 @@ function StatTile({ label, value }) {
       >
         {value}
       </span>
+      {sub && (
+        <span style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>
+          {sub}
+        </span>
+      )}
     </div>
   );
 }
 
+/**
+ * Value + sub-line for the Snow Density tile: today's liquid-weighted
+ * density from snowDensity.js. null when no snow falls today.
+ */
+function formatDensity(density) {
+  if (!density) return { value: '—', sub: 'No snow today' };
+  return {
+    value: DENSITY_LABELS[density.category],
+    sub: `≈ 1:${Math.round(density.slr)} · ${density.density_kgm3} kg/m³`,
+  };
+}
+
+/**
+ * Value + sub-line for the Season Context tile.
+ * seasonContext: undefined while loading, null when unavailable.
+ */
+function formatSeasonContext(seasonContext, units) {
+  if (seasonContext === undefined) return { value: '…', sub: null };
+  if (seasonContext === null)      return { value: '—', sub: null };
+  const { label, percentile, seasonToDate_cm, pctOfMedian, seasons } = seasonContext;
+  const parts = [
+    `${ordinal(percentile)} percentile (${seasons.length} seasons)`,
+    `${formatSnow(seasonToDate_cm, units)} to date`,
+  ];
+  if (pctOfMedian !== null) parts.push(`${pctOfMedian}% of median`);
+  return { value: label, sub: parts.join(' · ') };
+}
+
 // ── SnowSummary ───────────────────────────────────────────────────────────────
 
 export default function SnowSummary({ resort, forecast }) {
   // ── AI summary state ───────────────────────────────────────────────────────
-  const { summaries } = useApp()
+  const { user, summaries, historicals, settings } = useApp()
+  const units = useUnits()
+  // Summaries quote amounts, so one per resort per set of units
+  const summaryKey = `${resort.id}_${getUnitsKey(units)}`
   const setSummary = useSetSummary()
+  const setHistorical = useSetHistorical()
+  const [historyFailed, setHistoryFailed] = useState(false)
+  // undefined = loading, null = unavailable (see formatSeasonContext)
+  const [seasonContext, setSeasonContext] = useState(undefined)
   const [summaryLoading, setSummaryLoading] = useState(false)
   const [summaryError, setSummaryError] = useState(null)
   // retryCount is incremented on retry to re-trigger the effect (deps include it)
@@ -181,17 +340,21 @@ export default function SnowSummary({ resort, forecast }) {
 
   useEffect(() => {
     // Only fetch if we don't already have a summary for this resort today
-    // eslint-disable-next-line no-unused-vars
-    const todayKey = `${resort.id}_${new Date().toISOString().split('T')[0]}`
-    if (summaries[resort.id]) return   // already loaded in this session
+    if (summaries[summaryKey]) return   // already loaded in this session
     if (!forecast) return               // forecast not ready yet
 
     setSummaryLoading(true)
     setSummaryError(null)
 
-    getCachedOrFetchSummary(resort, forecast)
+    // Signed-in users read/write the shared per-resort-per-day summary and
+    // identify themselves to the proxy's per-user rate limit
+    getCachedOrFetchSummary(
+      resort,
+      forecast,
+      user ? { sharedStore: sharedSummaryStore, getAccessToken, units } : { units }
+    )
       .then(text => {
-        setSummary(resort.id, text)
+        setSummary(summaryKey, text)
         setSummaryLoading(false)
       })
       .catch(err => {
@@ -199,10 +362,28 @@ export default function SnowSummary({ resort, forecast }) {
         setSummaryError(err.message)
         setSummaryLoading(false)
       })
-  }, [resort.id, !!forecast, retryCount]) // eslint-disable-line react-hooks/exhaustive-deps
+  }, [summaryKey, !!forecast, retryCount]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // ── Recent history (10-day archive) ───────────────────────────────────────
+  useEffect(() => {
+    if (historicals[resort.id]) return  // already loaded (e.g. by the Dashboard)
+    setHistoryFailed(false)
+    loadSingleHistorical(resort, setHistorical)
+      .then(data => { if (!data) setHistoryFailed(true) })
+  }, [resort.id]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // ── Season context (multi-year archive) ────────────────────────────────────
+  useEffect(() => {
+    let cancelled = false
+    setSeasonContext(undefined)
+    loadSeasonContext(resort).then(ctx => {
+      if (!cancelled) setSeasonContext(ctx)
+    })
+    return () => { cancelled = true }
+  }, [resort.id]) // eslint-disable-line react-hooks/exhaustive-deps
 
   function handleRetry() {
-    setSummary(resort.id, null)   // clear from context so effect's early-return is bypassed
+    setSummary(summaryKey, null)  // clear from context so effect's early-return is bypassed
     setSummaryError(null)
     setRetryCount(c => c + 1)    // increment to re-trigger the effect
   }
@@ -216,21 +397,29 @@ export default function SnowSummary({ resort, forecast }) {
     snowfall_cm:  forecast.hourly.snowfall[idx]             ?? 0,
     snowAgeHours: getSnowAgeHours(forecast.hourly.snowfall, idx),
     humidity_pct: forecast.hourly.relativehumidity_2m[idx]  ?? 50,
-  });
+    slr:          getHourlyDensity(forecast.hourly, idx)?.slr,
+  }, settings.qualityOverrides);
 
   // ── Snow depth ────────────────────────────────────────────────────────────
-  const snowDepthIn = toInches(forecast.hourly.snow_depth[idx] ?? 0);
+  const snowDepth = formatSnow(forecast.hourly.snow_depth[idx] ?? 0, units);
 
   // ── Current conditions ────────────────────────────────────────────────────
-  const tempF      = Math.round(toF(forecast.hourly.temperature_2m[idx]      ?? 0));
-  const feelsLikeF = Math.round(toF(forecast.hourly.apparent_temperature[idx] ?? 0));
+  const temp       = formatTemp(forecast.hourly.temperature_2m[idx]       ?? 0, units);
+  const feelsLike  = formatTemp(forecast.hourly.apparent_temperature[idx] ?? 0, units);
   const humidity   = forecast.hourly.relativehumidity_2m[idx] ?? 0;
 
+  // ── Snow density ──────────────────────────────────────────────────────────
+  const density    = formatDensity(getDailyDensity(forecast, 0));
+  const densityNow = getHourlyDensity(forecast.hourly, idx);
+
   // ── Best window ───────────────────────────────────────────────────────────
   const dailyArr   = buildDailyArray(forecast.daily);
-  const bestWindow = getBestWindow(dailyArr);
+  const bestWindow = getBestWindow(dailyArr, getConfidenceByDay(forecast));
   const bestDayLabel  = bestWindow ? getDayLabel(bestWindow.date) : '—';
-  const bestSnowIn    = bestWindow ? toInches(dailyArr[bestWindow.index].snowfall_sum) : 0;
+  const bestSnow_cm   = bestWindow ? dailyArr[bestWindow.index].snowfall_sum : 0;
+
+  // ── Season context ────────────────────────────────────────────────────────
+  const season = formatSeasonContext(seasonContext, units);
 
   return (
     <div style={{ padding: '24px 0' }}>
@@ -249,8 +438,9 @@ export default function SnowSummary({ resort, forecast }) {
           flexWrap: 'wrap',
         }}
       >
-        <StatTile label="Summit Depth" value={`${snowDepthIn}"`} />
-        <StatTile label="Season Context" value="—" />
+        <StatTile label="Summit Depth" value={snowDepth} />
+        <StatTile label="Season Context" value={season.value} sub={season.sub} />
+        <StatTile label="Snow Density" value={density.value} sub={density.sub} />
       </div>
 
       {/* ── Secondary conditions row ─────────────────────────────────────── */}
@@ -269,16 +459,24 @@ export default function SnowSummary({ resort, forecast }) {
       >
         <span>
           🌡️ Temp{' '}
-          <strong style={{ color: 'var(--color-text-primary)' }}>{tempF}°F</strong>
+          <strong style={{ color: 'var(--color-text-primary)' }}>{temp}</strong>
         </span>
         <span>
           🥶 Feels like{' '}
-          <strong style={{ color: 'var(--color-text-primary)' }}>{feelsLikeF}°F</strong>
+          <strong style={{ color: 'var(--color-text-primary)' }}>{feelsLike}</strong>
         </span>
         <span>
           💧 Humidity{' '}
           <strong style={{ color: 'var(--color-text-primary)' }}>{humidity}%</strong>
         </span>
+        {densityNow && (
+          <span>
+            ❄️ Falling now{' '}
+            <strong style={{ color: 'var(--color-text-primary)' }}>
+              {DENSITY_LABELS[densityNow.category]} (1:{Math.round(densityNow.slr)})
+            </strong>
+          </span>
+        )}
       </div>
 
       {/* ── Best window callout ───────────────────────────────────────────── */}
@@ -288,8 +486,8 @@ export default function SnowSummary({ resort, forecast }) {
             marginBottom: 28,
             padding: '12px 16px',
             borderRadius: 8,
-            border: '1px solid rgba(56,189,248,0.3)',
-            backgroundColor: 'rgba(56,189,248,0.05)',
+            border: '1px solid var(--color-accent-border)',
+            backgroundColor: 'var(--color-accent-wash)',
             fontSize: 14,
             color: 'var(--color-accent)',
             fontWeight: 500,
@@ -297,10 +495,38 @@ export default function SnowSummary({ resort, forecast }) {
         >
           ✨ Best conditions:{' '}
           <strong>{bestDayLabel}</strong>
-          {bestSnowIn > 0 && ` — ${bestSnowIn}"`}
+          {bestSnow_cm > 0 && ` — ${formatSnow(bestSnow_cm, units)}`}
         </div>
       )}
 
+      {/* ── Last 10 days ───────────────────────────────────────────────────── */}
+      <div
+        style={{
+          marginBottom: 28,
+          padding: '16px',
+          borderRadius: 8,
+          backgroundColor: 'var(--color-bg-card)',
+          border: '1px solid var(--color-bg-card-hover)',
+        }}
+      >
+        <div
+          style={{
+            fontSize: 11,
+            fontWeight: 600,
+            textTransform: 'uppercase',
+            letterSpacing: '0.07em',
+            color: 'var(--color-text-secondary)',
+            marginBottom: 12,
+          }}
+        >
+          Last 10 Days
+        </div>
+        <RecentHistorySection
+          historical={historicals[resort.id] ?? null}
+          failed={historyFailed}
+        />
+      </div>
+
       {/* ── AI Summary section ────────────────────────────────────────────── */}
       <div
         style={{
@@ -323,7 +549,7 @@ export default function SnowSummary({ resort, forecast }) {
           AI Summary
         </div>
         <AISummarySection
-          summary={summaries[resort.id] ?? null}
+          summary={summaries[summaryKey] ?? null}
           summaryLoading={summaryLoading}
           error={summaryError}
           onRetry={handleRetry}
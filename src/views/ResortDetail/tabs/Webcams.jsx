@@ -0,0 +1,258 @@
+/**
+ * src/views/ResortDetail/tabs/Webcams.jsx
+ *
+ * Webcams tab for the Resort Detail view. SPEC.md section 8.3, Tab 4.
+ *
+ * One card per camera in resort.webcams (curated, merged by
+ * scripts/buildResortData.js). Every WEBCAM_REFRESH_MS the tab takes a new
+ * snapshot of each still; the last WEBCAM_TIMELINE_LENGTH snapshots sit in a
+ * thumbnail strip under the image, and clicking one pins it until "Live" is
+ * pressed. Polling pauses while the page is hidden.
+ *
+ * A snapshot that fails to load is marked in the strip and the card keeps
+ * showing the last good image. A camera that never loads (or fails
+ * WEBCAM_OFFLINE_AFTER times in a row) shows a placeholder with a link to the
+ * resort's webcam page instead.
+ *
+ * Timelines live in component state only — they reset when the tab unmounts.
+ *
+ * Props: { resort }
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  WEBCAM_REFRESH_MS,
+  addSnapshot,
+  getLatestGood,
+  isCameraOffline,
+  settleSnapshot,
+} from '../../../lib/webcams.js';
+
+const formatClock = (ms) =>
+  new Date(ms).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// ── Thumbnail strip ───────────────────────────────────────────────────────────
+
+function Thumbnail({ snapshot, active, onSelect, onSettle }) {
+  const base = {
+    flex: '0 0 auto',
+    width: 64,
+    height: 40,
+    borderRadius: 4,
+    overflow: 'hidden',
+    padding: 0,
+    border: active ? '2px solid var(--color-accent)' : '2px solid transparent',
+    backgroundColor: 'var(--color-bg-card-hover)',
+    cursor: snapshot.status === 'ok' ? 'pointer' : 'default',
+  };
+
+  if (snapshot.status === 'error') {
+    return (
+      <div
+        title={`${formatClock(snapshot.takenAt)} — failed to load`}
+        style={{
+          ...base,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          fontSize: 12,
+          color: 'var(--color-text-secondary)',
+        }}
+      >
+        ✕
+      </div>
+    );
+  }
+
+  // The thumbnail is also what loads the snapshot: its load/error events
+  // settle the timeline entry
+  return (
+    <button
+      type="button"
+      title={formatClock(snapshot.takenAt)}
+      onClick={() => snapshot.status === 'ok' && onSelect(snapshot.takenAt)}
+      style={base}
+    >
+      <img
+        src={snapshot.src}
+        alt=""
+        onLoad={() => onSettle(snapshot.takenAt, 'ok')}
+        onError={() => onSettle(snapshot.takenAt, 'error')}
+        style={{
+          width: '100%',
+          height: '100%',
+          objectFit: 'cover',
+          display: 'block',
+          opacity: snapshot.status === 'loading' ? 0.4 : 1,
+        }}
+      />
+    </button>
+  );
+}
+
+// ── Camera card ───────────────────────────────────────────────────────────────
+
+function CameraCard({ camera, timeline, pinnedAt, onPin, onSettle }) {
+  const latestGood = getLatestGood(timeline);
+  const pinned = pinnedAt != null ? timeline.find((s) => s.takenAt === pinnedAt) : null;
+  const shown = pinned ?? latestGood;
+  const offline = isCameraOffline(timeline);
+  const neverLoaded = !latestGood && timeline.some((s) => s.status === 'error');
+
+  let caption;
+  if (pinned) caption = `Snapshot from ${formatClock(pinned.takenAt)}`;
+  else if (offline && latestGood) caption = `Offline — last image ${formatClock(latestGood.takenAt)}`;
+  else if (latestGood) caption = `Updated ${formatClock(latestGood.takenAt)}`;
+  else caption = neverLoaded ? 'Unavailable' : 'Loading…';
+
+  return (
+    <div
+      style={{
+        borderRadius: 10,
+        backgroundColor: 'var(--color-bg-card)',
+        border: '1px solid var(--color-bg-card-hover)',
+        overflow: 'hidden',
+      }}
+    >
+      <div
+        style={{
+          aspectRatio: '16 / 9',
+          backgroundColor: 'var(--color-bg-dark)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+        }}
+      >
+        {shown ? (
+          <img
+            src={shown.src}
+            alt={`${camera.name} webcam`}
+            style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
+          />
+        ) : (
+          <div style={{ textAlign: 'center', fontSize: 13, color: 'var(--color-text-secondary)' }}>
+            <div style={{ fontSize: 28, marginBottom: 6 }}>📷</div>
+            {neverLoaded ? 'Camera unavailable right now' : 'Loading image…'}
+            {neverLoaded && camera.link && (
+              <div style={{ marginTop: 6 }}>
+                <a href={camera.link} target="_blank" rel="noreferrer" style={{ color: 'var(--color-accent)' }}>
+                  View on resort site ↗
+                </a>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div style={{ padding: '10px 12px' }}>
+        <div style={{ display: 'flex', alignItems: 'baseline', gap: 8 }}>
+          <span style={{ fontSize: 14, fontWeight: 600, color: 'var(--color-text-primary)' }}>
+            {camera.name}
+          </span>
+          <span style={{ fontSize: 12, color: 'var(--color-text-secondary)', flex: 1 }}>{caption}</span>
+          {pinned && (
+            <button
+              type="button"
+              onClick={() => onPin(null)}
+              style={{
+                background: 'none',
+                border: '1px solid var(--color-bg-card-hover)',
+                borderRadius: 9999,
+                padding: '2px 10px',
+                fontSize: 12,
+                cursor: 'pointer',
+                color: 'var(--color-text-primary)',
+              }}
+            >
+              Live
+            </button>
+          )}
+        </div>
+
+        {timeline.length > 0 && (
+          <div style={{ display: 'flex', gap: 4, marginTop: 8, overflowX: 'auto' }}>
+            {timeline.map((s) => (
+              <Thumbnail
+                key={s.takenAt}
+                snapshot={s}
+                active={shown?.takenAt === s.takenAt}
+                onSelect={onPin}
+                onSettle={onSettle}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ── Tab ───────────────────────────────────────────────────────────────────────
+
+export default function Webcams({ resort }) {
+  const cameras = resort.webcams ?? [];
+  const [timelines, setTimelines] = useState({});
+  const [pinned, setPinned] = useState({});
+
+  useEffect(() => {
+    if (cameras.length === 0) return undefined;
+    setTimelines({});
+    setPinned({});
+
+    let lastTakenAt = 0;
+    function snapshotAll() {
+      const takenAt = Date.now();
+      lastTakenAt = takenAt;
+      setTimelines((prev) => {
+        const next = { ...prev };
+        cameras.forEach((cam) => { next[cam.id] = addSnapshot(prev[cam.id] ?? [], cam, takenAt); });
+        return next;
+      });
+    }
+    function onVisibilityChange() {
+      if (!document.hidden && Date.now() - lastTakenAt >= WEBCAM_REFRESH_MS) snapshotAll();
+    }
+
+    snapshotAll();
+    const timer = setInterval(() => { if (!document.hidden) snapshotAll(); }, WEBCAM_REFRESH_MS);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+  // Restart polling only for a different resort
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [resort.id]);
+
+  if (cameras.length === 0) {
+    return (
+      <div style={{ padding: '48px 0', textAlign: 'center', color: 'var(--color-text-secondary)', fontSize: 14 }}>
+        No webcams listed for this resort yet.
+      </div>
+    );
+  }
+
+  return (
+    <div
+      style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fill, minmax(320px, 1fr))',
+        gap: 16,
+        padding: '20px 0',
+      }}
+    >
+      {cameras.map((cam) => (
+        <CameraCard
+          key={cam.id}
+          camera={cam}
+          timeline={timelines[cam.id] ?? []}
+          pinnedAt={pinned[cam.id] ?? null}
+          onPin={(takenAt) => setPinned((prev) => ({ ...prev, [cam.id]: takenAt }))}
+          onSettle={(takenAt, status) =>
+            setTimelines((prev) => ({ ...prev, [cam.id]: settleSnapshot(prev[cam.id] ?? [], takenAt, status) }))
+          }
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,419 @@
+/**
+ * src/views/ResortMap.jsx
+ *
+ * /map route — every resort in resorts.json on a Leaflet map, colored by
+ * next-48h snowfall (marker logic in src/lib/resortMap.js).
+ *
+ * Loading:
+ *   - Tier 1 forecasts missing from context load on mount (batched).
+ *   - Tier 2 forecasts load lazily: once zoomed in to LAZY_LOAD_MIN_ZOOM,
+ *     unclustered tier-2 markers in view are fetched via loadSingleForecast.
+ *
+ * Clicking a resort opens ResortDetail; clicking a cluster zooms into it.
+ * The heatmap toggle overlays gridded 24h / 48h / 7-day snowfall around every
+ * resort (src/lib/snowGrid.js); the grid loads the first time it's turned on,
+ * and again on the next toggle if no chunk loaded.
+ * Set VITE_MAP_TILE_URL=stub to draw the local tile instead of OpenStreetMap
+ * (offline use and tests); the stub is also used whenever the browser is offline.
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import L from 'leaflet';
+import {
+  ImageOverlay,
+  MapContainer,
+  Marker,
+  TileLayer,
+  Tooltip,
+  useMap,
+  useMapEvents,
+} from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import {
+  useApp,
+  useSetForecast,
+  useSetLoadingState,
+  useUnits,
+} from '../context/AppContext';
+import { loadForecasts, loadSnowGrid } from '../lib/dataLoader.js';
+import {
+  CLUSTER_MAX_ZOOM,
+  SNOW_BUCKET_COLORS,
+  SNOW_BUCKET_LABELS,
+  clusterResorts,
+  getSnowBucket,
+  getTileSource,
+  projectToPixel,
+} from '../lib/resortMap.js';
+import {
+  GRID_STEP_DEG,
+  HEATMAP_STOPS,
+  HEATMAP_WINDOWS,
+  buildHeatmapRaster,
+  getGridBounds,
+  getGridPoints,
+  gridKey,
+  sumGridSnow,
+} from '../lib/snowGrid.js';
+import { formatSnow, POWDER_THRESHOLD_CM } from '../lib/utils.js';
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+// Zoom from which tier-2 markers in view fetch their forecasts
+const LAZY_LOAD_MIN_ZOOM = 6;
+
+// Cluster zoom-in step on click
+const CLUSTER_ZOOM_STEP = 2;
+
+// Heatmap raster: pixels per grid step, capped for world-wide resort lists
+const HEATMAP_PX_PER_STEP = 8;
+const HEATMAP_MAX_WIDTH = 1024;
+const HEATMAP_OPACITY = 0.75;
+
+// Chunks arriving within this window are drawn in one re-rasterization
+const HEATMAP_FLUSH_MS = 500;
+
+const TILES = getTileSource({
+  url: import.meta.env.VITE_MAP_TILE_URL,
+  online: typeof navigator === 'undefined' ? true : navigator.onLine,
+});
+
+// ── Marker icons ──────────────────────────────────────────────────────────────
+
+// DivIcons so markers can use the theme's CSS variables; cached per look
+const iconCache = new Map();
+
+function getMarkerIcon(bucket, count) {
+  const key = `${bucket}:${count}`;
+  if (iconCache.has(key)) return iconCache.get(key);
+
+  const color = SNOW_BUCKET_COLORS[bucket];
+  const size = count > 1 ? Math.min(44, 22 + Math.log2(count) * 4) : 14;
+  const html =
+    `<div style="width:${size}px;height:${size}px;border-radius:50%;` +
+    `background:${color};border:2px solid ${bucket === 'pending' ? 'var(--color-text-secondary)' : 'var(--color-bg-dark)'};` +
+    'display:flex;align-items:center;justify-content:center;' +
+    `font-size:11px;font-weight:600;color:var(--color-bg-dark);box-sizing:border-box;">` +
+    `${count > 1 ? count : ''}</div>`;
+
+  const icon = L.divIcon({ html, className: '', iconSize: [size, size] });
+  iconCache.set(key, icon);
+  return icon;
+}
+
+// ── Heatmap ───────────────────────────────────────────────────────────────────
+
+/**
+ * Draws grid values onto a canvas and returns it as a data URL for
+ * ImageOverlay. Height follows the bounds' Mercator aspect so pixels stay
+ * roughly square.
+ */
+function renderHeatmap(values, bounds) {
+  const nw = projectToPixel(bounds.north, bounds.west, 0);
+  const se = projectToPixel(bounds.south, bounds.east, 0);
+  const width = Math.min(
+    HEATMAP_MAX_WIDTH,
+    Math.ceil(((bounds.east - bounds.west) / GRID_STEP_DEG) * HEATMAP_PX_PER_STEP)
+  );
+  const height = Math.max(1, Math.round((width * (se.y - nw.y)) / (se.x - nw.x)));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const pixels = buildHeatmapRaster(values, { bounds, width, height });
+  canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+  return canvas.toDataURL();
+}
+
+function HeatmapToggle({ value, onChange, loading }) {
+  const options = [['off', 'Off'], ...Object.entries(HEATMAP_WINDOWS).map(([key, w]) => [key, w.label])];
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        right: 12,
+        top: 12,
+        zIndex: 1000,
+        display: 'flex',
+        alignItems: 'center',
+        gap: 4,
+        padding: '6px 8px',
+        borderRadius: 8,
+        backgroundColor: 'var(--color-bg-popover)',
+        border: '1px solid var(--color-bg-card-hover)',
+        fontSize: 12,
+        color: 'var(--color-text-secondary)',
+      }}
+    >
+      <span style={{ marginRight: 4 }}>Snow heatmap{loading && ' (loading…)'}</span>
+      {options.map(([key, label]) => (
+        <button
+          key={key}
+          onClick={() => onChange(key)}
+          style={{
+            padding: '3px 8px',
+            borderRadius: 6,
+            fontSize: 12,
+            cursor: 'pointer',
+            backgroundColor: 'transparent',
+            border: `1px solid ${value === key ? 'var(--color-accent)' : 'var(--color-bg-card-hover)'}`,
+            color: value === key ? 'var(--color-accent)' : 'var(--color-text-secondary)',
+          }}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// ── Markers layer ─────────────────────────────────────────────────────────────
+
+function ResortMarkers({ resorts, forecasts, loadingStates, onLoad }) {
+  const map = useMap();
+  const navigate = useNavigate();
+  const units = useUnits();
+  const [view, setView] = useState(() => ({ zoom: map.getZoom(), bounds: map.getBounds() }));
+
+  useMapEvents({
+    moveend: () => setView({ zoom: map.getZoom(), bounds: map.getBounds() }),
+  });
+
+  const markers = useMemo(
+    () => clusterResorts(resorts, view.zoom, forecasts),
+    [resorts, view.zoom, forecasts]
+  );
+
+  // Lazy tier-2 loading for single markers in view
+  useEffect(() => {
+    if (view.zoom < LAZY_LOAD_MIN_ZOOM) return;
+    const missing = markers
+      .filter((m) => m.resorts.length === 1 && view.bounds.contains([m.lat, m.lng]))
+      .map((m) => m.resorts[0])
+      .filter((r) => r.tier !== 1 && !forecasts[r.id] && loadingStates[r.id] !== 'loading');
+    if (missing.length > 0) onLoad(missing);
+  // Only when the view changes — not on every forecast that arrives
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [view]);
+
+  return markers.map((m) => {
+    const single = m.resorts.length === 1;
+    const resort = m.resorts[0];
+    const bucket = getSnowBucket(m.snowCm);
+    const snowText = m.snowCm === null ? null : formatSnow(m.snowCm, units);
+
+    return (
+      <Marker
+        key={m.id}
+        position={[m.lat, m.lng]}
+        icon={getMarkerIcon(bucket, m.resorts.length)}
+        eventHandlers={{
+          click: () =>
+            single
+              ? navigate(`/resort/${resort.slug}`)
+              : map.setView([m.lat, m.lng], Math.min(view.zoom + CLUSTER_ZOOM_STEP, CLUSTER_MAX_ZOOM)),
+        }}
+      >
+        <Tooltip direction="top" offset={[0, -8]}>
+          {single ? (
+            <>
+              <strong>{resort.name}</strong>
+              <br />
+              {snowText !== null
+                ? `${snowText} next 48h`
+                : loadingStates[resort.id] === 'loading'
+                  ? 'Loading…'
+                  : 'Zoom in to load'}
+            </>
+          ) : (
+            <>
+              <strong>{m.resorts.length} resorts</strong>
+              {snowText !== null && (
+                <>
+                  <br />
+                  Up to {snowText} next 48h
+                </>
+              )}
+            </>
+          )}
+        </Tooltip>
+      </Marker>
+    );
+  });
+}
+
+// ── Legend ────────────────────────────────────────────────────────────────────
+
+function Legend({ heatmap }) {
+  const units = useUnits();
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        left: 12,
+        bottom: 24,
+        zIndex: 1000,
+        padding: '8px 12px',
+        borderRadius: 8,
+        backgroundColor: 'var(--color-bg-popover)',
+        border: '1px solid var(--color-bg-card-hover)',
+        fontSize: 12,
+        color: 'var(--color-text-secondary)',
+      }}
+    >
+      <div style={{ fontWeight: 600, marginBottom: 4, color: 'var(--color-text-primary)' }}>
+        Next 48h snow
+      </div>
+      {Object.entries(SNOW_BUCKET_LABELS).map(([bucket, label]) => (
+        <div key={bucket} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <span
+            style={{
+              width: 10,
+              height: 10,
+              borderRadius: '50%',
+              backgroundColor: SNOW_BUCKET_COLORS[bucket],
+              border: bucket === 'pending' ? '1px solid var(--color-text-secondary)' : 'none',
+            }}
+          />
+          {label}
+          {bucket === 'powder' && ` (≥ ${formatSnow(POWDER_THRESHOLD_CM, units)})`}
+        </div>
+      ))}
+      {heatmap !== 'off' && (
+        <>
+          <div style={{ fontWeight: 600, margin: '8px 0 4px', color: 'var(--color-text-primary)' }}>
+            Heatmap · {HEATMAP_WINDOWS[heatmap].label}
+          </div>
+          {HEATMAP_STOPS.map(({ cm, rgba }) => (
+            <div key={cm} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+              <span
+                style={{
+                  width: 10,
+                  height: 10,
+                  borderRadius: 2,
+                  backgroundColor: `rgba(${rgba.slice(0, 3).join(',')}, ${rgba[3] / 255})`,
+                }}
+              />
+              ≥ {formatSnow(cm, units)}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ── Component ─────────────────────────────────────────────────────────────────
+
+export default function ResortMap() {
+  const { resorts, forecasts, loadingStates, settings } = useApp();
+  const setForecast = useSetForecast();
+  const setLoadingState = useSetLoadingState();
+
+  const setForecastRef     = useRef(setForecast);
+  const setLoadingStateRef = useRef(setLoadingState);
+  useEffect(() => { setForecastRef.current = setForecast; },         [setForecast]);
+  useEffect(() => { setLoadingStateRef.current = setLoadingState; }, [setLoadingState]);
+
+  // Ids already requested here, so panning back and forth doesn't refetch
+  const requested = useRef(new Set());
+  function load(list) {
+    const fresh = list.filter((r) => !requested.current.has(r.id));
+    if (fresh.length === 0) return;
+    fresh.forEach((r) => requested.current.add(r.id));
+    loadForecasts(
+      fresh,
+      (id, data, fetchedAt) => setForecastRef.current(id, data, fetchedAt),
+      (id, status) => setLoadingStateRef.current(id, status),
+      { multiModel: settings.multiModel }
+    );
+  }
+
+  // Tier 1 on mount, unless the Dashboard already has them
+  useEffect(() => {
+    load(resorts.filter((r) => r.tier === 1 && !forecasts[r.id] && loadingStates[r.id] !== 'loading'));
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [resorts]);
+
+  const bounds = useMemo(
+    () => (resorts.length ? L.latLngBounds(resorts.map((r) => [r.lat, r.lng])) : null),
+    [resorts]
+  );
+
+  // ── Heatmap ──
+  const [heatmap, setHeatmap] = useState('off');
+  const [gridCells, setGridCells] = useState([]);
+  const [gridLoading, setGridLoading] = useState(false);
+  const gridRequested = useRef(false);
+  const pendingCells = useRef([]);
+  const flushTimer = useRef(null);
+
+  useEffect(() => () => clearTimeout(flushTimer.current), []);
+
+  useEffect(() => {
+    if (heatmap === 'off' || gridRequested.current || resorts.length === 0) return;
+    gridRequested.current = true;
+    setGridLoading(true);
+
+    // Cached chunks land all at once; collect them so the raster is redrawn
+    // once per burst rather than once per chunk
+    const flush = () => {
+      flushTimer.current = null;
+      const cells = pendingCells.current;
+      pendingCells.current = [];
+      setGridCells((prev) => [...prev, ...cells]);
+    };
+    const onChunk = (cells) => {
+      pendingCells.current.push(...cells);
+      flushTimer.current ??= setTimeout(flush, HEATMAP_FLUSH_MS);
+    };
+
+    loadSnowGrid(resorts, onChunk)
+      .then((loaded) => {
+        // Nothing came back (offline, rate limited): toggling again retries
+        if (loaded === 0) gridRequested.current = false;
+      })
+      .finally(() => setGridLoading(false));
+  }, [heatmap, resorts]);
+
+  const gridBounds = useMemo(() => getGridBounds(getGridPoints(resorts)), [resorts]);
+
+  const heatmapUrl = useMemo(() => {
+    if (heatmap === 'off' || gridCells.length === 0 || !gridBounds) return null;
+    const { hours } = HEATMAP_WINDOWS[heatmap];
+    const values = new Map(gridCells.map((cell) => [gridKey(cell.lat, cell.lng), sumGridSnow(cell, hours)]));
+    return renderHeatmap(values, gridBounds);
+  }, [heatmap, gridCells, gridBounds]);
+
+  if (!bounds) return null;
+
+  // isolation keeps Leaflet's pane z-indexes (400+) under the nav dropdowns
+  return (
+    <div style={{ position: 'relative', isolation: 'isolate', height: 'calc(100vh - 60px)' }}>
+      <MapContainer
+        bounds={bounds}
+        boundsOptions={{ padding: [24, 24] }}
+        style={{ height: '100%', width: '100%', backgroundColor: 'var(--color-bg-dark)' }}
+        worldCopyJump
+      >
+        <TileLayer url={TILES.url} attribution={TILES.attribution} />
+        {heatmapUrl && (
+          <ImageOverlay
+            url={heatmapUrl}
+            bounds={[[gridBounds.south, gridBounds.west], [gridBounds.north, gridBounds.east]]}
+            opacity={HEATMAP_OPACITY}
+          />
+        )}
+        <ResortMarkers
+          resorts={resorts}
+          forecasts={forecasts}
+          loadingStates={loadingStates}
+          onLoad={load}
+        />
+      </MapContainer>
+      <HeatmapToggle value={heatmap} onChange={setHeatmap} loading={gridLoading} />
+      <Legend heatmap={heatmap} />
+    </div>
+  );
+}
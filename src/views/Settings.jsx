@@ -5,35 +5,93 @@
  * Conforms to SPEC.md section 8.4 and Agent 6 Deliverable 5.
  *
  * Sections:
- *   1. Powder Alerts — permission status, default threshold slider, per-resort overrides
- *   2. Display       — units toggle (Imperial / Metric)
- *   3. Alert History — human-readable timestamps, clear button
+ *   1. Powder Alerts — permission status, push to all devices and email digest
+ *                      (signed in), avalanche danger trigger, default threshold
+ *                      slider, per-resort overrides
+ *   2. Display       — theme (Dark / Light / Follow OS), units preset
+ *                      (Imperial / Metric) plus per-dimension overrides,
+ *                      multi-model forecast spread
+ *   3. Snow Quality  — per-user thresholds for the quality rule table
+ *   4. Alert History — human-readable timestamps, clear button
  */
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useApp, useUpdateSettings, useUpdateAlertLog } from '../context/AppContext';
+import { useApp, useUnits, useUpdateSettings, useUpdateAlertLog } from '../context/AppContext';
 import {
   requestNotificationPermission,
   getNotificationPermission,
+  parseAlertLogKey,
 } from '../lib/alerts';
-import { timeAgo, CM_TO_INCHES } from '../lib/utils';
+import { DANGER_LEVELS } from '../lib/avalanche';
+import { disablePush, enablePush, getPushSubscription, isPushSupported } from '../lib/push';
+import { updateProfile } from '../lib/supabase';
+import { THEME_OPTIONS } from '../lib/theme';
+import { ENSEMBLE_MODELS } from '../lib/ensemble';
+import { QUALITY_PARAMS } from '../lib/snowQuality';
+import {
+  fromInputValue,
+  timeAgo,
+  toInputValue,
+  UNIT_LABELS,
+  UNIT_OPTIONS,
+  UNIT_PRESETS,
+  UNIT_SUFFIX,
+} from '../lib/utils';
 
 // ── Constants ─────────────────────────────────────────────────────────────────
 
-// Default threshold slider: 2"–18" in 2" increments, stored in cm
-const THRESHOLD_SLIDER_MIN_IN = 2;
-const THRESHOLD_SLIDER_MAX_IN = 18;
-const THRESHOLD_SLIDER_STEP_IN = 2;
-const IN_TO_CM = 2.54;
-
-/** Round a cm value to the nearest 2" increment (in inches), clamped to range. */
-function cmToSliderInches(cm) {
-  const inches = cm / IN_TO_CM;
-  const snapped = Math.round(inches / THRESHOLD_SLIDER_STEP_IN) * THRESHOLD_SLIDER_STEP_IN;
-  return Math.max(THRESHOLD_SLIDER_MIN_IN, Math.min(THRESHOLD_SLIDER_MAX_IN, snapped));
+// Default threshold slider, stored in cm. Steps follow the snow unit:
+// 2"–18" in 2" increments, or 5–45 cm in 5 cm increments.
+const THRESHOLD_SLIDER = {
+  in: { min: 2, max: 18, step: 2, cmPerStep: 2.54 },
+  cm: { min: 5, max: 45, step: 5, cmPerStep: 1 },
+};
+
+/** Round a cm value to the nearest slider increment in `snowUnit`, clamped to range. */
+function cmToSliderValue(cm, snowUnit) {
+  const { min, max, step, cmPerStep } = THRESHOLD_SLIDER[snowUnit];
+  const snapped = Math.round(cm / cmPerStep / step) * step;
+  return Math.max(min, Math.min(max, snapped));
+}
+
+/** Slider value in `snowUnit` → cm for storage. */
+function sliderValueToCm(value, snowUnit) {
+  return value * THRESHOLD_SLIDER[snowUnit].cmPerStep;
 }
 
+// Avalanche alert trigger: off, or the lowest danger level that notifies
+const AVALANCHE_ALERT_OPTIONS = [
+  { value: null, label: 'Off' },
+  ...[3, 4, 5].map((level) => ({
+    value: level,
+    label: level < 5 ? `${DANGER_LEVELS[level].label}+` : DANGER_LEVELS[level].label,
+  })),
+];
+
+// Snow-quality thresholds are stored in cm / °C / km/h like the forecast
+// inputs they're compared with; the inputs show them in the user's units
+// (toInputValue / fromInputValue in utils.js).
+
+function qualityParamSuffix(dimension, units) {
+  switch (dimension) {
+    case 'snow':    return UNIT_SUFFIX[units.snow];
+    case 'temp':    return UNIT_SUFFIX[units.temp];
+    case 'wind':    return UNIT_SUFFIX[units.wind];
+    case 'hours':   return ' h';
+    case 'percent': return '%';
+    case 'ratio':   return ':1';
+    default:        return '';
+  }
+}
+
+const UNIT_DIMENSIONS = [
+  { key: 'snow',      label: 'Snow & rain' },
+  { key: 'temp',      label: 'Temperature' },
+  { key: 'wind',      label: 'Wind'        },
+  { key: 'elevation', label: 'Elevation'   },
+];
+
 // ── Section header ────────────────────────────────────────────────────────────
 
 function SectionHeader({ children }) {
@@ -69,27 +127,67 @@ function SectionHeader({ children }) {
   );
 }
 
+// ── Quality rule input ────────────────────────────────────────────────────────
+
+// Keeps a draft while typing (so "-" or "" don't reset the field) and only
+// reports a number on blur or Enter.
+function QualityParamInput({ value, onCommit }) {
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => { setDraft(String(value)); }, [value]);
+
+  function commit() {
+    const parsed = Number(draft);
+    if (draft.trim() === '' || !Number.isFinite(parsed)) {
+      setDraft(String(value));
+    } else if (parsed !== value) {
+      onCommit(parsed);
+    }
+  }
+
+  return (
+    <input
+      type="number"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+      style={{
+        width: 72,
+        padding: '4px 8px',
+        borderRadius: 4,
+        border: '1px solid var(--color-bg-card-hover)',
+        backgroundColor: 'var(--color-bg-inset)',
+        color: 'var(--color-text-primary)',
+        fontSize: 13,
+        textAlign: 'right',
+      }}
+    />
+  );
+}
+
 // ── Threshold slider ──────────────────────────────────────────────────────────
 
-function ThresholdSlider({ valueInches, onChange }) {
+function ThresholdSlider({ value, snowUnit, onChange }) {
+  const { min, max, step } = THRESHOLD_SLIDER[snowUnit];
   return (
     <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
       <span
         style={{
           fontSize: 11,
           color: 'var(--color-text-secondary)',
-          minWidth: 20,
+          minWidth: 32,
           textAlign: 'right',
         }}
       >
-        {THRESHOLD_SLIDER_MIN_IN}"
+        {min}{UNIT_SUFFIX[snowUnit]}
       </span>
       <input
         type="range"
-        min={THRESHOLD_SLIDER_MIN_IN}
-        max={THRESHOLD_SLIDER_MAX_IN}
-        step={THRESHOLD_SLIDER_STEP_IN}
-        value={valueInches}
+        min={min}
+        max={max}
+        step={step}
+        value={value}
         onChange={(e) => onChange(Number(e.target.value))}
         style={{
           flex: 1,
@@ -101,10 +199,10 @@ function ThresholdSlider({ valueInches, onChange }) {
         style={{
           fontSize: 11,
           color: 'var(--color-text-secondary)',
-          minWidth: 20,
+          minWidth: 32,
         }}
       >
-        {THRESHOLD_SLIDER_MAX_IN}"
+        {max}{UNIT_SUFFIX[snowUnit]}
       </span>
     </div>
   );
@@ -113,7 +211,7 @@ function ThresholdSlider({ valueInches, onChange }) {
 // ── Main component ────────────────────────────────────────────────────────────
 
 export default function Settings() {
-  const { resorts, settings, alertLog } = useApp();
+  const { resorts, settings, alertLog, user, profile } = useApp();
   const updateSettings = useUpdateSettings();
   const updateAlertLog = useUpdateAlertLog();
   const navigate = useNavigate();
@@ -131,12 +229,70 @@ export default function Settings() {
     setNotifPermission(result);
   }
 
+  // ── Web Push (all devices) ─────────────────────────────────────────────────
+
+  const pushAvailable = Boolean(user) && notifPermission === 'granted' && isPushSupported();
+  // null = still checking this device's subscription
+  const [pushEnabled, setPushEnabled] = useState(null);
+  const [pushBusy, setPushBusy] = useState(false);
+  const [pushError, setPushError] = useState(null);
+
+  useEffect(() => {
+    if (!pushAvailable) return;
+    getPushSubscription()
+      .then((sub) => setPushEnabled(Boolean(sub)))
+      .catch(() => setPushEnabled(false));
+  }, [pushAvailable]);
+
+  async function handleTogglePush() {
+    setPushBusy(true);
+    setPushError(null);
+    try {
+      if (pushEnabled) {
+        await disablePush();
+        setPushEnabled(false);
+      } else {
+        await enablePush(user.id);
+        setPushEnabled(true);
+      }
+    } catch (err) {
+      console.error('Error updating push subscription:', err);
+      setPushError(err.message);
+    } finally {
+      setPushBusy(false);
+    }
+  }
+
+  // ── Email digest (signed in) ───────────────────────────────────────────────
+
+  const [digestFrequency, setDigestFrequency] = useState(profile?.digest_frequency ?? 'off');
+  const [digestError, setDigestError] = useState(null);
+
+  // Profile may finish loading after the page mounts
+  useEffect(() => {
+    if (profile?.digest_frequency) setDigestFrequency(profile.digest_frequency);
+  }, [profile?.digest_frequency]);
+
+  async function handleDigestChange(frequency) {
+    const previous = digestFrequency;
+    setDigestFrequency(frequency); // optimistic
+    setDigestError(null);
+    try {
+      await updateProfile(user.id, { digest_frequency: frequency });
+    } catch (err) {
+      console.error('Error saving digest preference:', err);
+      setDigestFrequency(previous);
+      setDigestError('Could not save — try again.');
+    }
+  }
+
   // ── Default threshold slider ───────────────────────────────────────────────
 
-  const defaultThresholdInches = cmToSliderInches(settings.defaultThreshold ?? 15.24);
+  const units = useUnits();
+  const defaultThresholdValue = cmToSliderValue(settings.defaultThreshold ?? 15.24, units.snow);
 
-  function handleDefaultThresholdChange(inches) {
-    updateSettings({ defaultThreshold: inches * IN_TO_CM });
+  function handleDefaultThresholdChange(value) {
+    updateSettings({ defaultThreshold: sliderValueToCm(value, units.snow) });
   }
 
   // ── Per-resort overrides ───────────────────────────────────────────────────
@@ -146,11 +302,11 @@ export default function Settings() {
     (r) => settings.thresholds?.[r.id] !== undefined
   );
 
-  function handleOverrideChange(resortId, inches) {
+  function handleOverrideChange(resortId, value) {
     updateSettings({
       thresholds: {
         ...(settings.thresholds ?? {}),
-        [resortId]: inches * IN_TO_CM,
+        [resortId]: sliderValueToCm(value, units.snow),
       },
     });
   }
@@ -160,10 +316,65 @@ export default function Settings() {
     updateSettings({ thresholds: rest });
   }
 
+  // ── Theme ──────────────────────────────────────────────────────────────────
+
+  // Older saved settings may lack the key; dark is the default
+  const darkMode = settings.darkMode ?? true;
+
+  function handleThemeChange(value) {
+    updateSettings({ darkMode: value });
+  }
+
   // ── Units ──────────────────────────────────────────────────────────────────
 
-  function handleUnitChange(units) {
-    updateSettings({ units });
+  const unitPreset = UNIT_PRESETS[settings.units] ? settings.units : 'imperial';
+
+  function saveUnits(preset, unitOverrides) {
+    updateSettings({ units: preset, unitOverrides });
+    if (user) {
+      updateProfile(user.id, { units: preset, unit_overrides: unitOverrides }).catch(console.error);
+    }
+  }
+
+  // Picking a preset starts over; per-dimension picks only store what
+  // differs from the preset, so an override matching it disappears.
+  function handlePresetChange(preset) {
+    saveUnits(preset, {});
+  }
+
+  function handleDimensionChange(dimension, value) {
+    const { [dimension]: _previous, ...rest } = settings.unitOverrides ?? {};
+    saveUnits(
+      unitPreset,
+      UNIT_PRESETS[unitPreset][dimension] === value ? rest : { ...rest, [dimension]: value }
+    );
+  }
+
+  // ── Forecast models ────────────────────────────────────────────────────────
+
+  function handleMultiModelToggle() {
+    updateSettings({ multiModel: !settings.multiModel });
+  }
+
+  // ── Snow quality rules ─────────────────────────────────────────────────────
+
+  const qualityOverrides = settings.qualityOverrides ?? {};
+
+  // Only values that differ from the default are stored
+  function handleQualityParamChange(key, displayValue) {
+    const { dimension, value: defaultValue } = QUALITY_PARAMS[key];
+    // Typing the default as shown clears the override
+    const isDefault = displayValue === toInputValue(dimension, defaultValue, units);
+    const { [key]: _previous, ...rest } = qualityOverrides;
+    updateSettings({
+      qualityOverrides: isDefault
+        ? rest
+        : { ...rest, [key]: fromInputValue(dimension, displayValue, units) },
+    });
+  }
+
+  function handleResetQualityParams() {
+    updateSettings({ qualityOverrides: {} });
   }
 
   // ── Alert history ──────────────────────────────────────────────────────────
@@ -180,12 +391,16 @@ export default function Settings() {
 
   // ── Helpers ────────────────────────────────────────────────────────────────
 
-  function getResortName(id) {
-    return resorts.find((r) => r.id === id)?.name ?? id;
+  // Log keys are resort ids, or "avalanche:<id>" for avalanche alerts
+  function getResortName(key) {
+    const { kind, resortId } = parseAlertLogKey(key);
+    const name = resorts.find((r) => r.id === resortId)?.name ?? resortId;
+    return kind === 'avalanche' ? `${name} (avalanche)` : name;
   }
 
-  function getResortSlug(id) {
-    return resorts.find((r) => r.id === id)?.slug ?? id;
+  function getResortSlug(key) {
+    const { resortId } = parseAlertLogKey(key);
+    return resorts.find((r) => r.id === resortId)?.slug ?? resortId;
   }
 
   // ── Render ─────────────────────────────────────────────────────────────────
@@ -229,7 +444,7 @@ export default function Settings() {
           </div>
 
           {notifPermission === 'granted' && (
-            <div style={{ fontSize: 14, color: '#4ADE80', fontWeight: 500 }}>
+            <div style={{ fontSize: 14, color: 'var(--color-success)', fontWeight: 500 }}>
               ✅ Notifications enabled
             </div>
           )}
@@ -253,7 +468,7 @@ export default function Settings() {
           )}
 
           {notifPermission === 'denied' && (
-            <div style={{ fontSize: 14, color: '#F97316', fontWeight: 500 }}>
+            <div style={{ fontSize: 14, color: 'var(--color-warning)', fontWeight: 500 }}>
               ⚠️ Notifications blocked. Enable them in your browser settings.
             </div>
           )}
@@ -265,6 +480,180 @@ export default function Settings() {
           )}
         </div>
 
+        {/* ── Web Push (signed in) ────────────────────────────────────────── */}
+        {pushAvailable && (
+          <div style={{ marginBottom: 24 }}>
+            <div
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: 16,
+              }}
+            >
+              <div>
+                <div
+                  style={{
+                    fontSize: 13,
+                    fontWeight: 500,
+                    color: 'var(--color-text-primary)',
+                    marginBottom: 4,
+                  }}
+                >
+                  Push alerts on this device
+                </div>
+                <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>
+                  Get powder alerts for your saved resorts even when SnowDesk is closed —
+                  on every device where you turn this on.
+                </div>
+              </div>
+              <button
+                onClick={handleTogglePush}
+                disabled={pushBusy || pushEnabled === null}
+                style={{
+                  padding: '8px 18px',
+                  borderRadius: 6,
+                  border: pushEnabled ? '1px solid var(--color-text-secondary)' : 'none',
+                  backgroundColor: pushEnabled ? 'transparent' : 'var(--color-accent)',
+                  color: pushEnabled ? 'var(--color-text-primary)' : 'var(--color-bg-dark)',
+                  fontSize: 13,
+                  fontWeight: 600,
+                  cursor: pushBusy ? 'wait' : 'pointer',
+                  whiteSpace: 'nowrap',
+                  opacity: pushEnabled === null ? 0.5 : 1,
+                }}
+              >
+                {pushEnabled ? 'Turn off' : 'Turn on'}
+              </button>
+            </div>
+            {pushError && (
+              <div style={{ fontSize: 12, color: 'var(--color-warning)', marginTop: 8 }}>
+                ⚠️ {pushError}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* ── Email digest (signed in) ─────────────────────────────────────── */}
+        {user && (
+          <div style={{ marginBottom: 24 }}>
+            <div
+              style={{
+                fontSize: 13,
+                fontWeight: 500,
+                color: 'var(--color-text-primary)',
+                marginBottom: 4,
+              }}
+            >
+              Email digest
+            </div>
+            <div
+              style={{
+                fontSize: 12,
+                color: 'var(--color-text-secondary)',
+                marginBottom: 10,
+              }}
+            >
+              Saved resorts over your threshold, their best day and today's AI summary, plus
+              the weekend outlook. Daily emails only go out when there's powder; weekly ones
+              arrive Thursdays.
+            </div>
+            <div style={{ display: 'flex', gap: 10 }}>
+              {[
+                { value: 'off',    label: 'Off'    },
+                { value: 'daily',  label: 'Daily'  },
+                { value: 'weekly', label: 'Weekly' },
+              ].map(({ value, label }) => {
+                const active = digestFrequency === value;
+                return (
+                  <button
+                    key={value}
+                    onClick={() => handleDigestChange(value)}
+                    style={{
+                      padding: '8px 20px',
+                      borderRadius: 6,
+                      border: '1px solid',
+                      borderColor: active
+                        ? 'var(--color-accent)'
+                        : 'var(--color-bg-card-hover)',
+                      backgroundColor: active
+                        ? 'var(--color-accent)'
+                        : 'var(--color-bg-card)',
+                      color: active
+                        ? 'var(--color-bg-dark)'
+                        : 'var(--color-text-secondary)',
+                      fontSize: 13,
+                      fontWeight: active ? 600 : 400,
+                      cursor: 'pointer',
+                    }}
+                  >
+                    {label}
+                  </button>
+                );
+              })}
+            </div>
+            {digestError && (
+              <div style={{ fontSize: 12, color: 'var(--color-warning)', marginTop: 8 }}>
+                ⚠️ {digestError}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* ── Avalanche danger trigger ────────────────────────────────────── */}
+        <div style={{ marginBottom: 24 }}>
+          <div
+            style={{
+              fontSize: 13,
+              fontWeight: 500,
+              color: 'var(--color-text-primary)',
+              marginBottom: 4,
+            }}
+          >
+            Avalanche danger alerts
+          </div>
+          <div
+            style={{
+              fontSize: 12,
+              color: 'var(--color-text-secondary)',
+              marginBottom: 10,
+            }}
+          >
+            Also notify when a resort's avalanche forecast zone reaches this danger level — at most
+            once a day per resort, while SnowDesk is open. US forecast zones only.
+          </div>
+          <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap' }}>
+            {AVALANCHE_ALERT_OPTIONS.map(({ value, label }) => {
+              const active = (settings.avalancheAlertLevel ?? null) === value;
+              return (
+                <button
+                  key={label}
+                  onClick={() => updateSettings({ avalancheAlertLevel: value })}
+                  style={{
+                    padding: '8px 20px',
+                    borderRadius: 6,
+                    border: '1px solid',
+                    borderColor: active
+                      ? 'var(--color-accent)'
+                      : 'var(--color-bg-card-hover)',
+                    backgroundColor: active
+                      ? 'var(--color-accent)'
+                      : 'var(--color-bg-card)',
+                    color: active
+                      ? 'var(--color-bg-dark)'
+                      : 'var(--color-text-secondary)',
+                    fontSize: 13,
+                    fontWeight: active ? 600 : 400,
+                    cursor: 'pointer',
+                  }}
+                >
+                  {label}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
         {/* ── Default threshold slider ────────────────────────────────────── */}
         <div style={{ marginBottom: 28 }}>
           <div
@@ -304,11 +693,12 @@ export default function Settings() {
                 textAlign: 'right',
               }}
             >
-              {defaultThresholdInches}"
+              {defaultThresholdValue}{UNIT_SUFFIX[units.snow]}
             </span>
             <div style={{ flex: 1 }}>
               <ThresholdSlider
-                valueInches={defaultThresholdInches}
+                value={defaultThresholdValue}
+                snowUnit={units.snow}
                 onChange={handleDefaultThresholdChange}
               />
             </div>
@@ -319,7 +709,7 @@ export default function Settings() {
               color: 'var(--color-text-secondary)',
             }}
           >
-            Stored as {(defaultThresholdInches * IN_TO_CM).toFixed(2)} cm · applies to all
+            Stored as {sliderValueToCm(defaultThresholdValue, units.snow).toFixed(2)} cm · applies to all
             resorts without a custom override
           </div>
         </div>
@@ -358,7 +748,7 @@ export default function Settings() {
             >
               {overrideResorts.map((resort, idx) => {
                 const resortThresholdCm = settings.thresholds[resort.id];
-                const resortThresholdIn = cmToSliderInches(resortThresholdCm);
+                const resortThresholdValue = cmToSliderValue(resortThresholdCm, units.snow);
                 return (
                   <div
                     key={resort.id}
@@ -367,7 +757,7 @@ export default function Settings() {
                       backgroundColor:
                         idx % 2 === 0
                           ? 'var(--color-bg-card)'
-                          : 'rgba(30,41,59,0.5)',
+                          : 'var(--color-bg-card-alt)',
                       borderBottom:
                         idx < overrideResorts.length - 1
                           ? '1px solid var(--color-bg-card-hover)'
@@ -401,12 +791,13 @@ export default function Settings() {
                           textAlign: 'right',
                         }}
                       >
-                        {resortThresholdIn}"
+                        {resortThresholdValue}{UNIT_SUFFIX[units.snow]}
                       </span>
                     </div>
                     <ThresholdSlider
-                      valueInches={resortThresholdIn}
-                      onChange={(in_) => handleOverrideChange(resort.id, in_)}
+                      value={resortThresholdValue}
+                      snowUnit={units.snow}
+                      onChange={(value) => handleOverrideChange(resort.id, value)}
                     />
                     <div style={{ marginTop: 8, textAlign: 'right' }}>
                       <button
@@ -438,6 +829,46 @@ export default function Settings() {
       <section style={{ marginBottom: 40 }}>
         <SectionHeader>Display</SectionHeader>
 
+        <div
+          style={{
+            fontSize: 13,
+            color: 'var(--color-text-secondary)',
+            marginBottom: 10,
+          }}
+        >
+          Theme
+        </div>
+        <div style={{ display: 'flex', gap: 10, marginBottom: 24 }}>
+          {THEME_OPTIONS.map(({ value, label }) => {
+            const active = darkMode === value;
+            return (
+              <button
+                key={label}
+                onClick={() => handleThemeChange(value)}
+                style={{
+                  padding: '8px 20px',
+                  borderRadius: 6,
+                  border: '1px solid',
+                  borderColor: active
+                    ? 'var(--color-accent)'
+                    : 'var(--color-bg-card-hover)',
+                  backgroundColor: active
+                    ? 'var(--color-accent)'
+                    : 'var(--color-bg-card)',
+                  color: active
+                    ? 'var(--color-bg-dark)'
+                    : 'var(--color-text-secondary)',
+                  fontSize: 13,
+                  fontWeight: active ? 600 : 400,
+                  cursor: 'pointer',
+                }}
+              >
+                {label} {active ? '●' : '○'}
+              </button>
+            );
+          })}
+        </div>
+
         <div
           style={{
             fontSize: 13,
@@ -452,11 +883,11 @@ export default function Settings() {
             { value: 'imperial', label: 'Imperial' },
             { value: 'metric',   label: 'Metric'   },
           ].map(({ value, label }) => {
-            const active = settings.units === value;
+            const active = unitPreset === value;
             return (
               <button
                 key={value}
-                onClick={() => handleUnitChange(value)}
+                onClick={() => handlePresetChange(value)}
                 style={{
                   padding: '8px 20px',
                   borderRadius: 6,
@@ -480,10 +911,194 @@ export default function Settings() {
             );
           })}
         </div>
+
+        <div
+          style={{
+            fontSize: 12,
+            color: 'var(--color-text-secondary)',
+            margin: '16px 0 10px',
+          }}
+        >
+          Mix and match — e.g. cm of snow with °F:
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '8px 16px', alignItems: 'center' }}>
+          {UNIT_DIMENSIONS.map(({ key, label }) => (
+            <div key={key} style={{ display: 'contents' }}>
+              <span style={{ fontSize: 13, color: 'var(--color-text-primary)' }}>{label}</span>
+              <div style={{ display: 'flex', gap: 6 }}>
+                {UNIT_OPTIONS[key].map((value) => {
+                  const active = units[key] === value;
+                  return (
+                    <button
+                      key={value}
+                      onClick={() => handleDimensionChange(key, value)}
+                      style={{
+                        padding: '4px 12px',
+                        borderRadius: 4,
+                        border: '1px solid',
+                        borderColor: active
+                          ? 'var(--color-accent)'
+                          : 'var(--color-bg-card-hover)',
+                        backgroundColor: active
+                          ? 'var(--color-accent-tint)'
+                          : 'transparent',
+                        color: active
+                          ? 'var(--color-accent)'
+                          : 'var(--color-text-secondary)',
+                        fontSize: 12,
+                        fontWeight: active ? 600 : 400,
+                        cursor: 'pointer',
+                      }}
+                    >
+                      {UNIT_LABELS[value]}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: 16,
+            marginTop: 24,
+          }}
+        >
+          <div>
+            <div
+              style={{
+                fontSize: 13,
+                fontWeight: 500,
+                color: 'var(--color-text-primary)',
+                marginBottom: 4,
+              }}
+            >
+              Compare forecast models
+            </div>
+            <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>
+              Also fetch {ENSEMBLE_MODELS.map((m) => m.label).join(', ')} and show their spread on
+              the 7-day chart. Storms only one model believes in won't fire alerts or win best day.
+            </div>
+          </div>
+          <button
+            onClick={handleMultiModelToggle}
+            style={{
+              padding: '8px 18px',
+              borderRadius: 6,
+              border: settings.multiModel ? '1px solid var(--color-text-secondary)' : 'none',
+              backgroundColor: settings.multiModel ? 'transparent' : 'var(--color-accent)',
+              color: settings.multiModel ? 'var(--color-text-primary)' : 'var(--color-bg-dark)',
+              fontSize: 13,
+              fontWeight: 600,
+              cursor: 'pointer',
+              whiteSpace: 'nowrap',
+            }}
+          >
+            {settings.multiModel ? 'Turn off' : 'Turn on'}
+          </button>
+        </div>
+      </section>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          3. SNOW QUALITY
+      ═══════════════════════════════════════════════════════════════════════ */}
+      <section style={{ marginBottom: 40 }}>
+        <SectionHeader>Snow Quality</SectionHeader>
+
+        <div
+          style={{
+            fontSize: 12,
+            color: 'var(--color-text-secondary)',
+            marginBottom: 12,
+          }}
+        >
+          Rules are checked top to bottom and the first match labels the hour.
+          Hover any quality badge to see which rule fired.
+        </div>
+
+        <div
+          style={{
+            borderRadius: 8,
+            border: '1px solid var(--color-bg-card-hover)',
+            overflow: 'hidden',
+          }}
+        >
+          {Object.entries(QUALITY_PARAMS).map(([key, param], idx, all) => {
+            const overridden = qualityOverrides[key] !== undefined;
+            const stored = overridden ? qualityOverrides[key] : param.value;
+            return (
+              <div
+                key={key}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 12,
+                  padding: '8px 16px',
+                  backgroundColor:
+                    idx % 2 === 0
+                      ? 'var(--color-bg-card)'
+                      : 'var(--color-bg-card-alt)',
+                  borderBottom:
+                    idx < all.length - 1
+                      ? '1px solid var(--color-bg-card-hover)'
+                      : 'none',
+                }}
+              >
+                <span
+                  style={{
+                    flex: 1,
+                    fontSize: 13,
+                    color: overridden
+                      ? 'var(--color-accent)'
+                      : 'var(--color-text-primary)',
+                  }}
+                >
+                  {param.label}
+                </span>
+                <QualityParamInput
+                  value={toInputValue(param.dimension, stored, units)}
+                  onCommit={(value) => handleQualityParamChange(key, value)}
+                />
+                <span
+                  style={{
+                    minWidth: 36,
+                    fontSize: 12,
+                    color: 'var(--color-text-secondary)',
+                  }}
+                >
+                  {qualityParamSuffix(param.dimension, units)}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+
+        {Object.keys(qualityOverrides).length > 0 && (
+          <div style={{ marginTop: 8, textAlign: 'right' }}>
+            <button
+              onClick={handleResetQualityParams}
+              style={{
+                fontSize: 12,
+                padding: '4px 10px',
+                borderRadius: 4,
+                border: '1px solid var(--color-bg-card-hover)',
+                backgroundColor: 'transparent',
+                color: 'var(--color-text-secondary)',
+                cursor: 'pointer',
+              }}
+            >
+              Reset to defaults
+            </button>
+          </div>
+        )}
       </section>
 
       {/* ══════════════════════════════════════════════════════════════════════
-          3. ALERT HISTORY
+          4. ALERT HISTORY
       ═══════════════════════════════════════════════════════════════════════ */}
       <section>
         <SectionHeader>Alert History</SectionHeader>
@@ -521,7 +1136,7 @@ export default function Settings() {
                     backgroundColor:
                       idx % 2 === 0
                         ? 'var(--color-bg-card)'
-                        : 'rgba(30,41,59,0.5)',
+                        : 'var(--color-bg-card-alt)',
                     borderBottom:
                       idx < alertEntries.length - 1
                         ? '1px solid var(--color-bg-card-hover)'
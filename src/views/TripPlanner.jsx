@@ -0,0 +1,566 @@
+/**
+ * src/views/TripPlanner.jsx
+ *
+ * /plan route — pick a date range and an origin, get Tier 1 and saved resorts
+ * ranked for those days (scoring in src/lib/tripPlanner.js).
+ *
+ * On mount, any candidate without a forecast is loaded through dataLoader.js
+ * (the Dashboard may not have run yet). The ranking updates live as inputs
+ * change. Signed-in users can save the result as a named trip (Supabase
+ * `trips` table) and reload or delete saved trips.
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  useApp,
+  useSetForecast,
+  useSetLoadingState,
+  useUnits,
+} from '../context/AppContext';
+import { loadForecasts } from '../lib/dataLoader.js';
+import { searchPlaces } from '../lib/openMeteo.js';
+import { deleteTrip, getTrips, saveTrip } from '../lib/supabase.js';
+import {
+  DEFAULT_TRAVEL_WEIGHT,
+  TRAVEL_WEIGHTS,
+  getTripCandidates,
+  rankResortsForTrip,
+  summarizeTripRanking,
+} from '../lib/tripPlanner.js';
+import { formatDistance, formatShortDate, formatSnow, getDayLabel, isExtendedDay } from '../lib/utils.js';
+import QualityBadge from '../components/QualityBadge.jsx';
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Local "YYYY-MM-DD", `offset` days from today (date inputs use local time). */
+function localDate(offset = 0) {
+  const d = new Date();
+  d.setDate(d.getDate() + offset);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+const inputStyle = {
+  padding: '6px 10px',
+  borderRadius: 6,
+  border: '1px solid var(--color-bg-card-hover)',
+  backgroundColor: 'var(--color-bg-card)',
+  color: 'var(--color-text-primary)',
+  fontSize: 13,
+};
+
+const secondaryButtonStyle = {
+  padding: '6px 12px',
+  borderRadius: 6,
+  border: '1px solid var(--color-bg-card-hover)',
+  backgroundColor: 'transparent',
+  color: 'var(--color-text-secondary)',
+  fontSize: 13,
+  cursor: 'pointer',
+};
+
+const labelStyle = {
+  fontSize: 13,
+  color: 'var(--color-text-secondary)',
+  marginBottom: 8,
+};
+
+// ── Section header ────────────────────────────────────────────────────────────
+
+function SectionHeader({ children }) {
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 16 }}>
+      <span
+        style={{
+          fontSize: 11,
+          textTransform: 'uppercase',
+          letterSpacing: '0.08em',
+          fontWeight: 600,
+          color: 'var(--color-text-secondary)',
+          whiteSpace: 'nowrap',
+        }}
+      >
+        {children}
+      </span>
+      <div style={{ flex: 1, height: 1, backgroundColor: 'var(--color-bg-card-hover)' }} />
+    </div>
+  );
+}
+
+// ── Component ─────────────────────────────────────────────────────────────────
+
+export default function TripPlanner() {
+  const { resorts, forecasts, loadingStates, savedSlugs, settings, user } = useApp();
+  const units = useUnits();
+  const setForecast = useSetForecast();
+  const setLoadingState = useSetLoadingState();
+
+  const [startDate, setStartDate] = useState(() => localDate(0));
+  const [endDate, setEndDate] = useState(() => localDate(3));
+  const [origin, setOrigin] = useState(() => settings.homeLocation ?? null);
+  const [travelWeight, setTravelWeight] = useState(DEFAULT_TRAVEL_WEIGHT);
+
+  const [placeQuery, setPlaceQuery] = useState('');
+  const [placeResults, setPlaceResults] = useState([]);
+  const [placeError, setPlaceError] = useState(null);
+  const [searching, setSearching] = useState(false);
+
+  const [trips, setTrips] = useState([]);
+  const [tripName, setTripName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [tripError, setTripError] = useState(null);
+
+  const candidates = useMemo(
+    () => getTripCandidates(resorts, savedSlugs),
+    [resorts, savedSlugs]
+  );
+
+  // ── Load missing candidate forecasts ───────────────────────────────────────
+  const setForecastRef     = useRef(setForecast);
+  const setLoadingStateRef = useRef(setLoadingState);
+  useEffect(() => { setForecastRef.current = setForecast; },         [setForecast]);
+  useEffect(() => { setLoadingStateRef.current = setLoadingState; }, [setLoadingState]);
+
+  // Ids already requested here, so re-renders don't queue them twice
+  const requested = useRef(new Set());
+  useEffect(() => {
+    const missing = candidates.filter(
+      (r) =>
+        !forecasts[r.id] &&
+        loadingStates[r.id] !== 'loading' &&
+        !requested.current.has(r.id)
+    );
+    if (missing.length === 0) return;
+    missing.forEach((r) => requested.current.add(r.id));
+    loadForecasts(
+      missing,
+      (id, data, fetchedAt) => setForecastRef.current(id, data, fetchedAt),
+      (id, status) => setLoadingStateRef.current(id, status),
+      { multiModel: settings.multiModel }
+    );
+  // Only re-check when the candidate list changes (e.g. a resort is saved)
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [candidates]);
+
+  // ── Saved trips ────────────────────────────────────────────────────────────
+  useEffect(() => {
+    if (!user) {
+      setTrips([]);
+      return;
+    }
+    getTrips(user.id)
+      .then(setTrips)
+      .catch((err) => console.error('Error loading trips:', err));
+  }, [user?.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // ── Ranking ────────────────────────────────────────────────────────────────
+  const datesValid = Boolean(startDate && endDate && startDate <= endDate);
+
+  const ranking = useMemo(() => {
+    if (!datesValid) return [];
+    return rankResortsForTrip(
+      candidates,
+      forecasts,
+      { startDate, endDate, origin, travelWeight },
+      settings.qualityOverrides
+    );
+  }, [candidates, forecasts, startDate, endDate, origin, travelWeight, datesValid, settings.qualityOverrides]);
+
+  const loadedCount = candidates.filter((r) => forecasts[r.id]).length;
+  const stillLoading = candidates.some((r) => !forecasts[r.id] && loadingStates[r.id] === 'loading');
+
+  // Last day any loaded forecast reaches — later trip days can't be scored
+  const lastForecastDate = useMemo(
+    () =>
+      candidates.reduce((last, r) => {
+        const date = forecasts[r.id]?.daily?.time?.at(-1);
+        return date && (!last || date > last) ? date : last;
+      }, null),
+    [candidates, forecasts]
+  );
+
+  // ── Origin ─────────────────────────────────────────────────────────────────
+  async function handlePlaceSearch(e) {
+    e.preventDefault();
+    const query = placeQuery.trim();
+    if (!query) return;
+    setSearching(true);
+    setPlaceError(null);
+    try {
+      const results = await searchPlaces(query);
+      setPlaceResults(results);
+      if (results.length === 0) setPlaceError(`No places found for "${query}".`);
+    } catch (err) {
+      console.error('Error searching places:', err);
+      setPlaceError('Place search failed. Try again.');
+    } finally {
+      setSearching(false);
+    }
+  }
+
+  function handleUseMyLocation() {
+    if (!navigator.geolocation) {
+      setPlaceError("Your browser can't share its location.");
+      return;
+    }
+    setPlaceError(null);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setOrigin({ label: 'My location', lat: pos.coords.latitude, lng: pos.coords.longitude });
+        setPlaceResults([]);
+      },
+      () => setPlaceError("Couldn't get your location.")
+    );
+  }
+
+  function handlePickPlace(place) {
+    setOrigin(place);
+    setPlaceResults([]);
+    setPlaceQuery('');
+  }
+
+  // ── Save / load / delete ───────────────────────────────────────────────────
+  async function handleSaveTrip(e) {
+    e.preventDefault();
+    const name = tripName.trim();
+    if (!name || ranking.length === 0) return;
+    setSaving(true);
+    setTripError(null);
+    try {
+      const trip = await saveTrip(user.id, {
+        name,
+        start_date: startDate,
+        end_date: endDate,
+        origin,
+        travel_weight: travelWeight,
+        ranking: summarizeTripRanking(ranking),
+      });
+      setTrips((prev) => [trip, ...prev]);
+      setTripName('');
+    } catch (err) {
+      console.error('Error saving trip:', err);
+      setTripError("Couldn't save the trip. Try again.");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function handleLoadTrip(trip) {
+    setStartDate(trip.start_date);
+    setEndDate(trip.end_date);
+    setOrigin(trip.origin);
+    setTravelWeight(trip.travel_weight);
+  }
+
+  async function handleDeleteTrip(tripId) {
+    setTripError(null);
+    try {
+      await deleteTrip(tripId);
+      setTrips((prev) => prev.filter((t) => t.id !== tripId));
+    } catch (err) {
+      console.error('Error deleting trip:', err);
+      setTripError("Couldn't delete the trip. Try again.");
+    }
+  }
+
+  // ── Render ─────────────────────────────────────────────────────────────────
+  return (
+    <div
+      style={{
+        padding: '24px 24px 48px',
+        maxWidth: 960,
+        margin: '0 auto',
+        color: 'var(--color-text-primary)',
+      }}
+    >
+      <h1 style={{ fontSize: 24, fontWeight: 600, marginBottom: 32 }}>
+        Plan a Trip
+      </h1>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          1. TRIP
+      ═══════════════════════════════════════════════════════════════════════ */}
+      <section style={{ marginBottom: 40 }}>
+        <SectionHeader>Trip</SectionHeader>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 24, marginBottom: 24 }}>
+          <div>
+            <div style={labelStyle}>Dates</div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+              <input
+                type="date"
+                value={startDate}
+                min={localDate(0)}
+                onChange={(e) => setStartDate(e.target.value)}
+                style={inputStyle}
+              />
+              <span style={{ color: 'var(--color-text-secondary)' }}>→</span>
+              <input
+                type="date"
+                value={endDate}
+                min={startDate || localDate(0)}
+                onChange={(e) => setEndDate(e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+          </div>
+
+          <div>
+            <div style={labelStyle}>Travel</div>
+            <div style={{ display: 'flex', gap: 6 }}>
+              {Object.entries(TRAVEL_WEIGHTS).map(([key, { label }]) => (
+                <button
+                  key={key}
+                  onClick={() => setTravelWeight(key)}
+                  style={{
+                    ...secondaryButtonStyle,
+                    ...(travelWeight === key && {
+                      border: '1px solid var(--color-accent)',
+                      color: 'var(--color-accent)',
+                    }),
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* ── Origin ──────────────────────────────────────────────────────── */}
+        <div style={labelStyle}>
+          Starting from{' '}
+          <span style={{ color: 'var(--color-text-primary)', fontWeight: 500 }}>
+            {origin ? origin.label : 'anywhere (distance not counted)'}
+          </span>
+          {origin && (
+            <button
+              onClick={() => setOrigin(null)}
+              style={{ ...secondaryButtonStyle, marginLeft: 8, padding: '2px 8px', fontSize: 12 }}
+            >
+              Clear
+            </button>
+          )}
+        </div>
+
+        <form onSubmit={handlePlaceSearch} style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+          <input
+            type="text"
+            value={placeQuery}
+            onChange={(e) => setPlaceQuery(e.target.value)}
+            placeholder="Town or city"
+            style={{ ...inputStyle, minWidth: 220 }}
+          />
+          <button type="submit" disabled={searching} style={secondaryButtonStyle}>
+            {searching ? 'Searching…' : 'Search'}
+          </button>
+          <button type="button" onClick={handleUseMyLocation} style={secondaryButtonStyle}>
+            📍 Use my location
+          </button>
+        </form>
+
+        {placeError && (
+          <div style={{ fontSize: 13, color: 'var(--color-warning)', marginTop: 8 }}>
+            {placeError}
+          </div>
+        )}
+
+        {placeResults.length > 0 && (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 4, marginTop: 8 }}>
+            {placeResults.map((place) => (
+              <button
+                key={`${place.lat},${place.lng}`}
+                onClick={() => handlePickPlace(place)}
+                style={{ ...secondaryButtonStyle, textAlign: 'left', color: 'var(--color-text-primary)' }}
+              >
+                {place.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          2. RANKING
+      ═══════════════════════════════════════════════════════════════════════ */}
+      <section style={{ marginBottom: 40 }}>
+        <SectionHeader>Best resorts for these dates</SectionHeader>
+
+        {stillLoading && (
+          <div style={{ fontSize: 12, color: 'var(--color-text-secondary)', marginBottom: 8 }}>
+            Loading forecasts… {loadedCount} of {candidates.length}
+          </div>
+        )}
+
+        {!datesValid && (
+          <div style={{ fontSize: 13, color: 'var(--color-warning)' }}>
+            The end date must be on or after the start date.
+          </div>
+        )}
+
+        {datesValid && lastForecastDate && endDate > lastForecastDate && (
+          <div style={{ fontSize: 12, color: 'var(--color-text-secondary)', marginBottom: 8 }}>
+            {startDate > lastForecastDate
+              ? `Forecasts only reach ${formatShortDate(lastForecastDate)} — check back closer to the trip.`
+              : `Forecasts reach ${formatShortDate(lastForecastDate)}; later days aren't scored yet.`}
+          </div>
+        )}
+
+        {ranking.length > 0 && (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+              <thead>
+                <tr style={{ color: 'var(--color-text-secondary)', textAlign: 'left' }}>
+                  <th style={{ padding: '6px 8px' }}>#</th>
+                  <th style={{ padding: '6px 8px' }}>Resort</th>
+                  <th style={{ padding: '6px 8px' }}>Snow</th>
+                  <th style={{ padding: '6px 8px' }}>Best day</th>
+                  <th style={{ padding: '6px 8px' }}>Best quality</th>
+                  <th style={{ padding: '6px 8px' }}>Distance</th>
+                  <th style={{ padding: '6px 8px', textAlign: 'right' }}>Score</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ranking.map((row, idx) => (
+                  <tr
+                    key={row.resort.id}
+                    style={{
+                      backgroundColor:
+                        idx % 2 === 0 ? 'var(--color-bg-card)' : 'var(--color-bg-card-alt)',
+                    }}
+                  >
+                    <td style={{ padding: '8px', color: 'var(--color-text-secondary)' }}>{idx + 1}</td>
+                    <td style={{ padding: '8px' }}>
+                      <Link
+                        to={`/resort/${row.resort.slug}`}
+                        style={{ color: 'var(--color-text-primary)', fontWeight: 500 }}
+                      >
+                        {row.resort.name}
+                      </Link>
+                      <div style={{ fontSize: 11, color: 'var(--color-text-secondary)' }}>
+                        {row.resort.region}, {row.resort.country}
+                      </div>
+                    </td>
+                    <td style={{ padding: '8px' }}>{formatSnow(row.snowCm, units)}</td>
+                    <td
+                      style={{
+                        padding: '8px',
+                        // Extended-outlook days: same reduced-confidence styling as the Forecast tab
+                        ...(isExtendedDay(row.bestDay.index) && { opacity: 0.6, fontStyle: 'italic' }),
+                      }}
+                    >
+                      {getDayLabel(row.bestDay.date)}
+                    </td>
+                    <td style={{ padding: '8px' }}>
+                      <QualityBadge quality={row.bestQuality?.quality} size="sm" />
+                    </td>
+                    <td style={{ padding: '8px' }}>
+                      {row.distanceKm === null ? '—' : formatDistance(row.distanceKm, units)}
+                    </td>
+                    <td style={{ padding: '8px', textAlign: 'right', fontWeight: 600 }}>
+                      {row.score}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {datesValid && ranking.length === 0 && !stillLoading && (
+          <div style={{ fontSize: 13, color: 'var(--color-text-secondary)' }}>
+            No resort forecasts cover these dates.
+          </div>
+        )}
+      </section>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          3. SAVED TRIPS
+      ═══════════════════════════════════════════════════════════════════════ */}
+      <section>
+        <SectionHeader>Saved Trips</SectionHeader>
+
+        {!user && (
+          <div style={{ fontSize: 13, color: 'var(--color-text-secondary)' }}>
+            <Link to="/login" style={{ color: 'var(--color-accent)' }}>Sign in</Link> to save trips.
+          </div>
+        )}
+
+        {user && (
+          <>
+            <form onSubmit={handleSaveTrip} style={{ display: 'flex', gap: 8, marginBottom: 16 }}>
+              <input
+                type="text"
+                value={tripName}
+                onChange={(e) => setTripName(e.target.value)}
+                placeholder="Trip name, e.g. Presidents' Day"
+                style={{ ...inputStyle, flex: 1, maxWidth: 320 }}
+              />
+              <button
+                type="submit"
+                disabled={saving || !tripName.trim() || ranking.length === 0}
+                style={{
+                  padding: '6px 14px',
+                  borderRadius: 6,
+                  border: 'none',
+                  backgroundColor: 'var(--color-accent)',
+                  color: 'var(--color-bg-dark)',
+                  fontSize: 13,
+                  fontWeight: 600,
+                  cursor: 'pointer',
+                  opacity: saving || !tripName.trim() || ranking.length === 0 ? 0.5 : 1,
+                }}
+              >
+                {saving ? 'Saving…' : 'Save trip'}
+              </button>
+            </form>
+
+            {tripError && (
+              <div style={{ fontSize: 13, color: 'var(--color-warning)', marginBottom: 8 }}>
+                {tripError}
+              </div>
+            )}
+
+            {trips.length === 0 && (
+              <div style={{ fontSize: 13, color: 'var(--color-text-secondary)' }}>
+                No saved trips yet.
+              </div>
+            )}
+
+            {trips.map((trip) => (
+              <div
+                key={trip.id}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 12,
+                  padding: '10px 14px',
+                  marginBottom: 6,
+                  borderRadius: 8,
+                  backgroundColor: 'var(--color-bg-card)',
+                }}
+              >
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontSize: 14, fontWeight: 500 }}>{trip.name}</div>
+                  <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>
+                    {formatShortDate(trip.start_date)} – {formatShortDate(trip.end_date)}
+                    {trip.origin && ` · from ${trip.origin.label}`}
+                    {trip.ranking.length > 0 &&
+                      ` · top picks: ${trip.ranking.slice(0, 3).map((r) => r.name).join(', ')}`}
+                  </div>
+                </div>
+                <button onClick={() => handleLoadTrip(trip)} style={secondaryButtonStyle}>
+                  Load
+                </button>
+                <button onClick={() => handleDeleteTrip(trip.id)} style={secondaryButtonStyle}>
+                  Delete
+                </button>
+              </div>
+            ))}
+          </>
+        )}
+      </section>
+    </div>
+  );
+}
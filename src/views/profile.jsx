@@ -8,7 +8,7 @@ import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useApp, useUpdateSettings } from '../context/AppContext'
 import { supabase, signOut, updateProfile } from '../lib/supabase.js'
-import { toInches } from '../lib/utils.js'
+import { getUnitsKey, resolveUnits, UNIT_LABELS } from '../lib/utils.js'
 
 export default function Profile() {
   const navigate = useNavigate()
@@ -70,14 +70,22 @@ export default function Profile() {
 
   function toggleUnits() {
     const newUnits = settings.units === 'imperial' ? 'metric' : 'imperial'
-    updateSettings({ units: newUnits })
+    // Switching preset clears any mixed-unit overrides made in Settings
+    updateSettings({ units: newUnits, unitOverrides: {} })
     
     // Also update in Supabase if logged in
     if (user) {
-      updateProfile(user.id, { units: newUnits }).catch(console.error)
+      updateProfile(user.id, { units: newUnits, unit_overrides: {} }).catch(console.error)
     }
   }
 
+  function unitsLabel() {
+    const key = getUnitsKey(settings)
+    if (key === 'imperial') return 'Imperial (°F, inches)'
+    if (key === 'metric') return 'Metric (°C, cm)'
+    return `Mixed (${Object.values(resolveUnits(settings)).map((u) => UNIT_LABELS[u]).join(', ')})`
+  }
+
   if (!user) return null
 
   return (
@@ -164,7 +172,7 @@ export default function Profile() {
               color: 'var(--color-text-primary)'
             }}
           >
-            {settings.units === 'imperial' ? 'Imperial (°F, inches)' : 'Metric (°C, cm)'}
+            {unitsLabel()}
           </button>
         </div>
       </div>
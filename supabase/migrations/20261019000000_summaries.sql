@@ -0,0 +1,24 @@
+-- Shared AI summaries: one row per resort per day, generated by whichever
+-- signed-in user opens the Snow Summary tab first and reused by everyone else.
+-- Read/written by getSharedSummary / saveSharedSummary in src/lib/supabase.js.
+
+create table if not exists public.summaries (
+  resort_id    text        not null,
+  summary_date date        not null,  -- UTC date, same as the client cache key
+  text         text        not null,
+  created_by   uuid        default auth.uid() references auth.users (id) on delete set null,
+  created_at   timestamptz not null default now(),
+  primary key (resort_id, summary_date)
+);
+
+alter table public.summaries enable row level security;
+
+create policy "Signed-in users can read summaries"
+  on public.summaries for select
+  to authenticated
+  using (true);
+
+create policy "Signed-in users can add summaries"
+  on public.summaries for insert
+  to authenticated
+  with check (created_by = auth.uid());
@@ -0,0 +1,40 @@
+-- Web Push powder alerts. The browser stores each device's push subscription;
+-- the hourly job (api/cron/powder-alerts.js, service role) reads subscriptions,
+-- saved_resorts and the thresholds below, and records what it sent.
+
+-- One row per device. endpoint is unique per browser profile.
+create table if not exists public.push_subscriptions (
+  endpoint   text        primary key,
+  user_id    uuid        not null references auth.users (id) on delete cascade,
+  p256dh     text        not null,
+  auth       text        not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists push_subscriptions_user_id_idx
+  on public.push_subscriptions (user_id);
+
+alter table public.push_subscriptions enable row level security;
+
+create policy "Users manage their own push subscriptions"
+  on public.push_subscriptions for all
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+-- Alert settings synced from the app (settings.thresholds / defaultThreshold, cm).
+-- Null until the first sync, so a new sign-in keeps the device's local values.
+alter table public.profiles
+  add column if not exists alert_thresholds  jsonb,
+  add column if not exists default_threshold real;
+
+-- Last push per user per resort — the server-side alertLog (6h cooldown).
+-- Written by the job only; no client policies.
+create table if not exists public.push_alert_log (
+  user_id    uuid        not null references auth.users (id) on delete cascade,
+  resort_id  text        not null,
+  alerted_at timestamptz not null,
+  primary key (user_id, resort_id)
+);
+
+alter table public.push_alert_log enable row level security;
@@ -0,0 +1,7 @@
+-- Opt-in email digest (api/cron/email-digest.js). Users pick a frequency in
+-- Settings; the job (service role) stamps digest_last_sent_at after sending.
+
+alter table public.profiles
+  add column if not exists digest_frequency    text not null default 'off'
+    check (digest_frequency in ('off', 'daily', 'weekly')),
+  add column if not exists digest_last_sent_at timestamptz;
@@ -0,0 +1,15 @@
+-- Mixed display units: profiles.units stays the preset ('imperial' | 'metric');
+-- unit_overrides swaps individual dimensions, e.g. {"snow": "cm"}. Read by the
+-- client (AppContext) and the push / digest jobs.
+
+alter table public.profiles
+  add column if not exists unit_overrides jsonb not null default '{}'::jsonb;
+
+-- AI summaries quote amounts in the reader's units, so the shared cache is
+-- keyed by getUnitsKey() too. Existing rows were all generated in imperial.
+
+alter table public.summaries
+  add column if not exists units text not null default 'imperial';
+
+alter table public.summaries drop constraint if exists summaries_pkey;
+alter table public.summaries add primary key (resort_id, summary_date, units);
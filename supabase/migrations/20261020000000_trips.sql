@@ -0,0 +1,28 @@
+-- Saved trip plans from the /plan route. Each row keeps the planner inputs
+-- and a snapshot of the top of the ranking at save time, since forecasts move
+-- on. Read/written by getTrips / saveTrip / deleteTrip in src/lib/supabase.js.
+
+create table if not exists public.trips (
+  id            uuid        primary key default gen_random_uuid(),
+  user_id       uuid        not null references auth.users (id) on delete cascade,
+  name          text        not null,
+  start_date    date        not null,
+  end_date      date        not null,
+  origin        jsonb,                -- { label, lat, lng }, null = no travel weighting
+  travel_weight text        not null default 'balanced'
+    check (travel_weight in ('close', 'balanced', 'anywhere')),
+  ranking       jsonb       not null default '[]'::jsonb,
+  created_at    timestamptz not null default now(),
+  check (end_date >= start_date)
+);
+
+create index if not exists trips_user_id_idx
+  on public.trips (user_id);
+
+alter table public.trips enable row level security;
+
+create policy "Users manage their own trips"
+  on public.trips for all
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
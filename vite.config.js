@@ -1,7 +1,47 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
+/**
+ * Serves the Vercel functions in api/ from the dev server, so `npm run dev`
+ * works without `vercel dev`. Handlers are loaded through Vite's SSR loader
+ * and pick up edits on the next request.
+ */
+function apiRoutes(env) {
+  return {
+    name: 'snowdesk-api-routes',
+    configureServer(server) {
+      // Server-only variables (.env, no VITE_ prefix) for the handlers
+      Object.entries(env).forEach(([key, value]) => {
+        if (process.env[key] === undefined) process.env[key] = value
+      })
+
+      server.middlewares.use('/api/summary', async (req, res, next) => {
+        try {
+          const { default: handler } = await server.ssrLoadModule('/api/summary.js')
+          await handler(req, res)
+        } catch (err) {
+          next(err)
+        }
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-})
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), apiRoutes(loadEnv(mode, process.cwd(), ''))],
+  build: {
+    rollupOptions: {
+      // The Service Worker is a second entry, emitted unhashed at the root so
+      // its scope covers the whole app (registered by backgroundAlerts.js)
+      input: {
+        main: 'index.html',
+        sw: 'src/sw.js',
+      },
+      output: {
+        entryFileNames: (chunk) =>
+          chunk.name === 'sw' ? 'sw.js' : 'assets/[name]-[hash].js',
+      },
+    },
+  },
+}))